@@ -0,0 +1,80 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { resolvePwaConfig, createWebManifest, PWA_DEFAULTS } from '../src/pwa/manifest.js'
+
+const SW_SOURCE = new URL('../src/pwa/sw.js', import.meta.url)
+const DEFAULT_IMAGE_BASE_URL = 'https://eassyserve-cdn.s3.ap-south-1.amazonaws.com'
+
+// Same parsing as getEnvBoolean in src/utils/env.js
+const getFlag = (value, defaultValue) => {
+  if (value === undefined) return defaultValue
+  return value === 'true' || value === '1'
+}
+
+/**
+ * PWA build plugin
+ * - Serves/emits manifest.webmanifest generated from PWA_CONFIG
+ * - Emits sw.js with the app-shell precache list for this build
+ *
+ * Controlled by VITE_ENABLE_PWA (manifest + service worker),
+ * VITE_ENABLE_SERVICE_WORKER and VITE_ENABLE_OFFLINE_MODE.
+ * @param {Object} env - Variables from Vite's loadEnv
+ */
+export default function pwaPlugin(env) {
+  const pwaEnabled = getFlag(env.VITE_ENABLE_PWA, true)
+  const serviceWorkerEnabled = pwaEnabled && getFlag(env.VITE_ENABLE_SERVICE_WORKER, true)
+  const imageBaseUrl = env.VITE_IMAGE_BASE_URL || DEFAULT_IMAGE_BASE_URL
+  const manifest = JSON.stringify(createWebManifest(resolvePwaConfig(env), { imageBaseUrl }), null, 2)
+
+  return {
+    name: 'eassylife-pwa',
+
+    configureServer(server) {
+      if (!pwaEnabled) return
+      server.middlewares.use('/manifest.webmanifest', (req, res) => {
+        res.setHeader('Content-Type', 'application/manifest+json')
+        res.end(manifest)
+      })
+    },
+
+    transformIndexHtml() {
+      if (!pwaEnabled) return []
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: '/manifest.webmanifest' }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'apple-touch-icon', href: `${imageBaseUrl}${PWA_DEFAULTS.ICON_PATH}` }, injectTo: 'head' },
+      ]
+    },
+
+    generateBundle(_options, bundle) {
+      if (!pwaEnabled) return
+
+      this.emitFile({ type: 'asset', fileName: 'manifest.webmanifest', source: manifest })
+
+      if (!serviceWorkerEnabled) return
+
+      // App shell: the HTML, the entry chunk with its static imports and CSS, and the offline page
+      const shell = new Set(['/index.html', '/offline.html', '/manifest.webmanifest'])
+      Object.values(bundle).forEach((file) => {
+        if (file.type !== 'chunk' || !file.isEntry) return
+        shell.add(`/${file.fileName}`)
+        file.imports.forEach((fileName) => shell.add(`/${fileName}`))
+        file.viteMetadata?.importedCss?.forEach((fileName) => shell.add(`/${fileName}`))
+      })
+
+      const precacheUrls = [...shell]
+      const config = {
+        // Hashed file names change with every release, so they version the cache
+        cacheVersion: createHash('sha256').update(precacheUrls.join('\n')).digest('hex').slice(0, 12),
+        precacheUrls,
+        imageBaseUrl,
+        offlineMode: getFlag(env.VITE_ENABLE_OFFLINE_MODE, false),
+      }
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PWA_CONFIG__ = ${JSON.stringify(config)};\n\n${readFileSync(SW_SOURCE, 'utf8')}`,
+      })
+    },
+  }
+}
@@ -4,12 +4,14 @@ import { Toaster } from 'react-hot-toast'
 import router from './router'
 import AppProvider from './contexts/AppProvider'
 import ErrorBoundary from './components/error/ErrorBoundary'
+import UpdatePrompt from './components/common/UpdatePrompt'
 
 function App() {
   return (
     <ErrorBoundary>
       <AppProvider>
         <RouterProvider router={router} />
+        <UpdatePrompt />
         <Toaster
           position="top-right"
           toastOptions={{
@@ -0,0 +1,59 @@
+/**
+ * Analytics Consent
+ * Stores the user's analytics choice. Until it is granted, the pipeline
+ * holds events in memory; denying consent discards them.
+ */
+
+export const CONSENT_STORAGE_KEY = 'eassylife_analytics_consent';
+
+export const CONSENT_STATUS = {
+  UNKNOWN: 'unknown',
+  GRANTED: 'granted',
+  DENIED: 'denied'
+};
+
+const listeners = new Set();
+let sessionStatus = null;
+
+/**
+ * Get the stored consent status
+ * @returns {string} One of CONSENT_STATUS
+ */
+export const getConsent = () => {
+  if (sessionStatus) return sessionStatus;
+
+  try {
+    const stored = localStorage.getItem(CONSENT_STORAGE_KEY);
+    return stored === CONSENT_STATUS.GRANTED || stored === CONSENT_STATUS.DENIED
+      ? stored
+      : CONSENT_STATUS.UNKNOWN;
+  } catch {
+    return CONSENT_STATUS.UNKNOWN;
+  }
+};
+
+/**
+ * Record the user's choice
+ * @param {boolean} granted - Whether analytics is allowed
+ */
+export const setConsent = (granted) => {
+  const status = granted ? CONSENT_STATUS.GRANTED : CONSENT_STATUS.DENIED;
+  sessionStatus = status;
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, status);
+  } catch {
+    // Storage unavailable - the choice still applies for this session
+  }
+  console.log(`🔒 Analytics consent ${status}`);
+  listeners.forEach((listener) => listener(status));
+};
+
+/**
+ * Subscribe to consent changes
+ * @param {Function} listener - Called with the new status
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeConsent = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
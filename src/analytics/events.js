@@ -0,0 +1,125 @@
+/**
+ * Analytics Event Schema
+ * Every event the app sends is declared here with the type of each property.
+ * The pipeline drops events that are unknown or don't match their schema,
+ * so sinks only ever receive well-formed data.
+ *
+ * Property types: 'string' | 'number' | 'boolean'; a trailing '?' marks the
+ * property optional. Properties not in the schema are rejected.
+ */
+
+export const ANALYTICS_EVENTS = {
+  PAGE_VIEW: 'page_view',
+  LOGIN: 'login',
+  SIGNUP: 'signup',
+  USER_PROFILE_SET: 'user_profile_set',
+  USER_ACTION: 'user_action',
+
+  // Booking funnel (see analytics/funnel.js)
+  FUNNEL_SERVICE_VIEWED: 'funnel_service_viewed',
+  FUNNEL_ATTRIBUTE_SELECTED: 'funnel_attribute_selected',
+  FUNNEL_SLOT_SELECTED: 'funnel_slot_selected',
+  FUNNEL_PROVIDERS_VIEWED: 'funnel_providers_viewed',
+  FUNNEL_PROVIDER_SELECTED: 'funnel_provider_selected',
+  FUNNEL_ADDED_TO_CART: 'funnel_added_to_cart',
+  FUNNEL_CART_VIEWED: 'funnel_cart_viewed',
+  FUNNEL_COUPON_APPLIED: 'funnel_coupon_applied',
+  FUNNEL_VIP_SELECTED: 'funnel_vip_selected',
+  FUNNEL_PAYMENT_OPENED: 'funnel_payment_opened',
+  FUNNEL_PAYMENT_DISMISSED: 'funnel_payment_dismissed',
+  FUNNEL_CHECKOUT_SUCCEEDED: 'funnel_checkout_succeeded',
+  FUNNEL_CHECKOUT_FAILED: 'funnel_checkout_failed',
+  FUNNEL_PAYMENT_SUCCESS_VIEWED: 'funnel_payment_success_viewed'
+};
+
+// Every funnel event carries the funnel session and the service being booked
+const funnelSchema = (properties = {}) => ({
+  funnel_session_id: 'string',
+  service_id: 'string?',
+  category_id: 'string?',
+  ...properties
+});
+
+export const EVENT_SCHEMAS = {
+  [ANALYTICS_EVENTS.PAGE_VIEW]: {
+    page_name: 'string',
+    path: 'string?',
+    referrer: 'string?'
+  },
+  [ANALYTICS_EVENTS.LOGIN]: {
+    country_code: 'string',
+    is_new_user: 'boolean?'
+  },
+  [ANALYTICS_EVENTS.SIGNUP]: {
+    country_code: 'string?',
+    first_name: 'string?',
+    last_name: 'string?',
+    gender: 'string?',
+    referral_code: 'string?'
+  },
+  [ANALYTICS_EVENTS.USER_PROFILE_SET]: {
+    user_id: 'string',
+    name: 'string?',
+    date_of_birth: 'string?'
+  },
+  [ANALYTICS_EVENTS.USER_ACTION]: {
+    action: 'string',
+    target: 'string?',
+    value: 'number?'
+  },
+  [ANALYTICS_EVENTS.FUNNEL_SERVICE_VIEWED]: funnelSchema({ service_name: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_ATTRIBUTE_SELECTED]: funnelSchema({ attribute_id: 'string', option_id: 'string' }),
+  [ANALYTICS_EVENTS.FUNNEL_SLOT_SELECTED]: funnelSchema({ booking_date: 'string?', time_from: 'string', time_to: 'string?', source: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_PROVIDERS_VIEWED]: funnelSchema({ provider_count: 'number' }),
+  [ANALYTICS_EVENTS.FUNNEL_PROVIDER_SELECTED]: funnelSchema({ provider_id: 'string', rate_card_id: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_ADDED_TO_CART]: funnelSchema({ provider_id: 'string?', rate_card_id: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_CART_VIEWED]: funnelSchema({ item_count: 'number' }),
+  [ANALYTICS_EVENTS.FUNNEL_COUPON_APPLIED]: funnelSchema({ coupon_code: 'string', source: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_VIP_SELECTED]: funnelSchema({ vip_plan_id: 'string?', selected: 'boolean' }),
+  [ANALYTICS_EVENTS.FUNNEL_PAYMENT_OPENED]: funnelSchema({ amount: 'number', razorpay_order_id: 'string' }),
+  [ANALYTICS_EVENTS.FUNNEL_PAYMENT_DISMISSED]: funnelSchema({ razorpay_order_id: 'string' }),
+  [ANALYTICS_EVENTS.FUNNEL_CHECKOUT_SUCCEEDED]: funnelSchema({ amount: 'number', razorpay_order_id: 'string' }),
+  [ANALYTICS_EVENTS.FUNNEL_CHECKOUT_FAILED]: funnelSchema({ reason: 'string', razorpay_order_id: 'string?' }),
+  [ANALYTICS_EVENTS.FUNNEL_PAYMENT_SUCCESS_VIEWED]: funnelSchema({ booking_id: 'string?' })
+};
+
+const parseType = (declaration) => ({
+  type: declaration.replace('?', ''),
+  optional: declaration.endsWith('?')
+});
+
+/**
+ * Validate an event against its schema
+ * @param {string} name - Event name
+ * @param {Object} properties - Event properties
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateEvent = (name, properties = {}) => {
+  const schema = EVENT_SCHEMAS[name];
+  if (!schema) {
+    return { valid: false, errors: [`Unknown event "${name}"`] };
+  }
+
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, declaration]) => {
+    const { type, optional } = parseType(declaration);
+    const value = properties[key];
+
+    if (value === undefined || value === null) {
+      if (!optional) errors.push(`"${key}" is required`);
+      return;
+    }
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+      errors.push(`"${key}" must be a ${type}`);
+    }
+  });
+
+  Object.keys(properties).forEach((key) => {
+    if (!(key in schema)) {
+      errors.push(`"${key}" is not part of the ${name} schema`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
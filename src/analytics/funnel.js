@@ -0,0 +1,136 @@
+/**
+ * Booking Funnel
+ * Tracks a customer's path from viewing a service to a confirmed payment.
+ *
+ * - One funnel session id ties the steps together; it lives in
+ *   sessionStorage, expires after 30 minutes of inactivity and ends once
+ *   the payment success page has been shown
+ * - The service/category being booked is remembered from the service page,
+ *   so later steps (cart, payment) carry the same ids
+ * - Every step is kept in an in-memory log for the developer funnel
+ *   inspector, regardless of analytics consent - the log never leaves the tab
+ */
+
+import analyticsService from '../api/services/analyticsService.js';
+
+export const FUNNEL_SESSION_KEY = 'eassylife_funnel_session';
+export const FUNNEL_SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+const MAX_LOGGED_EVENTS = 100;
+
+let log = [];
+const listeners = new Set();
+
+const createSessionId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+const readSession = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(FUNNEL_SESSION_KEY) || 'null');
+    return stored && typeof stored.id === 'string' ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+const writeSession = (session) => {
+  try {
+    sessionStorage.setItem(FUNNEL_SESSION_KEY, JSON.stringify(session));
+  } catch {
+    // Storage unavailable - the session lives until the next call
+  }
+  return session;
+};
+
+const notify = () => listeners.forEach((listener) => listener(log));
+
+/**
+ * Get the active funnel session, starting a new one if none is active
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{id: string, serviceId: string|null, categoryId: string|null, lastActivity: number}}
+ */
+export const getFunnelSession = (now = Date.now()) => {
+  const session = readSession();
+  if (session && now - session.lastActivity < FUNNEL_SESSION_TIMEOUT) {
+    return session;
+  }
+
+  log = [];
+  notify();
+  return writeSession({ id: createSessionId(), serviceId: null, categoryId: null, lastActivity: now });
+};
+
+/**
+ * Remember the service being booked for the rest of the funnel
+ * @param {Object} service
+ * @param {string|number} [service.serviceId]
+ * @param {string|number} [service.categoryId]
+ */
+export const setFunnelService = ({ serviceId, categoryId } = {}) => {
+  const session = getFunnelSession();
+  writeSession({
+    ...session,
+    serviceId: serviceId ? String(serviceId) : session.serviceId,
+    categoryId: categoryId ? String(categoryId) : session.categoryId
+  });
+};
+
+const normalizeProperties = (properties) => {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      // Backend ids arrive as numbers or strings - always report strings
+      .map(([key, value]) => [key, key.endsWith('_id') ? String(value) : value])
+  );
+};
+
+/**
+ * Record a funnel step
+ * @param {string} step - A FUNNEL_* event from ANALYTICS_EVENTS
+ * @param {Object} [properties={}] - Step properties (service_id/category_id override the session's)
+ * @returns {Promise<boolean>} True if analytics accepted the event
+ */
+export const trackFunnelStep = (step, properties = {}) => {
+  const now = Date.now();
+  const session = writeSession({ ...getFunnelSession(now), lastActivity: now });
+
+  const eventProperties = normalizeProperties({
+    funnel_session_id: session.id,
+    service_id: session.serviceId,
+    category_id: session.categoryId,
+    ...properties
+  });
+
+  log = [...log, { step, properties: eventProperties, timestamp: now }].slice(-MAX_LOGGED_EVENTS);
+  notify();
+
+  return analyticsService.track(step, eventProperties);
+};
+
+/**
+ * End the current funnel (after the payment success step); the next step starts a new session
+ */
+export const endFunnelSession = () => {
+  try {
+    sessionStorage.removeItem(FUNNEL_SESSION_KEY);
+  } catch {
+    // Nothing to clear
+  }
+};
+
+/**
+ * Steps recorded in this tab for the current funnel session
+ * @returns {Array<{step: string, properties: Object, timestamp: number}>}
+ */
+export const getFunnelLog = () => log;
+
+/**
+ * Subscribe to the funnel log
+ * @param {Function} listener - Called with the updated log
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeFunnelLog = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
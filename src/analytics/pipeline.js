@@ -0,0 +1,179 @@
+/**
+ * Analytics Pipeline
+ * Validates, scrubs and batches events, then fans each batch out to sinks.
+ *
+ * - Events are checked against EVENT_SCHEMAS and PII-scrubbed on intake
+ * - Before consent is granted events are held (capped); denying consent
+ *   discards them
+ * - Batches go out when BATCH_SIZE events are queued or FLUSH_INTERVAL
+ *   passes; on page hide the queue is flushed with sendBeacon
+ * - A failing sink is logged and never blocks the others
+ *
+ * Sink contract: { name, send(events): Promise, sendBeacon(events): boolean }
+ */
+
+import { validateEvent } from './events.js';
+import { scrubProperties } from './privacy.js';
+import { CONSENT_STATUS } from './consent.js';
+
+export const PIPELINE_DEFAULTS = {
+  BATCH_SIZE: 20,
+  FLUSH_INTERVAL: 5000,
+  MAX_HELD_EVENTS: 100,
+  MAX_QUEUED_EVENTS: 500
+};
+
+const createEventId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+export class AnalyticsPipeline {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.sinks - Destinations for event batches
+   * @param {string} [options.consent] - Initial CONSENT_STATUS
+   * @param {Function} [options.getContext] - Returns { anonymous_id, user_id, context } for each event
+   * @param {number} [options.batchSize]
+   * @param {number} [options.flushInterval] - ms
+   * @param {number} [options.maxHeldEvents] - Cap while waiting for consent (oldest dropped)
+   */
+  constructor({
+    sinks = [],
+    consent = CONSENT_STATUS.UNKNOWN,
+    getContext = () => ({}),
+    batchSize = PIPELINE_DEFAULTS.BATCH_SIZE,
+    flushInterval = PIPELINE_DEFAULTS.FLUSH_INTERVAL,
+    maxHeldEvents = PIPELINE_DEFAULTS.MAX_HELD_EVENTS
+  } = {}) {
+    this.sinks = sinks;
+    this.consent = consent;
+    this.getContext = getContext;
+    this.batchSize = batchSize;
+    this.flushInterval = flushInterval;
+    this.maxHeldEvents = maxHeldEvents;
+
+    this.held = [];
+    this.queue = [];
+    this.flushTimer = null;
+  }
+
+  /**
+   * Track an event
+   * @param {string} name - Event name from ANALYTICS_EVENTS
+   * @param {Object} [properties={}] - Event properties
+   * @returns {Promise<boolean>} True if the event was accepted
+   */
+  track(name, properties = {}) {
+    if (this.consent === CONSENT_STATUS.DENIED) {
+      return Promise.resolve(false);
+    }
+
+    const { valid, errors } = validateEvent(name, properties);
+    if (!valid) {
+      console.warn(`⚠️ Analytics: dropped invalid "${name}" event`, errors);
+      return Promise.resolve(false);
+    }
+
+    const { anonymous_id = null, user_id = null, context = {} } = this.getContext();
+
+    return Promise.resolve(this.enqueue({
+      id: createEventId(),
+      event: name,
+      properties: scrubProperties(properties),
+      timestamp: Date.now(),
+      anonymous_id,
+      user_id,
+      context
+    }));
+  }
+
+  enqueue(event) {
+    if (this.consent === CONSENT_STATUS.DENIED) return false;
+
+    if (this.consent !== CONSENT_STATUS.GRANTED) {
+      this.held.push(event);
+      if (this.held.length > this.maxHeldEvents) this.held.shift();
+      return true;
+    }
+
+    this.queue.push(event);
+    if (this.queue.length > PIPELINE_DEFAULTS.MAX_QUEUED_EVENTS) this.queue.shift();
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+    return true;
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushInterval);
+  }
+
+  /**
+   * Apply a consent decision
+   * Granting releases held events; denying discards everything pending.
+   * @param {string} status - CONSENT_STATUS value
+   */
+  setConsent(status) {
+    this.consent = status;
+
+    if (status === CONSENT_STATUS.GRANTED) {
+      const held = this.held;
+      this.held = [];
+      held.forEach((event) => this.enqueue(event));
+    } else if (status === CONSENT_STATUS.DENIED) {
+      this.held = [];
+      this.queue = [];
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Send queued events to every sink
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      await Promise.all(this.sinks.map(async (sink) => {
+        try {
+          await sink.send(batch);
+        } catch (error) {
+          console.warn(`⚠️ Analytics: ${sink.name} failed to send ${batch.length} events`, error);
+        }
+      }));
+    }
+  }
+
+  /**
+   * Flush synchronously with sendBeacon (page hide / unload)
+   */
+  flushWithBeacon() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      this.sinks.forEach((sink) => {
+        try {
+          sink.sendBeacon(batch);
+        } catch (error) {
+          console.warn(`⚠️ Analytics: ${sink.name} beacon failed`, error);
+        }
+      });
+    }
+  }
+}
+
+export default AnalyticsPipeline;
@@ -0,0 +1,54 @@
+/**
+ * Analytics PII Scrubbing
+ * Runs on every event before it is queued, so no sink ever sees raw
+ * personal data:
+ * - Contact identifiers (phone, email) are removed. Users are joined across
+ *   sinks by user_id; an unkeyed hash of a phone number is brute-forced in
+ *   minutes, so hashing them here would not protect them
+ * - Names are removed
+ * - Any other string that contains an email address or phone number is
+ *   redacted in place
+ */
+
+const CONTACT_KEYS = /^(phone|phone_number|mobile|email)$/i;
+const REMOVED_KEYS = /(^|_)(name|first_name|last_name|full_name)$/i;
+
+// Event names like page_name are labels, not people
+const NAME_KEY_EXCEPTIONS = new Set(['page_name', 'event_name', 'service_name', 'category_name']);
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+const PHONE_PATTERN = /\+?\d[\d\s-]{8,}\d/g;
+
+export const REDACTED = '[redacted]';
+
+/**
+ * Redact email addresses and phone numbers inside free text
+ * @param {string} text - Text to redact
+ * @returns {string}
+ */
+export const redactText = (text) => {
+  return text.replace(EMAIL_PATTERN, REDACTED).replace(PHONE_PATTERN, REDACTED);
+};
+
+/**
+ * Whether a property key holds a person's name
+ * @param {string} key - Property key
+ * @returns {boolean}
+ */
+export const isNameKey = (key) => !NAME_KEY_EXCEPTIONS.has(key) && REMOVED_KEYS.test(key);
+
+/**
+ * Scrub PII from event properties
+ * @param {Object} properties - Event properties
+ * @returns {Object} New object safe to hand to sinks
+ */
+export const scrubProperties = (properties = {}) => {
+  const entries = Object.entries(properties).map(([key, value]) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (isNameKey(key) || CONTACT_KEYS.test(key)) return null;
+
+    return [key, typeof value === 'string' ? redactText(value) : value];
+  });
+
+  return Object.fromEntries(entries.filter(Boolean));
+};
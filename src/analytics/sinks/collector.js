@@ -0,0 +1,38 @@
+/**
+ * Backend collector sink
+ * Posts batches to our own analytics endpoint. Regular flushes use a bare
+ * axios client rather than axiosInstance: a rejected analytics batch must
+ * not start the session-expired flow, be retried or be reported as an app
+ * error - the pipeline just logs it. Page-hide flushes use sendBeacon, which
+ * can't carry headers, so the body is text/plain JSON to avoid a CORS
+ * preflight and events identify the user themselves.
+ */
+
+import axios from 'axios';
+import { API_CONFIG, API_ENDPOINTS } from '../../api/config.js';
+import { getAuthToken } from '../../utils/tokenManager.js';
+
+const collectorClient = axios.create({
+  baseURL: API_CONFIG.BASE_URL,
+  timeout: API_CONFIG.TIMEOUT,
+  headers: API_CONFIG.HEADERS
+});
+
+/**
+ * @returns {Object} Analytics sink
+ */
+export const createCollectorSink = () => ({
+  name: 'collector',
+  send: async (events) => {
+    const token = getAuthToken();
+    await collectorClient.post(API_ENDPOINTS.ANALYTICS_EVENTS, { events }, {
+      headers: token ? { 'api-token': token } : {}
+    });
+  },
+  sendBeacon: (events) => {
+    const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+    return navigator.sendBeacon(`${API_CONFIG.BASE_URL}${API_ENDPOINTS.ANALYTICS_EVENTS}`, body);
+  }
+});
+
+export default createCollectorSink;
@@ -0,0 +1,56 @@
+/**
+ * Google Analytics 4 sink
+ * Loads gtag.js on first use (only after consent) and forwards each event.
+ */
+
+const GTAG_URL = 'https://www.googletagmanager.com/gtag/js';
+
+/**
+ * @param {Object} options
+ * @param {string} options.measurementId - GA4 measurement id (G-XXXX)
+ * @returns {Object} Analytics sink
+ */
+export const createGa4Sink = ({ measurementId }) => {
+  let loaded = false;
+
+  const gtag = (...args) => {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push(args);
+  };
+
+  const load = () => {
+    if (loaded) return;
+    loaded = true;
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `${GTAG_URL}?id=${encodeURIComponent(measurementId)}`;
+    document.head.appendChild(script);
+
+    gtag('js', new Date());
+    // Page views are tracked as explicit page_view events
+    gtag('config', measurementId, { send_page_view: false });
+  };
+
+  const forward = (events, transportType) => {
+    load();
+    events.forEach((event) => {
+      gtag('event', event.event, {
+        ...event.properties,
+        user_id: event.user_id || undefined,
+        ...(transportType ? { transport_type: transportType } : {})
+      });
+    });
+  };
+
+  return {
+    name: 'ga4',
+    send: async (events) => forward(events),
+    sendBeacon: (events) => {
+      forward(events, 'beacon');
+      return true;
+    }
+  };
+};
+
+export default createGa4Sink;
@@ -0,0 +1,43 @@
+/**
+ * Mixpanel sink
+ * Sends batches to the Mixpanel ingestion API (up to 50 events per request).
+ */
+
+const MIXPANEL_TRACK_URL = 'https://api-js.mixpanel.com/track';
+
+/**
+ * @param {Object} options
+ * @param {string} options.token - Mixpanel project token
+ * @returns {Object} Analytics sink
+ */
+export const createMixpanelSink = ({ token }) => {
+  const toPayload = (events) => new URLSearchParams({
+    data: JSON.stringify(events.map((event) => ({
+      event: event.event,
+      properties: {
+        ...event.properties,
+        ...event.context,
+        token,
+        distinct_id: event.user_id || event.anonymous_id,
+        time: event.timestamp,
+        $insert_id: event.id
+      }
+    })))
+  });
+
+  return {
+    name: 'mixpanel',
+    send: async (events) => {
+      const response = await fetch(MIXPANEL_TRACK_URL, {
+        method: 'POST',
+        body: toPayload(events)
+      });
+      if (!response.ok) {
+        throw new Error(`Mixpanel responded with ${response.status}`);
+      }
+    },
+    sendBeacon: (events) => navigator.sendBeacon(MIXPANEL_TRACK_URL, toPayload(events))
+  };
+};
+
+export default createMixpanelSink;
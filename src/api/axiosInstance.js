@@ -1,6 +1,16 @@
 import axios from 'axios';
 import { API_CONFIG, ERROR_MESSAGES } from './config.js';
 import { getAuthToken } from '../utils/tokenManager.js';
+import { shouldRetryRequest, getRetryDelay, wait } from './retryPolicy.js';
+import { cacheAdapter } from './requestCache.js';
+import errorReportingService from './services/errorReportingService.js';
+import {
+  isAuthEndpoint,
+  isSessionExpired,
+  isSessionExpiryError,
+  expireSession,
+  waitForReauthentication
+} from './sessionManager.js';
 
 // Debug: API call counter for infinite re-render detection
 let apiCallCount = 0;
@@ -11,11 +21,18 @@ const axiosInstance = axios.create({
   baseURL: API_CONFIG.BASE_URL,
   timeout: API_CONFIG.TIMEOUT,
   headers: API_CONFIG.HEADERS,
+  // De-duplicates concurrent GETs and serves cached responses (see requestCache.js)
+  adapter: cacheAdapter,
 });
 
 // Request interceptor
 axiosInstance.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    // Hold authenticated requests while the user is re-authenticating after a 401
+    if (isSessionExpired() && !isAuthEndpoint(config)) {
+      await waitForReauthentication();
+    }
+
     // Debug: Track API calls for infinite re-render detection
     apiCallCount++;
     const now = Date.now();
@@ -109,9 +126,44 @@ axiosInstance.interceptors.response.use(
       });
     }
 
+    errorReportingService.recordApiCall(response.config, response.status);
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Retry idempotent requests on transient failures before surfacing the error
+    if (shouldRetryRequest(error)) {
+      const config = error.config;
+      config.__retryCount = (config.__retryCount || 0) + 1;
+      const delay = getRetryDelay(config.__retryCount, error);
+
+      if (import.meta.env.VITE_DEBUG === 'true' || import.meta.env.DEV) {
+        console.warn(`🔁 Retrying API request (${config.__retryCount}/${API_CONFIG.RETRY_ATTEMPTS})`, {
+          url: config.url,
+          method: config.method?.toUpperCase(),
+          status: error.response?.status,
+          code: error.code,
+          delay: `${delay}ms`
+        });
+      }
+
+      await wait(delay);
+      return axiosInstance(config);
+    }
+
+    // Expired session - wait for re-authentication, then replay the request once
+    if (isSessionExpiryError(error)) {
+      try {
+        await expireSession();
+      } catch (reauthError) {
+        error.message = reauthError.message;
+        error.isSessionExpired = true;
+        return Promise.reject(error);
+      }
+
+      error.config.__isSessionReplay = true;
+      return axiosInstance(error.config);
+    }
+
     // Enhanced error logging for debugging
     if (import.meta.env.VITE_DEBUG === 'true' || import.meta.env.DEV) {
       console.error('❌ API Error Details:', {
@@ -127,6 +179,9 @@ axiosInstance.interceptors.response.use(
       });
     }
 
+    errorReportingService.recordApiCall(error.config, error.response?.status ?? error.code ?? 'NETWORK_ERROR');
+    errorReportingService.captureApiError(error);
+
     // Handle different error scenarios
     if (error.response) {
       // Server responded with error status
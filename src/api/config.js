@@ -84,12 +84,17 @@ export const API_ENDPOINTS = {
   UPDATE_ADDRESS: (id) => `user/addresses/${id}`,
   DELETE_ADDRESS: (id) => `user/addresses/${id}`,
   SET_DEFAULT_ADDRESS: (id) => `user/addresses/${id}/set-default`,
+  SERVICEABILITY_CHECK: 'serviceability/check', // ?pincode=&latitude=&longitude=
+  SERVICEABILITY_NOTIFY: 'serviceability/notify',
 
   // Analytics & Tracking
   CAMPAIGN_TRACK: 'campaign/campaign-track',
+  ANALYTICS_EVENTS: 'analytics/events',
 
   // Wallet
   WALLET_HISTORY: 'wallet/history',
+  WALLET_ADD_MONEY: 'wallet/add-money',
+  WALLET_ADD_MONEY_ORDER: 'wallet/add-money/order', // Razorpay order for a top-up
 
   // Notifications
   UPDATE_NOTIFICATION_PREFERENCE: 'notifications/update-preference',
@@ -118,6 +123,7 @@ export const API_ENDPOINTS = {
   RESCHEDULE_ORDER: 'bookings/reschedule',
   GET_PAYMENT_DETAILS: 'bookings/payment',
   PARTIAL_PAYMENT: 'bookings/payment', // Flutter: bookingPayNowURL
+  PARTIAL_PAYMENT_ORDER: 'bookings/payment/order', // Razorpay order for the remaining balance
   SUBMIT_FEEDBACK: 'booking-experience',
   REPORT_ISSUE: 'booking-experience',
 
@@ -142,6 +148,7 @@ export const API_ENDPOINTS = {
   AVAILABLE_COUPONS: 'promo-codes',
   CHECK_CART_AVAILABILITY: 'cart/check-availability',
   CHECKOUT: 'bookings', // Checkout creates a booking
+  PAYMENT_STATUS: 'bookings/payment-status', // Razorpay order status + linked booking, used for recovery
   VIP_PLANS: 'vip-plans',
   DONATION_DATA: 'donation',
   FREQUENTLY_ADDED_SERVICES: 'most-popular-category',
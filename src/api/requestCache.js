@@ -0,0 +1,259 @@
+import axios from 'axios';
+import { API_ENDPOINTS } from './config.js';
+import { PERFORMANCE_CONFIG } from '../utils/env.js';
+import { TAB_SYNC_EVENTS, publishTabEvent, subscribeTabEvent } from '../sync/tabSync.js';
+
+/**
+ * Request Cache
+ * Axios adapter layer that sits underneath axiosInstance and:
+ *  - coalesces concurrent identical GETs into a single network request
+ *  - caches GET responses with per-endpoint TTLs
+ *  - serves stale entries while revalidating in the background
+ *  - drops related entries when cart/address/order mutations succeed, and
+ *    tells other tabs to drop theirs (see sync/tabSync)
+ *
+ * Per-request overrides via axios config:
+ *  - `cache: false` bypasses the cache (still coalesced)
+ *  - `cache: { ttl, staleWhileRevalidate }` overrides the endpoint policy
+ *  - `invalidate: false` marks a non-GET that changes nothing cached; POSTs
+ *    marked `idempotent: true` are read-only lookups and never invalidate either
+ */
+
+const DEFAULT_TTL = PERFORMANCE_CONFIG.CACHE_DURATION;
+const MAX_ENTRIES = 200;
+
+/**
+ * Cache policies keyed by endpoint prefix (longest match wins).
+ * `ttl` is how long a response is fresh; `staleWhileRevalidate` is how long
+ * after that a stale response may still be served while a refresh runs.
+ */
+const CACHE_POLICIES = [
+  { prefix: API_ENDPOINTS.BANNERS, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.ALL_PACKAGES, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.ALL_SERVICES, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.QUICK_SERVICES, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.MOST_BOOKED_SERVICES, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.SUB_SERVICE_DETAILS, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.VIP_PLANS, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: API_ENDPOINTS.DONATION_DATA, ttl: DEFAULT_TTL, staleWhileRevalidate: DEFAULT_TTL },
+  { prefix: 'slots', ttl: 5 * 60 * 1000, staleWhileRevalidate: 0 },
+  { prefix: API_ENDPOINTS.SEARCH, ttl: 5 * 60 * 1000, staleWhileRevalidate: 0 },
+  { prefix: API_ENDPOINTS.USER_ADDRESSES, ttl: 5 * 60 * 1000, staleWhileRevalidate: 0 },
+  { prefix: API_ENDPOINTS.AVAILABLE_COUPONS, ttl: 60 * 1000, staleWhileRevalidate: 0 },
+  { prefix: API_ENDPOINTS.GET_CART, ttl: 30 * 1000, staleWhileRevalidate: 0 },
+  { prefix: API_ENDPOINTS.GET_ORDERS_BY_STATUS, ttl: 30 * 1000, staleWhileRevalidate: 0 },
+];
+
+/**
+ * Which cached endpoints a successful mutation invalidates, keyed by mutation prefix,
+ * and what other tabs are told changed
+ */
+const INVALIDATION_RULES = [
+  { prefix: 'cart', invalidates: [API_ENDPOINTS.GET_CART, API_ENDPOINTS.AVAILABLE_COUPONS], syncEvents: [TAB_SYNC_EVENTS.CART_CHANGED] },
+  { prefix: 'promo-codes', invalidates: [API_ENDPOINTS.GET_CART, API_ENDPOINTS.AVAILABLE_COUPONS], syncEvents: [TAB_SYNC_EVENTS.CART_CHANGED] },
+  { prefix: 'user/addresses', invalidates: [API_ENDPOINTS.USER_ADDRESSES, API_ENDPOINTS.GET_CART], syncEvents: [TAB_SYNC_EVENTS.ADDRESSES_CHANGED] },
+  // Checkout empties the cart and may spend wallet balance
+  { prefix: 'bookings', invalidates: ['bookings', API_ENDPOINTS.GET_CART], syncEvents: [TAB_SYNC_EVENTS.CART_CHANGED, TAB_SYNC_EVENTS.WALLET_CHANGED] },
+  { prefix: 'vip-plans', invalidates: [API_ENDPOINTS.VIP_PLANS, API_ENDPOINTS.GET_CART], syncEvents: [TAB_SYNC_EVENTS.CART_CHANGED] },
+  { prefix: 'wallet', invalidates: ['wallet', API_ENDPOINTS.GET_CART], syncEvents: [TAB_SYNC_EVENTS.WALLET_CHANGED] },
+];
+
+const cache = new Map(); // key -> { response, storedAt, ttl, staleWhileRevalidate }
+const inFlight = new Map(); // key -> Promise<response>
+
+const defaultAdapter = axios.getAdapter(axios.defaults.adapter);
+
+/**
+ * Strip leading slashes so '/user/addresses' and 'user/addresses' match the same policy
+ * @param {string} url - Request URL
+ * @returns {string} Normalized path
+ */
+const normalizePath = (url = '') => url.replace(/^\/+/, '');
+
+const startsWithPrefix = (path, prefix) => {
+  const normalized = normalizePath(prefix);
+  return path === normalized || path.startsWith(`${normalized}/`) || path.startsWith(`${normalized}?`);
+};
+
+/**
+ * Resolve the cache policy for a request
+ * @param {Object} config - Axios request config
+ * @returns {Object|null} Policy with ttl/staleWhileRevalidate, or null if not cacheable
+ */
+export const getCachePolicy = (config) => {
+  if (config.cache === false) return null;
+
+  if (config.cache && typeof config.cache === 'object') {
+    return {
+      ttl: config.cache.ttl ?? DEFAULT_TTL,
+      staleWhileRevalidate: config.cache.staleWhileRevalidate ?? 0
+    };
+  }
+
+  const path = normalizePath(config.url);
+  const match = CACHE_POLICIES
+    .filter((policy) => startsWithPrefix(path, policy.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+  return match ? { ttl: match.ttl, staleWhileRevalidate: match.staleWhileRevalidate } : null;
+};
+
+/**
+ * Build a stable cache key from method, url, params and the caller's token
+ * The token is part of the key so one user's responses are never served to another.
+ * @param {Object} config - Axios request config
+ * @returns {string} Cache key
+ */
+export const getCacheKey = (config) => {
+  const params = config.params || {};
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${JSON.stringify(params[key])}`)
+    .join('&');
+  const token = config.headers?.['api-token'] || 'anonymous';
+
+  return `${(config.method || 'get').toLowerCase()} ${normalizePath(config.url)}?${sortedParams} ${token}`;
+};
+
+const cloneResponse = (response, config) => ({
+  ...response,
+  data: typeof structuredClone === 'function' ? structuredClone(response.data) : response.data,
+  config,
+  fromCache: true
+});
+
+const storeResponse = (key, response, policy) => {
+  if (cache.size >= MAX_ENTRIES) {
+    // Evict the oldest entry (Map preserves insertion order)
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { response, storedAt: Date.now(), ...policy });
+};
+
+/**
+ * Run the request through the network adapter, sharing the promise with identical concurrent calls
+ * @param {string} key - Cache key
+ * @param {Object} config - Axios request config
+ * @param {Object|null} policy - Cache policy
+ * @returns {Promise<Object>} Axios response
+ */
+const fetchShared = (key, config, policy) => {
+  if (inFlight.has(key)) {
+    return inFlight.get(key).then((response) => ({ ...response, config }));
+  }
+
+  const request = defaultAdapter(config)
+    .then((response) => {
+      if (policy && policy.ttl > 0) {
+        storeResponse(key, response, policy);
+      }
+      return response;
+    })
+    .finally(() => {
+      inFlight.delete(key);
+    });
+
+  inFlight.set(key, request);
+  return request;
+};
+
+/**
+ * Drop cached entries whose path starts with any of the given prefixes
+ * @param {string|string[]} prefixes - Endpoint prefixes to invalidate; omit to clear everything
+ */
+export const invalidateCache = (prefixes) => {
+  if (!prefixes) {
+    cache.clear();
+    return;
+  }
+
+  const list = (Array.isArray(prefixes) ? prefixes : [prefixes]).map(normalizePath);
+
+  for (const key of cache.keys()) {
+    const path = key.split(' ')[1].split('?')[0];
+    if (list.some((prefix) => startsWithPrefix(path, prefix))) {
+      cache.delete(key);
+    }
+  }
+};
+
+/**
+ * Clear the whole cache (e.g. on logout)
+ */
+export const clearRequestCache = () => {
+  cache.clear();
+  inFlight.clear();
+};
+
+const invalidateAfterMutation = (config) => {
+  if (config.invalidate === false || config.idempotent === true) return;
+
+  const path = normalizePath(config.url);
+  const rules = INVALIDATION_RULES.filter((rule) => startsWithPrefix(path, rule.prefix));
+  if (rules.length === 0) return;
+
+  const invalidates = [...new Set(rules.flatMap((rule) => rule.invalidates))];
+  invalidateCache(invalidates);
+
+  // Other tabs drop the same entries before their listeners refetch
+  new Set(rules.flatMap((rule) => rule.syncEvents))
+    .forEach((event) => publishTabEvent(event, { invalidates }));
+};
+
+let listeningToTabs = false;
+
+/**
+ * Drop the entries other tabs' mutations report
+ * Subscribed on the first request rather than on import, so loading the module
+ * never opens the tab sync channel.
+ */
+const listenToOtherTabs = () => {
+  if (listeningToTabs) return;
+  listeningToTabs = true;
+
+  new Set(INVALIDATION_RULES.flatMap((rule) => rule.syncEvents)).forEach((event) => {
+    subscribeTabEvent(event, ({ invalidates } = {}) => {
+      if (Array.isArray(invalidates)) invalidateCache(invalidates);
+    });
+  });
+};
+
+/**
+ * Axios adapter implementing de-duplication, caching and invalidation
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+export const cacheAdapter = async (config) => {
+  listenToOtherTabs();
+  const method = (config.method || 'get').toLowerCase();
+
+  if (method !== 'get') {
+    const response = await defaultAdapter(config);
+    invalidateAfterMutation(config);
+    return response;
+  }
+
+  const key = getCacheKey(config);
+  const policy = getCachePolicy(config);
+  const entry = policy ? cache.get(key) : null;
+
+  if (entry) {
+    const age = Date.now() - entry.storedAt;
+
+    if (age < entry.ttl) {
+      return cloneResponse(entry.response, config);
+    }
+
+    if (age < entry.ttl + entry.staleWhileRevalidate) {
+      // Serve stale and refresh in the background
+      fetchShared(key, config, policy).catch((error) => {
+        console.warn('⚠️ RequestCache: Background revalidation failed:', config.url, error.message);
+      });
+      return cloneResponse(entry.response, config);
+    }
+
+    cache.delete(key);
+  }
+
+  return fetchShared(key, config, policy);
+};
@@ -0,0 +1,107 @@
+import axios from 'axios';
+import { API_CONFIG } from './config.js';
+
+/**
+ * Retry Policy
+ * Decides whether a failed request may be replayed and how long to wait before doing so.
+ *
+ * Only idempotent requests are retried: every GET/HEAD/OPTIONS by default, plus any
+ * request explicitly marked safe with `{ idempotent: true }` in its axios config.
+ * A request can opt out entirely with `{ idempotent: false }` or `{ retry: false }`.
+ */
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const MAX_RETRY_DELAY = 30000; // Never wait more than 30s between attempts
+
+/**
+ * Check whether a request config is safe to replay
+ * @param {Object} config - Axios request config
+ * @returns {boolean} Whether the request is idempotent
+ */
+export const isIdempotentRequest = (config) => {
+  if (!config) return false;
+  if (config.retry === false) return false;
+  if (typeof config.idempotent === 'boolean') return config.idempotent;
+
+  return IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+};
+
+/**
+ * Check whether an error is transient (network failure, timeout, 429 or 5xx)
+ * @param {Object} error - Axios error
+ * @returns {boolean} Whether the error is worth retrying
+ */
+export const isRetryableError = (error) => {
+  if (!error || axios.isCancel(error)) return false;
+
+  // No response at all: network drop or timeout
+  if (!error.response) {
+    return !!error.request || error.code === 'ECONNABORTED' || error.code === 'ERR_NETWORK';
+  }
+
+  const { status } = error.response;
+  return status === 429 || (status >= 500 && status <= 599);
+};
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|number} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if not parseable
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Compute the delay before the next attempt
+ * Uses exponential backoff with equal jitter, unless the server sent Retry-After on a 429.
+ * @param {number} attempt - Retry attempt number (1-based)
+ * @param {Object} [error] - Axios error that triggered the retry
+ * @param {number} [baseDelay] - Base delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, error, baseDelay = API_CONFIG.RETRY_DELAY) => {
+  if (error?.response?.status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, MAX_RETRY_DELAY);
+    }
+  }
+
+  const exponential = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+  const half = exponential / 2;
+  return Math.round(half + Math.random() * half);
+};
+
+/**
+ * Decide whether the request behind an error should be retried
+ * @param {Object} error - Axios error
+ * @param {number} [maxAttempts] - Maximum number of retries
+ * @returns {boolean} Whether another attempt should be made
+ */
+export const shouldRetryRequest = (error, maxAttempts = API_CONFIG.RETRY_ATTEMPTS) => {
+  const config = error?.config;
+  if (!config || !isIdempotentRequest(config)) return false;
+  if ((config.__retryCount || 0) >= maxAttempts) return false;
+
+  return isRetryableError(error);
+};
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -1,5 +1,6 @@
 import axiosInstance from '../axiosInstance.js';
 import { API_ENDPOINTS } from '../config.js';
+import { normalizeAddress, toApiAddress, formatAddressLine } from '../../utils/addressModel.js';
 
 class AddressService {
   // Get all user addresses (Flutter-aligned method name)
@@ -23,21 +24,18 @@ class AddressService {
     return this.getAddresses();
   }
 
-  // Save a new address
+  // Save a new address (any address shape - see utils/addressModel)
   async saveAddress(addressData) {
     try {
+      const address = normalizeAddress(addressData);
       const payload = {
-        flat_no: addressData.flat_no || addressData.flatNo || '',
-        building_name: addressData.building_name || addressData.buildingName || '',
-        street_address: addressData.street_address || addressData.streetAddress || addressData.address || '',
-        city: addressData.city || '',
-        state: addressData.state || '',
-        postal_code: addressData.postal_code || addressData.postalCode || '',
-        country: addressData.country || 'India',
-        address_type: addressData.address_type || addressData.addressType || 'home',
-        latitude: addressData.latitude || null,
-        longitude: addressData.longitude || null,
-        is_primary: addressData.is_primary || addressData.isPrimary || 1, // Set as primary by default
+        ...toApiAddress({ ...address, isPrimary: address.isPrimary ?? true }), // Set as primary by default
+        // GPS metadata from saveLocationFromGPS
+        ...(addressData.source && {
+          source: addressData.source,
+          accuracy: addressData.accuracy,
+          timestamp: addressData.timestamp
+        })
       };
 
       const response = await axiosInstance.post(API_ENDPOINTS.ADD_ADDRESS, payload);
@@ -58,22 +56,10 @@ class AddressService {
     return this.saveAddress(addressData);
   }
 
-  // Update an existing address
+  // Update an existing address (any address shape - see utils/addressModel)
   async updateAddress(addressId, addressData) {
     try {
-      const payload = {
-        flat_no: addressData.flatNo || '',
-        building_name: addressData.buildingName || '',
-        street_address: addressData.streetAddress || addressData.address || '',
-        city: addressData.city || '',
-        state: addressData.state || '',
-        postal_code: addressData.postalCode || '',
-        country: addressData.country || 'India',
-        address_type: addressData.addressType || 'home',
-        latitude: addressData.latitude || null,
-        longitude: addressData.longitude || null,
-        is_primary: addressData.isPrimary || 0,
-      };
+      const payload = toApiAddress(addressData);
 
       const response = await axiosInstance.put(`/user/addresses/${addressId}`, payload);
 
@@ -213,18 +199,7 @@ class AddressService {
 
   // Format address for display (Flutter-aligned)
   formatAddressForDisplay(address) {
-    if (!address) return '';
-
-    const parts = [
-      address.flatNumber || address.flat_number || address.flat_no,
-      address.buildingName || address.building_name,
-      address.streetAddress || address.street_address,
-      address.city,
-      address.state,
-      address.postalCode || address.postal_code
-    ].filter(Boolean);
-
-    return parts.join(', ');
+    return formatAddressLine(address);
   }
 
   // Get and set primary address (Flutter-aligned method)
@@ -1,75 +1,172 @@
 import userService from './userService.js';
-
+import AnalyticsPipeline from '../../analytics/pipeline.js';
+import { ANALYTICS_EVENTS } from '../../analytics/events.js';
+import { getConsent, setConsent, subscribeConsent, CONSENT_STATUS } from '../../analytics/consent.js';
+import { createGa4Sink } from '../../analytics/sinks/ga4.js';
+import { createMixpanelSink } from '../../analytics/sinks/mixpanel.js';
+import { createCollectorSink } from '../../analytics/sinks/collector.js';
+import { APP_CONFIG, EXTERNAL_CONFIG, FEATURE_FLAGS } from '../../utils/env.js';
+import { getLanguage } from '../../i18n';
+
+const ANONYMOUS_ID_KEY = 'eassylife_analytics_id';
+
+/**
+ * Analytics Service
+ * Front door for all product analytics. Events flow through the
+ * AnalyticsPipeline (schema check, PII scrubbing, consent gating, batching)
+ * to whichever sinks are configured:
+ * - GA4 when VITE_GOOGLE_ANALYTICS_ID is set
+ * - Mixpanel when VITE_MIXPANEL_TOKEN is set
+ * - Our backend collector when VITE_ENABLE_ANALYTICS_COLLECTOR is true
+ */
 class AnalyticsService {
-  // Track login event (Flutter-aligned)
-  trackLoginEvent(countryCode, phoneNumber) {
-    try {
-      console.log('Login Event Tracked:', {
-        countryCode,
-        phoneNumber,
-        timestamp: new Date().toISOString(),
-        platform: 'web'
-      });
+  constructor() {
+    this.pipeline = null;
+    this.userId = null;
+    this.anonymousId = null;
+  }
 
-      // Here you can integrate with analytics services like:
-      // - Google Analytics
-      // - CleverTap
-      // - Firebase Analytics
-      // - Custom analytics endpoint
-
-      // Example: Send to custom analytics endpoint
-      this.sendAnalyticsEvent('login', {
-        country_code: countryCode,
-        phone_number: phoneNumber,
-        platform: 'web',
-        timestamp: new Date().toISOString()
+  // Lazily build the pipeline so importing the service has no side effects
+  getPipeline() {
+    if (this.pipeline) return this.pipeline;
+
+    this.pipeline = new AnalyticsPipeline({
+      sinks: FEATURE_FLAGS.ENABLE_ANALYTICS ? this.createSinks() : [],
+      consent: getConsent(),
+      getContext: () => ({
+        anonymous_id: this.getAnonymousId(),
+        user_id: this.userId,
+        context: {
+          platform: 'web',
+          app_version: APP_CONFIG.VERSION,
+          language: getLanguage(),
+          path: typeof window !== 'undefined' ? window.location.pathname : undefined
+        }
+      })
+    });
+
+    subscribeConsent((status) => this.pipeline.setConsent(status));
+
+    if (typeof window !== 'undefined') {
+      // pagehide covers tab close and bfcache; visibilitychange covers mobile app switching
+      const flushOnHide = () => this.pipeline.flushWithBeacon();
+      window.addEventListener('pagehide', flushOnHide);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushOnHide();
       });
+    }
 
-    } catch (error) {
-      console.error('Error tracking login event:', error);
+    return this.pipeline;
+  }
+
+  createSinks() {
+    const sinks = [];
+    if (EXTERNAL_CONFIG.GOOGLE_ANALYTICS_ID) {
+      sinks.push(createGa4Sink({ measurementId: EXTERNAL_CONFIG.GOOGLE_ANALYTICS_ID }));
+    }
+    if (EXTERNAL_CONFIG.MIXPANEL_TOKEN) {
+      sinks.push(createMixpanelSink({ token: EXTERNAL_CONFIG.MIXPANEL_TOKEN }));
     }
+    if (EXTERNAL_CONFIG.ENABLE_ANALYTICS_COLLECTOR) {
+      sinks.push(createCollectorSink());
+    }
+    console.log('📊 Analytics sinks:', sinks.map((sink) => sink.name).join(', ') || 'none');
+    return sinks;
   }
 
-  // Track signup event (Flutter-aligned)
-  trackSignupEvent(userData) {
+  getAnonymousId() {
+    if (this.anonymousId) return this.anonymousId;
+
     try {
-      console.log('Signup Event Tracked:', {
-        ...userData,
-        timestamp: new Date().toISOString(),
-        platform: 'web'
-      });
+      this.anonymousId = localStorage.getItem(ANONYMOUS_ID_KEY);
+      if (!this.anonymousId) {
+        this.anonymousId = crypto.randomUUID();
+        localStorage.setItem(ANONYMOUS_ID_KEY, this.anonymousId);
+      }
+    } catch {
+      this.anonymousId = this.anonymousId || crypto.randomUUID();
+    }
+    return this.anonymousId;
+  }
 
-      this.sendAnalyticsEvent('signup', {
-        ...userData,
-        platform: 'web',
-        timestamp: new Date().toISOString()
-      });
+  /**
+   * Track an event from the ANALYTICS_EVENTS schema
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties
+   * @returns {Promise<boolean>} True if the event was accepted
+   */
+  track(eventName, properties = {}) {
+    return this.getPipeline().track(eventName, properties);
+  }
 
-    } catch (error) {
-      console.error('Error tracking signup event:', error);
-    }
+  /**
+   * Associate subsequent events with a signed-in user
+   * @param {string|number|null} userId - Backend user id (null to clear)
+   */
+  identify(userId) {
+    this.userId = userId === null || userId === undefined ? null : String(userId);
   }
 
-  // Set user profile for analytics (Flutter-aligned with CleverTap)
-  setUserProfile(userData) {
+  /**
+   * Forget the current user and start a new anonymous identity (logout)
+   */
+  reset() {
+    this.userId = null;
+    this.anonymousId = null;
     try {
-      const profileData = {
-        name: `${userData.firstName || ''} ${userData.lastName || ''}`.trim(),
-        user_id: userData.id || userData.userId,
-        email: userData.email,
-        phone: `${userData.countryCode || ''}${userData.mobile || ''}`,
-        date_of_birth: userData.birthdate || userData.dob,
-        platform: 'web'
-      };
+      localStorage.removeItem(ANONYMOUS_ID_KEY);
+    } catch {
+      // Ignore - a fresh id is generated on the next event either way
+    }
+  }
 
-      console.log('User Profile Set:', profileData);
+  /**
+   * Record the user's analytics consent choice
+   * @param {boolean} granted - Whether analytics is allowed
+   */
+  setConsent(granted) {
+    this.getPipeline();
+    setConsent(granted);
+  }
 
-      // Here you can integrate with analytics services
-      this.sendAnalyticsEvent('user_profile_set', profileData);
+  /**
+   * @returns {boolean} True once the user has answered the consent prompt
+   */
+  hasConsentDecision() {
+    return getConsent() !== CONSENT_STATUS.UNKNOWN;
+  }
 
-    } catch (error) {
-      console.error('Error setting user profile:', error);
-    }
+  // Track login event (Flutter-aligned)
+  // Contact details are never sent - the pipeline identifies users by user_id
+  trackLoginEvent(countryCode, { isNewUser } = {}) {
+    return this.track(ANALYTICS_EVENTS.LOGIN, {
+      country_code: String(countryCode || ''),
+      is_new_user: isNewUser
+    });
+  }
+
+  // Track signup event (Flutter-aligned)
+  trackSignupEvent(userData = {}) {
+    return this.track(ANALYTICS_EVENTS.SIGNUP, {
+      country_code: userData.countryCode ? String(userData.countryCode) : undefined,
+      first_name: userData.firstName || undefined,
+      last_name: userData.lastName || undefined,
+      gender: userData.gender || undefined,
+      referral_code: userData.referralCode || undefined
+    });
+  }
+
+  // Set user profile for analytics (Flutter-aligned with CleverTap)
+  setUserProfile(userData = {}) {
+    const userId = userData.id || userData.userId;
+    if (!userId) return Promise.resolve(false);
+
+    this.identify(userId);
+    return this.track(ANALYTICS_EVENTS.USER_PROFILE_SET, {
+      user_id: String(userId),
+      name: `${userData.firstName || ''} ${userData.lastName || ''}`.trim() || undefined,
+      date_of_birth: userData.birthdate || userData.dob || undefined
+    });
   }
 
   // Track campaign (Flutter-aligned)
@@ -93,56 +190,25 @@ class AnalyticsService {
     }
   }
 
-  // Generic analytics event sender
-  sendAnalyticsEvent(eventName, eventData) {
-    try {
-      // Example implementation - replace with your analytics service
-      
-      // Google Analytics 4 example:
-      if (typeof gtag !== 'undefined') {
-        gtag('event', eventName, eventData);
-      }
-
-      // Custom analytics endpoint example:
-      // fetch('/api/analytics/track', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify({ event: eventName, data: eventData })
-      // });
-
-      console.log(`Analytics Event: ${eventName}`, eventData);
-
-    } catch (error) {
-      console.error('Error sending analytics event:', error);
-    }
+  // Generic analytics event sender (kept for existing callers - prefer track())
+  sendAnalyticsEvent(eventName, eventData = {}) {
+    return this.track(eventName, eventData);
   }
 
   // Track page view
   trackPageView(pageName, additionalData = {}) {
-    try {
-      this.sendAnalyticsEvent('page_view', {
-        page_name: pageName,
-        ...additionalData,
-        timestamp: new Date().toISOString(),
-        platform: 'web'
-      });
-    } catch (error) {
-      console.error('Error tracking page view:', error);
-    }
+    return this.track(ANALYTICS_EVENTS.PAGE_VIEW, {
+      page_name: pageName,
+      ...additionalData
+    });
   }
 
   // Track user action
   trackUserAction(action, additionalData = {}) {
-    try {
-      this.sendAnalyticsEvent('user_action', {
-        action,
-        ...additionalData,
-        timestamp: new Date().toISOString(),
-        platform: 'web'
-      });
-    } catch (error) {
-      console.error('Error tracking user action:', error);
-    }
+    return this.track(ANALYTICS_EVENTS.USER_ACTION, {
+      action,
+      ...additionalData
+    });
   }
 }
 
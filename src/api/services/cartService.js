@@ -183,9 +183,10 @@ class CartService {
     try {
       console.log('🛒 CartService: Checking cart availability...', totalAmount);
 
+      // Only creates the Razorpay order - the cart itself is unchanged
       const response = await axiosInstance.post(API_ENDPOINTS.CHECK_CART_AVAILABILITY, {
         total_amount: totalAmount
-      });
+      }, { invalidate: false });
 
       console.log('🛒 CartService: Cart availability checked:', {
         status: response.data.status,
@@ -214,7 +215,10 @@ class CartService {
     try {
       console.log('🛒 CartService: Processing checkout...', checkoutData);
 
-      const response = await axiosInstance.post(API_ENDPOINTS.CHECKOUT, checkoutData);
+      // Creates a booking - must never be replayed automatically by the retry policy
+      const response = await axiosInstance.post(API_ENDPOINTS.CHECKOUT, checkoutData, {
+        idempotent: false
+      });
 
       console.log('🛒 CartService: Checkout processed:', response.data);
 
@@ -229,6 +233,38 @@ class CartService {
     }
   }
 
+  /**
+   * Look up a Razorpay order on the backend
+   * Used to reconcile checkouts interrupted between payment and booking
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @returns {Promise<Object>} { paymentStatus, paymentId, bookingId }
+   */
+  async getPaymentStatus(razorpayOrderId) {
+    try {
+      console.log('🛒 CartService: Checking payment status...', razorpayOrderId);
+
+      const response = await axiosInstance.get(API_ENDPOINTS.PAYMENT_STATUS, {
+        params: { razorpay_order_id: razorpayOrderId },
+        cache: false
+      });
+
+      const data = response.data.data || {};
+
+      return {
+        success: response.data.status || true,
+        message: response.data.message || 'Payment status fetched successfully',
+        data: {
+          paymentStatus: (data.payment_status || data.status || '').toLowerCase(),
+          paymentId: data.razorpay_payment_id || data.transaction_id || '',
+          bookingId: data.booking_id || null
+        }
+      };
+    } catch (error) {
+      console.error('❌ CartService: Error checking payment status:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to check payment status');
+    }
+  }
+
   /**
    * Get VIP plans
    * @returns {Promise<Object>} VIP plans response
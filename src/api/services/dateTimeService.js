@@ -139,6 +139,103 @@ export const parseAPIDate = (dateString) => {
   return new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
 };
 
+/**
+ * Get the bookable date range from the slot API response
+ * @param {Object} slotData - API response data
+ * @returns {{startDate: Date|null, endDate: Date|null}} First and last bookable dates
+ */
+export const getSlotDateRange = (slotData) => {
+  if (!slotData) {
+    return { startDate: null, endDate: null };
+  }
+
+  const startDate = new Date(
+    slotData.timeSlotStartYear,
+    slotData.timeSlotStartMonth - 1,
+    slotData.timeSlotStartDate
+  );
+
+  return {
+    startDate: isNaN(startDate.getTime()) ? null : startDate,
+    endDate: parseAPIDate(slotData.timeSlotEndDateString)
+  };
+};
+
+/**
+ * Build the date strip shown by booking and rescheduling
+ * @param {Object} slotData - API response data
+ * @returns {Array<Date>} Selectable dates in ascending order
+ */
+export const getSelectableDates = (slotData) => {
+  const { startDate, endDate } = getSlotDateRange(slotData);
+  const dates = [];
+
+  if (!startDate || !endDate) {
+    return dates;
+  }
+
+  const cursor = new Date(startDate);
+  while (cursor <= endDate) {
+    if (isDateSelectable(cursor, startDate, endDate)) {
+      dates.push(new Date(cursor));
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Generate the time slots for a date with past hours marked unavailable
+ * @param {Object} slotData - API response data
+ * @param {Date} selectedDate - Selected date
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Array} Time slots with an `available` flag
+ */
+export const getSlotsForDate = (slotData, selectedDate, now = new Date()) => {
+  const { startDate, endDate } = getSlotDateRange(slotData);
+
+  if (!isDateSelectable(selectedDate, startDate, endDate)) {
+    return [];
+  }
+
+  return generateTimeSlots(slotData, selectedDate, startDate).map((slot) => {
+    const slotStart = new Date(selectedDate);
+    slotStart.setHours(slot.hour, 0, 0, 0);
+
+    return {
+      ...slot,
+      available: slotStart > now
+    };
+  });
+};
+
+/**
+ * Check whether a slot would be offered by the booking flow
+ * @param {Object} slotData - API response data
+ * @param {Date} date - Slot date
+ * @param {string} timeFrom - Slot start time (HH:mm)
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {boolean} Whether the slot is bookable
+ */
+export const isSlotAvailable = (slotData, date, timeFrom, now = new Date()) => {
+  return getSlotsForDate(slotData, date, now)
+    .some((slot) => slot.timeFrom === timeFrom && slot.available);
+};
+
+/**
+ * Check whether two dates fall on the same calendar day
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} Whether both dates are the same day
+ */
+export const isSameDay = (a, b) => {
+  return Boolean(a && b) &&
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate();
+};
+
 /**
  * Format date for API (dd MMM yyyy format)
  * @param {Date} date - Date object
@@ -160,5 +257,10 @@ export default {
   formatTo12Hour,
   isDateSelectable,
   parseAPIDate,
+  getSlotDateRange,
+  getSelectableDates,
+  getSlotsForDate,
+  isSlotAvailable,
+  isSameDay,
   formatDateForAPI
 };
@@ -0,0 +1,141 @@
+/* global __APP_VERSION__ */
+import ErrorReporter from '../../monitoring/reporter.js';
+import { APP_CONFIG, EXTERNAL_CONFIG, getCurrentEnvironment } from '../../utils/env.js';
+
+// Injected by vite.config.js `define`; absent under the test runner
+const APP_VERSION = typeof __APP_VERSION__ !== 'undefined' ? __APP_VERSION__ : APP_CONFIG.VERSION;
+
+/**
+ * Error Reporting Service
+ * Front door for client-side error reports. Errors go to the DSN in
+ * VITE_SENTRY_DSN as Sentry envelopes when VITE_ENABLE_ERROR_TRACKING is
+ * true; otherwise every method is a no-op apart from breadcrumb recording.
+ *
+ * Sources: error boundaries, window errors, unhandled rejections and failed
+ * API calls from axiosInstance (network errors and 5xx - 4xx responses are
+ * expected business outcomes and only become breadcrumbs).
+ */
+class ErrorReportingService {
+  constructor() {
+    this.reporter = null;
+  }
+
+  // Lazily build the reporter so importing the service has no side effects
+  getReporter() {
+    if (this.reporter) return this.reporter;
+
+    this.reporter = new ErrorReporter({
+      dsn: EXTERNAL_CONFIG.ENABLE_ERROR_TRACKING ? EXTERNAL_CONFIG.SENTRY_DSN : '',
+      release: `eassylife-web@${APP_VERSION}`,
+      environment: getCurrentEnvironment()
+    });
+    return this.reporter;
+  }
+
+  /**
+   * Install global error handlers and breadcrumbs (called once from main.jsx)
+   */
+  init() {
+    const reporter = this.getReporter();
+    if (!reporter.enabled) {
+      if (EXTERNAL_CONFIG.ENABLE_ERROR_TRACKING) {
+        console.warn('⚠️ Error reporting: VITE_SENTRY_DSN is missing or invalid');
+      }
+      return;
+    }
+
+    reporter.install();
+    console.log('🛰️ Error reporting enabled for', reporter.release);
+  }
+
+  /**
+   * Report an error
+   * @param {*} error - Error (or thrown value)
+   * @param {Object} [context] - { level, tags, extra, contexts, fingerprint, mechanism }
+   * @returns {Promise<string|null>} Event id, or null if not sent
+   */
+  captureException(error, context = {}) {
+    return this.getReporter().captureException(error, context);
+  }
+
+  /**
+   * Report an error caught by a React error boundary
+   * @param {string} boundary - Boundary name (becomes the "boundary" tag)
+   * @param {Error} error
+   * @param {Object} [errorInfo] - React errorInfo ({ componentStack })
+   * @returns {Promise<string|null>}
+   */
+  captureBoundaryError(boundary, error, errorInfo) {
+    return this.captureException(error, {
+      tags: { boundary },
+      contexts: { react: { componentStack: errorInfo?.componentStack || '' } },
+      mechanism: { type: 'react.errorboundary', handled: true }
+    });
+  }
+
+  /**
+   * Report a failed API call (network errors and 5xx only)
+   * @param {Object} error - Axios error
+   * @returns {Promise<string|null>}
+   */
+  captureApiError(error) {
+    const status = error?.response?.status;
+    const isNetworkFailure = !error?.response && Boolean(error?.request);
+
+    if (error?.code === 'ERR_CANCELED' || error?.isSessionExpired) return Promise.resolve(null);
+    if (!isNetworkFailure && !(status >= 500)) return Promise.resolve(null);
+    // Losing the connection is the user's network, not our bug
+    if (isNetworkFailure && typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return Promise.resolve(null);
+    }
+
+    const method = (error.config?.method || 'get').toUpperCase();
+    const path = (error.config?.url || '').split('?')[0];
+    const outcome = status ? String(status) : (error.code || 'NETWORK_ERROR');
+
+    const apiError = new Error(`${method} ${path} failed (${outcome})`);
+    apiError.name = 'ApiError';
+    // The reporter's own stack says nothing about the failing request
+    apiError.stack = '';
+
+    return this.captureException(apiError, {
+      tags: { api_method: method, api_status: outcome },
+      extra: { url: error.config?.url, code: error.code },
+      fingerprint: ['api', method, path, outcome]
+    });
+  }
+
+  /**
+   * Record an API call as a breadcrumb
+   * @param {Object} config - Axios request config
+   * @param {number|string} status - Response status or error code
+   */
+  recordApiCall(config, status) {
+    this.addBreadcrumb({
+      category: 'http',
+      level: typeof status === 'number' && status < 400 ? 'info' : 'error',
+      data: {
+        method: (config?.method || 'get').toUpperCase(),
+        url: config?.url,
+        status_code: status
+      }
+    });
+  }
+
+  /**
+   * @param {Object} breadcrumb - { category, message, data, level }
+   */
+  addBreadcrumb(breadcrumb) {
+    this.getReporter().addBreadcrumb(breadcrumb);
+  }
+
+  /**
+   * Attach the signed-in user (id only) to reports; null clears it
+   * @param {Object|null} user
+   */
+  setUser(user) {
+    this.getReporter().setUser(user);
+  }
+}
+
+export default new ErrorReportingService();
@@ -1,9 +1,24 @@
 import { Loader } from '@googlemaps/js-api-loader';
+import { GeocodeCache, GEOCODE_CACHE_TTL, coordinateKey, placeKey, predictionsKey } from '../../geocoding/cache';
+import { RequestThrottle, ThrottleError } from '../../geocoding/throttle';
+import { ProviderHealth } from '../../geocoding/providerHealth';
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+export const GEOCODING_PROVIDERS = {
+  GOOGLE: 'google',
+  BACKEND: 'backend',
+  OSM: 'osm'
+};
 
 /**
  * Enhanced Geocoding Service for React Frontend
  * Implements Flutter app's geocoding functionality using Google Maps API
  * Provides reverse geocoding, place search, and address parsing
+ *
+ * Every lookup goes through the geocoding cache, then tries the providers in
+ * order (Google Maps JS API -> Google web service -> OpenStreetMap Nominatim),
+ * each behind its own request throttle, skipping providers that keep failing.
  */
 class GeocodingService {
   constructor() {
@@ -19,6 +34,18 @@ class GeocodingService {
 
     // Fallback to OpenStreetMap if Google Maps API key is not available
     this.useGoogleMaps = !!this.apiKey;
+
+    // Nominatim usage policy: identify the app (browsers can't set User-Agent)
+    this.nominatimEmail = import.meta.env.VITE_NOMINATIM_EMAIL || '';
+
+    this.cache = new GeocodeCache();
+    this.health = new ProviderHealth();
+    this.throttles = {
+      [GEOCODING_PROVIDERS.GOOGLE]: new RequestThrottle({ minInterval: 100, maxPending: 5 }),
+      [GEOCODING_PROVIDERS.BACKEND]: new RequestThrottle({ minInterval: 200, maxPending: 5 }),
+      [GEOCODING_PROVIDERS.OSM]: new RequestThrottle({ minInterval: 1000, maxPending: 3 })
+    };
+    this.inFlight = new Map();
   }
 
   /**
@@ -80,11 +107,105 @@ class GeocodingService {
   async getAddressFromCoordinates(latitude, longitude) {
     await this.initialize();
 
-    if (this.useGoogleMaps && this.geocoder) {
-      return this.googleReverseGeocode(latitude, longitude);
-    } else {
-      return this.openStreetMapReverseGeocode(latitude, longitude);
+    const result = await this.lookup(coordinateKey(latitude, longitude), GEOCODE_CACHE_TTL.REVERSE, [
+      [GEOCODING_PROVIDERS.GOOGLE, this.geocoder && (() => this.googleReverseGeocode(latitude, longitude))],
+      [GEOCODING_PROVIDERS.BACKEND, this.apiKey && (() => this.getBackendReverseGeocode(latitude, longitude))],
+      [GEOCODING_PROVIDERS.OSM, () => this.openStreetMapReverseGeocode(latitude, longitude)]
+    ]);
+
+    // Nearby pins share a cache entry - report the coordinates that were asked for
+    return { ...result, coordinates: { latitude, longitude } };
+  }
+
+  /**
+   * Cached, de-duplicated lookup with provider failover
+   * @param {string} key - Cache key (geocoding/cache)
+   * @param {number} ttl - Cache lifetime in milliseconds
+   * @param {Array<[string, Function|null]>} providers - [provider, request] in preference order;
+   *   a falsy request means the provider isn't configured
+   * @returns {Promise<any>} First successful provider result
+   */
+  async lookup(key, ttl, providers) {
+    const cached = await this.cache.get(key);
+    if (cached) return cached;
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const request = this.requestWithFailover(providers)
+      .then((result) => {
+        this.cache.set(key, result, ttl);
+        return result;
+      })
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Try providers in order until one answers
+   * @param {Array<[string, Function|null]>} providers
+   * @returns {Promise<any>}
+   */
+  async requestWithFailover(providers) {
+    let lastError = new Error('No geocoding provider available');
+
+    for (const [provider, request] of providers) {
+      if (!request || !this.health.isAvailable(provider)) continue;
+
+      try {
+        const result = await this.throttles[provider].schedule(request);
+        this.health.recordSuccess(provider);
+        return result;
+      } catch (error) {
+        // A busy queue or "nothing here" says nothing about the provider's health
+        if (error.code === 'ZERO_RESULTS') {
+          this.health.recordSuccess(provider);
+        } else if (!(error instanceof ThrottleError)) {
+          this.health.recordFailure(provider, error);
+        }
+        console.warn(`⚠️ GeocodingService: ${provider} failed, trying next provider:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Provider circuit breaker state, for debugging
+   * @returns {Object}
+   */
+  getProviderStatus() {
+    return this.health.getStatus();
+  }
+
+  /**
+   * Drop all cached geocoding results
+   */
+  async clearCache() {
+    await this.cache.clear();
+  }
+
+  /**
+   * Nominatim request URL with the usage-policy parameters
+   * @param {string} path - 'reverse', 'search' or 'lookup'
+   * @param {Object} params
+   * @returns {string}
+   */
+  getNominatimUrl(path, params) {
+    const query = new URLSearchParams({
+      format: 'jsonv2',
+      addressdetails: '1',
+      'accept-language': 'en',
+      ...params
+    });
+    if (this.nominatimEmail) {
+      query.set('email', this.nominatimEmail);
     }
+    return `${NOMINATIM_URL}/${path}?${query.toString()}`;
   }
 
   /**
@@ -102,7 +223,7 @@ class GeocodingService {
             if (status === 'OK' && results && results.length > 0) {
               resolve(results);
             } else {
-              reject(new Error(`Geocoding failed: ${status}`));
+              reject(Object.assign(new Error(`Geocoding failed: ${status}`), { code: status }));
             }
           }
         );
@@ -126,6 +247,44 @@ class GeocodingService {
     }
   }
 
+  /**
+   * Reverse geocoding using the Geocoding web service (fallback)
+   * @param {number} latitude
+   * @param {number} longitude
+   * @returns {Promise<Object>} Address details
+   */
+  async getBackendReverseGeocode(latitude, longitude) {
+    try {
+      const response = await fetch(
+        `https://maps.googleapis.com/maps/api/geocode/json?latlng=${latitude},${longitude}&key=${this.apiKey}&region=in`
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (data.status !== 'OK' || !data.results?.length) {
+        throw Object.assign(new Error(`Backend Geocoding API error: ${data.status}`), { code: data.status });
+      }
+
+      const result = data.results[0];
+      return {
+        success: true,
+        formattedAddress: result.formatted_address,
+        ...this.parseGoogleAddressComponents(result.address_components),
+        coordinates: {
+          latitude,
+          longitude
+        }
+      };
+    } catch (error) {
+      console.error('Backend reverse geocoding error:', error);
+      throw error;
+    }
+  }
+
   /**
    * OpenStreetMap reverse geocoding (fallback)
    * @param {number} latitude
@@ -135,7 +294,7 @@ class GeocodingService {
   async openStreetMapReverseGeocode(latitude, longitude) {
     try {
       const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=18&addressdetails=1`
+        this.getNominatimUrl('reverse', { lat: latitude, lon: longitude, zoom: '18' })
       );
 
       if (!response.ok) {
@@ -145,7 +304,7 @@ class GeocodingService {
       const data = await response.json();
 
       if (!data || !data.display_name) {
-        throw new Error('No address found');
+        throw Object.assign(new Error('No address found'), { code: 'ZERO_RESULTS' });
       }
 
       const addressComponents = this.parseOpenStreetMapAddress(data);
@@ -282,18 +441,11 @@ class GeocodingService {
   async getPlacePredictions(input, options = {}) {
     await this.initialize();
 
-    // Try Google Maps API first
-    if (this.useGoogleMaps && this.autocompleteService) {
-      try {
-        return await this.getGooglePlacePredictions(input, options);
-      } catch (error) {
-        console.warn('Google Places API failed, trying backend fallback:', error);
-        return await this.getBackendPlacePredictions(input, options);
-      }
-    } else {
-      console.log('Using backend API for places search');
-      return await this.getBackendPlacePredictions(input, options);
-    }
+    return this.lookup(predictionsKey(input, options), GEOCODE_CACHE_TTL.PREDICTIONS, [
+      [GEOCODING_PROVIDERS.GOOGLE, this.autocompleteService && (() => this.getGooglePlacePredictions(input, options))],
+      [GEOCODING_PROVIDERS.BACKEND, this.apiKey && (() => this.getBackendPlacePredictions(input, options))],
+      [GEOCODING_PROVIDERS.OSM, () => this.getOpenStreetMapPlacePredictions(input)]
+    ]);
   }
 
   /**
@@ -386,25 +538,103 @@ class GeocodingService {
     }
   }
 
+  /**
+   * Get place predictions using Nominatim search (fallback)
+   * Place ids are prefixed "osm:" and their details are cached straight away,
+   * so picking a prediction doesn't need another Nominatim request
+   */
+  async getOpenStreetMapPlacePredictions(input) {
+    try {
+      const response = await fetch(
+        this.getNominatimUrl('search', { q: input, countrycodes: 'in', limit: '5' })
+      );
+
+      if (!response.ok) {
+        throw new Error(`OpenStreetMap search unavailable: ${response.status}`);
+      }
+
+      const places = await response.json();
+
+      return places.map((place) => {
+        const details = this.parseOpenStreetMapPlace(place);
+        this.cache.set(placeKey(details.placeId), details, GEOCODE_CACHE_TTL.PLACE);
+
+        const [mainText, ...rest] = place.display_name.split(', ');
+        return {
+          placeId: details.placeId,
+          description: place.display_name,
+          mainText: place.name || mainText,
+          secondaryText: rest.join(', '),
+          types: [place.type].filter(Boolean)
+        };
+      });
+    } catch (error) {
+      console.error('OpenStreetMap search error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Place details shape from a Nominatim search/lookup result
+   * @param {Object} place
+   * @returns {Object}
+   */
+  parseOpenStreetMapPlace(place) {
+    return {
+      success: true,
+      placeId: `osm:${String(place.osm_type || '').charAt(0).toUpperCase()}${place.osm_id}`,
+      name: place.name || '',
+      formattedAddress: place.display_name,
+      coordinates: {
+        latitude: parseFloat(place.lat),
+        longitude: parseFloat(place.lon)
+      },
+      ...this.parseOpenStreetMapAddress(place)
+    };
+  }
+
   /**
    * Get place details by place ID
-   * @param {string} placeId
+   * @param {string} placeId - Google place id, or "osm:N123" from the OpenStreetMap fallback
    * @returns {Promise<Object>} Place details with coordinates
    */
   async getPlaceDetails(placeId) {
     await this.initialize();
 
-    // Try Google Maps API first
-    if (this.useGoogleMaps && this.placesService) {
-      try {
-        return await this.getGooglePlaceDetails(placeId);
-      } catch (error) {
-        console.warn('Google Place Details API failed, trying backend fallback:', error);
-        return await this.getBackendPlaceDetails(placeId);
+    if (String(placeId).startsWith('osm:')) {
+      return this.lookup(placeKey(placeId), GEOCODE_CACHE_TTL.PLACE, [
+        [GEOCODING_PROVIDERS.OSM, () => this.getOpenStreetMapPlaceDetails(placeId)]
+      ]);
+    }
+
+    return this.lookup(placeKey(placeId), GEOCODE_CACHE_TTL.PLACE, [
+      [GEOCODING_PROVIDERS.GOOGLE, this.placesService && (() => this.getGooglePlaceDetails(placeId))],
+      [GEOCODING_PROVIDERS.BACKEND, this.apiKey && (() => this.getBackendPlaceDetails(placeId))]
+    ]);
+  }
+
+  /**
+   * Get place details using Nominatim lookup
+   */
+  async getOpenStreetMapPlaceDetails(placeId) {
+    try {
+      const response = await fetch(
+        this.getNominatimUrl('lookup', { osm_ids: placeId.replace(/^osm:/, '') })
+      );
+
+      if (!response.ok) {
+        throw new Error(`OpenStreetMap lookup unavailable: ${response.status}`);
+      }
+
+      const [place] = await response.json();
+      if (!place) {
+        throw Object.assign(new Error('Place not found'), { code: 'ZERO_RESULTS' });
       }
-    } else {
-      console.log('Using backend API for place details');
-      return await this.getBackendPlaceDetails(placeId);
+
+      return this.parseOpenStreetMapPlace(place);
+    } catch (error) {
+      console.error('OpenStreetMap place details error:', error);
+      throw error;
     }
   }
 
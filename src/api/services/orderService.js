@@ -182,9 +182,10 @@ class OrderService {
    */
   async getPaymentDetails(bookingId) {
     try {
+      // Read-only lookup sent as POST - safe to retry
       const response = await axiosInstance.post(API_ENDPOINTS.GET_PAYMENT_DETAILS, {
         booking_id: bookingId
-      });
+      }, { idempotent: true });
 
       return {
         success: response.data.status || true,
@@ -197,13 +198,57 @@ class OrderService {
     }
   }
 
+  /**
+   * Create the Razorpay order for a booking's remaining balance
+   * With `useWallet` the backend takes what it can from the wallet first and
+   * only orders the rest; a payable amount of 0 means no gateway is needed.
+   * @param {Object} params
+   * @param {string} params.itemId - The booking item ID
+   * @param {boolean} [params.useWallet] - Apply the wallet balance first
+   * @returns {Promise<Object>} { razorpayOrderId, payableAmount, walletAmount }
+   */
+  async createPartialPaymentOrder({ itemId, useWallet = false }) {
+    try {
+      console.log('💳 OrderService - Creating balance payment order:', { itemId, useWallet });
+
+      // Each call creates a new Razorpay order - never replay it automatically
+      const response = await axiosInstance.post(API_ENDPOINTS.PARTIAL_PAYMENT_ORDER, {
+        id: itemId,
+        wallet: useWallet ? 'true' : 'false'
+      }, { idempotent: false });
+
+      const data = response.data.data || {};
+      const razorpayOrderId = response.data.orderOptions?.id || data.razorpay_order_id || '';
+      const payableAmount = parseFloat(data.payable_amount ?? data.amount ?? 0) || 0;
+
+      if (payableAmount > 0 && !razorpayOrderId) {
+        throw new Error(response.data.message || 'Failed to create payment order');
+      }
+
+      return {
+        success: response.data.status || true,
+        message: response.data.message || 'Payment order created successfully',
+        data: {
+          razorpayOrderId,
+          payableAmount,
+          walletAmount: parseFloat(data.wallet_amount || 0) || 0
+        }
+      };
+    } catch (error) {
+      console.error('❌ OrderService - createPartialPaymentOrder error:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to create payment order');
+    }
+  }
+
   /**
    * Process partial payment for an order (Flutter-aligned)
    * @param {Object} paymentData - Payment data object
    * @param {string} paymentData.itemId - The booking item ID
-   * @param {string} paymentData.razorpayOrderId - Razorpay payment ID
-   * @param {string} paymentData.paymentStatus - Payment status ('Online')
+   * @param {string} paymentData.razorpayOrderId - Razorpay order ID
+   * @param {string} paymentData.paymentStatus - Payment status ('Online' or 'Wallet')
    * @param {string} paymentData.remainingConvenienceCharge - Remaining convenience charge
+   * @param {Object} [paymentData.paymentResponse] - Gateway response, sent so the backend can verify the signature
+   * @param {boolean} [paymentData.useWallet] - Wallet was applied to the balance order
    * @returns {Promise<Object>} API response
    */
   async processPartialPayment(paymentData) {
@@ -222,7 +267,20 @@ class OrderService {
         payload.remaining_convenience_charge = paymentData.remainingConvenienceCharge;
       }
 
-      const response = await axiosInstance.post(API_ENDPOINTS.PARTIAL_PAYMENT, payload);
+      if (paymentData.paymentResponse) {
+        payload.razorpay_payment_id = paymentData.paymentResponse.razorpay_payment_id;
+        payload.razorpay_signature = paymentData.paymentResponse.razorpay_signature || '';
+        payload.transaction_id = paymentData.paymentResponse.razorpay_payment_id;
+      }
+
+      if (paymentData.useWallet) {
+        payload.wallet = 'true';
+      }
+
+      // Settles the booking balance - must never be replayed automatically by the retry policy
+      const response = await axiosInstance.post(API_ENDPOINTS.PARTIAL_PAYMENT, payload, {
+        idempotent: false
+      });
 
       console.log('✅ OrderService - Partial payment response:', response.data);
 
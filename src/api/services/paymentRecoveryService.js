@@ -0,0 +1,326 @@
+/**
+ * Payment Recovery Service
+ * Builds the booking payloads for paid/failed checkouts and reconciles
+ * checkouts, balance payments, VIP purchases and wallet top-ups left in the pending-payment
+ * journal against the backend. A journalled payment is only marked failed once the backend
+ * confirms the Razorpay order was never paid.
+ */
+
+import cartService from './cartService.js';
+import orderService from './orderService.js';
+import vipService from './vipService.js';
+import walletService from './walletService.js';
+import {
+  PAYMENT_JOURNAL_TYPE,
+  getPendingPayments,
+  resolvePendingPayment
+} from '../../utils/paymentJournal.js';
+
+// Razorpay payments (UPI, netbanking) can take a while to settle - don't fail them early
+const PAYMENT_GRACE_PERIOD = 30 * 60 * 1000; // 30 minutes
+
+const PAID_STATUSES = ['paid', 'captured', 'authorized'];
+const FAILED_STATUSES = ['failed'];
+
+export const RECOVERY_RESULT = {
+  RECOVERED: 'recovered',
+  FAILED: 'failed',
+  PENDING: 'pending'
+};
+
+class PaymentRecoveryService {
+  constructor() {
+    this.reconcilePromise = null;
+  }
+
+  /**
+   * Booking payload for a successful payment, carrying the full gateway response
+   * so the backend can verify the Razorpay signature before confirming the booking
+   * @param {Object} checkoutData - Booking payload built from the cart
+   * @param {Object} paymentResponse - { razorpay_payment_id, razorpay_order_id, razorpay_signature }
+   * @returns {Object} Checkout API payload
+   */
+  buildPaidCheckoutData(checkoutData, paymentResponse) {
+    return {
+      ...checkoutData,
+      razorpay_order_id: paymentResponse.razorpay_order_id,
+      razorpay_payment_id: paymentResponse.razorpay_payment_id,
+      razorpay_signature: paymentResponse.razorpay_signature || '',
+      transaction_id: paymentResponse.razorpay_payment_id,
+      status: 'accepted', // Matches Flutter bookingStatus: 'accepted'
+      payment_status: 'paid' // Matches Flutter paymentStatus: 'paid'
+    };
+  }
+
+  /**
+   * Booking payload recording a failed payment (matches Flutter error handling)
+   * @param {Object} checkoutData - Booking payload built from the cart
+   * @param {string} razorpayOrderId - Razorpay order ID
+   * @returns {Object} Checkout API payload
+   */
+  buildFailedCheckoutData(checkoutData, razorpayOrderId) {
+    return {
+      razorpay_order_id: razorpayOrderId,
+      transaction_id: '',
+      status: 'initiated', // Matches Flutter bookingStatus: 'initiated'
+      payment_status: 'failed', // Matches Flutter paymentStatus: 'failed'
+      total_amount: checkoutData?.total_amount || '0',
+      notes: checkoutData?.notes || ''
+    };
+  }
+
+  /**
+   * Reconcile a balance payment on a partially paid booking
+   * @param {Object} entry - Pending payment journal entry of type BALANCE
+   * @returns {Promise<Object>} { result, razorpayOrderId, bookingId }
+   */
+  async reconcileBalancePayment(entry) {
+    const { razorpayOrderId, checkoutData, paymentResponse } = entry;
+    const { orderId, itemId, remainingConvenienceCharge, useWallet } = checkoutData || {};
+    const outcome = (result) => ({ result, razorpayOrderId, bookingId: orderId });
+
+    // Balance already settled - the payment call made it before the interruption
+    const { data: booking } = await orderService.getOrderDetail(orderId, itemId);
+    const item = booking?.items?.find((bookingItem) => String(bookingItem.id) === String(itemId)) || booking?.items?.[0];
+    if (item && parseInt(item.is_partial) !== 1) {
+      resolvePendingPayment(razorpayOrderId);
+      return outcome(RECOVERY_RESULT.RECOVERED);
+    }
+
+    const { data: lookup } = await cartService.getPaymentStatus(razorpayOrderId);
+    const isPaid = PAID_STATUSES.includes(lookup.paymentStatus);
+    const isFailed = FAILED_STATUSES.includes(lookup.paymentStatus);
+
+    if (isPaid || (paymentResponse && !isFailed)) {
+      await orderService.processPartialPayment({
+        itemId,
+        razorpayOrderId,
+        paymentStatus: 'Online',
+        remainingConvenienceCharge,
+        useWallet,
+        paymentResponse: paymentResponse || {
+          razorpay_order_id: razorpayOrderId,
+          razorpay_payment_id: lookup.paymentId,
+          razorpay_signature: ''
+        }
+      });
+      resolvePendingPayment(razorpayOrderId);
+      return outcome(RECOVERY_RESULT.RECOVERED);
+    }
+
+    // Nothing was charged - the balance simply stays payable
+    const isExpired = Date.now() - entry.createdAt > PAYMENT_GRACE_PERIOD;
+    if (isFailed || isExpired) {
+      resolvePendingPayment(razorpayOrderId);
+      return outcome(RECOVERY_RESULT.FAILED);
+    }
+
+    return outcome(RECOVERY_RESULT.PENDING);
+  }
+
+  /**
+   * Reconcile a VIP plan purchase
+   * @param {Object} entry - Pending payment journal entry of type VIP
+   * @returns {Promise<Object>} { result, razorpayOrderId }
+   */
+  async reconcileVipPayment(entry) {
+    const { razorpayOrderId, checkoutData, paymentResponse } = entry;
+
+    // Already active - verification (or the payment webhook) made it before the interruption
+    const { data: vipStatus } = await vipService.getVipStatus();
+    if (vipStatus.isVip) {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.RECOVERED, razorpayOrderId };
+    }
+
+    const { data: lookup } = await cartService.getPaymentStatus(razorpayOrderId);
+    const isPaid = PAID_STATUSES.includes(lookup.paymentStatus);
+    const isFailed = FAILED_STATUSES.includes(lookup.paymentStatus);
+
+    if (isPaid || (paymentResponse && !isFailed)) {
+      const purchase = await vipService.purchaseVipPlan({
+        planId: checkoutData?.planId,
+        amount: checkoutData?.amount,
+        paymentResponse: paymentResponse || {
+          razorpay_order_id: razorpayOrderId,
+          razorpay_payment_id: lookup.paymentId,
+          razorpay_signature: ''
+        }
+      });
+
+      if (!purchase.status) {
+        return { result: RECOVERY_RESULT.PENDING, razorpayOrderId };
+      }
+
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.RECOVERED, razorpayOrderId };
+    }
+
+    const isExpired = Date.now() - entry.createdAt > PAYMENT_GRACE_PERIOD;
+    if (isFailed || isExpired) {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.FAILED, razorpayOrderId };
+    }
+
+    return { result: RECOVERY_RESULT.PENDING, razorpayOrderId };
+  }
+
+  /**
+   * Reconcile a wallet top-up
+   * @param {Object} entry - Pending payment journal entry of type WALLET_TOPUP
+   * @returns {Promise<Object>} { result, razorpayOrderId, amount }
+   */
+  async reconcileWalletTopUp(entry) {
+    const { razorpayOrderId, checkoutData, paymentResponse } = entry;
+    const amount = checkoutData?.amount ?? entry.amount;
+
+    // Already credited - verification made it before the interruption
+    const credit = await walletService.findTopUpCredit(razorpayOrderId, entry.createdAt);
+    if (credit) {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.RECOVERED, razorpayOrderId, amount };
+    }
+
+    const { data: lookup } = await cartService.getPaymentStatus(razorpayOrderId);
+    const isPaid = PAID_STATUSES.includes(lookup.paymentStatus);
+    const isFailed = FAILED_STATUSES.includes(lookup.paymentStatus);
+
+    if (isPaid || (paymentResponse && !isFailed)) {
+      const response = paymentResponse || {
+        razorpay_order_id: razorpayOrderId,
+        razorpay_payment_id: lookup.paymentId,
+        razorpay_signature: ''
+      };
+      const topUp = await walletService.addMoney({
+        amount,
+        payment_method: 'razorpay',
+        razorpay_order_id: response.razorpay_order_id,
+        razorpay_payment_id: response.razorpay_payment_id,
+        razorpay_signature: response.razorpay_signature || ''
+      });
+
+      if (!topUp.success) {
+        return { result: RECOVERY_RESULT.PENDING, razorpayOrderId, amount };
+      }
+
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.RECOVERED, razorpayOrderId, amount };
+    }
+
+    const isExpired = Date.now() - entry.createdAt > PAYMENT_GRACE_PERIOD;
+    if (isFailed || isExpired) {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.FAILED, razorpayOrderId, amount };
+    }
+
+    return { result: RECOVERY_RESULT.PENDING, razorpayOrderId, amount };
+  }
+
+  /**
+   * Reconcile one journal entry against the backend
+   * @param {Object} entry - Pending payment journal entry
+   * @returns {Promise<Object>} { result, razorpayOrderId, bookingId }
+   */
+  async reconcilePayment(entry) {
+    if (entry.type === PAYMENT_JOURNAL_TYPE.BALANCE) {
+      return this.reconcileBalancePayment(entry);
+    }
+    if (entry.type === PAYMENT_JOURNAL_TYPE.VIP) {
+      return this.reconcileVipPayment(entry);
+    }
+    if (entry.type === PAYMENT_JOURNAL_TYPE.WALLET_TOPUP) {
+      return this.reconcileWalletTopUp(entry);
+    }
+
+    const { razorpayOrderId, checkoutData, paymentResponse } = entry;
+    const { data: lookup } = await cartService.getPaymentStatus(razorpayOrderId);
+
+    // Booking already exists - the checkout call made it before the interruption
+    if (lookup.bookingId) {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.RECOVERED, razorpayOrderId, bookingId: lookup.bookingId };
+    }
+
+    const isPaid = PAID_STATUSES.includes(lookup.paymentStatus);
+    const isFailed = FAILED_STATUSES.includes(lookup.paymentStatus);
+
+    // Paid but never booked - submit the booking. The gateway response carries the
+    // signature when we received it; otherwise the backend verifies the payment it reported.
+    if (isPaid || (paymentResponse && !isFailed)) {
+      const response = paymentResponse || {
+        razorpay_order_id: razorpayOrderId,
+        razorpay_payment_id: lookup.paymentId,
+        razorpay_signature: ''
+      };
+      const checkoutResponse = await cartService.processCheckout(
+        this.buildPaidCheckoutData(checkoutData, response)
+      );
+
+      if (!checkoutResponse.success) {
+        return { result: RECOVERY_RESULT.PENDING, razorpayOrderId };
+      }
+
+      resolvePendingPayment(razorpayOrderId);
+      return {
+        result: RECOVERY_RESULT.RECOVERED,
+        razorpayOrderId,
+        bookingId: checkoutResponse.data?.booking_id || null
+      };
+    }
+
+    // Unpaid - only give up once the backend says it failed or the grace period is over
+    const isExpired = Date.now() - entry.createdAt > PAYMENT_GRACE_PERIOD;
+    if (isFailed || isExpired) {
+      await cartService.processCheckout(this.buildFailedCheckoutData(checkoutData, razorpayOrderId));
+      resolvePendingPayment(razorpayOrderId);
+      return { result: RECOVERY_RESULT.FAILED, razorpayOrderId };
+    }
+
+    return { result: RECOVERY_RESULT.PENDING, razorpayOrderId };
+  }
+
+  /**
+   * Reconcile every journalled checkout for the current user
+   * Entries that cannot be reconciled (e.g. offline) stay in the journal for the next launch.
+   * @param {string|number} [userId] - Current user ID
+   * @returns {Promise<Array<Object>>} One result per journal entry
+   */
+  async reconcilePendingPayments(userId) {
+    // Concurrent callers (StrictMode, multiple mounts) share one pass
+    if (this.reconcilePromise) {
+      return this.reconcilePromise;
+    }
+
+    this.reconcilePromise = (async () => {
+      const entries = getPendingPayments(userId);
+      if (entries.length === 0) return [];
+
+      console.log(`💳 PaymentRecovery: Reconciling ${entries.length} pending payment(s)`);
+      const results = [];
+
+      for (const entry of entries) {
+        // Tag results so callers can word checkout and balance outcomes differently
+        const type = entry.type || PAYMENT_JOURNAL_TYPE.CHECKOUT;
+        try {
+          results.push({ type, ...(await this.reconcilePayment(entry)) });
+        } catch (error) {
+          console.error('❌ PaymentRecovery: Failed to reconcile payment:', entry.razorpayOrderId, error);
+          results.push({ type, result: RECOVERY_RESULT.PENDING, razorpayOrderId: entry.razorpayOrderId });
+        }
+      }
+
+      console.log('💳 PaymentRecovery: Reconciliation complete', results);
+      return results;
+    })();
+
+    try {
+      return await this.reconcilePromise;
+    } finally {
+      this.reconcilePromise = null;
+    }
+  }
+}
+
+// Export singleton instance
+const paymentRecoveryService = new PaymentRecoveryService();
+export default paymentRecoveryService;
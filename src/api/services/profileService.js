@@ -1,5 +1,6 @@
 import axiosInstance from '../axiosInstance.js';
 import { API_ENDPOINTS } from '../config.js';
+import { isSupportedLanguage } from '../../i18n/registry.js';
 
 /**
  * ProfileService - Handles all profile-related API operations
@@ -48,8 +49,7 @@ class ProfileService {
       }
 
       // Validate language preference
-      const validLanguages = ['en', 'hi', 'pu', 'mr'];
-      if (profileData.preferred_language && !validLanguages.includes(profileData.preferred_language)) {
+      if (profileData.preferred_language && !isSupportedLanguage(profileData.preferred_language)) {
         throw new Error('Invalid language preference');
       }
 
@@ -274,8 +274,7 @@ class ProfileService {
 
     // Validate language preference
     if (profileData.preferred_language) {
-      const validLanguages = ['en', 'hi', 'pu', 'mr'];
-      if (!validLanguages.includes(profileData.preferred_language)) {
+      if (!isSupportedLanguage(profileData.preferred_language)) {
         errors.preferred_language = 'Please select a valid language';
       }
     }
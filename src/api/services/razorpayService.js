@@ -4,6 +4,8 @@
  * Matches Flutter RazorpayService functionality with web-specific implementation
  */
 
+import { toGatewayAmount } from '../../utils/money.js';
+
 class RazorpayService {
   constructor() {
     this.razorpay = null;
@@ -76,8 +78,13 @@ class RazorpayService {
    * @param {Object} options - Payment options
    * @param {number} options.total - Total amount in rupees
    * @param {string} options.orderId - Razorpay order ID
-   * @param {Function} options.onPaymentSuccess - Success callback
-   * @param {Function} options.onPaymentError - Error callback
+   * @param {Function} options.onPaymentSuccess - Success callback, receives the full gateway
+   *   response ({ razorpay_payment_id, razorpay_order_id, razorpay_signature }) for server verification
+   * @param {Function} options.onPaymentError - Error callback, receives (message, { retryable }).
+   *   retryable is true for payment.failed - the checkout stays open and the user can
+   *   pay again, so onPaymentSuccess may still follow
+   * @param {Function} [options.onDismiss] - Called when the user closes the checkout
+   *   (before onPaymentError, which still receives the cancellation)
    * @param {Object} options.userDetails - User details for prefill
    * @returns {Promise<void>}
    */
@@ -86,6 +93,7 @@ class RazorpayService {
     orderId,
     onPaymentSuccess,
     onPaymentError,
+    onDismiss,
     userDetails = {}
   }) {
     try {
@@ -99,7 +107,7 @@ class RazorpayService {
       // Prepare payment options (matches Flutter implementation)
       const options = {
         key: this.getRazorpayKey(),
-        amount: total * 100, // Convert to paisa (matches Flutter: total * 100)
+        amount: toGatewayAmount(total), // Integer paise - never fractional (Flutter: total * 100)
         currency: 'INR',
         name: 'Easylife', // Matches Flutter
         order_id: orderId,
@@ -114,15 +122,23 @@ class RazorpayService {
         modal: {
           ondismiss: () => {
             console.log('💳 Razorpay checkout dismissed by user');
+            if (onDismiss) {
+              onDismiss();
+            }
             if (onPaymentError) {
               onPaymentError('Payment cancelled by user');
             }
           }
         },
         handler: (response) => {
-          console.log('💳 Razorpay payment success:', response);
+          console.log('💳 Razorpay payment success:', response.razorpay_payment_id);
           if (onPaymentSuccess) {
-            onPaymentSuccess(response.razorpay_payment_id);
+            // Forward everything the backend needs to verify the signature
+            onPaymentSuccess({
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_order_id: response.razorpay_order_id || orderId || '',
+              razorpay_signature: response.razorpay_signature || ''
+            });
           }
         }
       };
@@ -135,7 +151,8 @@ class RazorpayService {
         console.error('💳 Razorpay payment failed:', response.error);
         if (onPaymentError) {
           const errorMessage = `${response.error.code} - ${response.error.description}`;
-          onPaymentError(errorMessage);
+          // Razorpay keeps its modal open for another attempt
+          onPaymentError(errorMessage, { retryable: true });
         }
       });
 
@@ -151,15 +168,20 @@ class RazorpayService {
   }
 
   /**
-   * Validate payment response
+   * Validate that a payment response can be verified by the backend
+   * The signature itself is checked server-side; this only ensures nothing is missing
+   * and that the response belongs to the order that was opened.
    * @param {Object} paymentData - Payment response data
+   * @param {string} [expectedOrderId] - Razorpay order ID the checkout was opened with
    * @returns {boolean} Validation status
    */
-  validatePaymentResponse(paymentData) {
+  validatePaymentResponse(paymentData, expectedOrderId) {
     return !!(
       paymentData &&
       paymentData.razorpay_payment_id &&
-      paymentData.razorpay_order_id
+      paymentData.razorpay_order_id &&
+      paymentData.razorpay_signature &&
+      (!expectedOrderId || paymentData.razorpay_order_id === expectedOrderId)
     );
   }
 
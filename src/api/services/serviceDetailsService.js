@@ -136,7 +136,10 @@ class ServiceDetailsService {
       };
 
       // Match Flutter URL: baseUrl + aboutServiceDetailURL
-      const response = await axiosInstance.post(API_ENDPOINTS.SERVICE_DETAILS_BY_SEGMENT, payload);
+      // Read-only lookup sent as POST - safe to retry
+      const response = await axiosInstance.post(API_ENDPOINTS.SERVICE_DETAILS_BY_SEGMENT, payload, {
+        idempotent: true
+      });
 
       // Match Flutter response handling: return response['status'] == true ? response['data'] : response['response']
       if (response.data === null) {
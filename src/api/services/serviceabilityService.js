@@ -0,0 +1,268 @@
+import axiosInstance from '../axiosInstance.js';
+import { API_ENDPOINTS } from '../config.js';
+import geocodingService from './geocodingService.js';
+import { normalizeAddress } from '../../utils/addressModel.js';
+
+export const SERVICEABILITY_STATUS = {
+  CHECKING: 'checking',
+  SERVICEABLE: 'serviceable',
+  UNSERVICEABLE: 'unserviceable',
+  UNKNOWN: 'unknown' // Check failed or not enough location data - booking is not blocked
+};
+
+export const SERVICEABILITY_STORAGE_KEY = 'eassylife_serviceability';
+const CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const UNKNOWN_TTL = 60 * 1000; // Retry failed checks after a minute
+
+/**
+ * Serviceability Service
+ * Checks an address against the backend's coverage (pincode + coordinates)
+ * before the user gets as far as cart/check-availability.
+ *
+ * - Results are cached per address (id + pincode + rounded coordinates, so
+ *   editing an address re-checks it) in memory and localStorage
+ * - Addresses saved without a pincode are completed through geocodingService
+ * - A failed check resolves to UNKNOWN and never blocks booking; the cart's
+ *   availability check remains the final gate
+ */
+class ServiceabilityService {
+  constructor() {
+    this.cache = null;
+    this.inFlight = new Map();
+    this.listeners = new Set();
+    this.version = 0;
+  }
+
+  /**
+   * Normalize the location fields of any address shape used in the app
+   * @param {Object|null} address - API address, form data or geocoding result
+   * @returns {{addressId: string|null, pincode: string|null, latitude: number|null, longitude: number|null}}
+   */
+  getLocation(address) {
+    const { id, postalCode, latitude, longitude } = normalizeAddress(address);
+
+    return {
+      addressId: id !== null ? String(id) : null,
+      pincode: /^\d{6}$/.test(postalCode) ? postalCode : null,
+      latitude,
+      longitude
+    };
+  }
+
+  /**
+   * Cache key for a location; null when there is nothing to check
+   * @param {Object} location - From getLocation
+   * @returns {string|null}
+   */
+  getCacheKey({ addressId, pincode, latitude, longitude }) {
+    const hasCoordinates = latitude !== null && longitude !== null;
+    if (!pincode && !hasCoordinates) return null;
+
+    // ~100m precision - small GPS jitter shouldn't trigger a new check
+    const coordinates = hasCoordinates ? `${latitude.toFixed(3)},${longitude.toFixed(3)}` : '-';
+    return [addressId || 'new', pincode || '-', coordinates].join('|');
+  }
+
+  loadCache() {
+    if (this.cache) return this.cache;
+
+    try {
+      this.cache = JSON.parse(localStorage.getItem(SERVICEABILITY_STORAGE_KEY) || '{}') || {};
+    } catch {
+      this.cache = {};
+    }
+    return this.cache;
+  }
+
+  saveCache() {
+    const persisted = Object.fromEntries(
+      Object.entries(this.cache).filter(([, entry]) => entry.status !== SERVICEABILITY_STATUS.UNKNOWN)
+    );
+    try {
+      localStorage.setItem(SERVICEABILITY_STORAGE_KEY, JSON.stringify(persisted));
+    } catch {
+      // Storage unavailable - the in-memory cache still works for this visit
+    }
+  }
+
+  setEntry(key, entry) {
+    this.loadCache()[key] = { ...entry, checkedAt: Date.now() };
+    this.saveCache();
+    this.notify();
+  }
+
+  notify() {
+    this.version += 1;
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * Subscribe to result changes (for useSyncExternalStore)
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe = (listener) => {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  };
+
+  getVersion = () => this.version;
+
+  /**
+   * Cached result for an address, or a CHECKING placeholder while a check runs
+   * @param {Object} address
+   * @returns {{status: string, message?: string, notifyRequested?: boolean}|null} Null if never checked
+   */
+  getCachedResult(address) {
+    const key = this.getCacheKey(this.getLocation(address));
+    if (!key) return null;
+    if (this.inFlight.has(key)) return { status: SERVICEABILITY_STATUS.CHECKING };
+
+    const entry = this.loadCache()[key];
+    if (!entry) return null;
+
+    const ttl = entry.status === SERVICEABILITY_STATUS.UNKNOWN ? UNKNOWN_TTL : CACHE_TTL;
+    return Date.now() - entry.checkedAt < ttl ? entry : null;
+  }
+
+  /**
+   * Whether booking is allowed for an address (only a known-unserviceable address is blocked)
+   * @param {Object|null} address
+   * @returns {boolean}
+   */
+  isBookable(address) {
+    return this.getCachedResult(address)?.status !== SERVICEABILITY_STATUS.UNSERVICEABLE;
+  }
+
+  /**
+   * Check an address against the backend's coverage
+   * @param {Object} address - Any address shape (see getLocation)
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Ignore the cache
+   * @returns {Promise<{success: boolean, message: string, data: {status: string, message?: string}}>}
+   */
+  async checkAddress(address, { force = false } = {}) {
+    const location = this.getLocation(address);
+    const key = this.getCacheKey(location);
+
+    if (!key) {
+      return {
+        success: false,
+        message: 'Address has no pincode or coordinates',
+        data: { status: SERVICEABILITY_STATUS.UNKNOWN }
+      };
+    }
+
+    const cached = force ? null : this.getCachedResult(address);
+    if (cached && cached.status !== SERVICEABILITY_STATUS.CHECKING) {
+      return { success: true, message: 'Serviceability loaded from cache', data: cached };
+    }
+
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(key, this.fetchServiceability(key, location).finally(() => {
+        this.inFlight.delete(key);
+        this.notify();
+      }));
+      this.notify();
+    }
+    return this.inFlight.get(key);
+  }
+
+  async fetchServiceability(key, location) {
+    try {
+      const pincode = location.pincode || await this.geocodePincode(location);
+      console.log('📍 ServiceabilityService: Checking', { pincode, addressId: location.addressId });
+
+      const response = await axiosInstance.get(API_ENDPOINTS.SERVICEABILITY_CHECK, {
+        params: {
+          pincode: pincode || undefined,
+          latitude: location.latitude ?? undefined,
+          longitude: location.longitude ?? undefined
+        }
+      });
+
+      if (!response.data.status) {
+        throw new Error(response.data.message || 'Serviceability check failed');
+      }
+
+      const serviceable = Boolean(response.data.data?.is_serviceable);
+      const entry = {
+        status: serviceable ? SERVICEABILITY_STATUS.SERVICEABLE : SERVICEABILITY_STATUS.UNSERVICEABLE,
+        message: response.data.data?.message || response.data.message || '',
+        pincode,
+        notifyRequested: this.loadCache()[key]?.notifyRequested || false
+      };
+      this.setEntry(key, entry);
+
+      return { success: true, message: entry.message, data: entry };
+    } catch (error) {
+      console.error('❌ ServiceabilityService: Check failed:', error);
+      this.setEntry(key, { status: SERVICEABILITY_STATUS.UNKNOWN });
+      return {
+        success: false,
+        message: error.message || 'Failed to check serviceability',
+        data: { status: SERVICEABILITY_STATUS.UNKNOWN }
+      };
+    }
+  }
+
+  // Addresses saved from GPS often have coordinates but no pincode
+  async geocodePincode({ latitude, longitude }) {
+    if (latitude === null || longitude === null) return null;
+
+    try {
+      const result = await geocodingService.getAddressFromCoordinates(latitude, longitude);
+      const pincode = String(result?.postalCode || '').replace(/\D/g, '');
+      return /^\d{6}$/.test(pincode) ? pincode : null;
+    } catch {
+      // Coordinates alone are enough for the backend
+      return null;
+    }
+  }
+
+  /**
+   * Ask to be notified when an unserviceable address becomes serviceable
+   * @param {Object} address
+   * @returns {Promise<{success: boolean, message: string}>}
+   */
+  async requestNotification(address) {
+    const location = this.getLocation(address);
+    const key = this.getCacheKey(location);
+
+    try {
+      const response = await axiosInstance.post(API_ENDPOINTS.SERVICEABILITY_NOTIFY, {
+        address_id: location.addressId,
+        pincode: location.pincode || this.loadCache()[key]?.pincode || null,
+        latitude: location.latitude,
+        longitude: location.longitude
+      });
+
+      if (response.data.status && key && this.loadCache()[key]) {
+        this.setEntry(key, { ...this.loadCache()[key], notifyRequested: true });
+      }
+
+      return {
+        success: Boolean(response.data.status),
+        message: response.data.message
+      };
+    } catch (error) {
+      console.error('❌ ServiceabilityService: Notify request failed:', error);
+      return { success: false, message: error.message || 'Failed to register notification' };
+    }
+  }
+
+  /**
+   * Forget every cached result (logout)
+   */
+  clearCache() {
+    this.cache = {};
+    try {
+      localStorage.removeItem(SERVICEABILITY_STORAGE_KEY);
+    } catch {
+      // Nothing to clear
+    }
+    this.notify();
+  }
+}
+
+export default new ServiceabilityService();
@@ -206,19 +206,28 @@ class SettingsService {
 
   /**
    * Update profile settings (language, timezone, currency, theme)
-   * @param {Object} settings - Profile settings object
+   * Currency display and date format are sent only when given
+   * @param {Object} settings - Profile settings object ({ ..., currencyDisplay, dateFormat })
    * @returns {Promise<Object>} Update result
    */
   async updateProfileSettings(settings) {
     try {
       console.log('⚙️ SettingsService: Updating profile settings:', settings);
-      
-      const response = await axiosInstance.put(API_ENDPOINTS.UPDATE_PROFILE, {
+
+      const payload = {
         language: settings.language,
         timezone: settings.timezone,
         currency: settings.currency,
         theme: settings.theme
-      });
+      };
+      if (settings.currencyDisplay !== undefined) {
+        payload.currency_display = settings.currencyDisplay;
+      }
+      if (settings.dateFormat !== undefined) {
+        payload.date_format = settings.dateFormat;
+      }
+
+      const response = await axiosInstance.put(API_ENDPOINTS.UPDATE_PROFILE, payload);
       
       console.log('✅ SettingsService: Profile settings updated successfully');
       return {
@@ -1,11 +1,25 @@
 import axiosInstance from '../axiosInstance.js';
 import { API_ENDPOINTS } from '../config.js';
 
+// VIP activation can lag payment verification (e.g. when it waits on the Razorpay webhook)
+const ACTIVATION_POLL_INTERVAL = 3000;
+const ACTIVATION_POLL_TIMEOUT = 60000;
+
+// Where a VIP purchase is after the gateway
+export const VIP_ACTIVATION_STATUS = {
+  IDLE: 'idle',
+  ACTIVATING: 'activating', // Paid - waiting for the backend to activate the plan
+  ACTIVE: 'active',
+  DELAYED: 'delayed' // Paid but not active yet - finished from the payment journal later
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
  * VIP Service - API integration for VIP plans and subscriptions
  * Provides methods for:
  * - Fetching VIP plans
- * - Purchasing VIP subscriptions
+ * - Purchasing VIP subscriptions (server-created Razorpay order, verified on the backend)
  * - Managing VIP status
  */
 class VipService {
@@ -48,27 +62,84 @@ class VipService {
     }
   }
 
+  /**
+   * Create the Razorpay order for a VIP plan on the backend
+   * The order ties the payment to the plan, so the backend can activate VIP
+   * from Razorpay's webhook even if the browser never reports the payment.
+   * @param {string} planId - VIP plan ID
+   * @returns {Promise<Object>} { status, data: { razorpayOrderId, amount } }
+   */
+  async createVipOrder(planId) {
+    try {
+      console.log('🔥 VipService: Creating VIP order', { planId });
+
+      // Each call creates a new Razorpay order - never replay it automatically
+      const response = await axiosInstance.post('vip-plans/order/', {
+        plan_id: planId
+      }, { idempotent: false });
+
+      const data = response.data?.data || {};
+      const razorpayOrderId = response.data?.orderOptions?.id || data.razorpay_order_id || '';
+
+      if (!razorpayOrderId) {
+        throw new Error(response.data?.message || 'Failed to create VIP order');
+      }
+
+      console.log('✅ VipService: VIP order created', { razorpayOrderId });
+
+      return {
+        status: true,
+        data: {
+          razorpayOrderId,
+          // Razorpay order amounts are in paise
+          amount: parseFloat(data.amount ?? (response.data?.orderOptions?.amount || 0) / 100) || 0
+        },
+        message: response.data?.message || 'VIP order created successfully'
+      };
+    } catch (error) {
+      console.error('❌ VipService: Error creating VIP order', {
+        message: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      return {
+        status: false,
+        data: {},
+        message: error.response?.data?.message || error.message || 'Failed to create VIP order'
+      };
+    }
+  }
+
   /**
    * Purchase a VIP plan
+   * Sends the full gateway response so the backend verifies the Razorpay signature
+   * against the order it created before activating the plan.
    * @param {Object} purchaseData - Purchase details
    * @param {string} purchaseData.planId - VIP plan ID
-   * @param {string} purchaseData.paymentId - Razorpay payment ID
    * @param {number} purchaseData.amount - Payment amount
+   * @param {Object} purchaseData.paymentResponse - { razorpay_payment_id, razorpay_order_id, razorpay_signature }
    * @returns {Promise<Object>} Purchase response
    */
   async purchaseVipPlan(purchaseData) {
     try {
+      const { paymentResponse = {} } = purchaseData;
       console.log('🔥 VipService: Purchasing VIP plan', {
         planId: purchaseData.planId,
-        amount: purchaseData.amount
+        amount: purchaseData.amount,
+        razorpayOrderId: paymentResponse.razorpay_order_id
       });
 
+      // Activates a subscription - must never be replayed automatically by the retry policy
       const response = await axiosInstance.post('vip-plans/purchase/', {
         plan_id: purchaseData.planId,
-        payment_id: purchaseData.paymentId,
+        payment_id: paymentResponse.razorpay_payment_id,
+        razorpay_order_id: paymentResponse.razorpay_order_id,
+        razorpay_payment_id: paymentResponse.razorpay_payment_id,
+        razorpay_signature: paymentResponse.razorpay_signature || '',
         amount: purchaseData.amount,
         payment_method: 'razorpay'
-      });
+      }, { idempotent: false });
 
       console.log('✅ VipService: VIP plan purchased successfully', {
         status: response.data?.status,
@@ -96,6 +167,41 @@ class VipService {
     }
   }
 
+  /**
+   * Poll the VIP status until the subscription is active
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] - Delay between checks
+   * @param {number} [options.timeoutMs] - Give up after this long
+   * @param {Function} [options.sleep] - Delay implementation (tests)
+   * @returns {Promise<Object>} { status, activated, data } - data is the last VIP status
+   */
+  async waitForVipActivation({
+    intervalMs = ACTIVATION_POLL_INTERVAL,
+    timeoutMs = ACTIVATION_POLL_TIMEOUT,
+    sleep = wait
+  } = {}) {
+    const attempts = Math.max(1, Math.ceil(timeoutMs / intervalMs));
+    let lastStatus = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt += 1) {
+      const response = await this.getVipStatus();
+      if (response.status) {
+        lastStatus = response.data;
+        if (response.data.isVip) {
+          console.log('✅ VipService: VIP active after', attempt, 'check(s)');
+          return { status: true, activated: true, data: response.data };
+        }
+      }
+
+      if (attempt < attempts) {
+        await sleep(intervalMs);
+      }
+    }
+
+    console.warn('⚠️ VipService: VIP not active yet after polling');
+    return { status: true, activated: false, data: lastStatus };
+  }
+
   /**
    * Get user's VIP subscription status
    * @returns {Promise<Object>} VIP status response
@@ -204,6 +310,44 @@ class VipService {
     }
   }
 
+  /**
+   * Preview what cancelling the current subscription refunds
+   * @returns {Promise<Object>} { status, data: { planName, usedDays, remainingDays, refundAmount, cancellationFee, expiryDate } }
+   */
+  async getCancellationPreview() {
+    try {
+      console.log('🔥 VipService: Fetching cancellation preview');
+
+      const response = await axiosInstance.get('vip-plans/cancel/preview/', { cache: false });
+      const data = response.data?.data || {};
+
+      return {
+        status: true,
+        data: {
+          planName: data.plan_name || null,
+          usedDays: parseInt(data.used_days || 0),
+          remainingDays: parseInt(data.remaining_days || 0),
+          refundAmount: parseFloat(data.refund_amount || 0),
+          cancellationFee: parseFloat(data.cancellation_fee || 0),
+          expiryDate: data.expiry_date || null
+        },
+        message: response.data?.message || 'Cancellation preview fetched successfully'
+      };
+    } catch (error) {
+      console.error('❌ VipService: Error fetching cancellation preview', {
+        message: error.message,
+        status: error.response?.status,
+        data: error.response?.data
+      });
+
+      return {
+        status: false,
+        data: null,
+        message: error.response?.data?.message || 'Failed to fetch cancellation preview'
+      };
+    }
+  }
+
   /**
    * Cancel VIP subscription
    * @returns {Promise<Object>} Cancellation response
@@ -1,5 +1,6 @@
 import axiosInstance from '../axiosInstance.js';
 import { API_ENDPOINTS } from '../config.js';
+import { toPaise, fromPaise, formatPaise } from '../../utils/money.js';
 
 /**
  * WalletService - Handles wallet-related operations
@@ -11,7 +12,9 @@ class WalletService {
    * @param {Object} options - Query options
    * @param {number} options.page - Page number for pagination
    * @param {number} options.limit - Number of transactions per page
-   * @param {string} options.type - Transaction type filter (credit|debit|all)
+   * @param {string} options.type - Transaction type filter (credit|debit|refund|cashback|bonus|all)
+   * @param {string} [options.startDate] - First day to include (YYYY-MM-DD)
+   * @param {string} [options.endDate] - Last day to include (YYYY-MM-DD)
    * @returns {Promise<Object>} Wallet transaction history
    */
   async getWalletHistory(options = {}) {
@@ -19,7 +22,9 @@ class WalletService {
       const {
         page = 1,
         limit = 20,
-        type = 'all'
+        type = 'all',
+        startDate = null,
+        endDate = null
       } = options;
 
       // Build query parameters
@@ -27,6 +32,8 @@ class WalletService {
       if (page > 1) queryParams.append('page', page.toString());
       if (limit !== 20) queryParams.append('limit', limit.toString());
       if (type !== 'all') queryParams.append('type', type);
+      if (startDate) queryParams.append('from_date', startDate);
+      if (endDate) queryParams.append('to_date', endDate);
 
       const url = queryParams.toString() 
         ? `${API_ENDPOINTS.WALLET_HISTORY}?${queryParams.toString()}`
@@ -46,6 +53,133 @@ class WalletService {
     }
   }
 
+  /**
+   * Get every transaction matching the filters, page by page (for statements)
+   * @param {Object} filters - { type, startDate, endDate }
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - Transactions per request
+   * @param {number} [options.maxPages=50] - Stop after this many pages
+   * @returns {Promise<Array<Object>>} Normalized transactions, newest first
+   */
+  async getStatementTransactions(filters = {}, { limit = 100, maxPages = 50 } = {}) {
+    const transactions = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this.getWalletHistory({ ...filters, page, limit });
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to fetch wallet history');
+      }
+
+      const pageData = response.data || [];
+      transactions.push(...pageData.map((transaction) => this.normalizeTransaction(transaction)));
+
+      const hasNextPage = response.pagination
+        ? !!response.pagination.hasNextPage
+        : pageData.length >= limit;
+      if (!hasNextPage) break;
+
+      // Newest first - once a page reaches back past the start date, later pages are all older
+      const oldest = transactions[transactions.length - 1];
+      if (filters.startDate && oldest && this.getTransactionDate(oldest) < new Date(`${filters.startDate}T00:00:00`)) break;
+    }
+
+    // The backend may not support date filters - apply them here as well
+    return this.filterTransactionsByDateRange(transactions, filters.startDate, filters.endDate);
+  }
+
+  /**
+   * Totals for whole calendar months, not just the loaded pages
+   * The months' statement is fetched once and grouped here.
+   * @param {Array<string>} monthKeys - Months as YYYY-MM (see getMonthKey)
+   * @param {Object} filters - { type, startDate, endDate }, narrowed to the months
+   * @returns {Promise<Object>} getWalletStatistics totals by month key
+   */
+  async getMonthTotals(monthKeys, filters = {}) {
+    if (monthKeys.length === 0) return {};
+
+    const sortedKeys = [...monthKeys].sort();
+    const firstMonth = sortedKeys[0];
+    const lastMonth = sortedKeys[sortedKeys.length - 1];
+    const [year, month] = lastMonth.split('-').map(Number);
+    const rangeStart = `${firstMonth}-01`;
+    const rangeEnd = `${lastMonth}-${String(new Date(year, month, 0).getDate()).padStart(2, '0')}`;
+
+    const transactions = await this.getStatementTransactions({
+      type: filters.type,
+      startDate: filters.startDate && filters.startDate > rangeStart ? filters.startDate : rangeStart,
+      endDate: filters.endDate && filters.endDate < rangeEnd ? filters.endDate : rangeEnd
+    });
+
+    const transactionsByMonth = new Map(this.getMonthlyStatistics(transactions)
+      .map((month) => [month.key, month.transactions]));
+    return Object.fromEntries(monthKeys.map((monthKey) => [
+      monthKey,
+      this.getWalletStatistics(transactionsByMonth.get(monthKey) || [])
+    ]));
+  }
+
+  /**
+   * Find the wallet credit already made for a top-up's Razorpay order
+   * Looks through credits since the order was created, so a top-up that was
+   * credited before an interruption is never submitted again.
+   * @param {string} razorpayOrderId - Order from createTopUpOrder
+   * @param {number} createdAt - When the order was created (ms)
+   * @returns {Promise<Object|null>} The credit transaction, or null if there is none
+   */
+  async findTopUpCredit(razorpayOrderId, createdAt) {
+    const created = new Date(createdAt);
+    const startDate = [
+      created.getFullYear(),
+      String(created.getMonth() + 1).padStart(2, '0'),
+      String(created.getDate()).padStart(2, '0')
+    ].join('-');
+
+    const credits = await this.getStatementTransactions({ type: 'credit', startDate }, { maxPages: 5 });
+    return credits.find((transaction) => transaction.razorpay_order_id === razorpayOrderId) || null;
+  }
+
+  /**
+   * Normalize a backend transaction for display
+   * @param {Object} transaction - Transaction from the wallet history API
+   * @returns {Object} Transaction with parsed amounts and display fields
+   */
+  normalizeTransaction(transaction) {
+    return {
+      id: transaction.id,
+      user_id: transaction.user_id,
+      transaction_type: transaction.transaction_type,
+      amount: parseFloat(transaction.amount || 0),
+      reason: transaction.reason,
+      previous_balance: parseFloat(transaction.previous_balance || 0),
+      new_balance: parseFloat(transaction.new_balance || 0),
+      created_at: transaction.created_at,
+      // Set on top-ups, which are credited once per Razorpay order
+      razorpay_order_id: transaction.razorpay_order_id || null,
+      // Add computed fields for UI
+      type: transaction.transaction_type, // credit/debit
+      description: transaction.reason?.replace(/_/g, ' ').toUpperCase() || 'Transaction',
+      date: transaction.created_at ? this.getTransactionDate(transaction).toLocaleDateString() : new Date().toLocaleDateString(),
+      formattedAmount: `₹${Math.abs(parseFloat(transaction.amount || 0)).toFixed(2)}`
+    };
+  }
+
+  /**
+   * Date of a transaction
+   * created_at is a Unix timestamp in seconds; ISO strings are accepted as well.
+   * @param {Object} transaction - Transaction object
+   * @returns {Date} Transaction date
+   */
+  getTransactionDate(transaction) {
+    const value = transaction?.created_at ?? transaction?.date;
+    const numeric = Number(value);
+
+    if (value !== null && value !== '' && Number.isFinite(numeric)) {
+      // Seconds until the year 33658 - anything larger is already milliseconds
+      return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+    }
+    return new Date(value);
+  }
+
   /**
    * Get wallet balance - calculated from transaction history
    * Since there's no separate balance endpoint, we calculate from the latest transaction
@@ -84,11 +218,53 @@ class WalletService {
     }
   }
 
+  /**
+   * Create the Razorpay order for a wallet top-up
+   * The backend owns the order so the amount credited is the amount it created.
+   * @param {number} amount - Top-up amount in rupees
+   * @returns {Promise<Object>} { success, message, data: { razorpayOrderId, amount } }
+   */
+  async createTopUpOrder(amount) {
+    try {
+      const response = await axiosInstance.post(
+        API_ENDPOINTS.WALLET_ADD_MONEY_ORDER,
+        { amount },
+        // A retried POST would create a second order for the same top-up
+        { idempotent: false }
+      );
+
+      const data = response.data.data || {};
+      const orderOptions = response.data.orderOptions || data.orderOptions || {};
+      const razorpayOrderId = orderOptions.id || data.razorpay_order_id || data.order_id;
+
+      if (!response.data.status || !razorpayOrderId) {
+        throw new Error(response.data.message || 'Failed to create payment order');
+      }
+
+      return {
+        success: true,
+        message: response.data.message,
+        data: {
+          razorpayOrderId,
+          amount: orderOptions.amount ? fromPaise(orderOptions.amount) : amount
+        }
+      };
+    } catch (error) {
+      console.error('❌ WalletService.createTopUpOrder error:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to create payment order');
+    }
+  }
+
   /**
    * Add money to wallet
+   * Submits the Razorpay response of a top-up so the backend can verify the
+   * signature before crediting the wallet.
    * @param {Object} paymentData - Payment information
    * @param {number} paymentData.amount - Amount to add
    * @param {string} paymentData.payment_method - Payment method
+   * @param {string} [paymentData.razorpay_order_id] - Order from createTopUpOrder
+   * @param {string} [paymentData.razorpay_payment_id] - Gateway payment ID
+   * @param {string} [paymentData.razorpay_signature] - Gateway signature
    * @returns {Promise<Object>} Payment result
    */
   async addMoney(paymentData) {
@@ -104,7 +280,8 @@ class WalletService {
         throw new Error(`Minimum amount is ₹${minAmount}`);
       }
 
-      const response = await axiosInstance.post('wallet/add-money', paymentData);
+      // Never retried - the backend credits once per verified payment
+      const response = await axiosInstance.post(API_ENDPOINTS.WALLET_ADD_MONEY, paymentData, { idempotent: false });
 
       return {
         success: response.data.status,
@@ -148,20 +325,20 @@ class WalletService {
    */
   formatTransactionAmount(transaction) {
     if (!transaction || typeof transaction.amount === 'undefined') {
-      return '₹0.00';
+      return formatPaise(0, { fractionDigits: 2 });
     }
 
-    const amount = parseFloat(transaction.amount);
-    const formattedAmount = amount.toFixed(2);
+    // Always two decimals; the sign comes from the transaction type, not the amount
+    const paise = Math.abs(toPaise(transaction.amount));
 
     // Add + or - sign based on transaction type
     if (transaction.type === 'credit' || transaction.type === 'refund') {
-      return `+₹${formattedAmount}`;
+      return formatPaise(paise, { fractionDigits: 2, signed: true });
     } else if (transaction.type === 'debit' || transaction.type === 'payment') {
-      return `-₹${formattedAmount}`;
+      return formatPaise(-paise, { fractionDigits: 2 });
     }
 
-    return `₹${formattedAmount}`;
+    return formatPaise(paise, { fractionDigits: 2 });
   }
 
   /**
@@ -259,7 +436,7 @@ class WalletService {
     const stats = transactions.reduce((acc, transaction) => {
       const amount = parseFloat(transaction.amount) || 0;
 
-      if (transaction.type === 'credit' || transaction.type === 'refund' || transaction.type === 'cashback') {
+      if (['credit', 'refund', 'cashback', 'bonus'].includes(transaction.type)) {
         acc.totalCredits += amount;
       } else if (transaction.type === 'debit' || transaction.type === 'payment') {
         acc.totalDebits += amount;
@@ -291,11 +468,30 @@ class WalletService {
     }
 
     return transactions.filter(transaction => {
-      const transactionDate = new Date(transaction.created_at || transaction.date);
+      const transactionDate = this.getTransactionDate(transaction);
       return transactionDate >= startDate && transactionDate <= endDate;
     });
   }
 
+  /**
+   * Filter transactions by whole days, as picked in a date input
+   * @param {Array} transactions - Array of transactions
+   * @param {string|null} startDate - First day to include (YYYY-MM-DD), open if empty
+   * @param {string|null} endDate - Last day to include (YYYY-MM-DD), open if empty
+   * @returns {Array} Filtered transactions
+   */
+  filterTransactionsByDateRange(transactions, startDate, endDate) {
+    if (!startDate && !endDate) {
+      return Array.isArray(transactions) ? transactions : [];
+    }
+
+    return this.filterTransactionsByDate(
+      transactions,
+      startDate ? new Date(`${startDate}T00:00:00`) : new Date(-8.64e15),
+      endDate ? new Date(`${endDate}T23:59:59.999`) : new Date(8.64e15)
+    );
+  }
+
   /**
    * Group transactions by date
    * @param {Array} transactions - Array of transactions
@@ -307,7 +503,7 @@ class WalletService {
     }
 
     return transactions.reduce((groups, transaction) => {
-      const date = new Date(transaction.created_at || transaction.date);
+      const date = this.getTransactionDate(transaction);
       const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
 
       if (!groups[dateKey]) {
@@ -318,6 +514,47 @@ class WalletService {
       return groups;
     }, {});
   }
+
+  /**
+   * Calendar month of a transaction
+   * @param {Object} transaction - Transaction object
+   * @returns {string} Month as YYYY-MM
+   */
+  getMonthKey(transaction) {
+    const date = this.getTransactionDate(transaction);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  /**
+   * Group transactions by calendar month with getWalletStatistics totals
+   * @param {Array} transactions - Array of transactions, newest first
+   * @returns {Array<Object>} [{ key: 'YYYY-MM', label, transactions, totalCredits, totalDebits, netAmount, totalTransactions }]
+   */
+  getMonthlyStatistics(transactions) {
+    if (!Array.isArray(transactions)) {
+      return [];
+    }
+
+    const months = new Map();
+    transactions.forEach((transaction) => {
+      const key = this.getMonthKey(transaction);
+
+      if (!months.has(key)) {
+        const date = this.getTransactionDate(transaction);
+        months.set(key, {
+          key,
+          label: date.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' }),
+          transactions: []
+        });
+      }
+      months.get(key).transactions.push(transaction);
+    });
+
+    return Array.from(months.values()).map((month) => ({
+      ...month,
+      ...this.getWalletStatistics(month.transactions)
+    }));
+  }
 }
 
 export default new WalletService();
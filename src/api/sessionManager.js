@@ -0,0 +1,130 @@
+import { API_ENDPOINTS } from './config.js';
+import { removeAuthToken } from '../utils/tokenManager.js';
+
+/**
+ * Session Manager
+ * Central pipeline for expired sessions (HTTP 401 on an authenticated request).
+ *
+ * The first 401 clears the auth cookies and notifies subscribers (AuthContext), which
+ * opens the login/OTP flow over the current route. Every request that fails with 401
+ * while re-authentication is in progress - and every new authenticated request issued
+ * meanwhile - waits on the same re-auth and is replayed once it completes.
+ */
+
+// Auth endpoints never trigger the session-expired flow themselves
+const AUTH_ENDPOINTS = [
+  API_ENDPOINTS.LOGIN,
+  API_ENDPOINTS.VERIFY_OTP,
+  API_ENDPOINTS.RESEND_OTP,
+  API_ENDPOINTS.REGISTER,
+  API_ENDPOINTS.GUEST_LOGIN,
+];
+
+let sessionExpired = false;
+let waiters = []; // [{ resolve, reject }]
+const listeners = new Set();
+
+const notify = () => {
+  listeners.forEach((listener) => {
+    try {
+      listener(sessionExpired);
+    } catch (error) {
+      console.error('❌ SessionManager: Listener error:', error);
+    }
+  });
+};
+
+/**
+ * Check whether a request targets an authentication endpoint
+ * @param {Object} config - Axios request config
+ * @returns {boolean}
+ */
+export const isAuthEndpoint = (config) => {
+  const path = (config?.url || '').replace(/^\/+/, '');
+  return AUTH_ENDPOINTS.some((endpoint) => path === endpoint || path.startsWith(`${endpoint}/`));
+};
+
+/**
+ * Check whether a 401 error should start (or join) the session-expired flow
+ * Only requests that were sent with a token and have not already been replayed qualify.
+ * @param {Object} error - Axios error
+ * @returns {boolean}
+ */
+export const isSessionExpiryError = (error) => {
+  const config = error?.config;
+  if (error?.response?.status !== 401 || !config) return false;
+  if (config.__isSessionReplay || isAuthEndpoint(config)) return false;
+
+  return !!config.headers?.['api-token'];
+};
+
+/**
+ * @returns {boolean} Whether re-authentication is currently in progress
+ */
+export const isSessionExpired = () => sessionExpired;
+
+/**
+ * Wait until the user has re-authenticated
+ * @returns {Promise<void>} Resolves after re-auth, rejects if the user gives up
+ */
+export const waitForReauthentication = () => {
+  if (!sessionExpired) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    waiters.push({ resolve, reject });
+  });
+};
+
+/**
+ * Mark the session as expired (first 401 wins) and queue the caller
+ * @returns {Promise<void>} Resolves after re-auth, rejects if the user gives up
+ */
+export const expireSession = () => {
+  if (!sessionExpired) {
+    console.warn('🔒 SessionManager: Session expired, waiting for re-authentication');
+    sessionExpired = true;
+    removeAuthToken();
+    notify();
+  }
+
+  return waitForReauthentication();
+};
+
+/**
+ * Re-authentication succeeded - release every queued request for replay
+ */
+export const completeReauthentication = () => {
+  if (!sessionExpired) return;
+
+  console.log(`✅ SessionManager: Re-authenticated, replaying ${waiters.length} queued request(s)`);
+  const queued = waiters;
+  waiters = [];
+  sessionExpired = false;
+  notify();
+  queued.forEach(({ resolve }) => resolve());
+};
+
+/**
+ * Re-authentication was abandoned - fail every queued request
+ * @param {string} [reason] - Error message passed to the queued requests
+ */
+export const cancelReauthentication = (reason = 'Your session has expired. Please log in again.') => {
+  if (!sessionExpired) return;
+
+  console.warn(`🚫 SessionManager: Re-authentication cancelled, rejecting ${waiters.length} queued request(s)`);
+  const queued = waiters;
+  waiters = [];
+  sessionExpired = false;
+  notify();
+  queued.forEach(({ reject }) => reject(new Error(reason)));
+};
+
+/**
+ * Subscribe to session-expired state changes
+ * @param {Function} listener - Called with `true` when the session expires and `false` when resolved
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSessionExpired = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
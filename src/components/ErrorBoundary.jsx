@@ -1,4 +1,5 @@
 import React from 'react';
+import errorReportingService from '../api/services/errorReportingService';
 
 /**
  * ErrorBoundary - Catches JavaScript errors anywhere in the child component tree
@@ -33,11 +34,7 @@ class ErrorBoundary extends React.Component {
       errorInfo: errorInfo
     });
 
-    // Log to external service in production
-    if (process.env.NODE_ENV === 'production') {
-      // You can integrate with error reporting services here
-      // e.g., Sentry, LogRocket, etc.
-    }
+    errorReportingService.captureBoundaryError('mobile_layout', error, errorInfo);
   }
 
   handleRetry = () => {
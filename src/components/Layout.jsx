@@ -4,14 +4,20 @@ import { Outlet, useLocation } from "react-router-dom";
 import { Header } from "./common";
 import Footer from "./common/Footer";
 import { MobileLayout } from "./mobile";
+import SessionExpiredHandler from "./auth/SessionExpiredHandler";
+import PaymentRecoveryHandler from "./cart/PaymentRecoveryHandler";
+import AnalyticsConsentBanner from "./common/AnalyticsConsentBanner";
+import FunnelInspector from "./common/FunnelInspector";
 import { useAuthContext } from "../contexts/AuthContext";
 import { useMobileNavigation } from "../contexts/MobileNavigationContext";
+import { usePageTracking } from "../hooks/usePageTracking";
 import "../globals.css";
 
 const Layout = () => {
   const location = useLocation();
-  const { isAuthenticated } = useAuthContext();
+  const { isAuthenticated, user } = useAuthContext();
   const { shouldHideDesktopHeader } = useMobileNavigation();
+  usePageTracking(user);
 
   // Determine which page we're on for the Header component
   const getCurrentPage = () => {
@@ -66,6 +72,18 @@ const Layout = () => {
           <Outlet />
         </main>
 
+        {/* Re-authentication flow shown over the current page when the session expires */}
+        <SessionExpiredHandler />
+
+        {/* Reconciles checkouts interrupted between payment and booking */}
+        <PaymentRecoveryHandler />
+
+        {/* Analytics events are held until the user answers this once */}
+        <AnalyticsConsentBanner />
+
+        {/* Dev builds only - live view of the booking funnel events */}
+        <FunnelInspector />
+
         {/* Footer - shown on all authenticated pages */}
         {showFooter && !shouldHideDesktopHeader() && (
           <Footer />
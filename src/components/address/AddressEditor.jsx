@@ -0,0 +1,367 @@
+import React, { useState, useRef, useCallback } from 'react';
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { MapPin, Navigation, Home, Briefcase, Tag, Check } from 'lucide-react';
+import { Input } from '../ui/input';
+import { AnimatedButton } from '../ui/animated-button';
+import { useToast } from '../ui/toast';
+import { useLocation } from '../../hooks/useLocation';
+import GoogleMapPicker from '../location/GoogleMapPicker';
+import EnhancedPlacesAutocomplete from '../location/EnhancedPlacesAutocomplete';
+import LocationPermissionModal from '../location/LocationPermissionModal';
+import UnserviceableNotice from '../location/UnserviceableNotice';
+import { addressSchema } from '../../utils/validationSchemas';
+import { normalizeAddress, fromGeocodeResult } from '../../utils/addressModel';
+
+const DEFAULT_MAP_CENTER = { lat: 19.0760, lng: 72.8777 }; // Mumbai
+
+const LABEL_OPTIONS = [
+  { value: 'home', label: 'Home', icon: Home },
+  { value: 'work', label: 'Work', icon: Briefcase },
+  { value: 'other', label: 'Other', icon: Tag }
+];
+
+// Fields a map pin or search result can fill in
+const LOCATION_FIELDS = ['streetAddress', 'city', 'state', 'postalCode'];
+
+const Field = ({ label, required = false, hint, children }) => (
+  <div>
+    <label className="block text-sm font-medium text-gray-700 mb-2">
+      {label} {required && <span className="text-red-500">*</span>}
+    </label>
+    {children}
+    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+/**
+ * Address Editor
+ * The one address form used by every entry point (address page, modals, pickers).
+ * Edits the canonical address model from utils/addressModel and hands it to
+ * onSubmit - callers save it through addressService, which maps it to the API shape.
+ *
+ * Search (EnhancedPlacesAutocomplete) and the map pin fill in street, city, state
+ * and pincode; a field the user has typed into is never overwritten by the map.
+ */
+const AddressEditor = ({
+  initialAddress = null,
+  onSubmit,
+  onCancel,
+  submitting = false,
+  submitLabel,
+  title,
+  description,
+  showDefaultToggle = true,
+  layout = 'split', // 'split' (form beside map) or 'stacked' (map above form, for modals)
+  className = ''
+}) => {
+  const { showError } = useToast();
+  const { checkLocationPermission, getCurrentLocation } = useLocation();
+
+  const [initialValues] = useState(() => {
+    const address = normalizeAddress(initialAddress);
+    return { ...address, isPrimary: address.isPrimary ?? !address.id };
+  });
+  const isEditing = Boolean(initialValues.id);
+
+  const [mapCenter, setMapCenter] = useState(() => (
+    initialValues.latitude !== null && initialValues.longitude !== null
+      ? { lat: initialValues.latitude, lng: initialValues.longitude }
+      : DEFAULT_MAP_CENTER
+  ));
+  const [showLocationModal, setShowLocationModal] = useState(false);
+
+  // Last value the map/search wrote into each field - lets a pin move update
+  // them without clobbering anything the user typed
+  const autoFilledRef = useRef({});
+
+  const {
+    register,
+    handleSubmit,
+    setValue,
+    getValues,
+    watch,
+    formState: { errors, isSubmitting }
+  } = useForm({
+    resolver: zodResolver(addressSchema),
+    defaultValues: initialValues,
+    mode: 'onTouched'
+  });
+
+  const label = watch('label');
+  const isPrimary = watch('isPrimary');
+  const [postalCode, latitude, longitude] = watch(['postalCode', 'latitude', 'longitude']);
+  const busy = submitting || isSubmitting;
+
+  const applyLocationFields = useCallback((fields, { overwrite = false } = {}) => {
+    if (fields.latitude !== undefined && fields.longitude !== undefined) {
+      setValue('latitude', fields.latitude);
+      setValue('longitude', fields.longitude);
+    }
+
+    LOCATION_FIELDS.forEach((field) => {
+      if (!fields[field]) return;
+
+      const current = getValues(field);
+      if (overwrite || !current || current === autoFilledRef.current[field]) {
+        setValue(field, fields[field], { shouldValidate: Boolean(current) });
+        autoFilledRef.current[field] = fields[field];
+      }
+    });
+  }, [getValues, setValue]);
+
+  // Explicit search selection replaces the location fields
+  const handlePlaceSelect = useCallback((place) => {
+    const fields = fromGeocodeResult(place);
+    applyLocationFields(fields, { overwrite: true });
+
+    if (fields.latitude !== undefined && fields.longitude !== undefined) {
+      setMapCenter({ lat: fields.latitude, lng: fields.longitude });
+    }
+  }, [applyLocationFields]);
+
+  // Pin moved - coordinates always follow the pin
+  const handleMapLocationChange = useCallback((location) => {
+    setValue('latitude', location.lat);
+    setValue('longitude', location.lng);
+  }, [setValue]);
+
+  const handleMapAddressSelect = useCallback((result) => {
+    applyLocationFields(fromGeocodeResult(result));
+  }, [applyLocationFields]);
+
+  const moveToCurrentLocation = useCallback(async () => {
+    try {
+      const location = await getCurrentLocation();
+      if (location) {
+        setMapCenter({ lat: location.latitude, lng: location.longitude });
+      }
+    } catch (error) {
+      console.error('❌ AddressEditor: Current location error:', error);
+      showError('Failed to get current location');
+    }
+  }, [getCurrentLocation, showError]);
+
+  const handleCurrentLocationClick = useCallback(async () => {
+    const hasPermission = await checkLocationPermission();
+    if (!hasPermission) {
+      setShowLocationModal(true);
+      return;
+    }
+    await moveToCurrentLocation();
+  }, [checkLocationPermission, moveToCurrentLocation]);
+
+  const handleLocationPermissionGranted = useCallback(async () => {
+    setShowLocationModal(false);
+    await moveToCurrentLocation();
+  }, [moveToCurrentLocation]);
+
+  const submit = handleSubmit(
+    async (values) => {
+      // The schema strips fields it doesn't validate (id, country)
+      await onSubmit({ ...initialValues, ...values });
+    },
+    () => showError('Please fix the highlighted fields')
+  );
+
+  const map = (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+      <div className="p-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
+            <MapPin className="w-5 h-5 text-orange-500 mr-2" />
+            <h3 className="text-lg font-semibold text-gray-900">Select Location</h3>
+          </div>
+          <AnimatedButton
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={handleCurrentLocationClick}
+          >
+            <Navigation className="w-4 h-4 mr-2" />
+            Current Location
+          </AnimatedButton>
+        </div>
+        <p className="text-sm text-gray-600 mt-1">
+          Drag the map to pin your exact location
+        </p>
+      </div>
+
+      <div className={layout === 'split' ? 'h-[400px] lg:h-[600px]' : 'h-[260px]'}>
+        <GoogleMapPicker
+          initialLocation={mapCenter}
+          onLocationChange={handleMapLocationChange}
+          onAddressSelect={handleMapAddressSelect}
+          className="w-full h-full"
+          height="100%"
+          zoom={15}
+          showCurrentLocationButton={false}
+          showAddressDisplay={true}
+        />
+      </div>
+    </div>
+  );
+
+  const form = (
+    <form onSubmit={submit} noValidate className="space-y-6">
+      {title && (
+        <div>
+          <h2 className="text-xl sm:text-2xl font-semibold text-gray-900 mb-2">{title}</h2>
+          {description && <p className="text-sm sm:text-base text-gray-600">{description}</p>}
+        </div>
+      )}
+
+      <Field
+        label="Search Address"
+        hint="Search for your address or pin it on the map, then fill in the details below"
+      >
+        <EnhancedPlacesAutocomplete
+          onPlaceSelect={handlePlaceSelect}
+          placeholder="Search for area, street name..."
+          initialValue={initialValues.streetAddress}
+        />
+      </Field>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Field label="Flat/House Number" required>
+          <Input {...register('flatNo')} placeholder="e.g., 101, A-1" error={errors.flatNo?.message} />
+        </Field>
+        <Field label="Building/Society Name" required>
+          <Input {...register('buildingName')} placeholder="e.g., ABC Apartments" error={errors.buildingName?.message} />
+        </Field>
+      </div>
+
+      <Field label="Street Address" required>
+        <Input {...register('streetAddress')} placeholder="e.g., Main Street, Sector 1" error={errors.streetAddress?.message} />
+      </Field>
+
+      <Field label="Landmark">
+        <Input {...register('landmark')} placeholder="e.g., Near City Mall" error={errors.landmark?.message} />
+      </Field>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <Field label="City" required>
+          <Input {...register('city')} placeholder="e.g., Mumbai" error={errors.city?.message} />
+        </Field>
+        <Field label="State" required>
+          <Input {...register('state')} placeholder="e.g., Maharashtra" error={errors.state?.message} />
+        </Field>
+        <Field label="Pincode" required>
+          <Input
+            {...register('postalCode')}
+            placeholder="e.g., 400001"
+            inputMode="numeric"
+            maxLength={6}
+            error={errors.postalCode?.message}
+          />
+        </Field>
+      </div>
+
+      <UnserviceableNotice address={{ postalCode, latitude, longitude }} />
+
+      <Field label="Save As">
+        <div className="grid grid-cols-3 gap-2">
+          {LABEL_OPTIONS.map((option) => {
+            const LabelIcon = option.icon;
+            return (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setValue('label', option.value)}
+                className={`flex items-center justify-center gap-2 py-2 px-3 rounded-lg border text-sm font-medium transition-colors duration-200 ${
+                  label === option.value
+                    ? 'bg-orange-500 text-white border-orange-500'
+                    : 'bg-white text-gray-700 border-gray-300 hover:border-orange-400'
+                }`}
+              >
+                <LabelIcon className="w-4 h-4" />
+                {option.label}
+              </button>
+            );
+          })}
+        </div>
+      </Field>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700">Contact Person</p>
+        <p className="text-xs text-gray-500 mb-3">Booking for someone else? Our professional will contact them at this address.</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Input {...register('contactName')} placeholder="Name (optional)" error={errors.contactName?.message} />
+          <Input
+            {...register('contactPhone')}
+            placeholder="Mobile number (optional)"
+            inputMode="numeric"
+            maxLength={10}
+            error={errors.contactPhone?.message}
+          />
+        </div>
+      </div>
+
+      {showDefaultToggle && (
+        <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+          <div>
+            <p className="text-sm font-medium text-gray-700">Set as Default Address</p>
+            <p className="text-xs text-gray-500 mt-1">Use this address for future orders</p>
+          </div>
+          <button
+            type="button"
+            role="switch"
+            aria-checked={Boolean(isPrimary)}
+            onClick={() => setValue('isPrimary', !isPrimary)}
+            className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-300 ${
+              isPrimary ? 'bg-orange-500' : 'bg-gray-300'
+            }`}
+          >
+            <span
+              className={`inline-block h-4 w-4 transform rounded-full bg-white shadow-lg transition-transform duration-300 ${
+                isPrimary ? 'translate-x-6' : 'translate-x-1'
+              }`}
+            />
+          </button>
+        </div>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        <AnimatedButton type="submit" variant="primary" size="lg" loading={busy} disabled={busy} className="flex-1">
+          <Check className="w-5 h-5 mr-2" />
+          {submitLabel || (isEditing ? 'Update Address' : 'Save Address')}
+        </AnimatedButton>
+        {onCancel && (
+          <AnimatedButton type="button" variant="outline" size="lg" onClick={onCancel} disabled={busy} className="px-8">
+            Cancel
+          </AnimatedButton>
+        )}
+      </div>
+    </form>
+  );
+
+  return (
+    <div className={className}>
+      <LocationPermissionModal
+        isOpen={showLocationModal}
+        onClose={() => setShowLocationModal(false)}
+        onAllowLocation={handleLocationPermissionGranted}
+        onSkipLocation={() => setShowLocationModal(false)}
+        isLoading={false}
+      />
+
+      {layout === 'split' ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="order-2 lg:order-1 bg-white rounded-xl shadow-sm border border-gray-200 p-6 sm:p-8">
+            {form}
+          </div>
+          <div className="order-1 lg:order-2">
+            {map}
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {map}
+          {form}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddressEditor;
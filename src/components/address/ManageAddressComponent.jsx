@@ -3,6 +3,7 @@ import { motion } from 'framer-motion';
 import { Edit, Trash2, Plus, MapPin, RefreshCw, Check } from 'lucide-react';
 import { Button } from '../ui/button';
 import { useManageAddressContext } from '../../contexts/ManageAddressContext';
+import { formatAddressLine } from '../../utils/addressModel';
 
 /**
  * Individual Address Card Component with React.memo for optimization
@@ -31,28 +32,17 @@ const AddressCard = React.memo(({
   }, [onSetAsPrimary, address.id]);
 
   // Format address display
-  const formatAddress = useCallback(() => {
-    const parts = [
-      address.flatNumber || address.flat_number || address.flat_no,
-      address.buildingName || address.building_name,
-      address.streetAddress || address.street_address,
-      address.city,
-      address.state,
-      address.postalCode || address.postal_code
-    ].filter(Boolean);
-
-    return parts.join(', ');
-  }, [address]);
+  const formatAddress = useCallback(() => formatAddressLine(address), [address]);
 
   // Get user name from address or use default
   const getUserName = useCallback(() => {
     console.log('Address:', address);
-    return address.name || address.userName ;
+    return address.contact_name || address.name || address.userName ;
   }, [address]);
 
   // Get phone number from address or use default
   const getPhoneNumber = useCallback(() => {
-    return address.phoneNumber || address.phone ;
+    return address.contact_phone || address.phoneNumber || address.phone ;
   }, [address]);
 
   return (
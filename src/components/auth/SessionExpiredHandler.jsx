@@ -0,0 +1,37 @@
+import React from 'react';
+import AuthFlowManager from './AuthFlowManager';
+import { useAuthContext } from '../../contexts/AuthContext';
+import { isSessionExpired, cancelReauthentication } from '../../api/sessionManager';
+
+/**
+ * SessionExpiredHandler Component
+ * Opens the login/OTP flow over the current page when the session expires.
+ * Requests that failed with 401 are replayed by the session manager after
+ * re-authentication; dismissing the flow logs the user out.
+ */
+const SessionExpiredHandler = () => {
+  const { sessionExpired, logout } = useAuthContext();
+
+  const handleClose = () => {
+    // AuthFlowManager also closes after a successful login - only treat it as
+    // a cancellation if the session is still waiting for re-authentication
+    if (isSessionExpired()) {
+      console.log('🚪 SessionExpiredHandler: Re-authentication dismissed, logging out');
+      cancelReauthentication();
+      logout();
+    }
+  };
+
+  if (!sessionExpired) {
+    return null;
+  }
+
+  return (
+    <AuthFlowManager
+      isOpen={sessionExpired}
+      onClose={handleClose}
+    />
+  );
+};
+
+export default SessionExpiredHandler;
@@ -8,6 +8,7 @@ import { AnimatedButton } from '../ui/animated-button';
 import { useAuthContext } from '../../contexts/AuthContext';
 import { useLocation } from '../../hooks/useLocation';
 import { getPhoneDataWithFallback } from '../../utils/tokenManager';
+import { getStoredReferralCode, clearStoredReferralCode } from '../../utils/referralUtils';
 import { cn } from '../../lib/utils';
 import eassylifeLogo from '../../assets/images/eassylife_logo.png';
 import loginBackground from '../../assets/images/loginBackground.png';
@@ -24,7 +25,8 @@ const SignupModal = ({ isOpen, onClose, phoneNumber, onSignupSuccess, onBackToOt
     gender: '',
     dateOfBirth: '',
     anniversaryDate: '',
-    referralCode: '',
+    // Pre-fill from a referral share link (?ref=CODE), if one was opened
+    referralCode: getStoredReferralCode() || '',
   });
 
   const [agreements, setAgreements] = useState({
@@ -162,6 +164,7 @@ const SignupModal = ({ isOpen, onClose, phoneNumber, onSignupSuccess, onBackToOt
 
     if (result.success && result.data) {
       console.log('✅ Registration successful, AuthContext has updated the state');
+      clearStoredReferralCode();
 
       // Close the modal first to prevent auth state reset
       if (onClose) {
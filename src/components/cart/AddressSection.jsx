@@ -4,7 +4,6 @@ import { MapPin, ChevronRight } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../../hooks/useCart';
 import addressService from '../../api/services/addressService';
-import cartService from '../../api/services/cartService';
 import AddressSelectionModal from './AddressSelectionModal';
 import { useToast } from '../ui/toast';
 
@@ -15,7 +14,7 @@ import { useToast } from '../ui/toast';
  */
 const AddressSection = React.memo(({ cartState }) => {
   const navigate = useNavigate();
-  const { updateCartState, refreshCartData } = useCart();
+  const { updateCartState, changeCartAddress } = useCart();
   const [isAddressModalOpen, setIsAddressModalOpen] = useState(false);
   const [isAddressChanging, setIsAddressChanging] = useState(false);
   const [primaryAddress, setPrimaryAddress] = useState(null);
@@ -83,47 +82,33 @@ const AddressSection = React.memo(({ cartState }) => {
       return;
     }
 
-    try {
-      setIsAddressChanging(true);
+    setIsAddressChanging(true);
+    console.log('🛒 AddressSection: Changing cart address to:', selectedAddress);
 
-      console.log('🛒 AddressSection: Changing cart address to:', selectedAddress);
-
-      // Call change address API (matches Flutter changeCartAddress implementation)
-      const response = await cartService.updateCartAddress(selectedAddress.id);
-
-      if (response.success) {
-        console.log('✅ AddressSection: Cart address updated successfully');
-
-        // Refresh cart data to get updated address (matches Flutter RefreshCartDataEvent)
-        await refreshCartData();
-
-        // Close modal
-        setIsAddressModalOpen(false);
+    // The new address shows straight away; CartContext rolls back with a toast if the change fails
+    const update = changeCartAddress(selectedAddress);
+    setIsAddressModalOpen(false);
 
-        // Show success message (matches Flutter showToast)
-        showSuccess(response.message || 'Address updated successfully');
+    const result = await update;
+    setIsAddressChanging(false);
 
-        // Analytics tracking (matches Flutter analytics)
-        console.log('📊 AddressSection: Address change analytics:', {
-          new_address_id: selectedAddress.id,
-          cart_value: cartState.cartData?.totalPrice
-        });
-      } else {
-        throw new Error(response.message || 'Failed to update address');
-      }
-    } catch (error) {
-      console.error('❌ AddressSection: Failed to update address:', error);
-      showError(error.message || 'Failed to update address. Please try again.');
+    if (result.success) {
+      // Show success message (matches Flutter showToast)
+      showSuccess(result.message || 'Address updated successfully');
 
+      // Analytics tracking (matches Flutter analytics)
+      console.log('📊 AddressSection: Address change analytics:', {
+        new_address_id: selectedAddress.id,
+        cart_value: cartState.cartData?.totalPrice
+      });
+    } else {
       // Analytics tracking for failure
       console.log('📊 AddressSection: Address change failed:', {
-        error: error.message,
+        error: result.message,
         address_id: selectedAddress.id
       });
-    } finally {
-      setIsAddressChanging(false);
     }
-  }, [refreshCartData, showError, showSuccess, cartState.cartData?.totalPrice]);
+  }, [changeCartAddress, showError, showSuccess, cartState.cartData?.totalPrice]);
 
   // Handle add new address
   const handleAddNewAddress = React.useCallback(() => {
@@ -2,7 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { X, Check, Plus } from 'lucide-react';
 import addressService from '../../api/services/addressService';
+import serviceabilityService from '../../api/services/serviceabilityService';
 import { useToast } from '../ui/toast';
+import { useTranslation } from '../../hooks/useTranslation';
+import ServiceabilityBadge from '../location/ServiceabilityBadge';
 
 /**
  * Address Selection Modal Component
@@ -23,6 +26,7 @@ const AddressSelectionModal = ({
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState(null);
   const { showSuccess, showError } = useToast();
+  const { t } = useTranslation();
 
   // Fetch addresses when modal opens (matches Flutter FetchAddressBottomSheetEvent)
   useEffect(() => {
@@ -76,6 +80,10 @@ const AddressSelectionModal = ({
 
   // Handle address selection (matches Flutter SelectAddressEvent)
   const handleAddressSelect = (address) => {
+    if (!serviceabilityService.isBookable(address)) {
+      showError(t('serviceability.blocked'));
+      return;
+    }
     setSelectedAddress(address);
   };
 
@@ -213,6 +221,7 @@ const AddressSelectionModal = ({
                           <p className="text-sm text-gray-600 leading-relaxed">
                             {formatAddress(address)}
                           </p>
+                          <ServiceabilityBadge address={address} className="mt-1" />
                         </div>
                       </motion.div>
                     );
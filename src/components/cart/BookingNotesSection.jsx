@@ -1,6 +1,7 @@
 import React, { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { useCart } from '../../hooks/useCart';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Booking Notes Section Component
@@ -9,6 +10,7 @@ import { useCart } from '../../hooks/useCart';
  */
 const BookingNotesSection = ({ cartState }) => {
   const { updateCartState } = useCart();
+  const { t } = useTranslation();
   const [bookingNotes, setBookingNotes] = useState('');
   const [notesCharCount, setNotesCharCount] = useState(0);
 
@@ -62,7 +64,7 @@ const BookingNotesSection = ({ cartState }) => {
         <textarea
           value={bookingNotes}
           onChange={handleNotesChange}
-          placeholder="Booking notes for the Service Provider"
+          placeholder={t('cart.notesPlaceholder')}
           className="w-full h-24 bg-transparent border-none outline-none resize-none text-base text-gray-900 placeholder:text-gray-500 py-4"
           maxLength={MAX_CHAR_LIMIT}
           rows={4}
@@ -1,5 +1,6 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Cancellation Policy Section Component
@@ -7,6 +8,7 @@ import { motion } from 'framer-motion';
  * Shows compact cancellation policy text without Learn More link
  */
 const CancellationPolicySection = () => {
+  const { t } = useTranslation();
   // Check if cancellation policy should be shown (matches Flutter constant.SHOW_BOOKING_CANCEL_BUTTON)
   const showCancellationPolicy = import.meta.env.VITE_SHOW_BOOKING_CANCEL_BUTTON === 'true';
 
@@ -23,12 +25,12 @@ const CancellationPolicySection = () => {
       <div className="bg-gray-100 rounded-2xl p-6">
         {/* Cancellation Policy Title - matches Flutter AppText.semiBold16 */}
         <h3 className="text-base font-semibold text-gray-900 mb-4">
-          Cancellation Policy
+          {t('cart.cancellationTitle')}
         </h3>
 
         {/* Cancellation Policy Description - compact layout matching Flutter */}
         <p className="text-sm text-gray-600 leading-relaxed">
-          Free cancellations if done more than 3 hours before the service. If professional isn't assigned, a fee will be charged otherwise.
+          {t('cart.cancellationText')}
         </p>
       </div>
     </motion.div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { ArrowLeft } from 'lucide-react';
 import { motion } from 'framer-motion';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Cart Header Component
@@ -8,6 +9,8 @@ import { motion } from 'framer-motion';
  * Implements exact styling and behavior from Flutter app
  */
 const CartHeader = ({ onBack }) => {
+  const { t } = useTranslation();
+
   return (
     <motion.div
       className="bg-white shadow-sm border-b sticky top-0 z-40"
@@ -29,7 +32,7 @@ const CartHeader = ({ onBack }) => {
           </motion.button>
 
           {/* Title */}
-          <h1 className="text-lg font-semibold text-gray-900">Cart Summary</h1>
+          <h1 className="text-lg font-semibold text-gray-900">{t('cart.title')}</h1>
         </div>
       </div>
 
@@ -46,7 +49,7 @@ const CartHeader = ({ onBack }) => {
               >
                 <ArrowLeft className="h-5 w-5 text-gray-700" />
               </motion.button>
-              <h1 className="text-xl font-semibold text-gray-900">Cart Summary</h1>
+              <h1 className="text-xl font-semibold text-gray-900">{t('cart.title')}</h1>
             </div>
           </div>
         </div>
@@ -0,0 +1,46 @@
+import React from 'react';
+import { RefreshCw } from 'lucide-react';
+import { SectionStatus } from '../../types/cart';
+
+/**
+ * Cart Section State Component
+ * Loading skeleton or error-with-retry for one secondary cart section
+ * (frequently added, VIP plans, donation), styled like CartLoadingState.
+ * Renders nothing once the section has loaded.
+ */
+const CartSectionState = ({ sectionState, title, onRetry, itemCount = 3 }) => {
+  const status = sectionState?.status;
+
+  if (status === SectionStatus.LOADING) {
+    return (
+      <div className="mx-6 mb-6" aria-busy="true" aria-label={`Loading ${title}`}>
+        <div className="h-5 w-40 bg-gray-200 rounded animate-pulse mb-4" />
+        <div className="flex space-x-3 overflow-hidden">
+          {Array.from({ length: itemCount }, (_, index) => (
+            <div key={index} className="h-24 w-28 flex-shrink-0 bg-gray-200 rounded-lg animate-pulse" />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (status === SectionStatus.FAILURE) {
+    return (
+      <div className="mx-6 mb-6 flex items-center justify-between rounded-lg border border-gray-200 bg-white px-4 py-3">
+        <p className="text-sm text-gray-600">Couldn&apos;t load {title}</p>
+        <button
+          type="button"
+          onClick={onRetry}
+          className="flex items-center space-x-1 text-sm font-semibold text-orange-500 hover:text-orange-600"
+        >
+          <RefreshCw className="w-4 h-4" />
+          <span>Retry</span>
+        </button>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default CartSectionState;
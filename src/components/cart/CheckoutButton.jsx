@@ -7,6 +7,13 @@ import { useAuth } from '../../hooks/useAuth';
 import { calculatePaymentAmounts, formatCurrency, validateCartForCheckout } from '../../utils/paymentCalculations';
 import cartService from '../../api/services/cartService';
 import razorpayService from '../../api/services/razorpayService';
+import paymentRecoveryService from '../../api/services/paymentRecoveryService';
+import serviceabilityService, { SERVICEABILITY_STATUS } from '../../api/services/serviceabilityService';
+import { useTranslation } from '../../hooks/useTranslation';
+import { PAYMENT_JOURNAL_TYPE, resolvePendingPayment } from '../../utils/paymentJournal';
+import { collectJournalledPayment, PAYMENT_OUTCOME } from '../../utils/journalledPayment';
+import { trackFunnelStep } from '../../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
 import toast from 'react-hot-toast';
 
 /**
@@ -19,8 +26,9 @@ const CheckoutButton = ({ cartState }) => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { setCartStatus, refreshCartData } = useCart();
+  const { t } = useTranslation();
 
-  const { cartData, status } = cartState;
+  const { cartData, status, isSyncing } = cartState;
   const isProcessing = status === 'paymentProcessing' || status === 'cartLoading';
 
   // Don't render if no cart data
@@ -38,6 +46,14 @@ const CheckoutButton = ({ cartState }) => {
       return;
     }
 
+    // The cart's address may have been saved before we stopped serving its area
+    const serviceability = await serviceabilityService.checkAddress(cartData.delivery_address);
+    if (serviceability.data.status === SERVICEABILITY_STATUS.UNSERVICEABLE) {
+      console.error('❌ CheckoutButton: Delivery address is not serviceable');
+      toast.error(t('serviceability.blocked'));
+      return;
+    }
+
     try {
       console.log('🛒 CheckoutButton: Starting checkout process...');
       setCartStatus('cartLoading'); // Matches Flutter CartStatus.cartLoading
@@ -53,111 +69,171 @@ const CheckoutButton = ({ cartState }) => {
       const razorpayOrderId = availabilityResponse.orderOptions.id;
       console.log('🛒 CheckoutButton: Razorpay order created:', razorpayOrderId);
 
+      const checkoutData = buildCheckoutData();
+
       // Step 2: Set status to allow checkout (matches Flutter CartStatus.allowCheckout)
       setCartStatus('allowCheckout');
 
       // Step 3: Open Razorpay payment gateway (matches Flutter _razorpayService.openCheckout)
       console.log('🛒 CheckoutButton: Opening Razorpay checkout...');
+      trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PAYMENT_OPENED, {
+        amount: calculations.finalTotalAmount,
+        razorpay_order_id: razorpayOrderId
+      });
 
-      await razorpayService.openCheckout({
-        total: calculations.finalTotalAmount,
-        orderId: razorpayOrderId,
-        userDetails: {
-          mobile: user?.mobile || '',
-          email: user?.email || '',
-          name: `${user?.first_name || ''} ${user?.last_name || ''}`.trim()
-        },
-        onPaymentSuccess: async (paymentId) => {
-          console.log('🛒 CheckoutButton: Payment successful, processing checkout...', paymentId);
-          await handlePaymentSuccess(paymentId, razorpayOrderId);
+      // Journalled before the gateway opens so an interrupted payment can be
+      // reconciled on the next launch. A failed attempt leaves the checkout open
+      // for a retry; a dismissal is checked with the backend before it counts as unpaid.
+      const { outcome, paymentResponse, bookingId, message } = await collectJournalledPayment({
+        razorpayOrderId,
+        amount: calculations.finalTotalAmount,
+        type: PAYMENT_JOURNAL_TYPE.CHECKOUT,
+        checkoutData,
+        user,
+        onAttemptFailed: (attemptMessage) => {
+          console.error('🛒 CheckoutButton: Payment attempt failed:', attemptMessage);
+          trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CHECKOUT_FAILED, {
+            reason: attemptMessage,
+            razorpay_order_id: razorpayOrderId
+          });
+          toast.error(`${attemptMessage}. You can try again in the payment window.`);
         },
-        onPaymentError: async (error) => {
-          console.error('🛒 CheckoutButton: Payment failed:', error);
-          await handlePaymentError(error, razorpayOrderId);
+        onDismiss: () => {
+          trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PAYMENT_DISMISSED, { razorpay_order_id: razorpayOrderId });
         }
       });
 
+      if (outcome === PAYMENT_OUTCOME.PAID) {
+        console.log('🛒 CheckoutButton: Payment successful, processing checkout...', paymentResponse.razorpay_payment_id);
+        await handlePaymentSuccess(paymentResponse, razorpayOrderId, checkoutData);
+        return;
+      }
+
+      if (outcome === PAYMENT_OUTCOME.RECOVERED) {
+        // Paid after the checkout closed - the reconciler has already booked it
+        console.log('🛒 CheckoutButton: Payment completed after the checkout closed, booking confirmed');
+        handleBookingConfirmed({ orderId: razorpayOrderId, bookingId });
+        return;
+      }
+
+      console.error('🛒 CheckoutButton: Payment not completed:', message);
+
+      if (outcome === PAYMENT_OUTCOME.PENDING) {
+        // Still journalled - PaymentRecoveryHandler books it if the payment went through
+        setCartStatus('failure');
+        toast.error(message);
+        return;
+      }
+
+      if (outcome === PAYMENT_OUTCOME.FAILED) {
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CHECKOUT_FAILED, {
+          reason: message,
+          razorpay_order_id: razorpayOrderId
+        });
+        await handlePaymentError(razorpayOrderId, checkoutData);
+        return;
+      }
+
+      // Cancelled - the reconciler recorded the failed booking once the backend confirmed it
+      setCartStatus('failure');
+      toast.error('Payment failed. Please try again.');
+
     } catch (error) {
       console.error('🛒 CheckoutButton: Checkout failed:', error);
+      trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CHECKOUT_FAILED, { reason: error.message || 'checkout_failed' });
       setCartStatus('failure');
       toast.error(error.message || 'Failed to initiate payment');
     }
   };
 
+  // Prepare checkout data (matches Flutter CheckOutEvent parameters)
+  const buildCheckoutData = () => ({
+    total_amount: calculations.finalTotalAmount.toString(),
+    // Add other required fields from cartState
+    coupon_name: cartState.appliedCoupon?.couponCode || '',
+    tip_price: cartState.selectedTip || '0',
+    donation_price: cartState.selectedDonationTip || '0',
+    donation_id: cartState.donationData?.id || '',
+    donation_name: cartState.donationData?.name || '',
+    discount_amount: calculations.totalDiscountAmount?.toString() || '0',
+    partial_payment: cartState.partialPayment || '0',
+    remaining_payment: calculations.finalRemainingAmounts?.toString() || '0',
+    vip_id: cartState.selectedVipPlan?.id || '',
+    vip_price: cartState.selectedVipPlan?.price || '0',
+    wallet: cartState.isWalletEnabled ? 'true' : 'false',
+    notes: cartState.bookingNotes || ''
+  });
+
   // Handle payment success (matches Flutter onPaymentSuccess callback)
-  const handlePaymentSuccess = async (paymentId, razorpayOrderId) => {
+  const handlePaymentSuccess = async (paymentResponse, razorpayOrderId, checkoutData) => {
     try {
       setCartStatus('paymentProcessing'); // Matches Flutter CartStatus.paymentProcessing
 
-      // Prepare checkout data (matches Flutter CheckOutEvent parameters)
-      const checkoutData = {
-        razorpay_order_id: razorpayOrderId,
-        transaction_id: paymentId,
-        status: 'accepted', // Matches Flutter bookingStatus: 'accepted'
-        payment_status: 'paid', // Matches Flutter paymentStatus: 'paid'
-        total_amount: calculations.finalTotalAmount.toString(),
-        // Add other required fields from cartState
-        coupon_name: cartState.appliedCoupon?.couponCode || '',
-        tip_price: cartState.selectedTip || '0',
-        donation_price: cartState.selectedDonationTip || '0',
-        donation_id: cartState.donationData?.id || '',
-        donation_name: cartState.donationData?.name || '',
-        discount_amount: calculations.totalDiscountAmount?.toString() || '0',
-        partial_payment: cartState.partialPayment || '0',
-        remaining_payment: calculations.finalRemainingAmounts?.toString() || '0',
-        vip_id: cartState.selectedVipPlan?.id || '',
-        vip_price: cartState.selectedVipPlan?.price || '0',
-        wallet: cartState.isWalletEnabled ? 'true' : 'false',
-        notes: cartState.bookingNotes || ''
-      };
-
-      console.log('🛒 CheckoutButton: Processing checkout with data:', checkoutData);
+      if (!razorpayService.validatePaymentResponse(paymentResponse, razorpayOrderId)) {
+        throw new Error('Incomplete payment response from gateway');
+      }
+
+      // The backend verifies the Razorpay signature before confirming the booking
+      const paidCheckoutData = paymentRecoveryService.buildPaidCheckoutData(checkoutData, paymentResponse);
+      console.log('🛒 CheckoutButton: Processing checkout with data:', paidCheckoutData);
 
       // Call checkout API (matches Flutter checkOutFunction)
-      const checkoutResponse = await cartService.processCheckout(checkoutData);
+      const checkoutResponse = await cartService.processCheckout(paidCheckoutData);
 
       if (checkoutResponse.success) {
-        console.log('🛒 CheckoutButton: Checkout successful, navigating to success page...');
-        setCartStatus('paymentSuccessed'); // Matches Flutter CartStatus.paymentSuccessed
-
-        // Navigate to payment success page (matches Flutter navigation)
-        navigate('/payment-success', {
-          state: {
-            bookingData: {
-              paymentId,
-              orderId: razorpayOrderId,
-              totalAmount: calculations.finalTotalAmount,
-              bookingId: checkoutResponse.data?.booking_id
-            }
-          }
+        resolvePendingPayment(razorpayOrderId);
+        handleBookingConfirmed({
+          paymentId: paymentResponse.razorpay_payment_id,
+          orderId: razorpayOrderId,
+          bookingId: checkoutResponse.data?.booking_id
         });
       } else {
         throw new Error(checkoutResponse.message || 'Checkout failed');
       }
 
     } catch (error) {
+      // The journal entry stays so the booking is reconciled on the next launch
       console.error('🛒 CheckoutButton: Error processing successful payment:', error);
+      trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CHECKOUT_FAILED, {
+        reason: error.message || 'booking_confirmation_failed',
+        razorpay_order_id: razorpayOrderId
+      });
       setCartStatus('failure');
-      toast.error('Payment successful but booking failed. Please contact support.');
+      toast.error('Payment received but your booking is not confirmed yet. We will retry automatically - please do not pay again.');
     }
   };
 
-  // Handle payment error (matches Flutter onPaymentError callback)
-  const handlePaymentError = async (error, razorpayOrderId) => {
+  // Show the confirmed booking (matches Flutter navigation to the success page)
+  const handleBookingConfirmed = ({ paymentId = '', orderId, bookingId }) => {
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CHECKOUT_SUCCEEDED, {
+      amount: calculations.finalTotalAmount,
+      razorpay_order_id: orderId
+    });
+    console.log('🛒 CheckoutButton: Checkout successful, navigating to success page...');
+    setCartStatus('paymentSuccessed'); // Matches Flutter CartStatus.paymentSuccessed
+
+    navigate('/payment-success', {
+      state: {
+        bookingData: {
+          paymentId,
+          orderId,
+          totalAmount: calculations.finalTotalAmount,
+          bookingId
+        }
+      }
+    });
+  };
+
+  // Handle a checkout whose gateway never opened (matches Flutter onPaymentError callback).
+  // Nothing was charged, so the journal entry is already gone.
+  const handlePaymentError = async (razorpayOrderId, checkoutData) => {
     try {
-      console.log('🛒 CheckoutButton: Processing payment error...', error);
+      console.log('🛒 CheckoutButton: Processing unpaid checkout...', razorpayOrderId);
 
       // Call checkout API with failed status (matches Flutter error handling)
-      const checkoutData = {
-        razorpay_order_id: razorpayOrderId,
-        transaction_id: '',
-        status: 'initiated', // Matches Flutter bookingStatus: 'initiated'
-        payment_status: 'failed', // Matches Flutter paymentStatus: 'failed'
-        total_amount: calculations.finalTotalAmount.toString(),
-        notes: cartState.bookingNotes || ''
-      };
-
-      await cartService.processCheckout(checkoutData);
+      await cartService.processCheckout(
+        paymentRecoveryService.buildFailedCheckoutData(checkoutData, razorpayOrderId)
+      );
 
       setCartStatus('failure');
       toast.error('Payment failed. Please try again.');
@@ -176,8 +252,8 @@ const CheckoutButton = ({ cartState }) => {
         <div className="flex items-center justify-between p-4">
           {/* Left Side - "To Pay" Amount (matches Flutter left side) */}
           <div className="flex flex-col">
-            <p className="text-sm text-gray-600 font-medium">To Pay</p>
-            <p className="text-xl font-bold text-gray-900">
+            <p className="text-sm text-gray-600 font-medium">{t('cart.toPay')}</p>
+            <p className={`text-xl font-bold text-gray-900 ${isSyncing ? 'opacity-50' : ''}`}>
               {formatCurrency(calculations.finalTotalAmount)}
             </p>
           </div>
@@ -185,7 +261,7 @@ const CheckoutButton = ({ cartState }) => {
           {/* Right Side - Pay Now Button (matches Flutter AppElevatedButton.appButton) */}
           <motion.button
             onClick={handleCheckout}
-            disabled={isProcessing || !validation.isValid}
+            disabled={isProcessing || isSyncing || !validation.isValid}
             className="bg-orange-500 text-white py-3 px-6 rounded-lg font-semibold hover:bg-orange-600 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2 min-w-[120px] justify-center"
             whileHover={{ scale: isProcessing ? 1 : 1.02 }}
             whileTap={{ scale: isProcessing ? 1 : 0.98 }}
@@ -193,10 +269,10 @@ const CheckoutButton = ({ cartState }) => {
             {isProcessing ? (
               <>
                 <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent" />
-                <span className="text-sm">Processing...</span>
+                <span className="text-sm">{t('cart.processing')}</span>
               </>
             ) : (
-              <span className="text-sm font-semibold">Pay Now</span>
+              <span className="text-sm font-semibold">{t('cart.payNow')}</span>
             )}
           </motion.button>
         </div>
@@ -205,7 +281,7 @@ const CheckoutButton = ({ cartState }) => {
         <div className="px-4 pb-3">
           <p className="text-xs text-gray-500 text-center flex items-center justify-center space-x-1">
             <Lock className="h-3 w-3" />
-            <span>Secure payment powered by Razorpay</span>
+            <span>{t('cart.securePayment')}</span>
           </p>
 
           {/* Validation Error */}
@@ -218,7 +294,7 @@ const CheckoutButton = ({ cartState }) => {
           {/* Remaining Amount Info */}
           {calculations.finalRemainingAmounts > 0 && (
             <p className="text-xs text-gray-500 text-center mt-1">
-              + {formatCurrency(calculations.finalRemainingAmounts)} remaining
+              {t('cart.remaining', { amount: formatCurrency(calculations.finalRemainingAmounts) })}
             </p>
           )}
         </div>
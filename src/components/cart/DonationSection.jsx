@@ -1,6 +1,8 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { useCart } from '../../hooks/useCart';
+import { CartSections, SectionStatus } from '../../types/cart';
+import CartSectionState from './CartSectionState';
 
 /**
  * Donation Section Component
@@ -8,19 +10,35 @@ import { useCart } from '../../hooks/useCart';
  * Shows charity donation options with predefined amounts
  */
 const DonationSection = ({ cartState }) => {
-  const { selectDonationTip } = useCart();
+  const { selectDonationTip, retryCartSection } = useCart();
 
   const {
     donationData,
     selectedDonationTip,
-    status
+    status,
+    sections
   } = cartState;
+  const sectionState = sections?.[CartSections.DONATION];
 
   // Donation amounts (matches Flutter donationMoneyList)
   const donationAmounts = ['50', '100', '150', '250', '500'];
 
   const isLoading = status === 'cartLoading';
 
+  // Loading skeleton or retry until the first donation data arrives;
+  // a refetch keeps showing the options already loaded
+  if (!donationData &&
+      (sectionState?.status === SectionStatus.LOADING || sectionState?.status === SectionStatus.FAILURE)) {
+    return (
+      <CartSectionState
+        sectionState={sectionState}
+        title="donation options"
+        onRetry={() => retryCartSection(CartSections.DONATION)}
+        itemCount={5}
+      />
+    );
+  }
+
   // Don't render if no donation data (matches Flutter condition: if (state.donationData != null))
   if (!donationData) {
     return null;
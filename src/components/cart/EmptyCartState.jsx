@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { ShoppingCart, RefreshCw } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Empty Cart State Component
@@ -8,6 +9,8 @@ import { ShoppingCart, RefreshCw } from 'lucide-react';
  * Implements exact behavior from Flutter noCartDataFoundWidgetBuilder
  */
 const EmptyCartState = ({ isGuest, onLogin, onExplore, onRefresh }) => {
+  const { t } = useTranslation();
+
   return (
     <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
       <motion.div 
@@ -33,13 +36,10 @@ const EmptyCartState = ({ isGuest, onLogin, onExplore, onRefresh }) => {
           transition={{ delay: 0.3 }}
         >
           <h2 className="text-xl font-semibold text-gray-900 mb-2">
-            {isGuest ? 'Please Login' : 'No Service added to cart'}
+            {isGuest ? t('cart.guestTitle') : t('cart.emptyTitle')}
           </h2>
           <p className="text-gray-600 mb-6">
-            {isGuest
-              ? 'Login to view your cart and continue shopping'
-              : 'Add some services to get started'
-            }
+            {isGuest ? t('cart.guestMessage') : t('cart.emptyMessage')}
           </p>
         </motion.div>
 
@@ -57,7 +57,7 @@ const EmptyCartState = ({ isGuest, onLogin, onExplore, onRefresh }) => {
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
             >
-              Login
+              {t('cart.login')}
             </motion.button>
           ) : (
             <motion.button
@@ -66,7 +66,7 @@ const EmptyCartState = ({ isGuest, onLogin, onExplore, onRefresh }) => {
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
             >
-              Explore Services
+              {t('cart.explore')}
             </motion.button>
           )}
 
@@ -78,7 +78,7 @@ const EmptyCartState = ({ isGuest, onLogin, onExplore, onRefresh }) => {
             whileTap={{ scale: 0.98 }}
           >
             <RefreshCw className="h-4 w-4" />
-            <span>Refresh</span>
+            <span>{t('cart.refresh')}</span>
           </motion.button>
         </motion.div>
       </motion.div>
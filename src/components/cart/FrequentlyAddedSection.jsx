@@ -2,6 +2,8 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { useCart } from '../../hooks/useCart';
+import { CartSections, SectionStatus } from '../../types/cart';
+import CartSectionState from './CartSectionState';
 
 /**
  * Frequently Added Section Component
@@ -10,10 +12,11 @@ import { useCart } from '../../hooks/useCart';
  */
 const FrequentlyAddedSection = ({ cartState }) => {
   const navigate = useNavigate();
-  const { updateCartState } = useCart();
+  const { updateCartState, retryCartSection } = useCart();
   const [frequentServiceLoading, setFrequentServiceLoading] = useState({});
 
   const { frequentlyAddedServices } = cartState;
+  const sectionState = cartState.sections?.[CartSections.FREQUENTLY_ADDED];
 
   // Debug logging for frequently added services data
   React.useEffect(() => {
@@ -70,8 +73,22 @@ const FrequentlyAddedSection = ({ cartState }) => {
     }
   };
 
+  // Loading skeleton or retry until the first services arrive;
+  // a refetch keeps showing the services already loaded
+  const hasServices = frequentlyAddedServices?.length > 0;
+  if (!hasServices &&
+      (sectionState?.status === SectionStatus.LOADING || sectionState?.status === SectionStatus.FAILURE)) {
+    return (
+      <CartSectionState
+        sectionState={sectionState}
+        title="frequently added services"
+        onRetry={() => retryCartSection(CartSections.FREQUENTLY_ADDED)}
+      />
+    );
+  }
+
   // Don't render if no frequently added services
-  if (!frequentlyAddedServices || frequentlyAddedServices.length === 0) {
+  if (!hasServices) {
     console.log('🔄 FrequentlyAddedSection: No services data available');
     return null;
   }
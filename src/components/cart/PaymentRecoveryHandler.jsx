@@ -0,0 +1,81 @@
+import { useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuthContext } from '../../contexts/AuthContext';
+import { useVipContext } from '../../contexts/VipContext';
+import paymentRecoveryService, { RECOVERY_RESULT } from '../../api/services/paymentRecoveryService';
+import useWalletStore from '../../stores/walletStore';
+import { PAYMENT_JOURNAL_TYPE } from '../../utils/paymentJournal';
+
+/**
+ * PaymentRecoveryHandler Component
+ * Reconciles checkouts, balance payments, VIP purchases and wallet top-ups left in the
+ * pending-payment journal (e.g. the tab was closed between payment and
+ * booking) once the user is signed in, and again whenever the browser comes
+ * back online. Renders nothing.
+ */
+const PaymentRecoveryHandler = () => {
+  const { isAuthenticated, user } = useAuthContext();
+  const { fetchVipStatus } = useVipContext();
+  const reconciledUserRef = useRef(null);
+  const fetchVipStatusRef = useRef(fetchVipStatus);
+  fetchVipStatusRef.current = fetchVipStatus;
+  const userId = user?.id;
+
+  useEffect(() => {
+    // The journal is per user - reconciling without an id would pick up every user's entries
+    if (!isAuthenticated || !userId) {
+      reconciledUserRef.current = null;
+      return undefined;
+    }
+
+    const reconcile = async () => {
+      const results = await paymentRecoveryService.reconcilePendingPayments(userId);
+
+      const count = (result, type) => results.filter((item) => item.result === result && item.type === type).length;
+      const recovered = count(RECOVERY_RESULT.RECOVERED, PAYMENT_JOURNAL_TYPE.CHECKOUT);
+      const failed = count(RECOVERY_RESULT.FAILED, PAYMENT_JOURNAL_TYPE.CHECKOUT);
+      const balancesRecovered = count(RECOVERY_RESULT.RECOVERED, PAYMENT_JOURNAL_TYPE.BALANCE);
+
+      if (recovered > 0) {
+        toast.success(recovered === 1
+          ? 'Your booking from an interrupted payment has been confirmed'
+          : `${recovered} bookings from interrupted payments have been confirmed`);
+      }
+      if (failed > 0) {
+        toast.error('A previous payment was not completed, so no booking was made');
+      }
+      // Uncharged balance payments need no message - the booking still shows the balance as payable
+      if (balancesRecovered > 0) {
+        toast.success('Your remaining balance payment has been confirmed');
+      }
+      if (count(RECOVERY_RESULT.RECOVERED, PAYMENT_JOURNAL_TYPE.VIP) > 0) {
+        toast.success('Your VIP membership is now active');
+        fetchVipStatusRef.current();
+      }
+
+      const topUps = results.filter((item) => item.type === PAYMENT_JOURNAL_TYPE.WALLET_TOPUP);
+      topUps.forEach(({ result, razorpayOrderId }) => {
+        const { confirmTopUp, rollbackTopUp } = useWalletStore.getState();
+        if (result === RECOVERY_RESULT.RECOVERED) confirmTopUp(razorpayOrderId);
+        // Uncharged - drop the pending credit if this tab is still showing it
+        if (result === RECOVERY_RESULT.FAILED) rollbackTopUp(razorpayOrderId);
+      });
+      if (topUps.some((item) => item.result === RECOVERY_RESULT.RECOVERED)) {
+        toast.success('Money from an interrupted top-up has been added to your wallet');
+      }
+    };
+
+    // Once per signed-in user (guards against StrictMode double effects)
+    if (reconciledUserRef.current !== userId) {
+      reconciledUserRef.current = userId;
+      reconcile();
+    }
+
+    window.addEventListener('online', reconcile);
+    return () => window.removeEventListener('online', reconcile);
+  }, [isAuthenticated, userId]);
+
+  return null;
+};
+
+export default PaymentRecoveryHandler;
@@ -4,6 +4,7 @@ import { Wallet } from 'lucide-react';
 import { useCart } from '../../hooks/useCart';
 import { Switch } from '@/components/ui/switch';
 import { calculatePaymentAmounts } from '../../utils/paymentCalculations';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Payment Summary Section Component
@@ -12,6 +13,7 @@ import { calculatePaymentAmounts } from '../../utils/paymentCalculations';
  */
 const PaymentSummarySection = ({ cartState }) => {
   const { toggleWallet } = useCart();
+  const { t } = useTranslation();
 
   const {
     cartData,
@@ -25,7 +27,8 @@ const PaymentSummarySection = ({ cartState }) => {
     selectedVipPlan,
     noOfServicesItems,
     noOfPackageItems,
-    status
+    status,
+    isSyncing
   } = cartState;
 
   // Calculate standardized payment amounts (same as CheckoutButton)
@@ -220,7 +223,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
                 {/* Text - Bold 14px like Flutter AppText.bold14 */}
                 <span className="font-bold text-sm text-gray-900">
-                  Redeem EassyCash
+                  {t('cart.redeemWallet')}
                 </span>
 
                 {/* Expanded space like Flutter Expanded(child: Container()) */}
@@ -239,7 +242,7 @@ const PaymentSummarySection = ({ cartState }) => {
               {/* Redeemable Amount - Exact Flutter Padding */}
               <div style={{ paddingLeft: '32px' }}> {/* Exact Flutter: EdgeInsets.only(left: 32.w) */}
                 <div className="flex">
-                  <span className="text-sm text-gray-600">Redeemable Amount</span>
+                  <span className="text-sm text-gray-600">{t('cart.redeemableAmount')}</span>
                   <span className="text-sm text-gray-600"> : </span>
                   <span className="text-sm text-gray-600">{formatCurrency(cartData.user_wallet_amount || '0')}</span>
                 </div>
@@ -250,7 +253,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
         {/* Payment Summary Header */}
         <div className="mb-2.5">
-          <h3 className="font-bold text-base text-gray-900">Payment Summary</h3>
+          <h3 className="font-bold text-base text-gray-900">{t('cart.paymentSummary')}</h3>
         </div>
 
         {/* Divider */}
@@ -261,7 +264,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* Number of Services - MODIFIED: Show when >= 1 to match order details */}
           {noOfServicesItems >= 1 && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">Number of Services</span>
+              <span className="text-base text-gray-900">{t('cart.numberOfServices')}</span>
               <span className="text-base font-bold text-gray-900">{noOfServicesItems}</span>
             </div>
           )}
@@ -269,7 +272,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* Number of Packages - MODIFIED: Show when >= 1 to match order details */}
           {noOfPackageItems >= 1 && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">No. of Package</span>
+              <span className="text-base text-gray-900">{t('cart.numberOfPackages')}</span>
               <span className="text-base font-bold text-gray-900">{noOfPackageItems}</span>
             </div>
           )}
@@ -278,7 +281,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
           {/* 1. Item Total (excluding GST) - matches image "Item Total ₹499" */}
           <div className="flex justify-between">
-            <span className="text-base text-gray-900">Item Total</span>
+            <span className="text-base text-gray-900">{t('cart.itemTotal')}</span>
             <span className="text-base font-bold text-gray-900">
               {formatCurrency(itemTotalExcludingGST)}
             </span>
@@ -286,7 +289,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
           {/* 2. GST on Item Total - matches image "GST on Item Total ₹90" */}
           <div className="flex justify-between">
-            <span className="text-base text-gray-900">GST on Item Total</span>
+            <span className="text-base text-gray-900">{t('cart.gstOnItemTotal')}</span>
             <span className="text-base font-bold text-gray-900">
               {formatCurrency(gstOnItemTotal)}
             </span>
@@ -294,7 +297,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
           {/* 3. Convenience Fee - matches Flutter VIP logic (lines 1627-1628) */}
           <div className="flex justify-between">
-            <span className="text-base text-gray-900">Convenience Fee</span>
+            <span className="text-base text-gray-900">{t('cart.convenienceFee')}</span>
             <span className="text-base font-bold text-gray-900">
               {paymentType === 'vip'
                 ? formatCurrency(convenienceFeeExcludingGST)
@@ -305,7 +308,7 @@ const PaymentSummarySection = ({ cartState }) => {
 
           {/* 4. GST on Convenience Fee - matches image "GST on Convenience Fee ₹11" */}
           <div className="flex justify-between">
-            <span className="text-base text-gray-900">GST on Convenience Fee</span>
+            <span className="text-base text-gray-900">{t('cart.gstOnConvenienceFee')}</span>
             <span className="text-base font-bold text-gray-900">
               {formatCurrency(gstOnConvenienceFee)}
             </span>
@@ -315,7 +318,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {isCouponApplied && (
             <div className="flex justify-between">
               <div className="flex items-center space-x-1">
-                <span className="text-base text-gray-900">Discount</span>
+                <span className="text-base text-gray-900">{t('cart.discount')}</span>
                 <span className="text-base font-bold text-orange-500">({couponData?.couponCode})</span>
               </div>
               <span className="text-base font-bold text-gray-900">
@@ -327,7 +330,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* VIP Discount - matches Flutter (lines 1612-1614) */}
           {paymentType === 'vip' && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">Subscription Discount</span>
+              <span className="text-base text-gray-900">{t('cart.subscriptionDiscount')}</span>
               <span className="text-base font-bold text-gray-900">
                 - {formatCurrency(cartData.viplifediscount || cartData.vip_discount_amount || '0')}
               </span>
@@ -337,7 +340,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* VIP Plan Amount - matches Flutter (lines 1616-1618) */}
           {paymentType === 'vip' && selectedVipPlan && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">Subscription Fee</span>
+              <span className="text-base text-gray-900">{t('cart.subscriptionFee')}</span>
               <span className="text-base font-bold text-gray-900">
                 {formatCurrency(cartData.vip_plan || selectedVipPlan?.price || '0')}
               </span>
@@ -357,7 +360,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* Tip - matches Flutter (lines 1636-1638) */}
           {selectedTip !== '0' && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">Tip your service partner</span>
+              <span className="text-base text-gray-900">{t('cart.tipTitle')}</span>
               <span className="text-base font-bold text-gray-900">
                 + {formatCurrency(selectedTip)}
               </span>
@@ -367,7 +370,7 @@ const PaymentSummarySection = ({ cartState }) => {
           {/* Wallet Deduction - when wallet is enabled (NOT for VIP payments) */}
           {isWalletEnabled && paymentType !== 'vip' && cartData.user_wallet_amount && parseFloat(cartData.user_wallet_amount) > 0 && (
             <div className="flex justify-between">
-              <span className="text-base text-gray-900">EassyCash Deduction</span>
+              <span className="text-base text-gray-900">{t('cart.walletDeduction')}</span>
               <span className="text-base font-bold text-green-600">
                 - {formatCurrency(Math.min(parseFloat(cartData.user_wallet_amount), finalTotalAmount))}
               </span>
@@ -382,8 +385,12 @@ const PaymentSummarySection = ({ cartState }) => {
 
         {/* Grand Total - uses standardized calculation (same as CheckoutButton "To Pay") */}
         <div className="flex justify-between items-center">
-          <span className="font-bold text-base text-gray-900">Grand Total</span>
-          <span className="font-bold text-base text-gray-900">
+          <span className="font-bold text-base text-gray-900">{t('cart.grandTotal')}</span>
+          {/* Cart edits still syncing - the total is an estimate until the server re-prices the cart */}
+          <span className={`font-bold text-base text-gray-900 flex items-center ${isSyncing ? 'opacity-50' : ''}`}>
+            {isSyncing && (
+              <span className="animate-spin rounded-full h-3 w-3 border-2 border-orange-500 border-t-transparent mr-2" />
+            )}
             {formatCurrency(standardizedCalculations.finalTotalAmount)}
           </span>
         </div>
@@ -395,14 +402,14 @@ const PaymentSummarySection = ({ cartState }) => {
               {(() => {
                 // Match Flutter savings message logic exactly (lines 1651-1653)
                 if (paymentType === 'partial') {
-                  return `Balance payable ${formatCurrency(cartState.remainingPrice || '0')} before service`;
+                  return t('cart.balancePayable', { amount: formatCurrency(cartState.remainingPrice || '0') });
                 } else {
                   // Calculate savings amount - matches Flutter finalTotalDiscountAmount
                   const savingsAmount = isCouponApplied
                     ? parseFloat(cartData.total_discount || '0') - parseFloat(couponData?.itemDiscountAmount || '0')
                     : parseFloat(cartData.total_discount || '0') - parseFloat(cartData.total_price || '0');
 
-                  return `Hurray ! You saved ${formatCurrency(Math.abs(savingsAmount))} on final bill`;
+                  return t('cart.saved', { amount: formatCurrency(Math.abs(savingsAmount)) });
                 }
               })()}
             </span>
@@ -2,10 +2,10 @@ import React, { useState } from 'react';
 import { motion } from 'framer-motion';
 import { Calendar, Clock, User, Star, X } from 'lucide-react';
 import { useCart } from '../../hooks/useCart';
-import cartService from '../../api/services/cartService';
 import { formatCurrency } from '../../utils/paymentCalculations';
 import { formatDateTime } from '../../utils/dateUtils';
 import DateTimeEditModal from './DateTimeEditModal';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Selected Services Section Component
@@ -13,10 +13,10 @@ import DateTimeEditModal from './DateTimeEditModal';
  * Shows selected services and packages with edit/delete functionality
  */
 const SelectedServicesSection = ({ cartState }) => {
-  const { refreshCartData, setCartStatus } = useCart();
+  const { removeCartItem } = useCart();
+  const { t } = useTranslation();
   const [selectedService, setSelectedService] = useState(null);
   const [isServiceOptionsOpen, setIsServiceOptionsOpen] = useState(false);
-  const [serviceLoadingStates, setServiceLoadingStates] = useState({});
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
 
@@ -34,43 +34,11 @@ const SelectedServicesSection = ({ cartState }) => {
   };
 
   // Handle service removal (matches Flutter DeleteCartItemEvent exactly)
-  const handleRemoveService = async (service, index) => {
-    try {
-      console.log('🗑️ Removing service:', service.id, 'at index:', index);
-
-      // Set loading state for specific service (matches Flutter deleteLoading with index)
-      setServiceLoadingStates(prev => ({
-        ...prev,
-        [service.id]: true
-      }));
-      setCartStatus('deleteLoading');
-
-      // Call delete API (matches Flutter apiValue.deleteCartItem)
-      const response = await cartService.removeFromCart(service.id);
-
-      if (response.success) {
-        console.log('✅ Service removed successfully');
-
-        // Refresh cart data (matches Flutter RefreshCartDataEvent)
-        await refreshCartData();
-
-        // Close modal
-        setIsDeleteModalOpen(false);
-      } else {
-        throw new Error(response.message || 'Failed to remove service');
-      }
-
-    } catch (error) {
-      console.error('❌ Failed to remove service:', error);
-      // TODO: Show error toast
-    } finally {
-      // Reset loading state
-      setServiceLoadingStates(prev => ({
-        ...prev,
-        [service.id]: false
-      }));
-      setCartStatus('success');
-    }
+  // The item leaves the list straight away; CartContext restores it with a toast if the delete fails
+  const handleRemoveService = (service, index) => {
+    console.log('🗑️ Removing service:', service.id, 'at index:', index);
+    setIsDeleteModalOpen(false);
+    removeCartItem(service.id);
   };
 
   // Handle edit service (matches Flutter DateAndTimeBottomSheet)
@@ -136,7 +104,6 @@ const SelectedServicesSection = ({ cartState }) => {
     const providerName = `${service.ratecard?.provider?.first_name || ''} ${service.ratecard?.provider?.last_name || ''}`.trim();
     const totalPrice = formatCurrency(service.ratecard?.price || '0');
     const discountPrice = formatCurrency(service.ratecard?.strike_price || '0');
-    const isLoading = serviceLoadingStates[service.id] || false;
 
     // Calculate discount percentage (matches Flutter logic)
     const totalPriceNum = parseFloat(totalPrice);
@@ -222,23 +189,17 @@ const SelectedServicesSection = ({ cartState }) => {
 
           {/* Delete Button - Top Right (matches Flutter deleteForever icon 25x25) */}
           <div className="flex-shrink-0 ml-4">
-            {isLoading ? (
-              <div className="w-[25px] h-[25px] flex items-center justify-center">
-                <div className="animate-spin rounded-full h-4 w-4 border-2 border-orange-500 border-t-transparent" />
-              </div>
-            ) : (
-              <motion.button
-                onClick={() => handleServiceOptions(service, index)}
-                className="w-[25px] h-[25px] flex items-center justify-center hover:bg-gray-100 rounded transition-colors"
-                whileHover={{ scale: 1.05 }}
-                whileTap={{ scale: 0.95 }}
-              >
-                {/* Delete Forever Icon - matches Flutter appAssets.deleteForever */}
-                <svg className="w-[18px] h-[18px] text-gray-700" viewBox="0 0 24 24" fill="currentColor">
-                  <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
-                </svg>
-              </motion.button>
-            )}
+            <motion.button
+              onClick={() => handleServiceOptions(service, index)}
+              className="w-[25px] h-[25px] flex items-center justify-center hover:bg-gray-100 rounded transition-colors"
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+            >
+              {/* Delete Forever Icon - matches Flutter appAssets.deleteForever */}
+              <svg className="w-[18px] h-[18px] text-gray-700" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
+              </svg>
+            </motion.button>
           </div>
         </div>
 
@@ -374,7 +335,10 @@ const SelectedServicesSection = ({ cartState }) => {
         {serviceList.length > 0 && (
           <div>
             <h3 className="text-base font-semibold text-gray-900 mb-3 px-2">
-              Selected Services
+              {t('cart.selectedServices')}
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                {t('cart.itemCount', { count: serviceList.length })}
+              </span>
             </h3>
             <div className="space-y-3">
               {serviceList.map((service, index) => renderServiceItem(service, index))}
@@ -393,7 +357,10 @@ const SelectedServicesSection = ({ cartState }) => {
         {packageList.length > 0 && (
           <div>
             <h3 className="text-base font-semibold text-gray-900 mb-3 px-2">
-              Selected Packages
+              {t('cart.selectedPackages')}
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                {t('cart.itemCount', { count: packageList.length })}
+              </span>
             </h3>
             <div className="space-y-3">
               {packageList.map((packageItem, index) => (
@@ -471,14 +438,9 @@ const SelectedServicesSection = ({ cartState }) => {
               </button>
               <button
                 onClick={() => handleRemoveService(selectedService, selectedService.index)}
-                disabled={serviceLoadingStates[selectedService.id]}
-                className="flex-1 px-4 py-2 text-white bg-orange-500 rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center"
+                className="flex-1 px-4 py-2 text-white bg-orange-500 rounded-lg hover:bg-orange-600 transition-colors flex items-center justify-center"
               >
-                {serviceLoadingStates[selectedService.id] ? (
-                  <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent" />
-                ) : (
-                  'Remove'
-                )}
+                Remove
               </button>
             </div>
           </motion.div>
@@ -490,7 +452,6 @@ const SelectedServicesSection = ({ cartState }) => {
         isOpen={isEditModalOpen}
         onClose={() => setIsEditModalOpen(false)}
         service={selectedService}
-        onSuccess={refreshCartData}
       />
     </>
   );
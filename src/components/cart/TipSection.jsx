@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { useCart } from '../../hooks/useCart';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * Tip Section Component
@@ -9,6 +10,7 @@ import { useCart } from '../../hooks/useCart';
  */
 const TipSection = ({ cartState }) => {
   const { selectTip } = useCart();
+  const { t } = useTranslation();
 
   const {
     cartData,
@@ -81,7 +83,7 @@ const TipSection = ({ cartState }) => {
         {/* Header Row - matches Flutter Row with MainAxisAlignment.spaceBetween */}
         <div className="flex justify-between items-center mb-4">
           <h3 className="text-base font-semibold text-gray-900">
-            Tip your service partner
+            {t('cart.tipTitle')}
           </h3>
           <p className="text-base font-semibold text-gray-900">
             ₹{selectedTip || '0'}
@@ -91,8 +93,7 @@ const TipSection = ({ cartState }) => {
         {/* Description Text - matches Flutter RichText */}
         <div className="mb-4">
           <p className="text-gray-600 text-sm leading-relaxed text-left">
-            <span>They work tirelessly for our happiness. </span>
-            <span>100% of your tip will be transferred to them</span>
+            {t('cart.tipDescription')}
           </p>
         </div>
 
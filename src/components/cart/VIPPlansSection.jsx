@@ -1,5 +1,11 @@
+import { useEffect, useRef } from 'react';
 import { useCart } from '../../hooks/useCart';
+import { CartSections, SectionStatus } from '../../types/cart';
+import CartSectionState from './CartSectionState';
 import { useAuth } from '../../hooks/useAuth';
+import { useAuthContext } from '../../contexts/AuthContext';
+import { trackFunnelStep } from '../../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
 
 /**
  * VIP Plans Section Component - Real API Implementation
@@ -26,13 +32,29 @@ import { useAuth } from '../../hooks/useAuth';
  * - status: boolean (0=inactive, 1=active)
  */
 const VIPPlansSection = ({ cartState }) => {
-  const { selectVipPlan, cartState: hookCartState } = useCart(); // Get both actions and state from hook
+  const { selectVipPlan, retryCartSection, cartState: hookCartState } = useCart(); // Get both actions and state from hook
   const { user } = useAuth();
+  const { isVipMember } = useAuthContext();
+  // VipContext keeps isVipMember in sync with the backend, so a VIP purchase hides the section right away
+  const isVipSubscriber = isVipMember || Boolean(user?.isVipSubscriber);
 
   // Get vipPlans from props but selectedVipPlan from hook for real-time updates
   const { vipPlans } = cartState;
   const { selectedVipPlan } = hookCartState;
 
+  // A plan picked here is redundant once a VIP purchase activates - drop it so the cart reprices
+  const clearedVipPlanRef = useRef(false);
+  useEffect(() => {
+    if (!isVipSubscriber) {
+      clearedVipPlanRef.current = false;
+      return;
+    }
+    if (selectedVipPlan && !clearedVipPlanRef.current) {
+      clearedVipPlanRef.current = true;
+      selectVipPlan(null);
+    }
+  }, [isVipSubscriber, selectedVipPlan, selectVipPlan]);
+
   // Debug logging - using mixed data sources (vipPlans from props, selectedVipPlan from hook)
   console.log('🔄 VIPPlansSection: Rendering with mixed data sources:', {
     vipPlans,
@@ -41,7 +63,7 @@ const VIPPlansSection = ({ cartState }) => {
     vipPlansArray: Array.isArray(vipPlans),
     selectedVipPlan,
     selectedVipPlanId: selectedVipPlan?.id,
-    userVipStatus: user?.isVipSubscriber,
+    userVipStatus: isVipSubscriber,
 
     propsCartStateKeys: Object.keys(cartState),
     hookCartStateKeys: Object.keys(hookCartState),
@@ -62,10 +84,12 @@ const VIPPlansSection = ({ cartState }) => {
         // Deselect if already selected - matches Flutter logic
         console.log('🔄 VIPPlansSection: Deselecting plan');
         await selectVipPlan(null);
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_VIP_SELECTED, { vip_plan_id: plan.id, selected: false });
       } else {
         // Select new plan
         console.log('🔄 VIPPlansSection: Selecting new plan');
         await selectVipPlan(plan);
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_VIP_SELECTED, { vip_plan_id: plan.id, selected: true });
       }
     } catch (error) {
       console.error('❌ VIPPlansSection: Failed to select VIP plan:', error);
@@ -78,6 +102,19 @@ const VIPPlansSection = ({ cartState }) => {
     return null;
   }
 
+  // Loading skeleton or retry until the first plans arrive (not for VIP subscribers)
+  const sectionState = cartState.sections?.[CartSections.VIP_PLANS];
+  if (!isVipSubscriber && !vipPlans?.length &&
+      (sectionState?.status === SectionStatus.LOADING || sectionState?.status === SectionStatus.FAILURE)) {
+    return (
+      <CartSectionState
+        sectionState={sectionState}
+        title="VIP plans"
+        onRetry={() => retryCartSection(CartSections.VIP_PLANS)}
+      />
+    );
+  }
+
   // Don't render if no VIP plans available
   if (!vipPlans || vipPlans.length === 0) {
     console.log('🔄 VIPPlansSection: Not rendering - No VIP plans available');
@@ -86,7 +123,7 @@ const VIPPlansSection = ({ cartState }) => {
 
   // Don't render if user is already VIP subscriber
   // Matches Flutter: if (state.vipPlans.isNotEmpty && !constant.vipSubscriptionsStatus)
-  if (user?.isVipSubscriber) {
+  if (isVipSubscriber) {
     console.log('🔄 VIPPlansSection: Not rendering - User is VIP subscriber');
     return null;
   }
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import analyticsService from '../../api/services/analyticsService';
+import { useTranslation } from '../../hooks/useTranslation';
+import { FEATURE_FLAGS } from '../../utils/env';
+
+/**
+ * AnalyticsConsentBanner Component
+ * Asks once whether usage analytics may be collected; events are held until answered
+ */
+const AnalyticsConsentBanner = () => {
+  const { t } = useTranslation();
+  const [visible, setVisible] = useState(
+    () => FEATURE_FLAGS.ENABLE_ANALYTICS && !analyticsService.hasConsentDecision()
+  );
+
+  if (!visible) {
+    return null;
+  }
+
+  const handleChoice = (granted) => {
+    analyticsService.setConsent(granted);
+    setVisible(false);
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-label={t('consent.title')}
+      className="fixed bottom-20 md:bottom-6 left-1/2 -translate-x-1/2 z-[55] w-[calc(100%-2rem)] max-w-lg"
+    >
+      <div className="bg-white border border-gray-200 rounded-xl shadow-lg px-4 py-3">
+        <div className="flex items-start gap-3">
+          <BarChart3 className="w-5 h-5 text-orange-500 flex-shrink-0 mt-0.5" />
+          <div className="flex-1">
+            <p className="text-sm font-medium text-gray-900">{t('consent.title')}</p>
+            <p className="text-xs text-gray-600 mt-1">{t('consent.description')}</p>
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 mt-3">
+          <button
+            onClick={() => handleChoice(false)}
+            className="px-3 py-1.5 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-100 transition-colors duration-200"
+          >
+            {t('consent.decline')}
+          </button>
+          <button
+            onClick={() => handleChoice(true)}
+            className="px-3 py-1.5 rounded-lg bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium transition-colors duration-200"
+          >
+            {t('consent.accept')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsConsentBanner;
@@ -0,0 +1,68 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { Activity, X } from 'lucide-react';
+import { getFunnelLog, subscribeFunnelLog } from '../../analytics/funnel';
+import { FEATURE_FLAGS } from '../../utils/env';
+
+const formatStepTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-GB');
+
+/**
+ * FunnelInspector Component
+ * Development-only panel listing the booking funnel steps recorded in this tab
+ */
+const FunnelInspectorPanel = () => {
+  const [open, setOpen] = useState(false);
+  const log = useSyncExternalStore(subscribeFunnelLog, getFunnelLog);
+  const sessionId = log[log.length - 1]?.properties.funnel_session_id;
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        aria-label="Open booking funnel inspector"
+        className="fixed bottom-24 right-4 z-[60] flex items-center gap-1 px-3 py-2 rounded-full bg-gray-900 text-white text-xs shadow-lg"
+      >
+        <Activity className="w-4 h-4" />
+        <span>{log.length}</span>
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed bottom-24 right-4 z-[60] w-80 max-h-96 flex flex-col bg-gray-900 text-gray-100 rounded-xl shadow-2xl text-xs">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <div>
+          <p className="font-semibold">Booking funnel</p>
+          <p className="text-gray-400 truncate w-60">{sessionId || 'No active session'}</p>
+        </div>
+        <button onClick={() => setOpen(false)} aria-label="Close booking funnel inspector">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      <ol className="overflow-y-auto px-3 py-2 space-y-2">
+        {log.length === 0 && <li className="text-gray-400">No steps recorded yet</li>}
+        {log.map((entry, index) => {
+          // The session id is shown in the header already
+          const { funnel_session_id: _sessionId, ...properties } = entry.properties;
+          return (
+            <li key={`${entry.timestamp}-${index}`}>
+              <div className="flex justify-between">
+                <span className="font-medium text-orange-300">{entry.step.replace('funnel_', '')}</span>
+                <span className="text-gray-500">{formatStepTime(entry.timestamp)}</span>
+              </div>
+              <pre className="whitespace-pre-wrap break-all text-gray-300">{JSON.stringify(properties)}</pre>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+const FunnelInspector = () => {
+  if (!import.meta.env.DEV || !FEATURE_FLAGS.ENABLE_DEV_TOOLS) {
+    return null;
+  }
+  return <FunnelInspectorPanel />;
+};
+
+export default FunnelInspector;
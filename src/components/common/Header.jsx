@@ -1,12 +1,14 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
-import { Search, MapPin, Star, Phone, ShoppingCart, User, Settings, LogOut, ChevronDown } from 'lucide-react';
+import { MapPin, Star, Phone, ShoppingCart, User, Settings, LogOut, ChevronDown } from 'lucide-react';
 import { Button } from '../ui/button';
-import { Input } from '../ui/input';
+import { SearchBox } from '../search';
 import { useAuthContext } from '../../contexts/AuthContext';
 import { useAddressContext } from '../../contexts/AddressContext';
 import { useSettings } from '../../contexts/SettingsContext';
+import { useTranslation } from '../../hooks/useTranslation';
+import ServiceabilityBadge from '../location/ServiceabilityBadge';
 
 import logoImg from '../../assets/images/eassylife_logo.png';
 
@@ -15,8 +17,9 @@ const Header = ({
   isAuthenticated: propIsAuthenticated = null, // Allow override from props
 }) => {
   const navigate = useNavigate();
-  const { user, logout } = useAuthContext();
+  const { user, logout, isVipMember } = useAuthContext();
   const {
+    primaryAddress,
     getDisplayAddress,
     getShortDisplayAddress
   } = useAddressContext();
@@ -25,6 +28,7 @@ const Header = ({
     initiateCall,
     hasPhoneNumber
   } = useSettings();
+  const { t } = useTranslation();
 
   // Header state
   const [activeTab, setActiveTab] = useState(currentPage === 'other' ? 'home' : currentPage);
@@ -46,7 +50,8 @@ const Header = ({
 
   // Use prop override or context authentication state
   const isAuthenticated = propIsAuthenticated !== null ? propIsAuthenticated : !!user;
-  const isVIPMember = user?.isVIP || false;
+  // VipContext keeps isVipMember in sync with the backend, so this updates as soon as a purchase activates
+  const isVIPMember = isVipMember || user?.isVIP || false;
 
 
 
@@ -159,7 +164,7 @@ const Header = ({
                       : 'text-gray-700 hover:text-palette-orange'
                   }`}
                 >
-                  <span className="text-base font-medium">Home</span>
+                  <span className="text-base font-medium">{t('common.home')}</span>
                   {/* Active underline */}
                   <div className={`absolute bottom-0 left-0 right-0 h-0.5 bg-palette-orange transition-all duration-300 ${
                     activeTab === 'home' ? 'opacity-100' : 'opacity-0'
@@ -181,7 +186,7 @@ const Header = ({
                       : 'text-gray-700 hover:text-palette-orange'
                   }`}
                 >
-                  <span className="text-base font-medium">My Orders</span>
+                  <span className="text-base font-medium">{t('common.myOrders')}</span>
                   {/* Active underline */}
                   <div className={`absolute bottom-0 left-0 right-0 h-0.5 bg-palette-orange transition-all duration-300 ${
                     activeTab === 'orders' ? 'opacity-100' : 'opacity-0'
@@ -208,6 +213,7 @@ const Header = ({
                       <p className="text-xs text-gray-600 truncate max-w-[200px]" title={getDisplayAddress()}>
                         {getDisplayAddress()}
                       </p>
+                      <ServiceabilityBadge address={primaryAddress} />
                     </div>
                   </Button>
                 </div>
@@ -215,14 +221,7 @@ const Header = ({
 
               {/* Search Bar - Only show on home page */}
               {shouldShowSearchBar && (
-                <div className="relative flex-1">
-                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 z-10" />
-                  <Input
-                    type="text"
-                    placeholder="Search for services..."
-                    className="pl-10 pr-4 py-2 w-full border-gray-300 rounded-lg focus:border-palette-orange focus:ring-palette-orange"
-                  />
-                </div>
+                <SearchBox className="flex-1" placeholder="Search for services..." />
               )}
               </div>
             )}
@@ -247,7 +246,7 @@ const Header = ({
                   <div className="w-5 h-5 bg-white bg-opacity-25 rounded-full flex items-center justify-center relative z-10 transition-all duration-600 ease-in-out group-hover:bg-opacity-35 shadow-md">
                     <Star className="w-3 h-3 text-white fill-white transition-all duration-600 ease-in-out group-hover:scale-110 drop-shadow-sm" />
                   </div>
-                  <span className="text-sm font-bold relative z-10 transition-all duration-600 ease-in-out">Join VIP</span>
+                  <span className="text-sm font-bold relative z-10 transition-all duration-600 ease-in-out">{t('common.joinVip')}</span>
                 </Button>
               )}
 
@@ -276,7 +275,7 @@ const Header = ({
                 className="flex flex-col items-center py-2 px-3 h-auto transition-colors duration-300 text-gray-600 hover:text-palette-orange hover:bg-transparent"
               >
                 <ShoppingCart className="w-5 h-5 mb-1" />
-                <span className="text-sm font-medium hidden sm:block">Cart</span>
+                <span className="text-sm font-medium hidden sm:block">{t('common.cart')}</span>
               </Button>
 
               {/* Profile Button with Dropdown */}
@@ -308,7 +307,7 @@ const Header = ({
                         className="w-full justify-start px-4 py-2 text-gray-700 hover:bg-gray-50 hover:text-palette-orange transition-colors duration-300"
                       >
                         <User className="w-4 h-4 mr-3" />
-                        Profile
+                        {t('common.profile')}
                       </Button>
                       <Button
                         variant="ghost"
@@ -316,7 +315,7 @@ const Header = ({
                         className="w-full justify-start px-4 py-2 text-gray-700 hover:bg-gray-50 hover:text-palette-orange transition-colors duration-300"
                       >
                         <Settings className="w-4 h-4 mr-3" />
-                        Settings
+                        {t('common.settings')}
                       </Button>
                       <Button
                         variant="ghost"
@@ -324,7 +323,7 @@ const Header = ({
                         className="w-full justify-start px-4 py-2 text-gray-700 hover:bg-gray-50 hover:text-red-600 transition-colors duration-300"
                       >
                         <LogOut className="w-4 h-4 mr-3" />
-                        Logout
+                        {t('common.logout')}
                       </Button>
                     </motion.div>
                   )}
@@ -352,7 +351,7 @@ const Header = ({
                     : 'text-gray-700 hover:text-palette-orange'
                 }`}
               >
-                <span className="text-base font-medium">Home</span>
+                <span className="text-base font-medium">{t('common.home')}</span>
                 {/* Active underline */}
                 <div className={`absolute bottom-0 left-0 right-0 h-0.5 bg-palette-orange transition-all duration-300 ${
                   activeTab === 'home' ? 'opacity-100' : 'opacity-0'
@@ -374,7 +373,7 @@ const Header = ({
                     : 'text-gray-700 hover:text-palette-orange'
                 }`}
               >
-                <span className="text-base font-medium">My Orders</span>
+                <span className="text-base font-medium">{t('common.myOrders')}</span>
                 {/* Active underline */}
                 <div className={`absolute bottom-0 left-0 right-0 h-0.5 bg-palette-orange transition-all duration-300 ${
                   activeTab === 'orders' ? 'opacity-100' : 'opacity-0'
@@ -404,20 +403,14 @@ const Header = ({
                     <p className="text-sm text-gray-500 truncate" title={getDisplayAddress()}>
                       {getShortDisplayAddress()}
                     </p>
+                    <ServiceabilityBadge address={primaryAddress} />
                   </div>
                 </Button>
               )}
 
               {/* Mobile Search Bar - Only show on home page */}
               {shouldShowSearchBar && (
-                <div className="relative flex-1">
-                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 z-10" />
-                  <Input
-                    type="text"
-                    placeholder="Search..."
-                    className="pl-10 pr-4 py-2 w-full border-gray-300 rounded-lg focus:border-palette-orange focus:ring-palette-orange"
-                  />
-                </div>
+                <SearchBox className="flex-1" placeholder="Search..." />
               )}
             </div>
 
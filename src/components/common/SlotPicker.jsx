@@ -0,0 +1,121 @@
+import React from 'react';
+import { Calendar, Clock } from 'lucide-react';
+import { isSameDay } from '../../api/services/dateTimeService';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * SlotPicker Component
+ * Date strip and hourly slot grid driven by useTimeSlots
+ * Used by the cart date/time editor and order rescheduling so both offer the same slots
+ */
+const SlotPicker = ({
+  dates = [],
+  slots = [],
+  selectedDate,
+  selectedSlot,
+  onDateSelect,
+  onSlotSelect,
+  loading = false,
+  error = null,
+  className = ''
+}) => {
+  const { t, formatDate } = useTranslation();
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-orange-500 border-t-transparent"></div>
+        <span className="ml-3 text-gray-600">{t('slots.loading')}</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+        <p className="text-red-600 text-sm">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      {/* Date Strip */}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          <Calendar className="inline w-4 h-4 mr-1" />
+          {t('slots.selectDate')}
+        </label>
+        {dates.length > 0 ? (
+          <div className="flex gap-2 overflow-x-auto pb-2" role="listbox" aria-label={t('slots.availableDates')}>
+            {dates.map((date) => {
+              const isSelected = isSameDay(date, selectedDate);
+              return (
+                <button
+                  key={date.toDateString()}
+                  type="button"
+                  role="option"
+                  aria-selected={isSelected}
+                  onClick={() => onDateSelect(date)}
+                  className={`flex-shrink-0 w-16 py-2 rounded-lg border text-center transition-colors duration-200 ${
+                    isSelected
+                      ? 'border-orange-500 bg-orange-50 text-orange-700'
+                      : 'border-gray-300 text-gray-700 hover:border-orange-300 hover:bg-orange-50'
+                  }`}
+                >
+                  <span className="block text-xs">
+                    {formatDate(date, { weekday: 'short' })}
+                  </span>
+                  <span className="block text-lg font-semibold">{date.getDate()}</span>
+                  <span className="block text-xs">
+                    {formatDate(date, { month: 'short' })}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">{t('slots.noDates')}</p>
+        )}
+      </div>
+
+      {/* Time Slots */}
+      {selectedDate && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            <Clock className="inline w-4 h-4 mr-1" />
+            {t('slots.selectTime')}
+          </label>
+          {slots.some((slot) => slot.available) ? (
+            <div className="grid grid-cols-2 gap-2 max-h-48 overflow-y-auto">
+              {slots.map((slot) => {
+                const isSelected = selectedSlot?.timeFrom === slot.timeFrom && selectedSlot?.timeTo === slot.timeTo;
+                return (
+                  <button
+                    key={`${slot.timeFrom}-${slot.timeTo}`}
+                    type="button"
+                    disabled={!slot.available}
+                    onClick={() => onSlotSelect(slot)}
+                    className={`p-2 text-sm border rounded-lg transition-colors duration-200 ${
+                      isSelected
+                        ? 'border-orange-500 bg-orange-50 text-orange-700'
+                        : 'border-gray-300 hover:border-orange-300 hover:bg-orange-50'
+                    } disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:border-gray-300`}
+                  >
+                    {slot.display}
+                  </button>
+                );
+              })}
+            </div>
+          ) : (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-yellow-700 text-sm">{t('slots.noSlots')}</p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SlotPicker;
@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import { subscribeUpdateAvailable, applyUpdate } from '../../pwa/registerServiceWorker';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * UpdatePrompt Component
+ * Shown when a new version of the app has been downloaded by the service worker
+ */
+const UpdatePrompt = () => {
+  const { t } = useTranslation();
+  const [updateAvailable, setUpdateAvailable] = useState(false);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => subscribeUpdateAvailable(() => setUpdateAvailable(true)), []);
+
+  if (!updateAvailable || dismissed) {
+    return null;
+  }
+
+  return (
+    <div
+      role="status"
+      className="fixed bottom-24 md:bottom-6 left-1/2 -translate-x-1/2 z-[60] w-[calc(100%-2rem)] max-w-md"
+    >
+      <div className="flex items-center gap-3 bg-gray-900 text-white rounded-xl shadow-lg px-4 py-3">
+        <RefreshCw className="w-5 h-5 text-orange-400 flex-shrink-0" />
+        <p className="flex-1 text-sm">{t('pwa.updateAvailable')}</p>
+        <button
+          onClick={applyUpdate}
+          className="px-3 py-1.5 rounded-lg bg-orange-500 hover:bg-orange-600 text-sm font-medium transition-colors duration-200"
+        >
+          {t('common.update')}
+        </button>
+        <button
+          onClick={() => setDismissed(true)}
+          className="p-1 rounded-lg text-gray-400 hover:text-white transition-colors duration-200"
+          aria-label={t('pwa.dismissUpdate')}
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
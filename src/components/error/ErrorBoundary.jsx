@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { AlertTriangle, RefreshCw, Home, Bug } from 'lucide-react';
+import errorReportingService from '../../api/services/errorReportingService';
 
 /**
  * ErrorBoundary - Catches JavaScript errors anywhere in the child component tree
@@ -33,8 +34,7 @@ class ErrorBoundary extends React.Component {
       hasError: true
     });
 
-    // You can also log the error to an error reporting service here
-    // Example: logErrorToService(error, errorInfo);
+    errorReportingService.captureBoundaryError('app', error, errorInfo);
   }
 
   handleRetry = () => {
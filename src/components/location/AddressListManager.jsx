@@ -7,7 +7,10 @@ import {
 import { AnimatedButton } from '../ui/animated-button';
 import { useToast } from '../ui/toast';
 import addressService from '../../api/services/addressService';
+import serviceabilityService from '../../api/services/serviceabilityService';
+import { useTranslation } from '../../hooks/useTranslation';
 import AddressMapView from './AddressMapView';
+import ServiceabilityBadge from './ServiceabilityBadge';
 
 /**
  * Address List Management Component
@@ -29,6 +32,7 @@ const AddressListManager = ({
   const [viewMode, setViewMode] = useState(showMapView ? 'map' : 'list'); // 'list' or 'map'
 
   const { showSuccess, showError } = useToast();
+  const { t } = useTranslation();
 
   // Address type icons
   const getAddressTypeIcon = (type) => {
@@ -170,13 +174,24 @@ const AddressListManager = ({
     }
   };
 
+  /**
+   * Handle address selection - addresses we don't serve can't be picked for a booking
+   */
+  const handleSelectAddress = (address) => {
+    if (!onSelectAddress) return;
+
+    if (!serviceabilityService.isBookable(address)) {
+      showError(t('serviceability.blocked'));
+      return;
+    }
+    onSelectAddress(address);
+  };
+
   /**
    * Handle address selection from map
    */
   const handleMapAddressSelect = (address) => {
-    if (onSelectAddress) {
-      onSelectAddress(address);
-    }
+    handleSelectAddress(address);
   };
 
   // Load addresses on component mount
@@ -342,7 +357,7 @@ const AddressListManager = ({
                       : 'border-gray-200 hover:border-gray-300 cursor-pointer'
                     : 'border-gray-200 hover:border-gray-300'
                 }`}
-                onClick={selectionMode ? () => onSelectAddress(address) : undefined}
+                onClick={selectionMode ? () => handleSelectAddress(address) : undefined}
                 whileHover={{ scale: selectionMode ? 1.02 : 1 }}
               >
                 {/* Primary badge */}
@@ -392,6 +407,8 @@ const AddressListManager = ({
                         📍 {(address.latitude || address.lat)}, {(address.longitude || address.lng)}
                       </p>
                     )}
+
+                    <ServiceabilityBadge address={address} className="mt-1" />
                   </div>
 
                   {/* Actions */}
@@ -1,18 +1,14 @@
-import React, { useState, useEffect } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-import { MapPin, Navigation, Search, Check, X, Edit3 } from 'lucide-react';
+import React from 'react';
+import { motion } from 'framer-motion';
 import { ModernModal } from '../ui/modern-modal';
-import { AnimatedButton } from '../ui/animated-button';
-import GoogleMapPicker from './GoogleMapPicker';
-import PlacesAutocomplete from './PlacesAutocomplete';
-import { useToast } from '../ui/toast';
+import AddressEditor from '../address/AddressEditor';
 import eassylifeLogo from '../../assets/images/eassylife_logo.png';
 import loginBackground from '../../assets/images/loginBackground.png';
 
 /**
  * Enhanced Address Picker Modal
- * Combines Google Maps and Places Autocomplete for comprehensive address selection
- * Implements Flutter app's address picker functionality
+ * Branded modal around the shared AddressEditor (map pin, search and validation).
+ * onAddressSelect receives the canonical address model (utils/addressModel).
  */
 const AddressPickerModal = ({
   isOpen,
@@ -22,119 +18,6 @@ const AddressPickerModal = ({
   title = 'Select Your Location',
   subtitle = 'Choose your address from the map or search for a place'
 }) => {
-  const [currentLocation, setCurrentLocation] = useState(initialLocation);
-  const [currentAddress, setCurrentAddress] = useState(null);
-  const [isConfirming, setIsConfirming] = useState(false);
-  const [searchMode, setSearchMode] = useState(false);
-
-  const { showSuccess, showError } = useToast();
-
-  // Reset state when modal opens
-  useEffect(() => {
-    if (isOpen) {
-      setCurrentLocation(initialLocation);
-      setCurrentAddress(null);
-      setIsConfirming(false);
-      setSearchMode(false);
-    }
-  }, [isOpen, initialLocation]);
-
-  /**
-   * Handle location change from map
-   */
-  const handleLocationChange = (location) => {
-    setCurrentLocation(location);
-  };
-
-  /**
-   * Handle address change from map geocoding
-   */
-  const handleAddressChange = (addressData) => {
-    setCurrentAddress(addressData);
-  };
-
-  /**
-   * Handle place selection from autocomplete
-   */
-  const handlePlaceSelect = (placeData) => {
-    const location = {
-      lat: placeData.coordinates.latitude,
-      lng: placeData.coordinates.longitude
-    };
-
-    setCurrentLocation(location);
-    setCurrentAddress(placeData);
-    setSearchMode(false);
-  };
-
-  /**
-   * Get current user location
-   */
-  const getCurrentLocation = () => {
-    if (!navigator.geolocation) {
-      showError('Geolocation is not supported by this browser');
-      return;
-    }
-
-    setIsConfirming(true);
-
-    navigator.geolocation.getCurrentPosition(
-      (position) => {
-        const location = {
-          lat: position.coords.latitude,
-          lng: position.coords.longitude
-        };
-        setCurrentLocation(location);
-        setIsConfirming(false);
-      },
-      (error) => {
-        console.error('Geolocation error:', error);
-        showError('Unable to get your current location');
-        setIsConfirming(false);
-      },
-      {
-        enableHighAccuracy: true,
-        maximumAge: 0 // Force fresh location, don't use cached data
-      }
-    );
-  };
-
-  /**
-   * Confirm address selection
-   */
-  const handleConfirmAddress = () => {
-    if (!currentAddress) {
-      showError('Please wait for the address to load');
-      return;
-    }
-
-    setIsConfirming(true);
-
-    try {
-      const addressData = {
-        coordinates: {
-          latitude: currentLocation?.lat || 0,
-          longitude: currentLocation?.lng || 0
-        },
-        formattedAddress: currentAddress.formattedAddress,
-        streetAddress: currentAddress.streetAddress || '',
-        city: currentAddress.city || '',
-        state: currentAddress.state || '',
-        country: currentAddress.country || 'India',
-        postalCode: currentAddress.postalCode || '',
-        subLocality: currentAddress.subLocality || ''
-      };
-
-      showSuccess('Address selected successfully!');
-      onAddressSelect(addressData);
-    } catch (error) {
-      console.error('Error confirming address:', error);
-      showError('Failed to confirm address. Please try again.');
-    } finally {
-      setIsConfirming(false);
-    }
-  };
-
   return (
     <ModernModal
       isOpen={isOpen}
@@ -188,122 +71,23 @@ const AddressPickerModal = ({
           </div>
         </motion.div>
 
-        {/* Right side with map and controls */}
+        {/* Right side with the address editor */}
         <motion.div
-          className="w-full lg:w-3/5 bg-white flex flex-col"
+          className="w-full lg:w-3/5 bg-white p-6 overflow-y-auto"
           initial={{ opacity: 0, x: 50 }}
           animate={{ opacity: 1, x: 0 }}
           transition={{ duration: 0.6, delay: 0.3 }}
         >
-          {/* Header with search toggle */}
-          <div className="p-6 border-b border-gray-200">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold text-gray-900">
-                {searchMode ? 'Search Places' : 'Select on Map'}
-              </h3>
-
-              <div className="flex gap-2">
-                <AnimatedButton
-                  onClick={() => setSearchMode(!searchMode)}
-                  variant={searchMode ? 'primary' : 'outline'}
-                  size="sm"
-                >
-                  <Search className="w-4 h-4 mr-2" />
-                  Search
-                </AnimatedButton>
-
-                <AnimatedButton
-                  onClick={getCurrentLocation}
-                  variant="outline"
-                  size="sm"
-                  loading={isConfirming}
-                >
-                  <Navigation className="w-4 h-4 mr-2" />
-                  My Location
-                </AnimatedButton>
-              </div>
-            </div>
-
-            {/* Search input */}
-            <AnimatePresence>
-              {searchMode && (
-                <motion.div
-                  initial={{ opacity: 0, height: 0 }}
-                  animate={{ opacity: 1, height: 'auto' }}
-                  exit={{ opacity: 0, height: 0 }}
-                  transition={{ duration: 0.3 }}
-                >
-                  <PlacesAutocomplete
-                    onPlaceSelect={handlePlaceSelect}
-                    placeholder="Search for an address, landmark, or place..."
-                    className="mb-4"
-                  />
-                </motion.div>
-              )}
-            </AnimatePresence>
-          </div>
-
-          {/* Map container */}
-          <div className="flex-1 p-6">
-            <GoogleMapPicker
-              initialLocation={currentLocation}
-              onLocationChange={handleLocationChange}
-              onAddressChange={handleAddressChange}
-              height="300px"
-              className="rounded-lg border border-gray-200"
+          {isOpen && (
+            <AddressEditor
+              initialAddress={initialLocation}
+              onSubmit={onAddressSelect}
+              onCancel={onClose}
+              submitLabel="Confirm Address"
+              showDefaultToggle={false}
+              layout="stacked"
             />
-          </div>
-
-          {/* Address confirmation */}
-          <div className="p-6 border-t border-gray-200">
-            {currentAddress && (
-              <motion.div
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                className="bg-gray-50 rounded-lg p-4 mb-4"
-              >
-                <div className="flex items-start gap-3">
-                  <MapPin className="w-5 h-5 text-palette-orange mt-1 flex-shrink-0" />
-                  <div className="flex-1">
-                    <p className="text-sm font-medium text-gray-900 mb-1">
-                      Selected Address:
-                    </p>
-                    <p className="text-sm text-gray-600 leading-relaxed">
-                      {currentAddress.formattedAddress}
-                    </p>
-                    <p className="text-xs text-gray-500 mt-2">
-                      {currentLocation?.lat?.toFixed(6) || '0.000000'}, {currentLocation?.lng?.toFixed(6) || '0.000000'}
-                    </p>
-                  </div>
-                </div>
-              </motion.div>
-            )}
-
-            {/* Action buttons */}
-            <div className="flex gap-3">
-              <AnimatedButton
-                onClick={handleConfirmAddress}
-                variant="primary"
-                size="lg"
-                loading={isConfirming}
-                disabled={!currentAddress}
-                className="flex-1"
-              >
-                <Check className="w-5 h-5 mr-2" />
-                Confirm Address
-              </AnimatedButton>
-
-              <AnimatedButton
-                onClick={onClose}
-                variant="outline"
-                size="lg"
-                className="px-6"
-              >
-                <X className="w-5 h-5 mr-2" />
-                Cancel
-              </AnimatedButton>
-            </div>
-          </div>
+          )}
         </motion.div>
       </div>
     </ModernModal>
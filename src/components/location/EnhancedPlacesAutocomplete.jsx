@@ -104,8 +104,16 @@ const EnhancedPlacesAutocomplete = ({
               lng: placeDetails.coordinates.longitude
             }
           },
+          coordinates: placeDetails.coordinates,
           formattedAddress: placeDetails.formattedAddress,
-          addressComponents: placeDetails.addressComponents
+          // Parsed components are spread onto the place details, not nested
+          addressComponents: {
+            streetAddress: placeDetails.streetAddress,
+            city: placeDetails.city,
+            state: placeDetails.state,
+            postalCode: placeDetails.postalCode,
+            country: placeDetails.country
+          }
         });
       }
     } catch (error) {
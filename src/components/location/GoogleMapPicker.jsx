@@ -78,6 +78,13 @@ const GoogleMapPicker = forwardRef(({
     return { lat, lng };
   };
 
+  // Latest values for the map listeners, which are attached once
+  const currentLocationRef = useRef(currentLocation);
+  const handleLocationChangeRef = useRef(null);
+  const lastGeocodedRef = useRef(null);
+  const lookupIdRef = useRef(0);
+  currentLocationRef.current = currentLocation;
+
   /**
    * Initialize Google Maps
    */
@@ -108,9 +115,11 @@ const GoogleMapPicker = forwardRef(({
 
       if (!mapRef.current) return;
 
+      const startLocation = currentLocationRef.current;
+
       // Create map instance
       const map = new google.maps.Map(mapRef.current, {
-        center: currentLocation,
+        center: startLocation,
         zoom,
         zoomControl: true,
         mapTypeControl: false,
@@ -132,7 +141,7 @@ const GoogleMapPicker = forwardRef(({
 
       // Add center marker
       const marker = new google.maps.Marker({
-        position: currentLocation,
+        position: startLocation,
         map,
         draggable: true,
         icon: {
@@ -149,48 +158,28 @@ const GoogleMapPicker = forwardRef(({
 
       markerRef.current = marker;
 
-      // Handle map center changes (similar to Flutter's onCameraIdle)
-      let geocodingTimeout;
-      const handleCenterChanged = () => {
-        const center = map.getCenter();
-        const newLocation = {
-          lat: center.lat(),
-          lng: center.lng()
-        };
-
-        setCurrentLocation(newLocation);
-        marker.setPosition(newLocation);
-
-        // Debounce geocoding calls
-        clearTimeout(geocodingTimeout);
-        geocodingTimeout = setTimeout(() => {
-          handleLocationChange(newLocation);
-        }, 500);
-      };
-
-      // Handle marker drag
-      const handleMarkerDrag = () => {
-        const position = marker.getPosition();
-        const newLocation = {
-          lat: position.lat(),
-          lng: position.lng()
-        };
-
-        setCurrentLocation(newLocation);
-        map.setCenter(newLocation);
+      // Keep the marker on the center while dragging - no React state per frame
+      map.addListener('center_changed', () => {
+        marker.setPosition(map.getCenter());
+      });
 
+      // Look the address up once the camera settles (Flutter's onCameraIdle)
+      let geocodingTimeout;
+      map.addListener('idle', () => {
         clearTimeout(geocodingTimeout);
         geocodingTimeout = setTimeout(() => {
-          handleLocationChange(newLocation);
-        }, 500);
-      };
+          const center = map.getCenter();
+          handleLocationChangeRef.current?.({ lat: center.lat(), lng: center.lng() });
+        }, 300);
+      });
 
-      // Add event listeners
-      map.addListener('center_changed', handleCenterChanged);
-      marker.addListener('dragend', handleMarkerDrag);
+      // Dropping the marker recenters the map, which ends in 'idle'
+      marker.addListener('dragend', () => {
+        map.panTo(marker.getPosition());
+      });
 
       // Initial address lookup
-      await handleLocationChange(currentLocation);
+      await handleLocationChangeRef.current?.(startLocation);
 
       setIsLoading(false);
     } catch (error) {
@@ -210,10 +199,11 @@ const GoogleMapPicker = forwardRef(({
 
       showError(errorMessage);
     }
-  }, [apiKey, currentLocation, zoom, useGoogleMaps, showError]);
+  }, [apiKey, zoom, useGoogleMaps, showError]);
 
   /**
    * Handle location changes and reverse geocoding (Flutter-aligned: prevent infinite loops)
+   * Only the latest lookup updates the UI - an older one finishing late is dropped
    */
   const handleLocationChange = useCallback(async (location) => {
     // Validate location parameter
@@ -222,87 +212,73 @@ const GoogleMapPicker = forwardRef(({
       return;
     }
 
-    // Prevent unnecessary calls if location hasn't actually changed
-    if (currentLocation?.lat === location?.lat && currentLocation?.lng === location?.lng) {
+    // Prevent unnecessary calls if location hasn't actually changed (e.g. zoom without panning)
+    if (lastGeocodedRef.current?.lat === location.lat && lastGeocodedRef.current?.lng === location.lng) {
       return;
     }
+    lastGeocodedRef.current = location;
+    const lookupId = ++lookupIdRef.current;
 
     console.log('🗺️ GoogleMapPicker: Location changed to:', location);
-    console.log('🗺️ GoogleMapPicker: Current location before change:', currentLocation);
+    setCurrentLocation(location);
     setIsGeocodingLoading(true);
 
-    try {
-      console.log('🔄 GoogleMapPicker: Starting geocoding for:', location.lat, location.lng);
+    // Notify parent components ONLY when location actually changes
+    if (onLocationChange) {
+      onLocationChange(location);
+    }
 
+    try {
       // Add timeout to prevent hanging
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Geocoding timeout after 10 seconds')), 10000)
-      );
+      let timeoutId;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Geocoding timeout after 10 seconds')), 10000);
+      });
 
       const geocodingPromise = geocodingService.getAddressFromCoordinates(
         location.lat,
         location.lng
       );
 
-      const addressData = await Promise.race([geocodingPromise, timeoutPromise]);
-      console.log('✅ GoogleMapPicker: Geocoding result:', addressData);
+      const addressData = await Promise.race([geocodingPromise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
+      if (lookupId !== lookupIdRef.current) return;
 
       if (addressData.success) {
         console.log('🗺️ GoogleMapPicker: Reverse geocoding successful:', addressData);
-        console.log('🗺️ Address components available:', {
-          formattedAddress: addressData.formattedAddress,
-          streetAddress: addressData.streetAddress,
-          city: addressData.city,
-          state: addressData.state,
-          postalCode: addressData.postalCode
-        });
-
         setCurrentAddress(addressData.formattedAddress);
 
-        // Update current location state
-        setCurrentLocation(location);
-
-        // Notify parent components ONLY when location actually changes
-        if (onLocationChange) {
-          onLocationChange(location);
-        }
         // Support both prop names for backward compatibility
         if (onAddressSelect) {
-          console.log('🗺️ GoogleMapPicker: Calling onAddressSelect with:', addressData);
           onAddressSelect(addressData);
         } else if (onAddressChange) {
-          console.log('🗺️ GoogleMapPicker: Calling onAddressChange with:', addressData);
           onAddressChange(addressData);
         }
       } else {
         console.log('❌ GoogleMapPicker: Reverse geocoding failed:', addressData);
         setCurrentAddress('Address not available');
-        setCurrentLocation(location);
       }
     } catch (error) {
-      console.error('❌ GoogleMapPicker: Reverse geocoding failed:', error);
-      console.error('❌ GoogleMapPicker: Error details:', error.message);
+      if (lookupId !== lookupIdRef.current) return;
+      console.error('❌ GoogleMapPicker: Reverse geocoding failed:', error.message);
 
       // Provide a more user-friendly fallback address
       const lat = location?.lat ?? 0;
       const lng = location?.lng ?? 0;
 
-      console.log('⚠️ GoogleMapPicker: Using fallback for coordinates:', lat, lng);
-
       if (lat === 0 && lng === 0) {
         setCurrentAddress('Location not available');
       } else {
         // Try to provide a basic location description
         setCurrentAddress(`Coordinates: ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
       }
-
-      // Still update the location state even if geocoding fails
-      setCurrentLocation(location);
     } finally {
-      console.log('🔄 GoogleMapPicker: Geocoding completed, setting loading to false');
-      setIsGeocodingLoading(false);
+      if (lookupId === lookupIdRef.current) {
+        setIsGeocodingLoading(false);
+      }
     }
-  }, [currentLocation?.lat, currentLocation?.lng, onLocationChange, onAddressSelect, onAddressChange]);
+  }, [onLocationChange, onAddressSelect, onAddressChange]);
+
+  handleLocationChangeRef.current = handleLocationChange;
 
   /**
    * Move map to specific location (Flutter-aligned: prevent infinite loops)
@@ -332,7 +308,6 @@ const GoogleMapPicker = forwardRef(({
       mapInstanceRef.current.setCenter(newPosition);
       markerRef.current.setPosition(newPosition);
 
-      setCurrentLocation(normalizedLocation);
       handleLocationChange(normalizedLocation);
     }
   }, [currentLocation?.lat, currentLocation?.lng, handleLocationChange, normalizeLocation]);
@@ -424,18 +399,20 @@ const GoogleMapPicker = forwardRef(({
   }, [initializeMap]);
 
   // Update map when initial location changes (Flutter-aligned: prevent infinite loops)
+  // Only a new initialLocation moves the map - not the user panning away from it
+  const moveToLocationRef = useRef(moveToLocation);
+  moveToLocationRef.current = moveToLocation;
+  const initialLat = initialLocation?.lat || initialLocation?.latitude;
+  const initialLng = initialLocation?.lng || initialLocation?.longitude;
+
   useEffect(() => {
-    if (mapInstanceRef.current && markerRef.current) {
-      const normalizedInitialLocation = normalizeLocation(initialLocation);
-      if (!normalizedInitialLocation) return;
+    if (typeof initialLat !== 'number' || typeof initialLng !== 'number') return;
 
-      // Only update if the initial location is actually different from current location
-      if (normalizedInitialLocation.lat !== currentLocation?.lat || normalizedInitialLocation.lng !== currentLocation?.lng) {
-        console.log('🔄 GoogleMapPicker: Initial location changed, updating map');
-        moveToLocation(normalizedInitialLocation);
-      }
+    if (mapInstanceRef.current && markerRef.current) {
+      console.log('🔄 GoogleMapPicker: Initial location changed, updating map');
+      moveToLocationRef.current({ lat: initialLat, lng: initialLng });
     }
-  }, [initialLocation?.lat, initialLocation?.lng, currentLocation?.lat, currentLocation?.lng, moveToLocation, normalizeLocation]);
+  }, [initialLat, initialLng]);
 
   if (!useGoogleMaps) {
     return (
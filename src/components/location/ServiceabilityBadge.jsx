@@ -0,0 +1,45 @@
+import React from 'react';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { useServiceability } from '../../hooks/useServiceability';
+import { useTranslation } from '../../hooks/useTranslation';
+
+/**
+ * ServiceabilityBadge Component
+ * Compact "we serve / don't serve this area" pill for address lists and selectors.
+ * Renders nothing until a result is known, or when the check failed.
+ */
+const ServiceabilityBadge = ({ address, className = '' }) => {
+  const { t } = useTranslation();
+  const { isChecking, isServiceable, isUnserviceable } = useServiceability(address);
+
+  if (isChecking) {
+    return (
+      <span className={`inline-flex items-center gap-1 text-xs text-gray-500 ${className}`}>
+        <Loader2 className="w-3 h-3 animate-spin" />
+        {t('serviceability.checking')}
+      </span>
+    );
+  }
+
+  if (isServiceable) {
+    return (
+      <span className={`inline-flex items-center gap-1 text-xs text-green-700 ${className}`}>
+        <CheckCircle className="w-3 h-3" />
+        {t('serviceability.serviceable')}
+      </span>
+    );
+  }
+
+  if (isUnserviceable) {
+    return (
+      <span className={`inline-flex items-center gap-1 text-xs text-red-600 ${className}`}>
+        <XCircle className="w-3 h-3" />
+        {t('serviceability.unserviceable')}
+      </span>
+    );
+  }
+
+  return null;
+};
+
+export default ServiceabilityBadge;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { MapPinOff, Bell, Check } from 'lucide-react';
+import { useServiceability } from '../../hooks/useServiceability';
+import { useTranslation } from '../../hooks/useTranslation';
+import { useToast } from '../ui/toast';
+
+/**
+ * UnserviceableNotice Component
+ * Explains that we don't serve an address yet and offers "notify me when available".
+ * Renders nothing unless the address is known to be unserviceable.
+ */
+const UnserviceableNotice = ({ address, onChangeAddress, enabled = true, className = '' }) => {
+  const { t } = useTranslation();
+  const { showError } = useToast();
+  const { isUnserviceable, notifyRequested, notifying, requestNotification } = useServiceability(address, { enabled });
+
+  if (!isUnserviceable) {
+    return null;
+  }
+
+  const handleNotify = async () => {
+    const result = await requestNotification();
+    if (!result.success) {
+      showError(t('serviceability.notifyFailed'));
+    }
+  };
+
+  return (
+    <div role="alert" className={`bg-red-50 border border-red-200 rounded-lg p-4 ${className}`}>
+      <div className="flex items-start gap-3">
+        <MapPinOff className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="text-sm font-medium text-gray-900">{t('serviceability.unavailableTitle')}</p>
+          <p className="text-xs text-gray-600 mt-1">{t('serviceability.unavailableDescription')}</p>
+
+          <div className="flex flex-wrap items-center gap-3 mt-3">
+            {notifyRequested ? (
+              <span className="inline-flex items-center gap-1 text-xs font-medium text-green-700">
+                <Check className="w-4 h-4" />
+                {t('serviceability.notifyRequested')}
+              </span>
+            ) : (
+              <button
+                type="button"
+                onClick={handleNotify}
+                disabled={notifying}
+                className="inline-flex items-center gap-1 px-3 py-1.5 rounded-lg bg-orange-500 hover:bg-orange-600 text-white text-xs font-medium transition-colors duration-200 disabled:opacity-50"
+              >
+                <Bell className="w-3 h-3" />
+                {t('serviceability.notifyMe')}
+              </button>
+            )}
+
+            {onChangeAddress && (
+              <button
+                type="button"
+                onClick={onChangeAddress}
+                className="text-xs font-medium text-orange-600 hover:text-orange-700"
+              >
+                {t('serviceability.changeAddress')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnserviceableNotice;
@@ -12,3 +12,5 @@ export { default as AddressForm } from './AddressForm';
 export { default as AddressListManager } from './AddressListManager';
 export { default as AddressMapView } from './AddressMapView';
 export { default as LocationPermissionModal } from './LocationPermissionModal';
+export { default as ServiceabilityBadge } from './ServiceabilityBadge';
+export { default as UnserviceableNotice } from './UnserviceableNotice';
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import { Home, Phone, ShoppingCart, FileText } from 'lucide-react';
 import { Button } from '../ui/button';
 import { useMobileNavigation } from '../../contexts/MobileNavigationContext';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * BottomNavigation - Fixed bottom navigation matching Flutter app design
@@ -15,6 +16,7 @@ import { useMobileNavigation } from '../../contexts/MobileNavigationContext';
  */
 const BottomNavigation = () => {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
   let activeTab, setActiveTab, shouldShowMobileNav;
   try {
@@ -58,33 +60,33 @@ const BottomNavigation = () => {
   const navItems = useMemo(() => [
     {
       id: 'home',
-      label: 'Home',
+      label: t('common.home'),
       icon: Home,
       handler: handleHome,
       isActive: activeTab === 'home'
     },
     {
       id: 'call',
-      label: 'Call Now',
+      label: t('common.callNow'),
       icon: Phone,
       handler: handleCallNow,
       isActive: false // Call doesn't have an active state
     },
     {
       id: 'cart',
-      label: 'Cart',
+      label: t('common.cart'),
       icon: ShoppingCart,
       handler: handleCart,
       isActive: activeTab === 'cart'
     },
     {
       id: 'orders',
-      label: 'My Orders',
+      label: t('common.myOrders'),
       icon: FileText,
       handler: handleMyOrders,
       isActive: activeTab === 'orders'
     }
-  ], [activeTab, handleHome, handleCallNow, handleCart, handleMyOrders]);
+  ], [activeTab, handleHome, handleCallNow, handleCart, handleMyOrders, t]);
 
   return (
     <div className="mobile-bottom-nav md:hidden fixed bottom-0 left-0 right-0 z-50 bg-white border-t border-gray-200 shadow-lg">
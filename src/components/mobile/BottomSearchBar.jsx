@@ -29,11 +29,12 @@ const BottomSearchBar = () => {
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Hide search bar on service details pages
+  // Hide search bar on service details pages and on the search page itself
   const isServiceDetailsPage = location.pathname.includes('/service-details/');
+  const isSearchPage = location.pathname === '/search';
 
-  // Don't render if on service details page
-  if (isServiceDetailsPage) {
+  // Don't render if on service details or search page
+  if (isServiceDetailsPage || isSearchPage) {
     return null;
   }
 
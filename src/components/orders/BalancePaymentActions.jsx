@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, RefreshCw, Wallet } from 'lucide-react';
+import { Button } from '../ui/button';
+import useWalletStore from '../../stores/walletStore';
+import { usePartialPayment } from '../../hooks/usePartialPayment';
+
+/**
+ * Balance Payment Actions
+ * Pay Now button for a partially paid booking's remaining balance, with an
+ * optional "use wallet balance" toggle and the retry prompt shown when a
+ * payment went through but was not confirmed against the booking.
+ */
+const BalancePaymentActions = ({
+  orderId,
+  itemId,
+  amount,
+  remainingConvenienceCharge = 0,
+  onPaid,
+  buttonClassName = 'bg-orange-500 hover:bg-orange-600 text-white rounded-lg h-10 px-6 text-sm font-medium'
+}) => {
+  const walletBalance = useWalletStore((state) => state.balance);
+  const fetchWalletBalance = useWalletStore((state) => state.fetchWalletBalance);
+  const [useWallet, setUseWallet] = useState(false);
+  const { error, isProcessing, isUnverified, payBalance, retryVerification } = usePartialPayment();
+
+  useEffect(() => {
+    fetchWalletBalance();
+  }, [fetchWalletBalance]);
+
+  const formatCurrency = (value) => `₹${Math.round(Math.abs(value))}`;
+  const walletApplied = useWallet ? Math.min(walletBalance, amount) : 0;
+
+  const handlePayNow = async () => {
+    const result = await payBalance({ orderId, itemId, remainingConvenienceCharge, useWallet });
+    if (result.success) onPaid?.();
+  };
+
+  const handleRetry = async () => {
+    const result = await retryVerification();
+    if (result.success) onPaid?.();
+  };
+
+  return (
+    <div className="space-y-3">
+      {walletBalance > 0 && !isUnverified && (
+        <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer">
+          <span className="flex items-center">
+            <Wallet className="w-4 h-4 mr-2 text-orange-500" />
+            Use wallet balance ({formatCurrency(walletBalance)})
+          </span>
+          <input
+            type="checkbox"
+            checked={useWallet}
+            onChange={(event) => setUseWallet(event.target.checked)}
+            disabled={isProcessing}
+            className="h-4 w-4 accent-orange-500"
+          />
+        </label>
+      )}
+
+      {error && (
+        <p className="flex items-start text-sm text-red-600" role="alert">
+          <AlertCircle className="w-4 h-4 mr-1.5 mt-0.5 flex-shrink-0" />
+          <span>{error}</span>
+        </p>
+      )}
+
+      <div className="flex justify-end">
+        {isUnverified ? (
+          <Button onClick={handleRetry} disabled={isProcessing} className={buttonClassName}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${isProcessing ? 'animate-spin' : ''}`} />
+            {isProcessing ? 'Confirming...' : 'Retry confirmation'}
+          </Button>
+        ) : (
+          <Button onClick={handlePayNow} disabled={isProcessing || amount <= 0} className={buttonClassName}>
+            {isProcessing ? 'Processing...' : `Pay Now ${formatCurrency(amount - walletApplied)}`}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BalancePaymentActions;
@@ -4,6 +4,7 @@ import { Button } from '../ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Textarea } from '../ui/textarea';
 import { useOrderContext } from '../../contexts/OrderContext';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * CancelOrderModal Component
@@ -17,6 +18,7 @@ const CancelOrderModal = memo(({
   onSuccess 
 }) => {
   const { cancelOrder, loading } = useOrderContext();
+  const { formatBookingDate, formatCurrency } = useTranslation();
   const [selectedReason, setSelectedReason] = useState('');
   const [customReason, setCustomReason] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -123,9 +125,9 @@ const CancelOrderModal = memo(({
             <div className="space-y-1 text-sm text-gray-600">
               <p>Service: {item.rateCard?.subcategory?.name || item.rateCard?.category?.name}</p>
               <p>Provider: {item.provider?.firstName} {item.provider?.lastName}</p>
-              <p>Amount: ₹{parseFloat(item.totalAmount || '0').toLocaleString('en-IN')}</p>
+              <p>Amount: {formatCurrency(item.totalAmount || '0')}</p>
               {item.bookingDate && (
-                <p>Date: {new Date(item.bookingDate).toLocaleDateString('en-IN')}</p>
+                <p>Date: {formatBookingDate(item.bookingDate, item.bookingTimeFrom)}</p>
               )}
             </div>
           </div>
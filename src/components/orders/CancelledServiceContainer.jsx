@@ -3,8 +3,11 @@ import { XCircle, Calendar, Clock, MapPin, User } from 'lucide-react';
 import { Card, CardContent } from '../ui/card';
 import { Badge } from '../ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '../ui/avatar';
+import { useTranslation } from '../../hooks/useTranslation';
 
 const CancelledServiceContainer = memo(({ order, item }) => {
+  const { formatBookingSlot, formatCurrency: formatAmount } = useTranslation();
+
   if (!order || !item) {
     return null;
   }
@@ -45,41 +48,11 @@ const CancelledServiceContainer = memo(({ order, item }) => {
   const cancelReason = item.cancelReason;
   const cancelComment = item.cancelComment;
 
-  // Format date and time
-  const formatDate = (dateString) => {
-    if (!dateString) return '';
-    try {
-      const date = new Date(dateString);
-      return date.toLocaleDateString('en-IN', {
-        day: '2-digit',
-        month: 'short',
-        year: 'numeric'
-      });
-    } catch {
-      return dateString;
-    }
-  };
-
-  const formatTime = (timeString) => {
-    if (!timeString) return '';
-    try {
-      const [hours, minutes] = timeString.split(':');
-      const date = new Date();
-      date.setHours(parseInt(hours), parseInt(minutes));
-      return date.toLocaleTimeString('en-IN', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-    } catch {
-      return timeString;
-    }
-  };
+  // Booking date and time in the user's timezone
+  const slot = formatBookingSlot({ date: bookingDate, timeFrom: bookingTimeFrom, timeTo: bookingTimeTo });
 
   // Format currency
-  const formatCurrency = (amount) => {
-    return `₹${Math.abs(amount).toLocaleString('en-IN')}`;
-  };
+  const formatCurrency = (amount) => formatAmount(Math.abs(amount));
 
   return (
     <Card className="overflow-hidden border-red-200 bg-gradient-to-br from-red-50 to-red-100">
@@ -207,7 +180,7 @@ const CancelledServiceContainer = memo(({ order, item }) => {
                   <Calendar className="w-4 h-4 text-gray-400 mt-0.5 flex-shrink-0" />
                   <div>
                     <p className="text-sm font-medium text-gray-900">Service Date</p>
-                    <p className="text-sm text-gray-600">{formatDate(bookingDate)}</p>
+                    <p className="text-sm text-gray-600">{slot.date}</p>
                   </div>
                 </div>
               )}
@@ -218,8 +191,7 @@ const CancelledServiceContainer = memo(({ order, item }) => {
                   <div>
                     <p className="text-sm font-medium text-gray-900">Service Time</p>
                     <p className="text-sm text-gray-600">
-                      {formatTime(bookingTimeFrom)}
-                      {bookingTimeTo && ` - ${formatTime(bookingTimeTo)}`}
+                      {slot.time}
                     </p>
                   </div>
                 </div>
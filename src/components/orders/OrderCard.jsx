@@ -4,8 +4,11 @@ import { Badge } from '../ui/badge';
 import { Button } from '../ui/button';
 import { Avatar, AvatarFallback, AvatarImage } from '../ui/avatar';
 import OrderStatusBadge from './OrderStatusBadge';
+import { useTranslation } from '../../hooks/useTranslation';
 
 const OrderCard = memo(({ order, onOrderClick }) => {
+  const { formatBookingSlot, formatCurrency } = useTranslation();
+
   // Get the first item from the order (orders typically have one item)
   const item = order.items?.[0] || order;
 
@@ -50,36 +53,8 @@ const OrderCard = memo(({ order, onOrderClick }) => {
   const cancelBy = item.cancel_by || item.cancelBy;
   const cancelReason = item.cancel_reason || item.cancelReason;
 
-  // Format date and time
-  const formatDate = (dateString) => {
-    if (!dateString) return '';
-    try {
-      const date = new Date(dateString);
-      return date.toLocaleDateString('en-IN', {
-        day: '2-digit',
-        month: 'short',
-        year: 'numeric'
-      });
-    } catch {
-      return dateString;
-    }
-  };
-
-  const formatTime = (timeString) => {
-    if (!timeString) return '';
-    try {
-      const [hours, minutes] = timeString.split(':');
-      const date = new Date();
-      date.setHours(parseInt(hours), parseInt(minutes));
-      return date.toLocaleTimeString('en-IN', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-    } catch {
-      return timeString;
-    }
-  };
+  // Booking date and time in the user's timezone
+  const slot = formatBookingSlot({ date: bookingDate, timeFrom: bookingTimeFrom, timeTo: bookingTimeTo });
 
   // Status is handled by OrderStatusBadge component
 
@@ -114,16 +89,13 @@ const OrderCard = memo(({ order, onOrderClick }) => {
           {bookingDate && (
             <div className="flex items-center space-x-1">
               <Calendar className="w-4 h-4 flex-shrink-0" />
-              <span className="truncate">{formatDate(bookingDate)}</span>
+              <span className="truncate">{slot.date}</span>
             </div>
           )}
           {bookingTimeFrom && (
             <div className="flex items-center space-x-1">
               <Clock className="w-4 h-4 flex-shrink-0" />
-              <span className="truncate">
-                {formatTime(bookingTimeFrom)}
-                {bookingTimeTo && ` - ${formatTime(bookingTimeTo)}`}
-              </span>
+              <span className="truncate">{slot.time}</span>
             </div>
           )}
         </div>
@@ -182,7 +154,7 @@ const OrderCard = memo(({ order, onOrderClick }) => {
               <span className="text-xs text-gray-600">Service Amount</span>
               <div className="flex items-center space-x-2">
                 <span className="text-lg font-semibold text-gray-900">
-                  ₹{parseFloat(totalAmount).toLocaleString('en-IN')}
+                  {formatCurrency(totalAmount)}
                 </span>
                 {isPartial && (
                   <div className="w-8 h-8 bg-orange-500 rounded-full flex items-center justify-center shadow-md">
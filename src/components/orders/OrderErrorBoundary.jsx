@@ -2,6 +2,7 @@ import React from 'react';
 import { AlertTriangle, RefreshCw, Home } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Card, CardContent } from '../ui/card';
+import errorReportingService from '../../api/services/errorReportingService';
 
 /**
  * OrderErrorBoundary Component
@@ -32,8 +33,7 @@ class OrderErrorBoundary extends React.Component {
       errorInfo: errorInfo
     });
 
-    // Here you could also log the error to an error reporting service
-    // like Sentry, LogRocket, etc.
+    errorReportingService.captureBoundaryError('orders', error, errorInfo);
   }
 
   handleRetry = () => {
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { CreditCard } from 'lucide-react';
+import { useAuthContext } from '../../contexts/AuthContext';
+import homePageService from '../../api/services/homePageService';
+import BalancePaymentActions from './BalancePaymentActions';
+import { getBalanceDue } from '../../hooks/usePartialPayment';
+
+/**
+ * Pending Balance Banner
+ * Home page prompt for a partially paid booking (homePageService.checkPartialPaymentBooking)
+ * with the same Pay Now flow as the order detail page. Renders nothing when
+ * signed out or when no balance is due.
+ */
+const PendingBalanceBanner = () => {
+  const navigate = useNavigate();
+  const { isAuthenticated, user } = useAuthContext();
+  const [booking, setBooking] = useState(null);
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setBooking(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    homePageService.checkPartialPaymentBooking()
+      .then(({ data }) => {
+        if (!cancelled) setBooking(Array.isArray(data) ? data[0] || null : data);
+      })
+      .catch((error) => {
+        // Optional prompt - the balance is still payable from the order detail page
+        console.warn('⚠️ PendingBalanceBanner: Partial payment check failed:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated, userId]);
+
+  const item = booking?.items?.[0];
+  if (!booking?.id || !item || parseInt(item.is_partial) !== 1) return null;
+
+  const { amount, remainingConvenienceCharge } = getBalanceDue(booking, item);
+  if (amount <= 0) return null;
+
+  const serviceName = item.rateCard?.subcategory?.name || item.rateCard?.category?.name || 'your booking';
+
+  return (
+    <section className="mx-4 md:mx-0 mt-8">
+      <div className="rounded-xl border border-orange-200 bg-orange-50 p-4">
+        <div className="flex items-start mb-3">
+          <CreditCard className="w-5 h-5 text-orange-600 mr-3 mt-0.5 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-base font-semibold text-gray-900">Balance of ₹{Math.round(amount)} pending</p>
+            <p className="text-sm text-gray-600">
+              Pay the remaining amount for {serviceName} to get your End Service OTP.
+            </p>
+            <button
+              type="button"
+              onClick={() => navigate(`/orders/${booking.id}/${item.id}`)}
+              className="mt-1 text-sm font-medium text-orange-600 hover:text-orange-700"
+            >
+              View booking
+            </button>
+          </div>
+        </div>
+
+        <BalancePaymentActions
+          orderId={booking.id}
+          itemId={item.id}
+          amount={amount}
+          remainingConvenienceCharge={remainingConvenienceCharge}
+          onPaid={() => setBooking(null)}
+        />
+      </div>
+    </section>
+  );
+};
+
+export default PendingBalanceBanner;
@@ -1,10 +1,14 @@
 import React, { memo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { CreditCard, AlertCircle, Clock } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
+import BalancePaymentActions from './BalancePaymentActions';
 
 const PendingPaymentWidget = memo(({ order, item }) => {
+  const navigate = useNavigate();
+
   if (!order || !item || item.isPartial !== 1) {
     return null;
   }
@@ -13,16 +17,16 @@ const PendingPaymentWidget = memo(({ order, item }) => {
   const remainingPayment = parseFloat(order.remainingPayment || '0');
   const partialAmount = parseFloat(order.partialAmount || '0');
   const totalAmount = parseFloat(order.totalAmount || '0');
+  const remainingConvenienceCharge = parseFloat(order.remainingConvenienceCharge || '0');
+  const orderId = order.orderId || order.id;
 
   // Format currency
   const formatCurrency = (amount) => {
     return `₹${Math.abs(amount).toLocaleString('en-IN')}`;
   };
 
-  // Handle payment action
-  const handlePayNow = () => {
-    // TODO: Implement payment flow
-    console.log('Navigate to payment for remaining amount:', remainingPayment);
+  const handleViewDetails = () => {
+    navigate(`/orders/${orderId}/${item.id}`);
   };
 
   return (
@@ -102,22 +106,21 @@ const PendingPaymentWidget = memo(({ order, item }) => {
         </div>
 
         {/* Payment Action */}
-        <div className="flex flex-col sm:flex-row gap-3">
-          <Button
-            onClick={handlePayNow}
-            className="flex-1 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
-          >
-            <CreditCard className="w-4 h-4 mr-2" />
-            Pay Remaining {formatCurrency(remainingPayment)}
-          </Button>
-          
-          <Button
-            variant="outline"
-            className="border-orange-200 text-orange-600 hover:bg-orange-50 hover:border-orange-300"
-          >
-            View Payment Details
-          </Button>
-        </div>
+        <BalancePaymentActions
+          orderId={orderId}
+          itemId={item.id}
+          amount={remainingPayment}
+          remainingConvenienceCharge={remainingConvenienceCharge}
+          buttonClassName="w-full bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+        />
+
+        <Button
+          variant="outline"
+          onClick={handleViewDetails}
+          className="w-full border-orange-200 text-orange-600 hover:bg-orange-50 hover:border-orange-300"
+        >
+          View Payment Details
+        </Button>
 
         {/* Important Note */}
         <div className="text-center">
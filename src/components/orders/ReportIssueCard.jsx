@@ -5,9 +5,11 @@ import { Button } from '../ui/button';
 import { Textarea } from '../ui/textarea';
 import { Badge } from '../ui/badge';
 import { useOrderContext } from '../../contexts/OrderContext';
+import { useTranslation } from '../../hooks/useTranslation';
 
 const ReportIssueCard = memo(({ order, item, existingReport }) => {
   const { reportIssue, loading, showIssueField, toggleIssueField } = useOrderContext();
+  const { formatBookingDate } = useTranslation();
   const [issue, setIssue] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -125,7 +127,7 @@ const ReportIssueCard = memo(({ order, item, existingReport }) => {
           )}
           {item.bookingDate && (
             <p className="text-sm text-gray-500 mt-1">
-              Service Date: {new Date(item.bookingDate).toLocaleDateString('en-IN')}
+              Service Date: {formatBookingDate(item.bookingDate, item.bookingTimeFrom)}
             </p>
           )}
         </div>
@@ -1,13 +1,19 @@
 import React, { useState, memo } from 'react';
-import { X, Calendar, Clock, Send } from 'lucide-react';
+import { X, Calendar, Send, AlertCircle } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Textarea } from '../ui/textarea';
+import SlotPicker from '../common/SlotPicker';
 import { useOrderContext } from '../../contexts/OrderContext';
+import { useTimeSlots } from '../../hooks/useTimeSlots';
+import { formatDateForAPI } from '../../api/services/dateTimeService';
+import { FREE_RESCHEDULE_HOURS, getRescheduleEligibility, validateReschedule } from '../../utils/reschedulePolicy';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * RescheduleOrderModal Component
  * Modal for rescheduling orders with date/time selection and reason
+ * Offers the same slots as booking and checks the reschedule policy before submitting
  */
 const RescheduleOrderModal = memo(({ 
   isOpen, 
@@ -17,11 +23,22 @@ const RescheduleOrderModal = memo(({
   onSuccess 
 }) => {
   const { rescheduleOrder, loading } = useOrderContext();
-  const [newDate, setNewDate] = useState('');
-  const [newTimeFrom, setNewTimeFrom] = useState('');
-  const [newTimeTo, setNewTimeTo] = useState('');
+  const { formatBookingDate, formatBookingSlot } = useTranslation();
+  const {
+    slotData,
+    dates,
+    slots,
+    selectedDate,
+    selectedSlot,
+    loading: slotsLoading,
+    error: slotsError,
+    selectDate,
+    selectSlot,
+    reset: resetSlots
+  } = useTimeSlots({ enabled: isOpen });
   const [selectedReason, setSelectedReason] = useState('');
   const [customReason, setCustomReason] = useState('');
+  const [policyError, setPolicyError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   // Predefined reschedule reasons
@@ -36,25 +53,10 @@ const RescheduleOrderModal = memo(({
     'Other'
   ];
 
-  // Generate time slots (9 AM to 6 PM)
-  const generateTimeSlots = () => {
-    const slots = [];
-    for (let hour = 9; hour <= 18; hour++) {
-      const time12 = hour > 12 ? `${hour - 12}:00 PM` : `${hour}:00 AM`;
-      const time24 = `${hour.toString().padStart(2, '0')}:00`;
-      slots.push({ label: time12, value: time24 });
-    }
-    return slots;
-  };
-
-  const timeSlots = generateTimeSlots();
-
-  // Get minimum date (tomorrow)
-  const getMinDate = () => {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    return tomorrow.toISOString().split('T')[0];
-  };
+  const eligibility = getRescheduleEligibility(item);
+  const currentDate = item?.booking_date || item?.bookingDate;
+  const currentTimeFrom = item?.booking_time_from || item?.bookingTimeFrom;
+  const currentTimeTo = item?.booking_time_to || item?.bookingTimeTo;
 
   // Handle reason selection
   const handleReasonSelect = (reason) => {
@@ -64,23 +66,40 @@ const RescheduleOrderModal = memo(({
     }
   };
 
+  const handleDateSelect = (date) => {
+    setPolicyError('');
+    selectDate(date);
+  };
+
+  const handleSlotSelect = (slot) => {
+    setPolicyError('');
+    selectSlot(slot);
+  };
+
   // Handle form submission
   const handleSubmit = async () => {
     const finalReason = selectedReason === 'Other' ? customReason.trim() : selectedReason;
     
-    if (!newDate || !newTimeFrom || !newTimeTo || !finalReason) {
+    if (!selectedDate || !selectedSlot || !finalReason) {
       return;
     }
 
-    // Validate time range
-    if (newTimeFrom >= newTimeTo) {
-      alert('End time must be after start time');
+    // Validate against slot availability and the reschedule policy
+    const validation = validateReschedule({ item, slotData, date: selectedDate, slot: selectedSlot });
+    if (!validation.valid) {
+      setPolicyError(validation.message);
       return;
     }
 
     setIsSubmitting(true);
     try {
-      const result = await rescheduleOrder(item.id, newDate, newTimeFrom, newTimeTo, finalReason);
+      const result = await rescheduleOrder(
+        item.id,
+        formatDateForAPI(selectedDate),
+        selectedSlot.timeFrom,
+        selectedSlot.timeTo,
+        finalReason
+      );
       if (result.success) {
         onSuccess?.();
         onClose();
@@ -96,11 +115,10 @@ const RescheduleOrderModal = memo(({
 
   // Reset form
   const resetForm = () => {
-    setNewDate('');
-    setNewTimeFrom('');
-    setNewTimeTo('');
+    resetSlots();
     setSelectedReason('');
     setCustomReason('');
+    setPolicyError('');
   };
 
   // Handle modal close
@@ -114,8 +132,8 @@ const RescheduleOrderModal = memo(({
   // Don't render if not open
   if (!isOpen) return null;
 
-  const isFormValid = newDate && newTimeFrom && newTimeTo && selectedReason && 
-    (selectedReason !== 'Other' || customReason.trim()) && newTimeFrom < newTimeTo;
+  const isFormValid = eligibility.allowed && selectedDate && selectedSlot && selectedReason &&
+    (selectedReason !== 'Other' || customReason.trim());
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -144,72 +162,48 @@ const RescheduleOrderModal = memo(({
             <h4 className="font-medium text-gray-900 mb-2">Current Booking</h4>
             <div className="space-y-1 text-sm text-gray-600">
               <p>Service: {item.rateCard?.subcategory?.name || item.rateCard?.category?.name}</p>
-              <p>Provider: {item.provider?.firstName} {item.provider?.lastName}</p>
-              {item.bookingDate && (
-                <p>Current Date: {new Date(item.bookingDate).toLocaleDateString('en-IN')}</p>
+              <p>Provider: {item.provider?.first_name || item.provider?.firstName} {item.provider?.last_name || item.provider?.lastName}</p>
+              {currentDate && (
+                <p>Current Date: {formatBookingDate(currentDate, currentTimeFrom, 'medium')}</p>
               )}
-              {item.bookingTimeFrom && item.bookingTimeTo && (
-                <p>Current Time: {item.bookingTimeFrom} - {item.bookingTimeTo}</p>
+              {currentTimeFrom && currentTimeTo && (
+                <p>Current Time: {formatBookingSlot({ date: currentDate, timeFrom: currentTimeFrom, timeTo: currentTimeTo }).time}</p>
               )}
             </div>
           </div>
 
-          {/* New Date Selection */}
-          <div className="space-y-3">
-            <label className="text-sm font-medium text-gray-700">
-              Select New Date *
-            </label>
-            <input
-              type="date"
-              value={newDate}
-              onChange={(e) => setNewDate(e.target.value)}
-              min={getMinDate()}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-orange-500 focus:border-orange-500"
-            />
-          </div>
+          {/* Late change - allowed, but the backend may charge for it */}
+          {eligibility.feeMayApply && (
+            <div className="flex items-start space-x-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <AlertCircle className="w-4 h-4 text-yellow-600 mt-0.5 flex-shrink-0" />
+              <p className="text-sm text-yellow-800">{eligibility.message}</p>
+            </div>
+          )}
 
-          {/* Time Selection */}
-          <div className="grid grid-cols-2 gap-4">
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">
-                Start Time *
-              </label>
-              <select
-                value={newTimeFrom}
-                onChange={(e) => setNewTimeFrom(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-orange-500 focus:border-orange-500"
-              >
-                <option value="">Select start time</option>
-                {timeSlots.map((slot) => (
-                  <option key={slot.value} value={slot.value}>
-                    {slot.label}
-                  </option>
-                ))}
-              </select>
+          {eligibility.allowed ? (
+            <SlotPicker
+              dates={dates}
+              slots={slots}
+              selectedDate={selectedDate}
+              selectedSlot={selectedSlot}
+              onDateSelect={handleDateSelect}
+              onSlotSelect={handleSlotSelect}
+              loading={slotsLoading}
+              error={slotsError}
+            />
+          ) : (
+            <div className="flex items-start space-x-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <AlertCircle className="w-4 h-4 text-yellow-600 mt-0.5 flex-shrink-0" />
+              <p className="text-sm text-yellow-800">{eligibility.message}</p>
             </div>
+          )}
 
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-gray-700">
-                End Time *
-              </label>
-              <select
-                value={newTimeTo}
-                onChange={(e) => setNewTimeTo(e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-orange-500 focus:border-orange-500"
-              >
-                <option value="">Select end time</option>
-                {timeSlots.map((slot) => (
-                  <option 
-                    key={slot.value} 
-                    value={slot.value}
-                    disabled={newTimeFrom && slot.value <= newTimeFrom}
-                  >
-                    {slot.label}
-                  </option>
-                ))}
-              </select>
+          {/* Policy validation error */}
+          {policyError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-red-600 text-sm">{policyError}</p>
             </div>
-          </div>
+          )}
 
           {/* Reschedule Reason Selection */}
           <div className="space-y-3">
@@ -289,7 +283,8 @@ const RescheduleOrderModal = memo(({
           {/* Terms Notice */}
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
             <p className="text-xs text-blue-800">
-              <strong>Note:</strong> Rescheduling is subject to provider availability. 
+              <strong>Note:</strong> Rescheduling is subject to provider availability and is free
+              more than {FREE_RESCHEDULE_HOURS} hours before the service; a fee may apply after that.
               You will be notified once the new schedule is confirmed.
             </p>
           </div>
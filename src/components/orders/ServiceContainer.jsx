@@ -5,6 +5,7 @@ import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '../ui/avatar';
 import OrderStatusBadge from './OrderStatusBadge';
+import { useTranslation } from '../../hooks/useTranslation';
 
 const ServiceContainer = memo(({ 
   order, 
@@ -12,6 +13,8 @@ const ServiceContainer = memo(({
   showAddressDetails, 
   onToggleAddressDetails 
 }) => {
+  const { formatBookingSlot, formatBookingTime, formatCurrency, formatDate } = useTranslation();
+
   if (!order || !item) {
     return null;
   }
@@ -59,37 +62,8 @@ const ServiceContainer = memo(({
 
   // Status is handled by OrderStatusBadge component
 
-  // Format date and time
-  const formatDate = (dateString) => {
-    if (!dateString) return '';
-    try {
-      const date = new Date(dateString);
-      return date.toLocaleDateString('en-IN', {
-        weekday: 'long',
-        day: '2-digit',
-        month: 'long',
-        year: 'numeric'
-      });
-    } catch {
-      return dateString;
-    }
-  };
-
-  const formatTime = (timeString) => {
-    if (!timeString) return '';
-    try {
-      const [hours, minutes] = timeString.split(':');
-      const date = new Date();
-      date.setHours(parseInt(hours), parseInt(minutes));
-      return date.toLocaleTimeString('en-IN', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-    } catch {
-      return timeString;
-    }
-  };
+  // Booking date and time in the user's timezone
+  const slot = formatBookingSlot({ date: bookingDate, timeFrom: bookingTimeFrom, timeTo: bookingTimeTo }, 'long');
 
   // Handle phone call
   const handleCall = () => {
@@ -144,11 +118,11 @@ const ServiceContainer = memo(({
               {/* Pricing Row - Flutter Style */}
               <div className="flex items-center space-x-2">
                 <span className="text-lg font-bold text-gray-900">
-                  ₹{totalAmount.toLocaleString('en-IN')}
+                  {formatCurrency(totalAmount)}
                 </span>
                 {hasDiscount && displayStrikePrice > 0 && (
                   <span className="text-sm text-gray-500 line-through">
-                    ₹{displayStrikePrice.toLocaleString('en-IN')}
+                    {formatCurrency(displayStrikePrice)}
                   </span>
                 )}
                 {hasDiscount && discountPercentage > 0 && (
@@ -202,7 +176,7 @@ const ServiceContainer = memo(({
                 +{order.countryCode || '91'} {order.phone || 'N/A'}
               </p>
               <p className="text-sm font-medium text-gray-900">
-                {formatDate(bookingDate)} | {formatTime(bookingTimeFrom)}
+                {slot.date} | {formatBookingTime(bookingDate, bookingTimeFrom)}
               </p>
             </div>
           )}
@@ -240,12 +214,12 @@ const ServiceContainer = memo(({
                 {/* Price Information */}
                 <div className="flex items-center space-x-2">
                   <span className="text-xl font-bold text-gray-900">
-                    ₹{totalAmount.toLocaleString('en-IN')}
+                    {formatCurrency(totalAmount)}
                   </span>
                   {hasDiscount && displayStrikePrice > 0 && (
                     <>
                       <span className="text-sm text-gray-500 line-through">
-                        ₹{displayStrikePrice.toLocaleString('en-IN')}
+                        {formatCurrency(displayStrikePrice)}
                       </span>
                       <Badge className="bg-green-100 text-green-800 text-xs">
                         {discountPercentage}% OFF
@@ -324,7 +298,7 @@ const ServiceContainer = memo(({
                     <Calendar className="w-5 h-5 text-gray-400 mt-0.5 flex-shrink-0" />
                     <div>
                       <p className="text-sm font-medium text-gray-900 mb-1">Service Date</p>
-                      <p className="text-sm text-gray-600">{formatDate(bookingDate)}</p>
+                      <p className="text-sm text-gray-600">{slot.date}</p>
                     </div>
                   </div>
                 )}
@@ -335,8 +309,7 @@ const ServiceContainer = memo(({
                     <div>
                       <p className="text-sm font-medium text-gray-900 mb-1">Service Time</p>
                       <p className="text-sm text-gray-600">
-                        {formatTime(bookingTimeFrom)}
-                        {bookingTimeTo && ` - ${formatTime(bookingTimeTo)}`}
+                        {slot.time}
                       </p>
                     </div>
                   </div>
@@ -355,7 +328,7 @@ const ServiceContainer = memo(({
                   {item.createdAt && (
                     <div>
                       <p className="text-sm font-medium text-gray-900 mb-1">Booked On</p>
-                      <p className="text-sm text-gray-600">{formatDate(item.createdAt)}</p>
+                      <p className="text-sm text-gray-600">{formatDate(item.createdAt, 'long')}</p>
                     </div>
                   )}
                 </div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { Globe } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * LanguageSelector - 4-button toggle component for language selection
@@ -13,12 +14,7 @@ const LanguageSelector = ({
   disabled = false,
   className = ""
 }) => {
-  const languages = [
-    { code: 'en', label: 'EN', name: 'English' },
-    { code: 'hi', label: 'हि', name: 'Hindi' },
-    { code: 'pu', label: 'ਪੰ', name: 'Punjabi' },
-    { code: 'mr', label: 'मर', name: 'Marathi' }
-  ];
+  const { languages, t } = useTranslation();
 
   const handleLanguageSelect = (languageCode) => {
     if (!disabled && onChange) {
@@ -99,7 +95,7 @@ const LanguageSelector = ({
               variants={buttonVariants}
               whileHover={!disabled ? "hover" : undefined}
               whileTap={!disabled ? "tap" : undefined}
-              title={language.name}
+              title={t(`language.${language.code}`)}
             >
               {/* Selection indicator */}
               {isSelected && (
@@ -139,7 +135,7 @@ const LanguageSelector = ({
       >
         <Globe className="w-4 h-4" />
         <span>
-          {languages.find(lang => lang.code === value)?.name || 'English'}
+          {t(`language.${languages.some(lang => lang.code === value) ? value : 'en'}`)}
         </span>
       </motion.div>
 
@@ -168,12 +164,7 @@ export const LanguageSelectorCompact = ({
   disabled = false,
   className = ""
 }) => {
-  const languages = [
-    { code: 'en', label: 'EN' },
-    { code: 'hi', label: 'हि' },
-    { code: 'pu', label: 'ਪੰ' },
-    { code: 'mr', label: 'मर' }
-  ];
+  const { languages } = useTranslation();
 
   const handleLanguageSelect = (languageCode) => {
     if (!disabled && onChange) {
@@ -223,14 +214,7 @@ export const LanguageSelectorDropdown = ({
   disabled = false,
   className = ""
 }) => {
-  const languages = [
-    { code: 'en', label: 'English', flag: '🇺🇸' },
-    { code: 'hi', label: 'हिंदी', flag: '🇮🇳' },
-    { code: 'pu', label: 'ਪੰਜਾਬੀ', flag: '🇮🇳' },
-    { code: 'mr', label: 'मराठी', flag: '🇮🇳' }
-  ];
-
-  const selectedLanguage = languages.find(lang => lang.code === value) || languages[0];
+  const { languages } = useTranslation();
 
   return (
     <select
@@ -246,7 +230,7 @@ export const LanguageSelectorDropdown = ({
     >
       {languages.map((language) => (
         <option key={language.code} value={language.code}>
-          {language.flag} {language.label}
+          {language.nativeName}
         </option>
       ))}
     </select>
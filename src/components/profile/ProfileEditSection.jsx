@@ -18,6 +18,9 @@ import { useProfile } from '../../hooks/useProfile.js';
 import { Button } from '../ui/button.jsx';
 import { Input } from '../ui/input.jsx';
 import LanguageSelector from './LanguageSelector.jsx';
+import { useTranslation } from '../../hooks/useTranslation';
+import { translate } from '../../i18n';
+import { isSupportedLanguage } from '../../i18n/registry';
 
 // Validation schema
 const profileSchema = z.object({
@@ -39,9 +42,9 @@ const profileSchema = z.object({
     .min(1, 'Email is required')
     .email('Please enter a valid email address'),
   
-  preferred_language: z.enum(['en', 'hi', 'pu', 'mr'], {
-    errorMap: () => ({ message: 'Please select a valid language' }),
-  }),
+  preferred_language: z
+    .string()
+    .refine(isSupportedLanguage, { message: translate('language.invalid') }),
 });
 
 /**
@@ -55,6 +58,7 @@ const ProfileEditSection = ({
   className = ""
 }) => {
   const { user, updateProfile, loading } = useProfile();
+  const { t } = useTranslation();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitSuccess, setSubmitSuccess] = useState(false);
 
@@ -270,7 +274,7 @@ const ProfileEditSection = ({
                 {/* Language Selector */}
                 <div className="space-y-2">
                   <label className="text-sm font-medium text-gray-700">
-                    Preferred Language
+                    {t('language.preferred')}
                   </label>
                   <LanguageSelector
                     value={watchedLanguage}
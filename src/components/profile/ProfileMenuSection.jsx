@@ -23,6 +23,7 @@ import {
   Bell,
   Plane
 } from 'lucide-react';
+import { useTranslation } from '../../hooks/useTranslation';
 
 /**
  * MenuItemCard - Individual menu item component
@@ -128,31 +129,32 @@ const ProfileMenuSection = ({
   onMenuItemClick 
 }) => {
   const navigate = useNavigate();
+  const { t } = useTranslation();
 
   // Menu items configuration - matching Flutter app structure
   const menuSections = [
     {
-      title: "Bookings & Services",
+      title: t('profile.sections.bookings'),
       icon: Calendar,
       items: [
         {
           icon: Calendar,
-          label: "My Bookings",
-          description: "View your service bookings and history",
+          label: t('profile.menu.bookings'),
+          description: t('profile.menu.bookingsDescription'),
           key: "bookings",
           onClick: () => handleMenuClick("bookings")
         },
         {
           icon: MapPin,
-          label: "Manage Address",
-          description: "Add and manage your addresses",
+          label: t('profile.menu.address'),
+          description: t('profile.menu.addressDescription'),
           key: "address",
           onClick: () => handleMenuClick("address")
         },
         {
           icon: Plane,
-          label: "Flight Booking",
-          description: "Book flights (Coming Soon)",
+          label: t('profile.menu.flight'),
+          description: t('profile.menu.flightDescription'),
           key: "flight",
           disabled: true,
           onClick: () => handleMenuClick("flight")
@@ -160,48 +162,48 @@ const ProfileMenuSection = ({
       ]
     },
     {
-      title: "Account & Features",
+      title: t('profile.sections.account'),
       icon: CreditCard,
       items: [
         {
           icon: Wallet,
-          label: "Wallet History",
-          description: "View transactions and balance",
+          label: t('profile.menu.wallet'),
+          description: t('profile.menu.walletDescription'),
           key: "wallet",
           onClick: () => handleMenuClick("wallet")
         },
         {
           icon: Heart,
-          label: "Favourites",
-          description: "Your saved services and providers",
+          label: t('profile.menu.favourites'),
+          description: t('profile.menu.favouritesDescription'),
           key: "favourites",
           onClick: () => handleMenuClick("favourites")
         },
         {
           icon: Gift,
-          label: "Refer & Earn",
-          description: "Invite friends and earn rewards",
+          label: t('profile.menu.referral'),
+          description: t('profile.menu.referralDescription'),
           key: "referral",
-          badge: "New",
+          badge: t('common.new'),
           onClick: () => handleMenuClick("referral")
         },
         {
           icon: Bell,
-          label: "Notifications",
-          description: "Manage your notification preferences",
+          label: t('profile.menu.notifications'),
+          description: t('profile.menu.notificationsDescription'),
           key: "notifications",
           onClick: () => handleMenuClick("notifications")
         }
       ]
     },
     {
-      title: "Account Actions",
+      title: t('profile.sections.actions'),
       icon: Settings,
       items: [
         {
           icon: Settings,
-          label: "Settings",
-          description: "Manage app preferences and configurations",
+          label: t('profile.menu.settings'),
+          description: t('profile.menu.settingsDescription'),
           key: "settings",
           onClick: () => handleMenuClick("settings")
         }
@@ -316,13 +318,14 @@ export const ProfileMenuSectionCompact = ({
   className = "",
   onMenuItemClick 
 }) => {
+  const { t } = useTranslation();
   const allItems = [
-    { icon: Calendar, label: "My Bookings", key: "bookings" },
-    { icon: MapPin, label: "Address", key: "address" },
-    { icon: Wallet, label: "Wallet", key: "wallet" },
-    { icon: Heart, label: "Favourites", key: "favourites" },
-    { icon: Gift, label: "Refer & Earn", key: "referral", badge: "New" },
-    { icon: Bell, label: "Notifications", key: "notifications" }
+    { icon: Calendar, label: t('profile.menu.bookings'), key: "bookings" },
+    { icon: MapPin, label: t('profile.menu.addressShort'), key: "address" },
+    { icon: Wallet, label: t('profile.menu.walletShort'), key: "wallet" },
+    { icon: Heart, label: t('profile.menu.favourites'), key: "favourites" },
+    { icon: Gift, label: t('profile.menu.referral'), key: "referral", badge: t('common.new') },
+    { icon: Bell, label: t('profile.menu.notifications'), key: "notifications" }
   ];
 
   const handleMenuClick = (key) => {
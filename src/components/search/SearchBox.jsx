@@ -0,0 +1,110 @@
+import React, { useState, useRef, useEffect, useId } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, X } from 'lucide-react';
+import { Input } from '../ui/input';
+import SearchSuggestions from './SearchSuggestions';
+import { useServiceSearch } from '../../hooks/useServiceSearch';
+import { getSearchResultRoute } from '../../utils/searchUtils';
+
+/**
+ * SearchBox Component
+ * Search input with live, keyboard-navigable suggestions.
+ * Selecting a result deep-links into the service; submitting opens /search?q=.
+ */
+const SearchBox = ({
+  placeholder = 'Search for services...',
+  className = '',
+  inputClassName = '',
+  autoFocus = false
+}) => {
+  const navigate = useNavigate();
+  const listId = useId();
+  const containerRef = useRef(null);
+  const [isOpen, setIsOpen] = useState(false);
+
+  const search = useServiceSearch();
+  const { query, setQuery, setActiveIndex, handleKeyDown, rememberSearch, activeIndex } = search;
+
+  // Close suggestions when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleSelect = (result) => {
+    rememberSearch(query.trim() || result.name);
+    setIsOpen(false);
+    const { path, state } = getSearchResultRoute(result);
+    navigate(path, state ? { state } : undefined);
+  };
+
+  const handleSubmit = (term) => {
+    rememberSearch(term);
+    setIsOpen(false);
+    navigate(`/search?q=${encodeURIComponent(term)}`);
+  };
+
+  const handleTermSelect = (term) => {
+    setQuery(term);
+    setIsOpen(true);
+  };
+
+  return (
+    <div ref={containerRef} className={`relative ${className}`}>
+      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 z-10" />
+      <Input
+        type="search"
+        value={query}
+        autoFocus={autoFocus}
+        placeholder={placeholder}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={(event) => handleKeyDown(event, {
+          onSelect: handleSelect,
+          onSubmit: handleSubmit,
+          onEscape: () => setIsOpen(false)
+        })}
+        role="combobox"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `${listId}-option-${activeIndex}` : undefined}
+        className={`pl-10 pr-8 py-2 w-full border-gray-300 rounded-lg focus:border-palette-orange focus:ring-palette-orange ${inputClassName}`}
+      />
+      {query && (
+        <button
+          type="button"
+          aria-label="Clear search"
+          onClick={() => setQuery('')}
+          className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      )}
+
+      {isOpen && (
+        <div className="absolute left-0 right-0 top-full mt-2 bg-white rounded-lg shadow-lg border border-gray-200 z-50 overflow-hidden empty:hidden">
+          <SearchSuggestions
+            {...search}
+            listId={listId}
+            onHover={setActiveIndex}
+            onSelect={handleSelect}
+            onTermSelect={handleTermSelect}
+            onClearRecent={search.clearRecent}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,155 @@
+import React from 'react';
+import { Clock, TrendingUp, Loader2, Search } from 'lucide-react';
+import { SEARCH_GROUP_LABELS, SEARCH_GROUPS } from '../../utils/searchUtils';
+
+/**
+ * SearchSuggestions Component
+ * Dropdown content for the search box: grouped results while typing,
+ * recent and popular searches when the query is empty.
+ */
+const SearchSuggestions = ({
+  query,
+  results,
+  flatResults,
+  loading,
+  error,
+  isQueryTooShort,
+  activeIndex,
+  onHover,
+  onSelect,
+  onTermSelect,
+  recentSearches = [],
+  popularSearches = [],
+  onClearRecent,
+  listId
+}) => {
+  if (isQueryTooShort) {
+    if (!recentSearches.length && !popularSearches.length) return null;
+
+    return (
+      <div className="py-2">
+        {recentSearches.length > 0 && (
+          <div className="px-4 py-2">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide">Recent Searches</p>
+              <button
+                type="button"
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={onClearRecent}
+                className="text-xs text-orange-500 hover:text-orange-600"
+              >
+                Clear
+              </button>
+            </div>
+            {recentSearches.map((term) => (
+              <button
+                key={term}
+                type="button"
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => onTermSelect(term)}
+                className="flex items-center gap-2 w-full text-left px-2 py-1.5 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+              >
+                <Clock className="w-4 h-4 text-gray-400" />
+                <span className="truncate">{term}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {popularSearches.length > 0 && (
+          <div className="px-4 py-2">
+            <p className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">Popular Searches</p>
+            <div className="flex flex-wrap gap-2">
+              {popularSearches.map((term) => (
+                <button
+                  key={term}
+                  type="button"
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => onTermSelect(term)}
+                  className="flex items-center gap-1 px-3 py-1 rounded-full bg-orange-50 text-orange-600 text-xs hover:bg-orange-100"
+                >
+                  <TrendingUp className="w-3 h-3" />
+                  {term}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (loading && !flatResults.length) {
+    return (
+      <div className="flex items-center gap-2 px-4 py-4 text-sm text-gray-500">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Searching...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="px-4 py-4 text-sm text-red-500">{error}</p>;
+  }
+
+  if (!flatResults.length) {
+    return (
+      <p className="px-4 py-4 text-sm text-gray-500">
+        No results for &ldquo;{query}&rdquo;
+      </p>
+    );
+  }
+
+  const groups = [
+    { type: SEARCH_GROUPS.CATEGORY, items: results.categories },
+    { type: SEARCH_GROUPS.SUB_SERVICE, items: results.subServices },
+    { type: SEARCH_GROUPS.PACKAGE, items: results.packages }
+  ].filter((group) => group.items.length > 0);
+
+  return (
+    <ul id={listId} role="listbox" className="py-2 max-h-96 overflow-y-auto">
+      {groups.map((group) => (
+        <li key={group.type} role="presentation">
+          <p className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wide">
+            {SEARCH_GROUP_LABELS[group.type]}
+          </p>
+          <ul role="presentation">
+            {group.items.map((item) => {
+              const index = flatResults.indexOf(item);
+              const isActive = index === activeIndex;
+
+              return (
+                <li
+                  key={`${item.type}-${item.id}`}
+                  id={`${listId}-option-${index}`}
+                  role="option"
+                  aria-selected={isActive}
+                  onMouseEnter={() => onHover(index)}
+                  onMouseDown={(event) => event.preventDefault()}
+                  onClick={() => onSelect(item)}
+                  className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${isActive ? 'bg-orange-50' : 'hover:bg-gray-50'}`}
+                >
+                  {item.image ? (
+                    <img src={item.image} alt="" className="w-8 h-8 rounded-md object-cover flex-shrink-0" />
+                  ) : (
+                    <div className="w-8 h-8 rounded-md bg-gray-100 flex items-center justify-center flex-shrink-0">
+                      <Search className="w-4 h-4 text-gray-400" />
+                    </div>
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-800 truncate">{item.name}</p>
+                    {item.categoryName && (
+                      <p className="text-xs text-gray-500 truncate">{item.categoryName}</p>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default SearchSuggestions;
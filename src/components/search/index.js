@@ -0,0 +1,7 @@
+/**
+ * Search Components Export Index
+ * Centralized exports for all search-related components
+ */
+
+export { default as SearchBox } from './SearchBox';
+export { default as SearchSuggestions } from './SearchSuggestions';
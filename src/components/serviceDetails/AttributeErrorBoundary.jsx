@@ -1,5 +1,6 @@
 import React from 'react';
 import { AlertTriangle, RefreshCw, Bug } from 'lucide-react';
+import errorReportingService from '../../api/services/errorReportingService';
 
 /**
  * AttributeErrorBoundary - Error boundary for attribute rendering
@@ -45,24 +46,11 @@ class AttributeErrorBoundary extends React.Component {
       console.groupEnd();
     }
 
-    // Report error to monitoring service in production
-    if (process.env.NODE_ENV === 'production') {
-      this.reportError(error, errorInfo);
-    }
-  }
-
-  reportError = (error, errorInfo) => {
-    // In a real app, you would send this to your error reporting service
-    // For now, we'll just log it
-    console.error('AttributeErrorBoundary: Error reported', {
-      error: error.message,
-      stack: error.stack,
-      componentStack: errorInfo.componentStack,
-      timestamp: new Date().toISOString(),
-      userAgent: navigator.userAgent,
-      url: window.location.href
+    errorReportingService.captureBoundaryError('service_attributes', error, errorInfo).then((eventId) => {
+      // Shown in the fallback so support can find the report
+      if (eventId) this.setState({ errorId: eventId });
     });
-  };
+  }
 
   handleRetry = () => {
     this.setState({
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowRight, Calendar, X } from 'lucide-react';
+import { getLatestBookingDraft, removeBookingDraft } from '../../utils/bookingDrafts';
+import { formatDateTime, formatTime } from '../../utils/dateUtils';
+
+/**
+ * Continue Booking Card
+ * "Continue where you left off" prompt for the most recent booking draft
+ * (see utils/bookingDrafts). Renders nothing when there is no draft.
+ */
+const ContinueBookingCard = () => {
+  const navigate = useNavigate();
+  const [draft, setDraft] = useState(() => getLatestBookingDraft());
+
+  if (!draft) return null;
+
+  const slot = [
+    draft.selectedDate ? formatDateTime(draft.selectedDate) : null,
+    draft.timeFromValue ? formatTime(draft.timeFromValue) : null
+  ].filter(Boolean).join(' · ');
+
+  const handleContinue = () => {
+    const query = draft.serviceName ? `?serviceName=${encodeURIComponent(draft.serviceName)}` : '';
+    navigate(`/service-details/${draft.serviceId}${query}`);
+  };
+
+  const handleDismiss = () => {
+    removeBookingDraft(draft.serviceId);
+    setDraft(null);
+  };
+
+  return (
+    <section className="mx-4 md:mx-0 mt-8">
+      <div className="relative flex items-center rounded-xl border border-orange-200 bg-orange-50 p-4 pr-10">
+        {draft.serviceImage && (
+          <img
+            src={draft.serviceImage}
+            alt=""
+            className="w-14 h-14 rounded-lg object-cover flex-shrink-0 mr-4"
+          />
+        )}
+
+        <div className="flex-1 min-w-0 pr-3">
+          <p className="text-xs font-semibold uppercase tracking-wide text-orange-600">Continue where you left off</p>
+          <p className="text-base font-semibold text-gray-900 truncate">{draft.serviceName || 'Your booking'}</p>
+          {slot && (
+            <p className="flex items-center text-sm text-gray-600 mt-0.5">
+              <Calendar className="w-4 h-4 mr-1 flex-shrink-0" />
+              <span className="truncate">{slot}</span>
+            </p>
+          )}
+        </div>
+
+        <button
+          type="button"
+          onClick={handleContinue}
+          className="flex items-center space-x-1 rounded-lg bg-orange-500 px-3 py-2 text-sm font-semibold text-white hover:bg-orange-600 transition-colors flex-shrink-0"
+        >
+          <span>Continue</span>
+          <ArrowRight className="w-4 h-4" />
+        </button>
+
+        <button
+          type="button"
+          onClick={handleDismiss}
+          aria-label="Dismiss saved booking"
+          className="absolute top-1/2 -translate-y-1/2 right-2 p-1 text-gray-400 hover:text-gray-600"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default ContinueBookingCard;
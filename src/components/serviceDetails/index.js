@@ -19,6 +19,7 @@ export * from './attributeUtils';
 // Picker Components (still needed)
 export { default as DatePickerModal } from './pickers/DatePickerModal';
 export { default as TimePickerModal } from './pickers/TimePickerModal';
+export { default as SlotPickerModal } from './pickers/SlotPickerModal';
 
 // Lazy Components (updated)
 export { default as LazyComponents } from './LazyComponents';
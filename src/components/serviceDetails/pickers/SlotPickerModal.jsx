@@ -0,0 +1,120 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+import SlotPicker from '../../common/SlotPicker';
+import { useTimeSlots } from '../../../hooks/useTimeSlots';
+import { isSameDay } from '../../../api/services/dateTimeService';
+import { useTranslation } from '../../../hooks/useTranslation';
+
+/**
+ * SlotPickerModal Component
+ * Booking date and time for a new service, from the shared useTimeSlots engine
+ * so service details offers the same slots as the cart and rescheduling
+ */
+const SlotPickerModal = ({
+  isOpen,
+  onClose,
+  onConfirm,
+  selectedDate: currentDate,
+  selectedTimeFrom,
+  selectedTimeTo
+}) => {
+  const { t } = useTranslation();
+  const {
+    dates,
+    slots,
+    selectedDate,
+    selectedSlot,
+    loading,
+    error,
+    selectDate,
+    selectSlot,
+    reset
+  } = useTimeSlots({ enabled: isOpen });
+
+  // Start from the current selection once slots are loaded
+  useEffect(() => {
+    if (!isOpen || !currentDate || dates.length === 0) return;
+
+    const matchingDate = dates.find((date) => isSameDay(date, new Date(currentDate)));
+    if (matchingDate) {
+      selectDate(matchingDate);
+    }
+  }, [isOpen, currentDate, dates, selectDate]);
+
+  // Keep the current slot if it is still offered for that date
+  useEffect(() => {
+    if (!currentDate || selectedSlot || !isSameDay(selectedDate, new Date(currentDate))) return;
+
+    const matchingSlot = slots.find((slot) => (
+      slot.available && slot.timeFrom === selectedTimeFrom && slot.timeTo === selectedTimeTo
+    ));
+    if (matchingSlot) {
+      selectSlot(matchingSlot);
+    }
+  }, [currentDate, selectedTimeFrom, selectedTimeTo, slots, selectedDate, selectedSlot, selectSlot]);
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleConfirm = () => {
+    if (!selectedDate || !selectedSlot) return;
+
+    onConfirm(selectedDate, selectedSlot);
+    handleClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-end md:items-center justify-center z-50">
+      <div className="bg-white w-full md:max-w-md md:rounded-2xl rounded-t-2xl max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">{t('slots.title')}</h3>
+          <button
+            onClick={handleClose}
+            className="p-2 rounded-full hover:bg-gray-100 transition-colors"
+            aria-label={t('slots.cancel')}
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="p-4">
+          {/* Today is never offered, as in Flutter */}
+          <SlotPicker
+            dates={dates}
+            slots={slots}
+            selectedDate={selectedDate}
+            selectedSlot={selectedSlot}
+            onDateSelect={selectDate}
+            onSlotSelect={selectSlot}
+            loading={loading}
+            error={error}
+          />
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex gap-3 p-4 border-t border-gray-200">
+          <button
+            onClick={handleClose}
+            className="flex-1 px-4 py-3 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            {t('slots.cancel')}
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={!selectedDate || !selectedSlot}
+            className="flex-1 px-4 py-3 text-white bg-orange-500 rounded-lg hover:bg-orange-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('slots.confirm')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlotPickerModal;
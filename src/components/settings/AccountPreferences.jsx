@@ -1,24 +1,25 @@
-import React, { useState } from 'react';
+import React from 'react';
 import { motion } from 'framer-motion';
 import { 
   Globe, 
   Clock, 
-  DollarSign, 
+  IndianRupee,
+  CalendarDays,
   Moon, 
   Sun,
   Monitor,
-  ChevronDown,
   Check
 } from 'lucide-react';
 import { SettingItemWithSelect } from './SettingItem';
-import { ToggleWithLabel } from './ToggleSwitch';
 import { InlineSpinner } from '../common/LoadingSpinner';
+import { usePreferences } from '../../hooks/usePreferences';
 import { cn } from '../../lib/utils';
 
 /**
  * AccountPreferences - Account preferences management component
- * Includes language, timezone, currency, and theme settings
- * Following design specifications and Flutter app patterns
+ * Language, timezone, currency display and date format come from the shared
+ * preferences (options from the locale registry); theme stays a settings value.
+ * Each change is saved straight away through onUpdate.
  */
 const AccountPreferences = ({
   preferences = {},
@@ -26,63 +27,26 @@ const AccountPreferences = ({
   saving = false,
   className = ''
 }) => {
-  const [localPreferences, setLocalPreferences] = useState({
-    language: preferences.language ?? 'en',
-    timezone: preferences.timezone ?? 'Asia/Kolkata',
-    currency: preferences.currency ?? 'INR',
-    theme: preferences.theme ?? 'light'
-  });
-
-  const [hasChanges, setHasChanges] = useState(false);
+  const { preferences: current, options } = usePreferences();
+  const theme = preferences.theme ?? 'light';
 
   // Handle preference change
   const handleChange = (key, value) => {
-    const newPreferences = {
-      ...localPreferences,
-      [key]: value
-    };
-    
-    setLocalPreferences(newPreferences);
-    setHasChanges(true);
-    
-    // Auto-save after a short delay
     if (onUpdate) {
-      setTimeout(() => {
-        onUpdate(newPreferences);
-        setHasChanges(false);
-      }, 500);
+      onUpdate({ [key]: value });
     }
   };
 
   // Configuration options
-  const languageOptions = [
-    { value: 'en', label: 'English' },
-    { value: 'hi', label: 'हिंदी (Hindi)' },
-    { value: 'bn', label: 'বাংলা (Bengali)' },
-    { value: 'te', label: 'తెలుగు (Telugu)' },
-    { value: 'mr', label: 'मराठी (Marathi)' },
-    { value: 'ta', label: 'தமிழ் (Tamil)' },
-    { value: 'gu', label: 'ગુજરાતી (Gujarati)' },
-    { value: 'kn', label: 'ಕನ್ನಡ (Kannada)' }
-  ];
-
-  const timezoneOptions = [
-    { value: 'Asia/Kolkata', label: 'IST (UTC+05:30)' },
-    { value: 'Asia/Dubai', label: 'GST (UTC+04:00)' },
-    { value: 'Asia/Singapore', label: 'SGT (UTC+08:00)' },
-    { value: 'Europe/London', label: 'GMT (UTC+00:00)' },
-    { value: 'America/New_York', label: 'EST (UTC-05:00)' },
-    { value: 'America/Los_Angeles', label: 'PST (UTC-08:00)' }
-  ];
+  const languageOptions = options.languages.map((language) => ({
+    value: language.code,
+    label: language.code === 'en' ? language.name : `${language.nativeName} (${language.name})`
+  }));
 
-  const currencyOptions = [
-    { value: 'INR', label: 'INR (₹) - Indian Rupee' },
-    { value: 'USD', label: 'USD ($) - US Dollar' },
-    { value: 'EUR', label: 'EUR (€) - Euro' },
-    { value: 'GBP', label: 'GBP (£) - British Pound' },
-    { value: 'AED', label: 'AED (د.إ) - UAE Dirham' },
-    { value: 'SGD', label: 'SGD (S$) - Singapore Dollar' }
-  ];
+  const currencyDisplayOptions = options.currencyDisplays.map((option) => ({
+    value: option.value,
+    label: `${option.label} - ${option.description}`
+  }));
 
   const themeOptions = [
     { 
@@ -141,21 +105,13 @@ const AccountPreferences = ({
           </h3>
         </div>
         
-        {/* Status indicators */}
-        <div className="flex items-center gap-2">
-          {saving && (
-            <div className="flex items-center gap-2 text-sm text-orange-600">
-              <InlineSpinner size="xs" />
-              <span>Saving...</span>
-            </div>
-          )}
-          {hasChanges && !saving && (
-            <div className="flex items-center gap-1 text-sm text-blue-600">
-              <div className="w-2 h-2 bg-blue-500 rounded-full animate-pulse" />
-              <span>Changes pending</span>
-            </div>
-          )}
-        </div>
+        {/* Status indicator */}
+        {saving && (
+          <div className="flex items-center gap-2 text-sm text-orange-600">
+            <InlineSpinner size="xs" />
+            <span>Saving...</span>
+          </div>
+        )}
       </div>
 
       {/* Language Setting */}
@@ -164,7 +120,7 @@ const AccountPreferences = ({
           icon={Globe}
           label="Language"
           description="Choose your preferred language for the interface"
-          value={localPreferences.language}
+          value={current.language}
           options={languageOptions}
           onChange={(value) => handleChange('language', value)}
           disabled={saving}
@@ -177,26 +133,40 @@ const AccountPreferences = ({
         <SettingItemWithSelect
           icon={Clock}
           label="Timezone"
-          description="Set your local timezone for accurate scheduling"
-          value={localPreferences.timezone}
-          options={timezoneOptions}
+          description="Booking times are shown in this timezone"
+          value={current.timezone}
+          options={options.timezones}
           onChange={(value) => handleChange('timezone', value)}
           disabled={saving}
           placeholder="Select timezone"
         />
       </motion.div>
 
-      {/* Currency Setting */}
+      {/* Currency Display Setting */}
+      <motion.div variants={itemVariants}>
+        <SettingItemWithSelect
+          icon={IndianRupee}
+          label="Currency display"
+          description="Prices are charged in rupees; choose how amounts are shown"
+          value={current.currencyDisplay}
+          options={currencyDisplayOptions}
+          onChange={(value) => handleChange('currencyDisplay', value)}
+          disabled={saving}
+          placeholder="Select currency display"
+        />
+      </motion.div>
+
+      {/* Date Format Setting */}
       <motion.div variants={itemVariants}>
         <SettingItemWithSelect
-          icon={DollarSign}
-          label="Currency"
-          description="Display prices in your preferred currency"
-          value={localPreferences.currency}
-          options={currencyOptions}
-          onChange={(value) => handleChange('currency', value)}
+          icon={CalendarDays}
+          label="Date format"
+          description="How dates are written across the app"
+          value={current.dateFormat}
+          options={options.dateFormats}
+          onChange={(value) => handleChange('dateFormat', value)}
           disabled={saving}
-          placeholder="Select currency"
+          placeholder="Select date format"
         />
       </motion.div>
 
@@ -214,7 +184,7 @@ const AccountPreferences = ({
           <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
             {themeOptions.map((option) => {
               const Icon = option.icon;
-              const isSelected = localPreferences.theme === option.value;
+              const isSelected = theme === option.value;
               
               return (
                 <button
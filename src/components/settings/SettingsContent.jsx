@@ -2,6 +2,7 @@ import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { cn } from '../../lib/utils';
 import NotificationSettings from './NotificationSettings';
+import AccountPreferences from './AccountPreferences';
 
 
 
@@ -29,6 +30,12 @@ const SettingsContent = ({
       icon: '📱',
       component: NotificationSettings
     },
+    preferences: {
+      title: 'Language & Region',
+      description: 'Language, timezone, currency display and date format',
+      icon: '🌐',
+      component: AccountPreferences
+    },
     contact: {
       title: 'Contact us',
       description: 'Get in touch with our support team',
@@ -86,6 +93,12 @@ const SettingsContent = ({
           onUpdate: onUpdateNotifications,
           saving
         };
+      case 'preferences':
+        return {
+          preferences: settings.preferences,
+          onUpdate: onUpdatePreferences,
+          saving
+        };
       case 'contact':
         return {
           saving
@@ -2,6 +2,7 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { AlertTriangle, RefreshCw, Home, Settings } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import errorReportingService from '../../api/services/errorReportingService';
 
 /**
  * SettingsErrorBoundary - Error boundary specifically for settings page
@@ -33,8 +34,7 @@ class SettingsErrorBoundary extends React.Component {
       console.error('Settings Error Boundary caught an error:', error, errorInfo);
     }
 
-    // TODO: Log error to monitoring service in production
-    // logErrorToService(error, errorInfo);
+    errorReportingService.captureBoundaryError('settings', error, errorInfo);
   }
 
   handleRetry = () => {
@@ -36,6 +36,12 @@ const SettingsNavigation = ({
       icon: Bell,
       action: () => navigate('/settings/notifications')
     },
+    {
+      id: 'preferences',
+      label: 'Language & Region',
+      icon: Globe,
+      action: () => navigate('/settings/preferences')
+    },
     {
       id: 'help',
       label: 'Help & FAQs',
@@ -86,6 +92,15 @@ const SettingsNavigation = ({
       bgColor: 'bg-blue-50',
       borderColor: 'border-blue-200'
     },
+    {
+      id: 'preferences',
+      label: 'Language & Region',
+      description: 'Language, timezone, currency display and date format',
+      icon: Globe,
+      color: 'text-orange-600',
+      bgColor: 'bg-orange-50',
+      borderColor: 'border-orange-200'
+    },
     {
       id: 'help',
       label: 'Help & FAQs',
@@ -0,0 +1,141 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { useVipContext } from '../../contexts/VipContext';
+
+const formatCurrency = (amount) => `₹${Math.round(parseFloat(amount || 0))}`;
+
+/**
+ * Cancel VIP Dialog
+ * Loads the proration/refund preview when opened and only cancels the
+ * subscription once the user confirms it.
+ */
+const CancelVipDialog = ({ isOpen, onClose }) => {
+  const { getCancellationPreview, cancelVipSubscription, paymentLoading } = useVipContext();
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewAttempt, setPreviewAttempt] = useState(0);
+  // getCancellationPreview is recreated on every VipProvider render - reload only on open/retry
+  const getPreviewRef = useRef(getCancellationPreview);
+  getPreviewRef.current = getCancellationPreview;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let cancelled = false;
+    setPreview(null);
+    setPreviewError(null);
+    setPreviewLoading(true);
+
+    getPreviewRef.current().then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setPreview(result.data);
+      } else {
+        setPreviewError(result.error || 'Could not load your refund details');
+      }
+      setPreviewLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, previewAttempt]);
+
+  const handleConfirm = async () => {
+    const result = await cancelVipSubscription();
+    if (result.success) onClose();
+  };
+
+  const handleOpenChange = (open) => {
+    if (!open && !paymentLoading) onClose();
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+            <AlertTriangle className="w-5 h-5 text-orange-500" />
+            Cancel VIP membership?
+          </DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Your VIP benefits end as soon as the membership is cancelled.
+          </DialogDescription>
+        </DialogHeader>
+
+        {previewLoading && (
+          <div className="py-6 flex justify-center">
+            <div className="w-8 h-8 border-4 border-gray-200 border-t-orange-500 rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {previewError && (
+          <div className="py-2 text-sm text-red-600" role="alert">
+            <p>{previewError}</p>
+            <button
+              type="button"
+              onClick={() => setPreviewAttempt((attempt) => attempt + 1)}
+              className="mt-1 font-medium text-orange-600 hover:text-orange-700"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {preview && (
+          <div className="rounded-lg bg-gray-50 p-4 space-y-2 text-sm">
+            {preview.planName && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Plan</span>
+                <span className="font-medium text-gray-900">{preview.planName}</span>
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span className="text-gray-600">Days used</span>
+              <span className="font-medium text-gray-900">{preview.usedDays}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Days remaining</span>
+              <span className="font-medium text-gray-900">{preview.remainingDays}</span>
+            </div>
+            {preview.cancellationFee > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Cancellation fee</span>
+                <span className="font-medium text-gray-900">-{formatCurrency(preview.cancellationFee)}</span>
+              </div>
+            )}
+            <div className="flex justify-between border-t border-gray-200 pt-2">
+              <span className="font-semibold text-gray-900">Refund</span>
+              <span className="font-bold text-gray-900">{formatCurrency(preview.refundAmount)}</span>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2 sm:gap-0">
+          <Button variant="outline" onClick={onClose} disabled={paymentLoading}>
+            Keep VIP
+          </Button>
+          <Button
+            onClick={handleConfirm}
+            disabled={!preview || paymentLoading}
+            className="bg-red-600 hover:bg-red-700 text-white"
+          >
+            {paymentLoading ? 'Cancelling...' : 'Confirm cancellation'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default CancelVipDialog;
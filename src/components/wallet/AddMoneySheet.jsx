@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { AlertCircle, RefreshCw, Wallet } from 'lucide-react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { cn } from '../../lib/utils';
+import { useWalletTopUp, validateTopUpAmount } from '../../hooks/useWalletTopUp';
+
+const PRESET_AMOUNTS = [100, 500, 1000, 2000];
+
+/**
+ * Add Money Sheet
+ * Top-up sheet for the wallet page: preset amount chips or a custom amount
+ * (₹10 - ₹50,000, walletTransactionSchema), paid through Razorpay. Offers a
+ * retry instead of a second payment when the top-up was charged but not credited.
+ */
+const AddMoneySheet = ({ isOpen, onClose }) => {
+  const [amount, setAmount] = useState('');
+  const [touched, setTouched] = useState(false);
+  const { error, isProcessing, isUnverified, topUp, retryVerification, reset } = useWalletTopUp();
+
+  const validation = validateTopUpAmount(amount);
+  const amountError = touched && amount !== '' && !validation.isValid ? validation.error : null;
+
+  const close = () => {
+    setAmount('');
+    setTouched(false);
+    reset();
+    onClose();
+  };
+
+  const handleOpenChange = (open) => {
+    if (!open && !isProcessing) close();
+  };
+
+  const handleAmountChange = (event) => {
+    // Digits and at most two decimals
+    const value = event.target.value.replace(/[^\d.]/g, '');
+    if (/^\d*(\.\d{0,2})?$/.test(value)) {
+      setAmount(value);
+      setTouched(true);
+    }
+  };
+
+  const handleAddMoney = async () => {
+    setTouched(true);
+    if (!validation.isValid) return;
+
+    const result = await topUp(validation.amount);
+    if (result.success) close();
+  };
+
+  const handleRetry = async () => {
+    const result = await retryVerification();
+    if (result.success) close();
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={handleOpenChange}>
+      <DialogContent className="top-auto bottom-0 translate-y-0 rounded-t-2xl sm:top-[50%] sm:bottom-auto sm:translate-y-[-50%] sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-lg font-semibold text-gray-900">
+            <Wallet className="w-5 h-5 text-orange-500" />
+            Add money to wallet
+          </DialogTitle>
+          <DialogDescription className="text-gray-600">
+            Add between ₹10 and ₹50,000. Wallet balance can be used on any booking.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!isUnverified && (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              {PRESET_AMOUNTS.map((preset) => (
+                <button
+                  key={preset}
+                  type="button"
+                  onClick={() => {
+                    setAmount(String(preset));
+                    setTouched(true);
+                  }}
+                  disabled={isProcessing}
+                  aria-pressed={Number(amount) === preset}
+                  className={cn(
+                    'px-4 py-2 rounded-full border text-sm font-medium transition-colors',
+                    Number(amount) === preset
+                      ? 'border-orange-500 bg-orange-50 text-orange-600'
+                      : 'border-gray-200 text-gray-700 hover:border-orange-300'
+                  )}
+                >
+                  ₹{preset.toLocaleString('en-IN')}
+                </button>
+              ))}
+            </div>
+
+            <div>
+              <label htmlFor="wallet-topup-amount" className="block text-sm font-medium text-gray-700 mb-1">
+                Enter amount
+              </label>
+              <div className={cn(
+                'flex items-center rounded-lg border px-3 h-11',
+                amountError ? 'border-red-400' : 'border-gray-200 focus-within:border-orange-500'
+              )}>
+                <span className="text-gray-500 mr-1">₹</span>
+                <input
+                  id="wallet-topup-amount"
+                  type="text"
+                  inputMode="decimal"
+                  value={amount}
+                  onChange={handleAmountChange}
+                  disabled={isProcessing}
+                  placeholder="0"
+                  aria-invalid={!!amountError}
+                  className="flex-1 bg-transparent outline-none text-gray-900"
+                />
+              </div>
+              {amountError && <p className="mt-1 text-sm text-red-600">{amountError}</p>}
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <p className="flex items-start text-sm text-red-600" role="alert">
+            <AlertCircle className="w-4 h-4 mr-1.5 mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </p>
+        )}
+
+        {isUnverified ? (
+          <Button
+            onClick={handleRetry}
+            disabled={isProcessing}
+            className="w-full bg-orange-500 hover:bg-orange-600 text-white rounded-lg h-11"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isProcessing ? 'animate-spin' : ''}`} />
+            {isProcessing ? 'Confirming...' : 'Retry confirmation'}
+          </Button>
+        ) : (
+          <Button
+            onClick={handleAddMoney}
+            disabled={isProcessing || !validation.isValid}
+            className="w-full bg-orange-500 hover:bg-orange-600 text-white rounded-lg h-11"
+          >
+            {isProcessing
+              ? 'Processing...'
+              : `Add ${validation.isValid ? `₹${validation.amount.toLocaleString('en-IN')}` : 'money'}`}
+          </Button>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default AddMoneySheet;
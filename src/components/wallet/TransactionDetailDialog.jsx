@@ -0,0 +1,100 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '../ui/dialog';
+import useWalletStore, { WALLET_TRANSACTION_STATUS } from '../../stores/walletStore';
+import walletService from '../../api/services/walletService';
+import { cn } from '../../lib/utils';
+
+const DetailRow = ({ label, value }) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  return (
+    <div className="flex justify-between gap-4">
+      <span className="text-gray-600">{label}</span>
+      <span className="font-medium text-gray-900 text-right break-all">{value}</span>
+    </div>
+  );
+};
+
+/**
+ * Transaction Detail Dialog
+ * Opens from the wallet history and loads the full record with
+ * walletService.getTransactionDetails. The list entry is shown while it loads
+ * (and if it fails); pending top-ups have no backend record yet.
+ */
+const TransactionDetailDialog = ({ transaction, onClose }) => {
+  const getTransactionDetails = useWalletStore((state) => state.getTransactionDetails);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const getDetailsRef = useRef(getTransactionDetails);
+  getDetailsRef.current = getTransactionDetails;
+
+  const transactionId = transaction?.id;
+  const isPending = transaction?.status === WALLET_TRANSACTION_STATUS.PENDING;
+
+  useEffect(() => {
+    setDetails(null);
+    if (!transactionId || isPending) return undefined;
+
+    let cancelled = false;
+    setLoading(true);
+    getDetailsRef.current(transactionId).then((result) => {
+      if (cancelled) return;
+      if (result.success) setDetails(result.data);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [transactionId, isPending]);
+
+  // Backend fields win; the list entry keeps the display description
+  const record = details ? { ...transaction, ...details, description: transaction.description } : transaction;
+  const isCredit = ['credit', 'refund', 'cashback', 'bonus'].includes(record?.transaction_type);
+  const date = record ? walletService.getTransactionDate(record) : null;
+
+  return (
+    <Dialog open={!!transaction} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="text-lg font-semibold text-gray-900">Transaction details</DialogTitle>
+          <DialogDescription className="text-gray-600">
+            {record?.description || 'Wallet transaction'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {record && (
+          <div className="space-y-4">
+            <p className={cn('text-3xl font-bold', isCredit ? 'text-green-600' : 'text-red-600')}>
+              {isCredit ? '+' : '-'}₹{Math.abs(parseFloat(record.amount || 0)).toFixed(2)}
+            </p>
+
+            <div className="rounded-lg bg-gray-50 p-4 space-y-2 text-sm">
+              <DetailRow label="Status" value={isPending ? 'Pending confirmation' : record.status || 'Completed'} />
+              <DetailRow label="Type" value={record.transaction_type} />
+              <DetailRow
+                label="Date"
+                value={date && !isNaN(date) ? date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : null}
+              />
+              {!isPending && <DetailRow label="Balance before" value={`₹${parseFloat(record.previous_balance || 0).toFixed(2)}`} />}
+              {!isPending && <DetailRow label="Balance after" value={`₹${parseFloat(record.new_balance || 0).toFixed(2)}`} />}
+              <DetailRow label="Booking ID" value={record.booking_id} />
+              <DetailRow label="Payment ID" value={record.razorpay_payment_id || record.transaction_id} />
+              <DetailRow label={isPending ? 'Order ID' : 'Transaction ID'} value={record.id} />
+            </div>
+
+            {loading && <p className="text-sm text-gray-500">Loading full details...</p>}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default TransactionDetailDialog;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { cn } from '../../lib/utils';
+
+const TYPE_OPTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'credit', label: 'Credit' },
+  { value: 'debit', label: 'Debit' },
+  { value: 'refund', label: 'Refund' },
+  { value: 'cashback', label: 'Cashback' },
+  { value: 'bonus', label: 'Bonus' }
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Wallet Filters
+ * Transaction type chips and a date range for the wallet statement.
+ * Every change reloads the history from the first page.
+ */
+const WalletFilters = ({ filters, onChange, disabled = false }) => {
+  const { type = 'all', startDate = null, endDate = null } = filters || {};
+  const hasDateRange = !!(startDate || endDate);
+
+  const handleStartDate = (event) => {
+    const value = event.target.value || null;
+    // Keep the range ordered - moving the start past the end moves the end too
+    onChange({ startDate: value, endDate: value && endDate && value > endDate ? value : endDate });
+  };
+
+  const handleEndDate = (event) => {
+    const value = event.target.value || null;
+    onChange({ startDate: value && startDate && value < startDate ? value : startDate, endDate: value });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {TYPE_OPTIONS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => onChange({ type: option.value })}
+            disabled={disabled}
+            aria-pressed={type === option.value}
+            className={cn(
+              'px-4 py-1.5 rounded-full border text-sm font-medium whitespace-nowrap transition-colors',
+              type === option.value
+                ? 'border-orange-500 bg-orange-50 text-orange-600'
+                : 'border-gray-200 bg-white text-gray-700 hover:border-orange-300'
+            )}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-xs font-medium text-gray-600">
+          From
+          <input
+            type="date"
+            value={startDate || ''}
+            max={endDate || today()}
+            onChange={handleStartDate}
+            disabled={disabled}
+            className="mt-1 block rounded-lg border border-gray-200 bg-white px-3 h-9 text-sm text-gray-900"
+          />
+        </label>
+        <label className="text-xs font-medium text-gray-600">
+          To
+          <input
+            type="date"
+            value={endDate || ''}
+            min={startDate || undefined}
+            max={today()}
+            onChange={handleEndDate}
+            disabled={disabled}
+            className="mt-1 block rounded-lg border border-gray-200 bg-white px-3 h-9 text-sm text-gray-900"
+          />
+        </label>
+        {hasDateRange && (
+          <button
+            type="button"
+            onClick={() => onChange({ startDate: null, endDate: null })}
+            disabled={disabled}
+            className="flex items-center gap-1 h-9 text-sm font-medium text-orange-600 hover:text-orange-700"
+          >
+            <X className="w-4 h-4" />
+            Clear dates
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WalletFilters;
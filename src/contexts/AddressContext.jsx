@@ -2,6 +2,7 @@ import React, { createContext, useContext, useReducer, useEffect, useCallback }
 import { useAuthContext } from './AuthContext';
 import addressService from '../api/services/addressService';
 import { useToast } from '../components/ui/toast';
+import { TAB_SYNC_EVENTS, subscribeTabEvent } from '../sync/tabSync';
 import {
   getPrimaryAddress,
   setPrimaryAddress,
@@ -135,6 +136,13 @@ export const AddressProvider = ({ children }) => {
     }
   }, [isAuthenticated, user]); // Remove fetchAddresses dependency to prevent infinite re-renders
 
+  // Addresses added, edited or deleted in another tab
+  useEffect(() => subscribeTabEvent(TAB_SYNC_EVENTS.ADDRESSES_CHANGED, () => {
+    if (!isAuthenticated) return;
+    console.log('📡 AddressContext: Addresses changed in another tab, refreshing...');
+    fetchAddresses();
+  }), [isAuthenticated, fetchAddresses]);
+
   // Add new address
   const addAddress = async (addressData) => {
     if (!isAuthenticated) {
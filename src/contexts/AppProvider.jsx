@@ -6,6 +6,7 @@ import { CartProvider } from './CartContext';
 import { VipProvider } from './VipContext';
 import { MobileNavigationProvider } from './MobileNavigationContext';
 import { SettingsProvider } from './SettingsContext';
+import { I18nProvider } from './I18nContext';
 import { ToastProvider } from '../components/ui/toast';
 
 /**
@@ -16,19 +17,21 @@ const AppProvider = ({ children }) => {
   return (
     <ToastProvider>
       <AuthProvider>
-        <SettingsProvider>
-          <AddressProvider>
-            <CartProvider>
-              <VipProvider>
-                <OrderProvider>
-                  <MobileNavigationProvider>
-                    {children}
-                  </MobileNavigationProvider>
-                </OrderProvider>
-              </VipProvider>
-            </CartProvider>
-          </AddressProvider>
-        </SettingsProvider>
+        <I18nProvider>
+          <SettingsProvider>
+            <AddressProvider>
+              <CartProvider>
+                <VipProvider>
+                  <OrderProvider>
+                    <MobileNavigationProvider>
+                      {children}
+                    </MobileNavigationProvider>
+                  </OrderProvider>
+                </VipProvider>
+              </CartProvider>
+            </AddressProvider>
+          </SettingsProvider>
+        </I18nProvider>
       </AuthProvider>
     </ToastProvider>
   );
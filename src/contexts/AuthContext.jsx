@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import {
   getAuthToken,
   getUserData,
@@ -11,7 +11,18 @@ import {
   isAuthenticated
 } from '../utils/tokenManager';
 import authService from '../api/services/authService';
+import { clearRequestCache } from '../api/requestCache';
+import analyticsService from '../api/services/analyticsService';
+import errorReportingService from '../api/services/errorReportingService';
+import serviceabilityService from '../api/services/serviceabilityService';
+import {
+  subscribeSessionExpired,
+  completeReauthentication,
+  cancelReauthentication
+} from '../api/sessionManager';
+import { TAB_SYNC_EVENTS, publishTabEvent, subscribeTabEvent } from '../sync/tabSync';
 import { useToast } from '../components/ui/toast';
+import { clearRecentSearches } from '../utils/searchUtils';
 
 // Auth Context
 const AuthContext = createContext();
@@ -29,9 +40,13 @@ const AUTH_ACTIONS = {
   SET_COUNTRY_CODE: 'SET_COUNTRY_CODE',
   SET_IS_NEW_USER: 'SET_IS_NEW_USER',
   SET_INITIALIZED: 'SET_INITIALIZED',
-  SET_VIP_STATUS: 'SET_VIP_STATUS'
+  SET_VIP_STATUS: 'SET_VIP_STATUS',
+  SET_SESSION_EXPIRED: 'SET_SESSION_EXPIRED'
 };
 
+// localStorage keys written for the signed-in user's session
+const SESSION_LOCAL_STORAGE_KEYS = ['userLocation', 'cart_booking_notes', 'addressSetupComplete'];
+
 // Initial State
 const initialState = {
   isAuthenticated: false,
@@ -43,7 +58,8 @@ const initialState = {
   countryCode: '91',
   isNewUser: false,
   initialized: false,
-  isVipMember: false
+  isVipMember: false,
+  sessionExpired: false
 };
 
 // Auth Reducer
@@ -105,6 +121,10 @@ const authReducer = (state, action) => {
       console.log('👑 AuthReducer: Setting VIP status to:', action.payload);
       return { ...state, isVipMember: action.payload };
 
+    case AUTH_ACTIONS.SET_SESSION_EXPIRED:
+      // User stays "authenticated" in the UI so protected routes keep the current page mounted
+      return { ...state, sessionExpired: action.payload };
+
     default:
       return state;
   }
@@ -113,7 +133,7 @@ const authReducer = (state, action) => {
 // Auth Provider Component
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
-  const { showSuccess, showError } = useToast();
+  const { showSuccess, showError, showInfo } = useToast();
 
   // Initialize auth state from cookies on app load
   useEffect(() => {
@@ -161,6 +181,32 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, [state.initialized]);
 
+  // Error reports carry the signed-in user's id (and nothing else about them)
+  useEffect(() => {
+    errorReportingService.setUser(state.user);
+  }, [state.user]);
+
+  // Listen for 401s caught by axiosInstance and open the re-authentication flow
+  useEffect(() => {
+    return subscribeSessionExpired((expired) => {
+      dispatch({ type: AUTH_ACTIONS.SET_SESSION_EXPIRED, payload: expired });
+      if (expired) {
+        showError('Your session has expired. Please log in again to continue.');
+      }
+    });
+  }, [showError]);
+
+  // Release requests queued during session expiry once a user has signed in again
+  const resumeExpiredSession = (newUser) => {
+    const previousUserId = state.user?.id;
+    if (state.sessionExpired && previousUserId && newUser?.id && previousUserId !== newUser.id) {
+      // A different account signed in - never replay the previous user's requests
+      cancelReauthentication('Signed in as a different user');
+      return;
+    }
+    completeReauthentication();
+  };
+
   // Login - Send OTP
   const login = async (phone, country = '91') => {
     dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
@@ -215,6 +261,9 @@ export const AuthProvider = ({ children }) => {
         dispatch({ type: AUTH_ACTIONS.SET_USER, payload: result.data.user });
         dispatch({ type: AUTH_ACTIONS.SET_AUTHENTICATED, payload: true });
         dispatch({ type: AUTH_ACTIONS.SET_IS_NEW_USER, payload: false });
+        resumeExpiredSession(result.data.user);
+        publishTabEvent(TAB_SYNC_EVENTS.LOGIN, { userId: result.data.user?.id });
+        analyticsService.trackLoginEvent(country, { isNewUser: false });
 
         showSuccess('Login successful');
         return { success: true, isNewUser: false, data: result.data };
@@ -222,6 +271,7 @@ export const AuthProvider = ({ children }) => {
         // New user - needs registration
         dispatch({ type: AUTH_ACTIONS.SET_IS_NEW_USER, payload: true });
         dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        analyticsService.trackLoginEvent(country, { isNewUser: true });
 
         showSuccess('Mobile number verified. Please complete your registration.');
         return { success: true, isNewUser: true };
@@ -271,6 +321,10 @@ export const AuthProvider = ({ children }) => {
         dispatch({ type: AUTH_ACTIONS.SET_USER, payload: result.data.user });
         dispatch({ type: AUTH_ACTIONS.SET_AUTHENTICATED, payload: true });
         dispatch({ type: AUTH_ACTIONS.SET_IS_NEW_USER, payload: false });
+        resumeExpiredSession(result.data.user);
+        publishTabEvent(TAB_SYNC_EVENTS.LOGIN, { userId: result.data.user?.id });
+
+        analyticsService.trackSignupEvent({ ...userData, countryCode: finalCountryCode, mobile: finalMobile });
 
         // Clean up phone data after successful registration
         removePhoneData();
@@ -291,20 +345,33 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Drop the session and everything cached for it
+  const clearSession = () => {
+    // Clear authentication tokens and user data
+    removeAuthToken();
+    cancelReauthentication();
+
+    // Reset auth state
+    dispatch({ type: AUTH_ACTIONS.LOGOUT });
+    analyticsService.reset();
+
+    // Clear what belonged to this session only. The payment journal, booking
+    // drafts, language, preferences, analytics consent and referral code stay.
+    removePhoneData();
+    clearRecentSearches();
+    SESSION_LOCAL_STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+    sessionStorage.clear();
+    clearRequestCache();
+    serviceabilityService.clearCache();
+  };
+
   // Simple logout
   const logout = async () => {
     try {
       console.log('🚪 AuthContext: Starting logout process...');
 
-      // Clear authentication tokens and user data
-      removeAuthToken();
-
-      // Reset auth state
-      dispatch({ type: AUTH_ACTIONS.LOGOUT });
-
-      // Clear any cached data
-      localStorage.clear();
-      sessionStorage.clear();
+      clearSession();
+      publishTabEvent(TAB_SYNC_EVENTS.LOGOUT);
 
       console.log('✅ AuthContext: Logout completed successfully');
       showSuccess('Logged out successfully');
@@ -317,6 +384,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Keep the latest handlers for the tab sync listeners below
+  const tabSyncHandlersRef = useRef({});
+  tabSyncHandlersRef.current = { clearSession, resumeExpiredSession };
+
+  // Sign-in and sign-out in another tab - the auth cookies are shared, the in-memory state isn't
+  useEffect(() => {
+    const unsubscribeLogin = subscribeTabEvent(TAB_SYNC_EVENTS.LOGIN, () => {
+      const token = getAuthToken();
+      const userData = getUserData();
+      if (!token || !userData) return;
+
+      console.log('📡 AuthContext: Signed in from another tab');
+      clearRequestCache();
+      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: userData });
+      dispatch({ type: AUTH_ACTIONS.SET_AUTHENTICATED, payload: true });
+      tabSyncHandlersRef.current.resumeExpiredSession(userData);
+    });
+
+    const unsubscribeLogout = subscribeTabEvent(TAB_SYNC_EVENTS.LOGOUT, () => {
+      console.log('📡 AuthContext: Signed out from another tab');
+      tabSyncHandlersRef.current.clearSession();
+      showInfo('You have been logged out in another tab');
+    });
+
+    return () => {
+      unsubscribeLogin();
+      unsubscribeLogout();
+    };
+  }, [showInfo]);
+
   // Reset auth state
   const resetAuthState = () => {
     dispatch({ type: AUTH_ACTIONS.SET_OTP_SENT, payload: false });
@@ -1,8 +1,11 @@
-import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
-import { CartStatus, PaymentTypes, defaultCartState } from '../types/cart';
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { CartStatus, CartSections, SectionStatus, PaymentTypes, defaultCartState } from '../types/cart';
 import cartService from '../api/services/cartService';
+import serviceProviderService from '../api/services/serviceProviderService';
+import { CART_MUTATIONS, applyCartMutations, countCartItems } from '../utils/cartMutations';
 import { useAuth } from '../hooks/useAuth';
 import { toast } from 'react-hot-toast';
+import { TAB_SYNC_EVENTS, subscribeTabEvent } from '../sync/tabSync';
 
 /**
  * Cart Context for managing cart state across components
@@ -10,6 +13,29 @@ import { toast } from 'react-hot-toast';
  */
 const CartContext = createContext();
 
+/**
+ * Secondary cart data - where each section's data lives in cartState and how it's loaded
+ * VIP plans rarely change, so once loaded they're kept across cart refreshes
+ */
+const SECTION_LOADERS = {
+  [CartSections.FREQUENTLY_ADDED]: {
+    stateKey: 'frequentlyAddedServices',
+    load: () => cartService.getFrequentlyAddedServices(),
+    emptyValue: []
+  },
+  [CartSections.VIP_PLANS]: {
+    stateKey: 'vipPlans',
+    load: () => cartService.getVipPlans(),
+    emptyValue: [],
+    keepLoaded: true
+  },
+  [CartSections.DONATION]: {
+    stateKey: 'donationData',
+    load: () => cartService.getDonationData(),
+    emptyValue: null
+  }
+};
+
 export const useCartContext = () => {
   const context = useContext(CartContext);
   if (!context) {
@@ -36,6 +62,10 @@ export const CartProvider = ({ children }) => {
     isLoading
   } = cartState;
 
+  // Optimistic mutations: the last cart the server sent, and edits not yet reconciled with it
+  const confirmedCartRef = useRef(null);
+  const pendingMutationsRef = useRef([]);
+
   // Update cart state helper
   const updateCartState = useCallback((updates) => {
     console.log('🔄 CartContext: updateCartState called with:', {
@@ -44,8 +74,18 @@ export const CartProvider = ({ children }) => {
       status: updates.status
     });
 
+    // Server cart data - keep showing edits that are still in flight on top of it
+    let optimisticUpdates = {};
+    if ('cartData' in updates) {
+      confirmedCartRef.current = updates.cartData;
+      if (updates.cartData && pendingMutationsRef.current.length > 0) {
+        const cartData = applyCartMutations(updates.cartData, pendingMutationsRef.current);
+        optimisticUpdates = { cartData, ...countCartItems(cartData) };
+      }
+    }
+
     setCartState(prev => {
-      const newState = { ...prev, ...updates };
+      const newState = { ...prev, ...updates, ...optimisticUpdates };
 
       // Log important state changes
       if (updates.vipPlans) {
@@ -68,6 +108,68 @@ export const CartProvider = ({ children }) => {
     });
   }, []); // Remove problematic dependencies that cause stale closures
 
+  // Latest state for loaders that shouldn't re-create on every update
+  const cartStateRef = useRef(cartState);
+  cartStateRef.current = cartState;
+  const sectionRequestIds = useRef({});
+
+  const setSectionState = useCallback((section, sectionState, data = {}) => {
+    setCartState(prev => ({
+      ...prev,
+      ...data,
+      sections: { ...prev.sections, [section]: sectionState }
+    }));
+  }, []);
+
+  /**
+   * Load one secondary section (frequently added, VIP plans, donation)
+   * Failures only affect that section - the cart itself keeps rendering
+   * @param {string} section - CartSections value
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Reload even if already loaded or loading
+   */
+  const loadCartSection = useCallback(async (section, { force = false } = {}) => {
+    const loader = SECTION_LOADERS[section];
+    const { status: sectionStatus } = cartStateRef.current.sections[section];
+
+    if (!force && sectionStatus === SectionStatus.LOADING) return;
+    if (!force && loader.keepLoaded && sectionStatus === SectionStatus.SUCCESS) {
+      console.log(`🛒 CartContext: Using loaded ${section}`);
+      return;
+    }
+
+    // Only the latest request for a section may update it
+    const requestId = (sectionRequestIds.current[section] || 0) + 1;
+    sectionRequestIds.current[section] = requestId;
+    setSectionState(section, { status: SectionStatus.LOADING, errorMessage: null });
+
+    try {
+      const response = await loader.load();
+      if (!response?.success) {
+        throw new Error(response?.message || `Failed to load ${section}`);
+      }
+      if (sectionRequestIds.current[section] !== requestId) return;
+
+      console.log(`✅ CartContext: ${section} loaded`);
+      setSectionState(
+        section,
+        { status: SectionStatus.SUCCESS, errorMessage: null },
+        { [loader.stateKey]: response.data ?? loader.emptyValue }
+      );
+    } catch (error) {
+      if (sectionRequestIds.current[section] !== requestId) return;
+
+      console.error(`❌ CartContext: Failed to load ${section}:`, error);
+      setSectionState(section, {
+        status: SectionStatus.FAILURE,
+        errorMessage: error.message || `Failed to load ${section}`
+      });
+    }
+  }, [setSectionState]);
+
+  // Retry a failed section from its error state
+  const retryCartSection = useCallback((section) => loadCartSection(section, { force: true }), [loadCartSection]);
+
   // Set cart status (matches Flutter emit(state.copyWith(status: status)))
   const setCartStatus = useCallback((newStatus) => {
     updateCartState({ status: newStatus });
@@ -91,6 +193,9 @@ export const CartProvider = ({ children }) => {
       setCartStatus(CartStatus.CART_LOADING);
       updateCartState({ errorMessage: null });
 
+      // Secondary data loads in parallel and never holds up or fails the cart
+      Object.values(CartSections).forEach((section) => loadCartSection(section));
+
       // Use current VIP plan selection for cart data fetch
       const currentPaymentType = cartState.paymentType || 'fullamount';
       const currentVipId = cartState.selectedVipPlan?.id || '';
@@ -123,8 +228,6 @@ export const CartProvider = ({ children }) => {
           updateCartState({
             cartData: null,
             cartRawData: response.rawData,
-            frequentlyAddedServices: [],
-            vipPlans: [],
             noOfServicesItems: 0,
             noOfPackageItems: 0,
             status: CartStatus.NO_DATA_FOUND
@@ -133,29 +236,10 @@ export const CartProvider = ({ children }) => {
           return;
         }
 
-        // Fetch frequently added services data
-        const frequentlyAddedServicesResponse = await cartService.getFrequentlyAddedServices();
-        const frequentlyAddedServicesData = frequentlyAddedServicesResponse?.data || [];
-        console.log('🛒 CartContext: Frequently added services fetched:', {
-          count: frequentlyAddedServicesData?.length || 0,
-          fullResponse: frequentlyAddedServicesResponse
-        });
-
-        // Fetch VIP plans data for display
-        const vipPlansResponse = await cartService.getVipPlans();
-        const vipPlansData = vipPlansResponse?.data || [];
-        console.log('🛒 CartContext: VIP plans fetched:', {
-          count: vipPlansData?.length || 0,
-          hasPlans: vipPlansData?.length > 0,
-          fullResponse: vipPlansResponse
-        });
-
         // Update cart state with response data - enhanced version
         const stateUpdate = {
           cartData: response.data,
           cartRawData: response.rawData,
-          frequentlyAddedServices: frequentlyAddedServicesData,
-          vipPlans: vipPlansData, // Add VIP plans data for display
           noOfServicesItems: response.data.groupedCart?.categories?.length || 0,
           noOfPackageItems: response.data.groupedCart?.packages?.length || 0,
           status: CartStatus.SUCCESS
@@ -164,8 +248,7 @@ export const CartProvider = ({ children }) => {
         console.log('✅ CartContext: Cart data fetch successful, updating state:', {
           hasCartData: !!stateUpdate.cartData,
           servicesCount: stateUpdate.noOfServicesItems,
-          packagesCount: stateUpdate.noOfPackageItems,
-          vipPlansCount: stateUpdate.vipPlans?.length || 0
+          packagesCount: stateUpdate.noOfPackageItems
         });
 
         updateCartState(stateUpdate);
@@ -178,7 +261,203 @@ export const CartProvider = ({ children }) => {
       setErrorMessage(error.message || 'Failed to fetch cart data');
       setIsInitialized(true); // Still mark as initialized even on error
     }
-  }, [cartState.paymentType, cartState.selectedVipPlan, updateCartState, setCartStatus, setErrorMessage]);
+  }, [cartState.paymentType, cartState.selectedVipPlan, updateCartState, setCartStatus, setErrorMessage, loadCartSection]);
+
+  // Cart edits run one at a time, in order, so totals never jump back to a stale cart
+  const mutationQueueRef = useRef(Promise.resolve());
+  const queuedMutationsRef = useRef(0);
+  const needsReconcileRef = useRef(false);
+
+  // Show the confirmed cart with pending edits applied
+  const renderPendingMutations = useCallback(() => {
+    const cartData = applyCartMutations(confirmedCartRef.current, pendingMutationsRef.current);
+    setCartState(prev => ({
+      ...prev,
+      ...(cartData ? { cartData, ...countCartItems(cartData) } : {}),
+      isSyncing: queuedMutationsRef.current > 0
+    }));
+  }, []);
+
+  // Fetch the cart after the last queued edit, without the full-screen loading state
+  const reconcileCart = useCallback(async () => {
+    const current = cartStateRef.current;
+    // Edits queued while this request runs stay applied on top of its result
+    const settled = pendingMutationsRef.current;
+    const dropSettled = () => {
+      pendingMutationsRef.current = pendingMutationsRef.current.filter(mutation => !settled.includes(mutation));
+    };
+
+    try {
+      const response = await cartService.getCartData({
+        paymentType: current.paymentType || 'fullamount',
+        vipId: current.selectedVipPlan?.id || '',
+        isWallet: current.isWalletEnabled
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to refresh cart data');
+      }
+
+      dropSettled();
+      const hasCartItems = response.data?.groupedCart?.categories?.length > 0 ||
+                          response.data?.groupedCart?.packages?.length > 0;
+
+      if (!hasCartItems && response.message === 'No items found in the cart.') {
+        console.log('🛒 CartContext: Cart is empty after update');
+        updateCartState({
+          cartData: null,
+          cartRawData: response.rawData,
+          noOfServicesItems: 0,
+          noOfPackageItems: 0,
+          status: CartStatus.NO_DATA_FOUND
+        });
+        return;
+      }
+
+      console.log('✅ CartContext: Cart reconciled with server');
+      updateCartState({
+        cartData: response.data,
+        cartRawData: response.rawData,
+        ...countCartItems(response.data),
+        status: CartStatus.SUCCESS
+      });
+    } catch (error) {
+      // The edits themselves went through - keep them, only the totals may be out of date
+      console.error('❌ CartContext: Cart reconcile failed:', error);
+      confirmedCartRef.current = applyCartMutations(confirmedCartRef.current, settled);
+      dropSettled();
+      toast.error('Could not refresh cart totals. Pull down to refresh.');
+    }
+  }, [updateCartState]);
+
+  /**
+   * Apply a cart edit optimistically, then run it after any earlier edits
+   * Rolls back with a toast if the request fails; the cart is re-fetched once
+   * the last queued edit finishes.
+   * @param {Object|null} mutation - utils/cartMutations mutation, or null for an edit with nothing to show before it lands
+   * @param {Function} request - Service call returning { success, message, data }
+   * @param {Object} [options]
+   * @param {string} options.errorMessage - Fallback error message
+   * @param {boolean} [options.showErrorToast=true]
+   * @returns {Promise<Object>} { success, message, data }
+   */
+  const runCartMutation = useCallback((mutation, request, { errorMessage, showErrorToast = true } = {}) => {
+    // Before the cart is loaded there is nothing to update - the cart page fetches it on open
+    const isCartLoaded = cartStateRef.current.status !== CartStatus.INITIAL;
+
+    queuedMutationsRef.current += 1;
+    if (mutation && confirmedCartRef.current) {
+      pendingMutationsRef.current = [...pendingMutationsRef.current, mutation];
+    }
+    renderPendingMutations();
+
+    const run = mutationQueueRef.current.then(async () => {
+      let result;
+      try {
+        const response = await request();
+        if (!response?.success) {
+          throw new Error(response?.message || errorMessage);
+        }
+
+        needsReconcileRef.current = isCartLoaded;
+        result = { success: true, message: response.message, data: response.data };
+      } catch (error) {
+        console.error(`❌ CartContext: ${mutation?.type || 'cart edit'} failed, rolling back:`, error);
+        pendingMutationsRef.current = pendingMutationsRef.current.filter(pending => pending !== mutation);
+        if (showErrorToast) {
+          toast.error(error.message || errorMessage);
+        }
+        result = { success: false, message: error.message || errorMessage };
+      }
+
+      if (queuedMutationsRef.current === 1 && needsReconcileRef.current) {
+        needsReconcileRef.current = false;
+        await reconcileCart();
+      }
+
+      queuedMutationsRef.current -= 1;
+      renderPendingMutations();
+      return result;
+    });
+
+    mutationQueueRef.current = run;
+    return run;
+  }, [renderPendingMutations, reconcileCart]);
+
+  // Another tab changed the cart - refresh quietly once local edits have finished
+  const tabRefreshQueuedRef = useRef(false);
+  useEffect(() => subscribeTabEvent(TAB_SYNC_EVENTS.CART_CHANGED, () => {
+    if (cartStateRef.current.status === CartStatus.INITIAL) return;
+
+    if (queuedMutationsRef.current > 0) {
+      // The last queued edit reconciles
+      needsReconcileRef.current = true;
+      return;
+    }
+    if (tabRefreshQueuedRef.current) return;
+
+    console.log('📡 CartContext: Cart changed in another tab, refreshing');
+    tabRefreshQueuedRef.current = true;
+    mutationQueueRef.current = mutationQueueRef.current.then(async () => {
+      tabRefreshQueuedRef.current = false;
+      // An edit queued meanwhile reconciles instead, so its pending change isn't dropped
+      if (queuedMutationsRef.current > 0) {
+        needsReconcileRef.current = true;
+        return;
+      }
+      await reconcileCart();
+    });
+  }), [reconcileCart]);
+
+  // Signed out or switched account (possibly in another tab) - don't keep the previous user's cart
+  const cartOwnerRef = useRef(user?.id ?? null);
+  useEffect(() => {
+    const owner = isAuthenticated ? user?.id ?? null : null;
+    if (owner === cartOwnerRef.current) return;
+
+    const previousOwner = cartOwnerRef.current;
+    cartOwnerRef.current = owner;
+    if (previousOwner === null) return;
+
+    console.log('🔄 CartContext: User changed, clearing cart');
+    confirmedCartRef.current = null;
+    pendingMutationsRef.current = [];
+    setCartState(defaultCartState);
+    setIsInitialized(false);
+  }, [isAuthenticated, user?.id]);
+
+  // Add to cart (from the service provider screen)
+  // Not optimistic - only the server has the item's name and price, so it shows once the cart reconciles
+  const addCartItem = useCallback((params) => runCartMutation(
+    null,
+    () => serviceProviderService.addToCart(params),
+    { errorMessage: 'Failed to add to cart', showErrorToast: false }
+  ), [runCartMutation]);
+
+  // Remove a service or package (matches Flutter DeleteCartItemEvent)
+  const removeCartItem = useCallback((itemId) => runCartMutation(
+    { type: CART_MUTATIONS.REMOVE_ITEM, itemId },
+    () => cartService.removeFromCart(itemId),
+    { errorMessage: 'Failed to remove service' }
+  ), [runCartMutation]);
+
+  /**
+   * Change an item's booking slot
+   * @param {string} itemId
+   * @param {Object} dateTime - { booking_date, booking_time_from, booking_time_to }
+   */
+  const updateCartItemDateTime = useCallback((itemId, dateTime) => runCartMutation(
+    { type: CART_MUTATIONS.UPDATE_ITEM_DATE, itemId, changes: dateTime },
+    () => cartService.updateCartItemDateTime(itemId, dateTime),
+    { errorMessage: 'Failed to update date/time' }
+  ), [runCartMutation]);
+
+  // Change the delivery address (matches Flutter ChangeAddressEvent)
+  const changeCartAddress = useCallback((address) => runCartMutation(
+    { type: CART_MUTATIONS.UPDATE_ADDRESS, address },
+    () => cartService.updateCartAddress(address.id),
+    { errorMessage: 'Failed to update address' }
+  ), [runCartMutation]);
 
   // Select VIP plan (matches Flutter VIP plan selection logic)
   const selectVipPlan = useCallback(async (plan) => {
@@ -421,6 +700,11 @@ export const CartProvider = ({ children }) => {
     }
   }, [cartState.isWalletEnabled, cartState.paymentType, cartState.selectedVipPlan, setCartStatus, updateCartState, setErrorMessage]);
 
+  // Select donation amount - sent with checkout (matches Flutter SelectDonationTipEvent)
+  const selectDonationTip = useCallback((amount) => {
+    updateCartState({ selectedDonationTip: amount });
+  }, [updateCartState]);
+
   /**
    * Apply Coupon
    * Handles coupon application and cart refresh
@@ -485,12 +769,16 @@ export const CartProvider = ({ children }) => {
     status,
     errorMessage,
     isLoading: status === CartStatus.CART_LOADING,
+    isSyncing: cartState.isSyncing, // Cart edits not yet confirmed by the server
     isInitialized,
 
     // VIP Plans state (needed for components)
     selectedVipPlan: cartState.selectedVipPlan,
     vipPlans: cartState.vipPlans,
 
+    // Secondary section state: { status, errorMessage } per CartSections value
+    sections: cartState.sections,
+
     // Actions - working components + VIP plans + Payment options + Coupons
     fetchCartData,
     refreshCartData,
@@ -499,6 +787,13 @@ export const CartProvider = ({ children }) => {
     toggleWallet, // Wallet toggle
     applyCoupon, // Coupon application
     removeCoupon, // Coupon removal
+    selectDonationTip, // Donation selection
+    addCartItem, // Optimistic cart edits
+    removeCartItem,
+    updateCartItemDateTime,
+    changeCartAddress,
+    loadCartSection, // Secondary section (re)load
+    retryCartSection, // Retry a failed secondary section
     updateCartState,
     setCartStatus,
     setErrorMessage
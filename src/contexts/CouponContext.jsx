@@ -7,6 +7,8 @@ import {
   createAvailableCouponsResponseModel 
 } from '../types/coupon';
 import toast from 'react-hot-toast';
+import { trackFunnelStep } from '../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../analytics/events';
 
 // Create Coupon Context
 const CouponContext = createContext();
@@ -143,6 +145,7 @@ export const CouponProvider = ({ children, selectedCouponResponse = null }) => {
 
         console.log('✅ CouponContext: Coupon applied from text field successfully');
         dispatch({ type: 'SET_COUPON_APPLIED_SUCCESS', payload: couponData });
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_COUPON_APPLIED, { coupon_code: code.trim(), source: 'text_field' });
         
         // Show success message
         toast.success(response.message || 'Coupon applied successfully');
@@ -184,6 +187,7 @@ export const CouponProvider = ({ children, selectedCouponResponse = null }) => {
 
         console.log('✅ CouponContext: Coupon applied from list successfully');
         dispatch({ type: 'SET_COUPON_APPLIED_SUCCESS', payload: couponData });
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_COUPON_APPLIED, { coupon_code: String(code), source: 'list' });
         
         // Show success message
         toast.success(response.message || 'Coupon applied successfully');
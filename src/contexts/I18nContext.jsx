@@ -0,0 +1,76 @@
+import { createContext, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useAuthContext } from './AuthContext';
+import useProfileStore from '../stores/profileStore';
+import {
+  getLanguage,
+  getLocale,
+  getAvailableLanguages,
+  setLanguage,
+  subscribeLanguage,
+  translate
+} from '../i18n';
+import { getPreferences, subscribePreferences } from '../i18n/preferences';
+import {
+  formatNumber,
+  formatCurrency,
+  formatDate,
+  formatTime,
+  formatBookingDate,
+  formatBookingTime,
+  formatBookingSlot
+} from '../i18n/format';
+
+// I18n Context
+const I18nContext = createContext();
+
+/**
+ * I18nProvider - Active language, preferences, translations and formatters
+ * Follows the signed-in user's preferred_language (from auth or a profile
+ * update) and re-renders the tree whenever the language or another
+ * preference (timezone, currency display, date format) changes.
+ * Read it with useTranslation (hooks/useTranslation.js).
+ */
+export const I18nProvider = ({ children }) => {
+  const language = useSyncExternalStore(subscribeLanguage, getLanguage);
+  const preferences = useSyncExternalStore(subscribePreferences, getPreferences);
+  const { user } = useAuthContext();
+  const profileLanguage = useProfileStore((state) => state.user?.preferred_language);
+
+  // Server-side preference wins over the locally stored choice
+  useEffect(() => {
+    if (user?.preferred_language) {
+      setLanguage(user.preferred_language);
+    }
+  }, [user?.preferred_language]);
+
+  useEffect(() => {
+    if (profileLanguage) {
+      setLanguage(profileLanguage);
+    }
+  }, [profileLanguage]);
+
+  const value = useMemo(() => ({
+    language,
+    locale: getLocale(language),
+    languages: getAvailableLanguages(),
+    setLanguage,
+    t: (key, params, options) => translate(key, params, { language, ...options }),
+    formatNumber: (amount, options) => formatNumber(amount, options, language),
+    formatCurrency: (amount, options) => formatCurrency(amount, options, language),
+    formatDate: (date, format) => formatDate(date, format, language),
+    formatTime: (time) => formatTime(time, language),
+    preferences,
+    // Booking dates/times are in the service timezone; these show them in the user's
+    formatBookingDate: (date, time, format) => formatBookingDate(date, time, format, language),
+    formatBookingTime: (date, time) => formatBookingTime(date, time, language),
+    formatBookingSlot
+  }), [language, preferences]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
+
+export default I18nContext;
@@ -3,6 +3,7 @@ import { useToast } from '../components/ui/toast';
 import addressService from '../api/services/addressService';
 import { useAuthContext } from './AuthContext';
 import { useAddressContext } from './AddressContext';
+import { formatAddressLine } from '../utils/addressModel';
 
 /**
  * ManageAddressContext for managing address list state with optimized performance
@@ -203,20 +204,7 @@ export const ManageAddressProvider = React.memo(({ children }) => {
   /**
    * Format address for display
    */
-  const formatAddressDisplay = useCallback((address) => {
-    if (!address) return '';
-
-    const parts = [
-      address.flatNumber || address.flat_number || address.flat_no,
-      address.buildingName || address.building_name,
-      address.streetAddress || address.street_address,
-      address.city,
-      address.state,
-      address.postalCode || address.postal_code
-    ].filter(Boolean);
-
-    return parts.join(', ');
-  }, []);
+  const formatAddressDisplay = useCallback((address) => formatAddressLine(address), []);
 
   /**
    * Get address type icon
@@ -106,11 +106,25 @@ const ActionTypes = {
   // Filter actions (Flutter: selectedFilterList)
   UPDATE_FILTER_LIST: 'UPDATE_FILTER_LIST',
   
+  // Booking draft (utils/bookingDrafts)
+  RESTORE_DRAFT: 'RESTORE_DRAFT',
+
   // Reset actions
   RESET_STATE: 'RESET_STATE',
   RESET_SELECTIONS: 'RESET_SELECTIONS'
 };
 
+// Filter list sent to the API (Flutter: selectedFilterList) - handles both selection formats
+const buildFilterList = (selectedAttributes) => Object.entries(selectedAttributes).map(([attrId, selection]) => {
+  const selectionId = selection?.id || selection;
+  return {
+    attribute_id: attrId,
+    option_id: selectionId === 'NA' ? '' : selectionId,
+    option_value: selection?.value || '',
+    option_data: selection?.data || {}
+  };
+});
+
 // Reducer function matching Flutter bloc state transitions
 const serviceDetailsReducer = (state, action) => {
   switch (action.type) {
@@ -178,21 +192,10 @@ const serviceDetailsReducer = (state, action) => {
         };
       }
 
-      // Update filter list (Flutter: selectedFilterList) - handle both formats
-      const updatedFilterList = Object.entries(updatedAttributes).map(([attrId, selection]) => {
-        const selectionId = selection?.id || selection;
-        return {
-          attribute_id: attrId,
-          option_id: selectionId === 'NA' ? '' : selectionId,
-          option_value: selection?.value || '',
-          option_data: selection?.data || {}
-        };
-      });
-
       return {
         ...state,
         selectedAttributes: updatedAttributes,
-        selectedFilterList: updatedFilterList
+        selectedFilterList: buildFilterList(updatedAttributes)
       };
       
     case ActionTypes.SET_ATTRIBUTE_LISTS:
@@ -276,6 +279,17 @@ const serviceDetailsReducer = (state, action) => {
         selectedFilterList: action.payload
       };
       
+    case ActionTypes.RESTORE_DRAFT:
+      return {
+        ...state,
+        selectedAttributes: action.payload.selectedAttributes || {},
+        selectedFilterList: buildFilterList(action.payload.selectedAttributes || {}),
+        selectedSegment: action.payload.selectedSegment || null,
+        selectedDate: action.payload.selectedDate || null,
+        timeFromValue: action.payload.timeFromValue || null,
+        timeToValue: action.payload.timeToValue || null
+      };
+
     case ActionTypes.RESET_SELECTIONS:
       return {
         ...state,
@@ -467,6 +481,17 @@ export const ServiceDetailsProvider = ({ children }) => {
     });
   }, []);
 
+  /**
+   * Put back the selections saved in a booking draft
+   * @param {Object} draft - Draft from utils/bookingDrafts getBookingDraft
+   */
+  const restoreDraft = useCallback((draft) => {
+    dispatch({
+      type: ActionTypes.RESTORE_DRAFT,
+      payload: draft
+    });
+  }, []);
+
   /**
    * Reset all selections (Flutter: reset selections)
    */
@@ -503,6 +528,7 @@ export const ServiceDetailsProvider = ({ children }) => {
     setTimeToValue,
     setVideoPlaying,
     setVideoMuted,
+    restoreDraft,
     resetSelections,
     resetState
   };
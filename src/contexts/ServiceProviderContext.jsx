@@ -6,6 +6,9 @@ import {
   transformServiceProvidersData,
   isValidProviderSelection
 } from '../types/serviceProvider.js';
+import { trackFunnelStep } from '../analytics/funnel.js';
+import { useCartContext } from './CartContext';
+import { ANALYTICS_EVENTS } from '../analytics/events.js';
 
 /**
  * ServiceProviderContext - React Context implementation matching Flutter ServiceProviderBloc
@@ -86,6 +89,7 @@ const ServiceProviderContext = createContext();
  */
 export const ServiceProviderProvider = ({ children }) => {
   const [state, dispatch] = useReducer(serviceProviderReducer, defaultServiceProviderState);
+  const { addCartItem } = useCartContext();
 
   // Action creators matching Flutter bloc events
 
@@ -165,6 +169,8 @@ export const ServiceProviderProvider = ({ children }) => {
           payload: { providers }
         });
 
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PROVIDERS_VIEWED, { provider_count: providers.length });
+
         // Reset loading status to initial (matches Flutter ServiceProviderStatus.initial)
         setStatus(ServiceProviderStatus.INITIAL);
       } else {
@@ -209,8 +215,13 @@ export const ServiceProviderProvider = ({ children }) => {
       payload: { provider }
     });
 
-    // TODO: Add analytics event (matches Flutter AppEventsHelper.onProviderClickEvent)
-    // This would be implemented when analytics service is available
+    // Matches Flutter AppEventsHelper.onProviderClickEvent
+    if (provider?.providerId) {
+      trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PROVIDER_SELECTED, {
+        provider_id: provider.providerId,
+        rate_card_id: provider.id
+      });
+    }
   }, []);
 
   /**
@@ -234,7 +245,8 @@ export const ServiceProviderProvider = ({ children }) => {
       setStatus(ServiceProviderStatus.BUTTON_LOADING);
 
       // Call add to cart API (matches Flutter apiValue.addToCartService)
-      const response = await serviceProviderService.addToCart(params);
+      // Goes through CartContext so a loaded cart picks the new item up
+      const response = await addCartItem(params);
 
       if (response.success) {
         console.log('🛒 ServiceProviderContext: Add to cart successful');
@@ -242,8 +254,11 @@ export const ServiceProviderProvider = ({ children }) => {
         // Set success state (matches Flutter emit(state.copyWith(status: ServiceProviderStatus.addToCartConfirmed)))
         setStatus(ServiceProviderStatus.ADD_TO_CART_CONFIRMED);
 
-        // TODO: Add analytics events (matches Flutter AppEventsHelper calls)
-        // This would be implemented when analytics service is available
+        // Matches Flutter AppEventsHelper add-to-cart event
+        trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_ADDED_TO_CART, {
+          provider_id: state.selectedServicesProvider.providerId,
+          rate_card_id: state.selectedServicesProvider.id
+        });
 
         return { success: true, message: response.message };
       } else {
@@ -257,7 +272,7 @@ export const ServiceProviderProvider = ({ children }) => {
       setStatus(ServiceProviderStatus.FAILURE, errorMessage);
       return { success: false, message: errorMessage };
     }
-  }, [state.selectedServicesProvider, setStatus]);
+  }, [state.selectedServicesProvider, setStatus, addCartItem]);
 
   /**
    * Reset state to initial values
@@ -1,6 +1,9 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { vipService } from '../api/services/vipService';
+import { vipService, VIP_ACTIVATION_STATUS } from '../api/services/vipService';
+import razorpayService from '../api/services/razorpayService';
 import { useAuthContext } from './AuthContext';
+import { PAYMENT_JOURNAL_TYPE, resolvePendingPayment } from '../utils/paymentJournal';
+import { collectJournalledPayment, PAYMENT_OUTCOME } from '../utils/journalledPayment';
 import toast from 'react-hot-toast';
 
 // VIP Context
@@ -15,7 +18,8 @@ const VIP_ACTIONS = {
   SET_ERROR: 'SET_ERROR',
   RESET_ERROR: 'RESET_ERROR',
   SET_SELECTED_PLAN: 'SET_SELECTED_PLAN',
-  SET_PAYMENT_LOADING: 'SET_PAYMENT_LOADING'
+  SET_PAYMENT_LOADING: 'SET_PAYMENT_LOADING',
+  SET_ACTIVATION_STATUS: 'SET_ACTIVATION_STATUS'
 };
 
 // Initial State
@@ -29,6 +33,7 @@ const initialState = {
   },
   vipBenefits: [],
   selectedPlan: null,
+  activationStatus: VIP_ACTIVATION_STATUS.IDLE,
   loading: false,
   paymentLoading: false,
   error: null
@@ -69,6 +74,10 @@ const vipReducer = (state, action) => {
       console.log('💳 VipReducer: Setting payment loading:', action.payload);
       return { ...state, paymentLoading: action.payload, error: null };
 
+    case VIP_ACTIONS.SET_ACTIVATION_STATUS:
+      console.log('👑 VipReducer: Setting activation status:', action.payload);
+      return { ...state, activationStatus: action.payload };
+
     default:
       return state;
   }
@@ -77,7 +86,7 @@ const vipReducer = (state, action) => {
 // VIP Provider Component
 export const VipProvider = ({ children }) => {
   const [state, dispatch] = useReducer(vipReducer, initialState);
-  const { isAuthenticated, updateUserVipStatus } = useAuthContext();
+  const { isAuthenticated, user, updateUserVipStatus } = useAuthContext();
 
   // Fetch VIP plans when authenticated
   useEffect(() => {
@@ -148,29 +157,84 @@ export const VipProvider = ({ children }) => {
     }
   };
 
-  // Purchase VIP plan
-  const purchaseVipPlan = async (planData) => {
+  // Wait for the backend to activate VIP after payment, then update everything that shows VIP state
+  const waitForActivation = async (razorpayOrderId) => {
+    dispatch({ type: VIP_ACTIONS.SET_ACTIVATION_STATUS, payload: VIP_ACTIVATION_STATUS.ACTIVATING });
+
+    const activation = await vipService.waitForVipActivation();
+    dispatch({ type: VIP_ACTIONS.SET_PAYMENT_LOADING, payload: false });
+
+    if (activation.activated) {
+      resolvePendingPayment(razorpayOrderId);
+      dispatch({ type: VIP_ACTIONS.SET_VIP_STATUS, payload: activation.data });
+      updateUserVipStatus(true);
+      dispatch({ type: VIP_ACTIONS.SET_ACTIVATION_STATUS, payload: VIP_ACTIVATION_STATUS.ACTIVE });
+      toast.success('VIP subscription activated successfully!');
+      return { success: true, data: activation.data };
+    }
+
+    // The journal entry stays - PaymentRecoveryHandler finishes the purchase on the next launch
+    dispatch({ type: VIP_ACTIONS.SET_ACTIVATION_STATUS, payload: VIP_ACTIVATION_STATUS.DELAYED });
+    toast('Payment received. Your VIP membership will be activated shortly.');
+    return { success: false, pending: true };
+  };
+
+  // Purchase VIP plan - the backend creates the Razorpay order and verifies the signature
+  const buyVipPlan = async (plan) => {
     try {
-      console.log('🔥 VipContext: Purchasing VIP plan:', planData.planId);
+      console.log('🔥 VipContext: Purchasing VIP plan:', plan.id);
+      dispatch({ type: VIP_ACTIONS.SET_SELECTED_PLAN, payload: plan });
       dispatch({ type: VIP_ACTIONS.SET_PAYMENT_LOADING, payload: true });
+      dispatch({ type: VIP_ACTIONS.SET_ACTIVATION_STATUS, payload: VIP_ACTIVATION_STATUS.IDLE });
 
-      const response = await vipService.purchaseVipPlan(planData);
-      
-      if (response.status) {
-        console.log('✅ VipContext: VIP plan purchased successfully');
-        
-        // Update VIP status
-        await fetchVipStatus();
-        
-        // Show success message
-        toast.success('VIP subscription activated successfully!');
-        
-        dispatch({ type: VIP_ACTIONS.SET_PAYMENT_LOADING, payload: false });
-        return { success: true, data: response.data };
-      } else {
-        throw new Error(response.message || 'Failed to purchase VIP plan');
+      const order = await vipService.createVipOrder(plan.id);
+      if (!order.status) {
+        throw new Error(order.message || 'Failed to create VIP order');
+      }
+
+      const { razorpayOrderId } = order.data;
+      const amount = order.data.amount || parseFloat(plan.discount_price || plan.price);
+
+      // Journalled before the gateway opens so a dropped callback can still activate the plan.
+      // A failed attempt leaves the checkout open for a retry; a dismissal is checked
+      // with the backend before it counts as unpaid.
+      const { outcome, paymentResponse, message } = await collectJournalledPayment({
+        razorpayOrderId,
+        amount,
+        type: PAYMENT_JOURNAL_TYPE.VIP,
+        checkoutData: { planId: plan.id, amount },
+        user,
+        onAttemptFailed: (attemptMessage) => toast.error(`${attemptMessage}. You can try again in the payment window.`)
+      });
+
+      if (outcome === PAYMENT_OUTCOME.RECOVERED) {
+        // Paid after the checkout closed - the reconciler has already submitted the purchase
+        return await waitForActivation(razorpayOrderId);
+      }
+
+      if (outcome !== PAYMENT_OUTCOME.PAID) {
+        dispatch({ type: VIP_ACTIONS.SET_ERROR, payload: message });
+        if (outcome === PAYMENT_OUTCOME.FAILED) {
+          toast.error('Payment failed. Please try again.');
+        }
+        if (outcome === PAYMENT_OUTCOME.PENDING) {
+          toast.error(message);
+        }
+        return { success: false, error: message };
+      }
+
+      const purchase = razorpayService.validatePaymentResponse(paymentResponse, razorpayOrderId)
+        ? await vipService.purchaseVipPlan({ planId: plan.id, amount, paymentResponse })
+        : { status: false, message: 'Incomplete payment response from gateway' };
+
+      if (!purchase.status) {
+        // Verification failed or didn't arrive - the payment webhook may still activate the plan
+        console.warn('⚠️ VipContext: VIP purchase not verified yet:', purchase.message);
       }
+
+      return await waitForActivation(razorpayOrderId);
     } catch (error) {
+      // A charged payment stays journalled - PaymentRecoveryHandler reconciles it
       console.error('❌ VipContext: Error purchasing VIP plan:', error);
       dispatch({ type: VIP_ACTIONS.SET_ERROR, payload: error.message });
       toast.error(error.message || 'Failed to purchase VIP plan');
@@ -178,11 +242,22 @@ export const VipProvider = ({ children }) => {
     }
   };
 
+  // Refund/proration preview shown before the user confirms a cancellation
+  const getCancellationPreview = async () => {
+    console.log('🔥 VipContext: Fetching cancellation preview');
+    const response = await vipService.getCancellationPreview();
+
+    return response.status
+      ? { success: true, data: response.data }
+      : { success: false, error: response.message };
+  };
+
   // Cancel VIP subscription
   const cancelVipSubscription = async () => {
     try {
       console.log('🔥 VipContext: Cancelling VIP subscription');
-      dispatch({ type: VIP_ACTIONS.SET_LOADING, payload: true });
+      // Not SET_LOADING - that swaps the VIP page for its loading screen under the confirmation dialog
+      dispatch({ type: VIP_ACTIONS.SET_PAYMENT_LOADING, payload: true });
 
       const response = await vipService.cancelVipSubscription();
       
@@ -191,6 +266,8 @@ export const VipProvider = ({ children }) => {
         
         // Update VIP status
         await fetchVipStatus();
+        dispatch({ type: VIP_ACTIONS.SET_ACTIVATION_STATUS, payload: VIP_ACTIVATION_STATUS.IDLE });
+        dispatch({ type: VIP_ACTIONS.SET_PAYMENT_LOADING, payload: false });
         
         toast.success('VIP subscription cancelled successfully');
         return { success: true };
@@ -258,7 +335,8 @@ export const VipProvider = ({ children }) => {
     fetchVipPlans,
     fetchVipStatus,
     fetchVipBenefits,
-    purchaseVipPlan,
+    buyVipPlan,
+    getCancellationPreview,
     cancelVipSubscription,
     selectVipPlan,
     refreshVipData,
@@ -0,0 +1,183 @@
+/**
+ * Geocoding Cache
+ * Remembers geocoding results so dragging the map pin back and forth or
+ * reopening the address screen doesn't hit the providers again.
+ *
+ * - Reverse geocoding is keyed by coordinates rounded to ~11m, place details
+ *   by place id and autocomplete by the normalized query
+ * - Entries expire after a per-kind TTL
+ * - Results live in memory and are persisted to IndexedDB, so they survive
+ *   reloads; without IndexedDB (private mode, tests) the cache is memory-only
+ */
+
+export const GEOCODE_CACHE_TTL = {
+  REVERSE: 7 * 24 * 60 * 60 * 1000, // 7 days
+  PLACE: 30 * 24 * 60 * 60 * 1000, // 30 days
+  PREDICTIONS: 24 * 60 * 60 * 1000 // 1 day
+};
+
+const DB_NAME = 'eassylife_geocoding';
+const STORE_NAME = 'results';
+const COORDINATE_PRECISION = 4; // 4 decimals ~ 11m
+const MAX_MEMORY_ENTRIES = 500;
+
+/**
+ * Cache key for a reverse geocoding lookup
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} e.g. "rev:19.0760,72.8777"
+ */
+export const coordinateKey = (latitude, longitude) =>
+  `rev:${Number(latitude).toFixed(COORDINATE_PRECISION)},${Number(longitude).toFixed(COORDINATE_PRECISION)}`;
+
+/**
+ * Cache key for place details
+ * @param {string} placeId
+ * @returns {string}
+ */
+export const placeKey = (placeId) => `place:${placeId}`;
+
+/**
+ * Cache key for autocomplete predictions - case and whitespace insensitive
+ * @param {string} input
+ * @param {Object} [options] - Prediction options that change the results (types)
+ * @returns {string}
+ */
+export const predictionsKey = (input, options = {}) => {
+  const query = String(input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const types = [].concat(options.types || []).join(',');
+  return `ac:${types}:${query}`;
+};
+
+/**
+ * Promise-based key/value store over one IndexedDB object store
+ * @param {IDBFactory} [factory=indexedDB]
+ * @returns {Object|null} { get, set, delete, clear } or null when IndexedDB is unavailable
+ */
+export const createIndexedDbStore = (factory = typeof indexedDB !== 'undefined' ? indexedDB : null) => {
+  if (!factory) return null;
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call retry if opening failed (e.g. blocked upgrade)
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  return {
+    get: (key) => run('readonly', (store) => store.get(key)),
+    set: (key, value) => run('readwrite', (store) => store.put(value, key)),
+    delete: (key) => run('readwrite', (store) => store.delete(key)),
+    clear: () => run('readwrite', (store) => store.clear())
+  };
+};
+
+export class GeocodeCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object|null} [options.store] - Persistent store ({ get, set, delete, clear }), IndexedDB by default
+   * @param {Function} [options.now=Date.now]
+   * @param {number} [options.maxMemoryEntries]
+   */
+  constructor({
+    store = createIndexedDbStore(),
+    now = () => Date.now(),
+    maxMemoryEntries = MAX_MEMORY_ENTRIES
+  } = {}) {
+    this.store = store;
+    this.now = now;
+    this.maxMemoryEntries = maxMemoryEntries;
+    this.memory = new Map();
+  }
+
+  /**
+   * Cached value for a key, or null when missing or expired
+   * @param {string} key
+   * @returns {Promise<any|null>}
+   */
+  async get(key) {
+    let entry = this.memory.get(key);
+
+    if (!entry && this.store) {
+      try {
+        entry = await this.store.get(key);
+        if (entry) this.remember(key, entry);
+      } catch (error) {
+        console.warn('⚠️ GeocodeCache: Failed to read cache:', error);
+      }
+    }
+
+    if (!entry) return null;
+
+    if (entry.expiresAt <= this.now()) {
+      this.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Cache a value for ttl milliseconds
+   * @param {string} key
+   * @param {any} value - Must be structured-cloneable
+   * @param {number} ttl
+   */
+  async set(key, value, ttl) {
+    const entry = { value, expiresAt: this.now() + ttl };
+    this.remember(key, entry);
+
+    if (!this.store) return;
+    try {
+      await this.store.set(key, entry);
+    } catch (error) {
+      console.warn('⚠️ GeocodeCache: Failed to persist cache entry:', error);
+    }
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    try {
+      await this.store?.delete(key);
+    } catch {
+      // Expired entries are overwritten on the next lookup anyway
+    }
+  }
+
+  async clear() {
+    this.memory.clear();
+    try {
+      await this.store?.clear();
+    } catch (error) {
+      console.warn('⚠️ GeocodeCache: Failed to clear cache:', error);
+    }
+  }
+
+  // Keep the in-memory map bounded - Map iterates oldest first
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Provider Health
+ * Circuit breaker per geocoding provider (google, backend, osm).
+ *
+ * After failureThreshold consecutive failures a provider is skipped for a
+ * cooldown, doubling on each repeated trip up to maxCooldownMs. Once the
+ * cooldown is over the next lookup tries it again; one success resets it.
+ */
+
+export const HEALTH_DEFAULTS = {
+  FAILURE_THRESHOLD: 3,
+  COOLDOWN_MS: 60 * 1000,
+  MAX_COOLDOWN_MS: 15 * 60 * 1000
+};
+
+export class ProviderHealth {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold]
+   * @param {number} [options.cooldownMs]
+   * @param {number} [options.maxCooldownMs]
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({
+    failureThreshold = HEALTH_DEFAULTS.FAILURE_THRESHOLD,
+    cooldownMs = HEALTH_DEFAULTS.COOLDOWN_MS,
+    maxCooldownMs = HEALTH_DEFAULTS.MAX_COOLDOWN_MS,
+    now = () => Date.now()
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.maxCooldownMs = maxCooldownMs;
+    this.now = now;
+    this.providers = new Map();
+  }
+
+  getState(provider) {
+    if (!this.providers.has(provider)) {
+      this.providers.set(provider, { failures: 0, trips: 0, unavailableUntil: 0, lastError: null });
+    }
+    return this.providers.get(provider);
+  }
+
+  /**
+   * Whether the provider should be tried
+   * @param {string} provider
+   * @returns {boolean}
+   */
+  isAvailable(provider) {
+    return this.getState(provider).unavailableUntil <= this.now();
+  }
+
+  recordSuccess(provider) {
+    Object.assign(this.getState(provider), { failures: 0, trips: 0, unavailableUntil: 0, lastError: null });
+  }
+
+  recordFailure(provider, error) {
+    const state = this.getState(provider);
+    state.failures += 1;
+    state.lastError = error?.message || String(error);
+
+    if (state.failures >= this.failureThreshold) {
+      const cooldown = Math.min(this.cooldownMs * 2 ** state.trips, this.maxCooldownMs);
+      state.trips += 1;
+      state.unavailableUntil = this.now() + cooldown;
+      console.warn(`⚠️ Geocoding provider "${provider}" unavailable for ${Math.round(cooldown / 1000)}s:`, state.lastError);
+    }
+  }
+
+  /**
+   * Snapshot for debugging
+   * @returns {Object} { [provider]: { available, failures, unavailableUntil, lastError } }
+   */
+  getStatus() {
+    return Object.fromEntries(
+      [...this.providers.entries()].map(([provider, state]) => [
+        provider,
+        {
+          available: this.isAvailable(provider),
+          failures: state.failures,
+          unavailableUntil: state.unavailableUntil || null,
+          lastError: state.lastError
+        }
+      ])
+    );
+  }
+}
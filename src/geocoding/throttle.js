@@ -0,0 +1,60 @@
+/**
+ * Request Throttle
+ * Runs a provider's requests one at a time with a minimum gap between them.
+ * Nominatim's usage policy allows at most one request per second; Google's
+ * quotas are per second too, so a fast pin drag can't fire a burst.
+ *
+ * Requests beyond maxPending are rejected with ThrottleError straight away,
+ * so callers fail over to another provider instead of waiting in a long queue.
+ */
+
+export class ThrottleError extends Error {
+  constructor(message = 'Too many pending geocoding requests') {
+    super(message);
+    this.name = 'ThrottleError';
+  }
+}
+
+export class RequestThrottle {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minInterval=0] - Milliseconds between request starts
+   * @param {number} [options.maxPending=Infinity] - Queued requests before rejecting
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({ minInterval = 0, maxPending = Infinity, now = () => Date.now() } = {}) {
+    this.minInterval = minInterval;
+    this.maxPending = maxPending;
+    this.now = now;
+
+    this.lastStartedAt = -Infinity;
+    this.pending = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a request once its turn comes
+   * @param {Function} task - Returns a promise
+   * @returns {Promise<any>} The task's result
+   */
+  schedule(task) {
+    if (this.pending >= this.maxPending) {
+      return Promise.reject(new ThrottleError());
+    }
+
+    this.pending += 1;
+    const run = this.queue.then(async () => {
+      const wait = this.lastStartedAt + this.minInterval - this.now();
+      if (wait > 0) {
+        await new Promise((resolve) => setTimeout(resolve, wait));
+      }
+      this.lastStartedAt = this.now();
+      this.pending -= 1;
+      return task();
+    });
+
+    // The next request waits for this one to start and finish, not to succeed
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { useServiceDetailsContext } from '../contexts/ServiceDetailsContext';
+import { getBookingDraft, saveBookingDraft } from '../utils/bookingDrafts';
+
+/**
+ * useBookingDraft - Restores the saved booking draft once the service has
+ * loaded, then keeps the draft up to date as selections change
+ * @param {string} serviceId - Service id from the URL
+ * @param {Object|null} serviceDetails - Loaded service details (attributes are checked against the draft)
+ */
+export const useBookingDraft = (serviceId, serviceDetails) => {
+  const {
+    selectedAttributes,
+    selectedSegment,
+    selectedDate,
+    timeFromValue,
+    timeToValue,
+    serviceSegments,
+    setSelectedSegment,
+    restoreDraft
+  } = useServiceDetailsContext();
+
+  const [checkedServiceId, setCheckedServiceId] = useState(null);
+  // The initial segment fetch auto-selects the first segment - re-apply the saved one once segments arrive
+  const [pendingSegmentId, setPendingSegmentId] = useState(null);
+
+  useEffect(() => {
+    if (!serviceId || !serviceDetails || checkedServiceId === serviceId) return;
+
+    const draft = getBookingDraft(serviceId, serviceDetails.attributes);
+    if (draft) {
+      console.log('📝 useBookingDraft: Restoring booking draft for', serviceId);
+      restoreDraft(draft);
+      setPendingSegmentId(draft.selectedSegment?.id ?? null);
+    }
+    setCheckedServiceId(serviceId);
+  }, [serviceId, serviceDetails, checkedServiceId, restoreDraft]);
+
+  useEffect(() => {
+    if (!pendingSegmentId || serviceSegments.length === 0) return;
+
+    const segment = serviceSegments.find((item) => item.id === pendingSegmentId);
+    if (segment) {
+      setSelectedSegment(segment);
+    }
+    setPendingSegmentId(null);
+  }, [pendingSegmentId, serviceSegments, setSelectedSegment]);
+
+  useEffect(() => {
+    if (checkedServiceId !== serviceId || !serviceDetails) return;
+
+    const hasSelections = Object.keys(selectedAttributes).length > 0 || selectedDate || timeFromValue;
+    if (!hasSelections) return;
+
+    saveBookingDraft(serviceId, {
+      serviceName: serviceDetails.name,
+      serviceImage: serviceDetails.image || serviceDetails.icon || null,
+      attributes: serviceDetails.attributes,
+      selectedAttributes,
+      // Keep the saved segment until it has been re-applied
+      ...(pendingSegmentId ? {} : { selectedSegment }),
+      selectedDate,
+      timeFromValue,
+      timeToValue
+    });
+  }, [
+    serviceId,
+    serviceDetails,
+    checkedServiceId,
+    pendingSegmentId,
+    selectedAttributes,
+    selectedSegment,
+    selectedDate,
+    timeFromValue,
+    timeToValue
+  ]);
+};
+
+export default useBookingDraft;
@@ -0,0 +1,169 @@
+import { useState, useCallback, useRef } from 'react';
+import { useAuthContext } from '../contexts/AuthContext';
+import razorpayService from '../api/services/razorpayService';
+import paymentRecoveryService, { RECOVERY_RESULT } from '../api/services/paymentRecoveryService';
+import { resolvePendingPayment, getPendingPayment } from '../utils/paymentJournal';
+import { collectJournalledPayment, PAYMENT_OUTCOME } from '../utils/journalledPayment';
+
+export const JOURNALLED_PAYMENT_STATUS = {
+  IDLE: 'idle',
+  PROCESSING: 'processing',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  // Charged, but the backend has not recorded it yet - retry instead of paying again
+  UNVERIFIED: 'unverified'
+};
+
+/**
+ * useJournalledPayment - Status, verification and retry for a journalled Razorpay payment
+ * Collects the payment (see utils/journalledPayment.js), verifies it with the
+ * backend and completes it. When the charge goes through but verification
+ * fails, the journal entry stays so the user can retry verification here
+ * instead of paying again; PaymentRecoveryHandler retries it on the next launch.
+ * @param {Object} config
+ * @param {string} config.type - PAYMENT_JOURNAL_TYPE
+ * @param {Function} config.verify - async (razorpayOrderId, paymentResponse, checkoutData), throws if not verified
+ * @param {Function} config.complete - async (checkoutData, razorpayOrderId) once the backend has the payment
+ * @param {string} config.unverifiedMessage - Shown while a charged payment is unverified
+ * @param {Function} [config.onAuthorized] - (razorpayOrderId, checkoutData) when the gateway reports success
+ * @param {Function} [config.onUnverified] - (razorpayOrderId) when verification fails
+ * @param {Function} [config.onUnpaid] - (razorpayOrderId) when a retry finds nothing was charged
+ * @param {string} [config.logTag] - Console prefix
+ */
+export const useJournalledPayment = (config) => {
+  const { user } = useAuthContext();
+  const [status, setStatus] = useState(JOURNALLED_PAYMENT_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [unverifiedOrderId, setUnverifiedOrderId] = useState(null);
+  // Callbacks come from the calling hook's render - always use the latest
+  const configRef = useRef(config);
+  configRef.current = config;
+
+  const start = useCallback(() => {
+    setStatus(JOURNALLED_PAYMENT_STATUS.PROCESSING);
+    setError(null);
+  }, []);
+
+  const fail = useCallback((message) => {
+    setStatus(JOURNALLED_PAYMENT_STATUS.FAILED);
+    setError(message);
+    return { success: false, message };
+  }, []);
+
+  const complete = useCallback(async (checkoutData, razorpayOrderId) => {
+    setStatus(JOURNALLED_PAYMENT_STATUS.SUCCESS);
+    setUnverifiedOrderId(null);
+    await configRef.current.complete(checkoutData, razorpayOrderId);
+    return { success: true };
+  }, []);
+
+  const markUnverified = useCallback((razorpayOrderId) => {
+    setUnverifiedOrderId(razorpayOrderId);
+    setStatus(JOURNALLED_PAYMENT_STATUS.UNVERIFIED);
+    setError(configRef.current.unverifiedMessage);
+  }, []);
+
+  /**
+   * Collect and verify a payment for a Razorpay order
+   * @param {Object} params
+   * @param {string} params.razorpayOrderId - Razorpay order created by the backend
+   * @param {number} params.amount - Amount in rupees
+   * @param {Object} params.checkoutData - Journal payload, passed back to verify/complete
+   * @returns {Promise<Object>} { success, message? }
+   */
+  const pay = useCallback(async ({ razorpayOrderId, amount, checkoutData }) => {
+    const { type, verify, onAuthorized, onUnverified, logTag = 'useJournalledPayment' } = configRef.current;
+
+    const { outcome, paymentResponse, message } = await collectJournalledPayment({
+      razorpayOrderId,
+      amount,
+      type,
+      checkoutData,
+      user,
+      onAttemptFailed: (attemptMessage) => {
+        setError(`${attemptMessage}. You can try again in the payment window.`);
+      }
+    });
+
+    if (outcome === PAYMENT_OUTCOME.RECOVERED) {
+      // Paid after the checkout closed - the reconciler has already verified it
+      console.log(`✅ ${logTag}: Payment completed after the checkout closed`);
+      return complete(checkoutData, razorpayOrderId);
+    }
+
+    if (outcome !== PAYMENT_OUTCOME.PAID) {
+      // A PENDING payment stays journalled for PaymentRecoveryHandler
+      console.error(`❌ ${logTag}: Payment not completed:`, message);
+      return fail(message);
+    }
+
+    onAuthorized?.(razorpayOrderId, checkoutData);
+
+    try {
+      if (!razorpayService.validatePaymentResponse(paymentResponse, razorpayOrderId)) {
+        throw new Error('Incomplete payment response from gateway');
+      }
+      await verify(razorpayOrderId, paymentResponse, checkoutData);
+      resolvePendingPayment(razorpayOrderId);
+      console.log(`✅ ${logTag}: Payment verified`);
+    } catch (err) {
+      // The journal entry stays so the payment can be retried or reconciled later
+      console.error(`❌ ${logTag}: Payment received but not verified:`, err);
+      onUnverified?.(razorpayOrderId);
+      markUnverified(razorpayOrderId);
+      return { success: false, message: err.message };
+    }
+
+    return complete(checkoutData, razorpayOrderId);
+  }, [user, fail, complete, markUnverified]);
+
+  /**
+   * Retry verifying a payment that was charged but not recorded
+   * @returns {Promise<Object>} { success, message? }
+   */
+  const retryVerification = useCallback(async () => {
+    const entry = unverifiedOrderId ? getPendingPayment(unverifiedOrderId) : null;
+    if (!entry) return { success: false };
+
+    const { onUnpaid, logTag = 'useJournalledPayment' } = configRef.current;
+    start();
+
+    try {
+      const { result } = await paymentRecoveryService.reconcilePayment(entry);
+      if (result === RECOVERY_RESULT.RECOVERED) {
+        return complete(entry.checkoutData, entry.razorpayOrderId);
+      }
+      if (result === RECOVERY_RESULT.FAILED) {
+        onUnpaid?.(entry.razorpayOrderId);
+        setUnverifiedOrderId(null);
+        return fail('The payment did not go through, so you were not charged.');
+      }
+      throw new Error('Payment is still being confirmed');
+    } catch (err) {
+      console.error(`❌ ${logTag}: Retry failed:`, err);
+      markUnverified(entry.razorpayOrderId);
+      return { success: false, message: err.message };
+    }
+  }, [unverifiedOrderId, start, complete, fail, markUnverified]);
+
+  const reset = useCallback(() => {
+    if (status === JOURNALLED_PAYMENT_STATUS.PROCESSING) return;
+    setStatus(JOURNALLED_PAYMENT_STATUS.IDLE);
+    setError(null);
+  }, [status]);
+
+  return {
+    status,
+    error,
+    isProcessing: status === JOURNALLED_PAYMENT_STATUS.PROCESSING,
+    isUnverified: status === JOURNALLED_PAYMENT_STATUS.UNVERIFIED,
+    start,
+    fail,
+    complete,
+    pay,
+    retryVerification,
+    reset
+  };
+};
+
+export default useJournalledPayment;
@@ -0,0 +1,35 @@
+import { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import analyticsService from '../api/services/analyticsService';
+
+/**
+ * Page name for analytics from a route path
+ * "/" -> "home", "/orders/123" -> "orders"
+ * @param {string} pathname - Route path
+ * @returns {string}
+ */
+export const getPageName = (pathname) => {
+  const [section] = pathname.split('/').filter(Boolean);
+  return section || 'home';
+};
+
+/**
+ * usePageTracking - Sends a page_view on every route change and keeps the
+ * analytics user id in sync with the signed-in user
+ * @param {Object|null} user - Authenticated user
+ */
+export const usePageTracking = (user) => {
+  const location = useLocation();
+
+  useEffect(() => {
+    analyticsService.identify(user?.id ?? null);
+  }, [user?.id]);
+
+  useEffect(() => {
+    analyticsService.trackPageView(getPageName(location.pathname), {
+      path: location.pathname
+    });
+  }, [location.pathname]);
+};
+
+export default usePageTracking;
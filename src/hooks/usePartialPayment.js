@@ -0,0 +1,115 @@
+import { useCallback } from 'react';
+import { useOrderContext } from '../contexts/OrderContext';
+import orderService from '../api/services/orderService';
+import useWalletStore from '../stores/walletStore';
+import { PAYMENT_JOURNAL_TYPE } from '../utils/paymentJournal';
+import { useJournalledPayment, JOURNALLED_PAYMENT_STATUS } from './useJournalledPayment';
+
+export const PARTIAL_PAYMENT_STATUS = JOURNALLED_PAYMENT_STATUS;
+
+/**
+ * Remaining balance of a partially paid booking (Flutter: totalRemainingAmount)
+ * @param {Object} booking - Booking with remaining_payment / remaining_convenience_charge
+ * @param {Object} [item] - Booking item, used when the booking has no remaining_payment
+ * @returns {{ amount: number, remainingConvenienceCharge: number }}
+ */
+export const getBalanceDue = (booking, item) => {
+  const remainingConvenienceCharge = parseFloat(booking?.remaining_convenience_charge || '0') || 0;
+  const fallback = (parseFloat(item?.total_amount || '0') || 0) + remainingConvenienceCharge;
+
+  return {
+    amount: parseFloat(booking?.remaining_payment || fallback) || 0,
+    remainingConvenienceCharge
+  };
+};
+
+/**
+ * usePartialPayment - Pays the remaining balance of a partially paid booking
+ * Creates a Razorpay order for the balance (optionally taking the wallet first)
+ * and collects it as a journalled payment (useJournalledPayment), verified by
+ * orderService.processPartialPayment. The order detail is then refreshed so
+ * the End Service OTP is shown.
+ */
+export const usePartialPayment = () => {
+  const { fetchOrderDetail } = useOrderContext();
+
+  const payment = useJournalledPayment({
+    type: PAYMENT_JOURNAL_TYPE.BALANCE,
+    logTag: 'usePartialPayment',
+    unverifiedMessage: 'Payment received but not yet confirmed. Please retry - do not pay again.',
+    verify: async (razorpayOrderId, paymentResponse, details) => {
+      await orderService.processPartialPayment({
+        itemId: details.itemId,
+        razorpayOrderId,
+        paymentStatus: 'Online',
+        remainingConvenienceCharge: details.remainingConvenienceCharge,
+        useWallet: details.useWallet,
+        paymentResponse
+      });
+    },
+    complete: async ({ orderId, itemId, useWallet }) => {
+      if (useWallet) {
+        useWalletStore.getState().fetchWalletBalance(true);
+      }
+      // Reveals the End Service OTP
+      await fetchOrderDetail(orderId, itemId);
+    }
+  });
+  const { start, fail, complete, pay } = payment;
+
+  /**
+   * Pay the remaining balance
+   * @param {Object} params
+   * @param {string} params.orderId - Booking ID
+   * @param {string} params.itemId - Booking item ID
+   * @param {number|string} [params.remainingConvenienceCharge] - Convenience charge still owed
+   * @param {boolean} [params.useWallet] - Apply the wallet balance first
+   * @returns {Promise<Object>} { success, message? }
+   */
+  const payBalance = useCallback(async ({ orderId, itemId, remainingConvenienceCharge = 0, useWallet = false }) => {
+    const details = {
+      orderId,
+      itemId,
+      remainingConvenienceCharge: parseFloat(remainingConvenienceCharge) > 0 ? String(remainingConvenienceCharge) : '',
+      useWallet
+    };
+
+    start();
+
+    try {
+      const { data: paymentOrder } = await orderService.createPartialPaymentOrder({ itemId, useWallet });
+
+      // The wallet covered the whole balance - nothing to collect at the gateway
+      if (paymentOrder.payableAmount <= 0) {
+        await orderService.processPartialPayment({
+          itemId,
+          razorpayOrderId: '',
+          paymentStatus: 'Wallet',
+          remainingConvenienceCharge: details.remainingConvenienceCharge,
+          useWallet: true
+        });
+        return complete(details);
+      }
+
+      return await pay({
+        razorpayOrderId: paymentOrder.razorpayOrderId,
+        amount: paymentOrder.payableAmount,
+        checkoutData: details
+      });
+    } catch (err) {
+      console.error('❌ usePartialPayment: Failed to start balance payment:', err);
+      return fail(err.message || 'Failed to initiate payment');
+    }
+  }, [start, fail, complete, pay]);
+
+  return {
+    status: payment.status,
+    error: payment.error,
+    isProcessing: payment.isProcessing,
+    isUnverified: payment.isUnverified,
+    payBalance,
+    retryVerification: payment.retryVerification
+  };
+};
+
+export default usePartialPayment;
@@ -0,0 +1,84 @@
+import { useState, useSyncExternalStore } from 'react';
+import settingsService from '../api/services/settingsService';
+import { getPreferences, setPreferences, subscribePreferences } from '../i18n/preferences';
+import { getAvailableLanguages } from '../i18n';
+import {
+  TIMEZONES,
+  CURRENCIES,
+  CURRENCY_DISPLAYS,
+  DATE_FORMAT_STYLES,
+  validatePreferences
+} from '../i18n/registry';
+
+/**
+ * Save preferences through settingsService.updateProfileSettings
+ * Applied immediately so the whole app re-formats, and rolled back if the
+ * backend rejects them. Extra settings (e.g. theme) are passed through.
+ * @param {Object} changes - Any of { language, timezone, currency, currencyDisplay, dateFormat }
+ * @returns {Promise<Object>} { success, data } or { success: false, error, errors }
+ */
+export const savePreferences = async (changes = {}) => {
+  const { isValid, errors } = validatePreferences(changes);
+  if (!isValid) {
+    return { success: false, error: Object.values(errors)[0], errors };
+  }
+
+  const previous = getPreferences();
+  setPreferences(changes);
+
+  const result = await settingsService.updateProfileSettings({ ...changes, ...getPreferences() });
+  if (!result.success) {
+    console.error('❌ Preferences: Save failed, restoring previous preferences');
+    setPreferences(previous);
+    return { success: false, error: result.error || 'Failed to update preferences', errors: {} };
+  }
+
+  console.log('✅ Preferences: Saved', getPreferences());
+  return { success: true, data: result.data };
+};
+
+/**
+ * usePreferences Hook - Language, timezone, currency display and date format
+ * Reads the shared preferences and the registry options for pickers.
+ */
+export const usePreferences = () => {
+  const preferences = useSyncExternalStore(subscribePreferences, getPreferences);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Update and save preferences
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<boolean>} Success status
+   */
+  const updatePreferences = async (changes) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const result = await savePreferences(changes);
+      if (!result.success) {
+        setError(result.error);
+      }
+      return result.success;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return {
+    preferences,
+    saving,
+    error,
+    updatePreferences,
+    options: {
+      languages: getAvailableLanguages(),
+      timezones: TIMEZONES,
+      currencies: CURRENCIES,
+      currencyDisplays: CURRENCY_DISPLAYS,
+      dateFormats: DATE_FORMAT_STYLES
+    }
+  };
+};
+
+export default usePreferences;
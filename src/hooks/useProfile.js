@@ -1,5 +1,6 @@
 import { useEffect } from 'react';
 import useProfileStore from '../stores/profileStore.js';
+import { isSupportedLanguage } from '../i18n/registry.js';
 
 /**
  * useProfile - Custom hook for profile management
@@ -154,8 +155,7 @@ export const useProfileValidation = () => {
 
     // Validate language preference
     if (data.preferred_language) {
-      const validLanguages = ['en', 'hi', 'pu', 'mr'];
-      if (!validLanguages.includes(data.preferred_language)) {
+      if (!isSupportedLanguage(data.preferred_language)) {
         errors.preferred_language = 'Please select a valid language';
       }
     }
@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import profileService from '../api/services/profileService.js';
+import { normalizeReferralInfo, buildReferralLink, buildReferralShareText } from '../utils/referralUtils.js';
+
+/**
+ * Custom hook for the Refer & Earn program
+ * Loads the user's referral code, reward totals and referred friends
+ * @param {Object} [user] - Current profile, used as a fallback for the referral code
+ */
+export const useReferral = (user = null) => {
+  const [referralInfo, setReferralInfo] = useState(() => normalizeReferralInfo());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReferralInfo = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await profileService.getReferralInfo();
+
+      if (response.success) {
+        setReferralInfo(normalizeReferralInfo(response.data || {}));
+      } else {
+        throw new Error(response.message || 'Failed to load referral details');
+      }
+    } catch (err) {
+      console.error('❌ useReferral: Error fetching referral info:', err);
+      setError(err.message || 'Failed to load referral details');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchReferralInfo();
+  }, [fetchReferralInfo]);
+
+  // Fall back to the code on the profile if the referral endpoint omits it
+  const code = referralInfo.code || user?.referral_code || user?.referralCode || '';
+  const shareLink = code ? buildReferralLink(code) : '';
+  const shareText = code ? buildReferralShareText(code, shareLink) : '';
+
+  return {
+    ...referralInfo,
+    code,
+    shareLink,
+    shareText,
+    loading,
+    error,
+    refresh: fetchReferralInfo
+  };
+};
+
+export default useReferral;
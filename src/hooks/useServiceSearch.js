@@ -0,0 +1,164 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import homePageService from '../api/services/homePageService.js';
+import {
+  normalizeSearchResults,
+  flattenSearchResults,
+  getRecentSearches,
+  addRecentSearch,
+  clearRecentSearches
+} from '../utils/searchUtils.js';
+
+const EMPTY_RESULTS = { categories: [], subServices: [], packages: [] };
+
+/**
+ * Custom hook for service search with debounced typeahead
+ * Handles suggestions, recent/popular searches and keyboard navigation
+ * @param {Object} options - Hook options
+ * @param {string} [options.initialQuery] - Initial search query
+ * @param {Object} [options.filters] - Extra filters passed to the search API
+ * @param {number} [options.debounceMs] - Debounce delay in milliseconds
+ * @param {number} [options.minLength] - Minimum query length before searching
+ */
+export const useServiceSearch = ({
+  initialQuery = '',
+  filters = {},
+  debounceMs = 300,
+  minLength = 2
+} = {}) => {
+  const [query, setQuery] = useState(initialQuery);
+  const [results, setResults] = useState(EMPTY_RESULTS);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(() => getRecentSearches());
+  const [popularSearches, setPopularSearches] = useState([]);
+
+  // Ignore responses that arrive after a newer query was issued
+  const latestRequestRef = useRef(0);
+  const filtersKey = JSON.stringify(filters);
+
+  // Debounced search
+  useEffect(() => {
+    const trimmed = query.trim();
+
+    if (trimmed.length < minLength) {
+      // A search already in flight must not refill the cleared box
+      latestRequestRef.current += 1;
+      setResults(EMPTY_RESULTS);
+      setLoading(false);
+      setError(null);
+      return undefined;
+    }
+
+    setLoading(true);
+    const requestId = ++latestRequestRef.current;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await homePageService.searchServices(trimmed, JSON.parse(filtersKey));
+        if (requestId !== latestRequestRef.current) return;
+
+        setResults(normalizeSearchResults(response.data));
+        setError(null);
+      } catch (err) {
+        if (requestId !== latestRequestRef.current) return;
+
+        console.error('❌ useServiceSearch: Search failed:', err);
+        setResults(EMPTY_RESULTS);
+        setError(err.message || 'Search failed');
+      } finally {
+        if (requestId === latestRequestRef.current) {
+          setLoading(false);
+          setActiveIndex(-1);
+        }
+      }
+    }, debounceMs);
+
+    return () => clearTimeout(timer);
+  }, [query, filtersKey, debounceMs, minLength]);
+
+  // Popular searches come from the most booked services list
+  useEffect(() => {
+    let cancelled = false;
+
+    homePageService.getMostBookedServices()
+      .then((response) => {
+        if (cancelled) return;
+        const names = (response.data || [])
+          .map((service) => service.name)
+          .filter(Boolean)
+          .slice(0, 6);
+        setPopularSearches(names);
+      })
+      .catch((err) => {
+        console.warn('⚠️ useServiceSearch: Could not load popular searches:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const flatResults = useMemo(() => flattenSearchResults(results), [results]);
+
+  const rememberSearch = useCallback((term) => {
+    setRecentSearches(addRecentSearch(term));
+  }, []);
+
+  const clearRecent = useCallback(() => {
+    clearRecentSearches();
+    setRecentSearches([]);
+  }, []);
+
+  /**
+   * Keyboard navigation for the suggestion list
+   * @param {KeyboardEvent} event - Key event from the search input
+   * @param {Object} handlers - { onSelect(result), onSubmit(query), onEscape() }
+   */
+  const handleKeyDown = useCallback((event, { onSelect, onSubmit, onEscape } = {}) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex((index) => (flatResults.length ? (index + 1) % flatResults.length : -1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex((index) => (flatResults.length ? (index <= 0 ? flatResults.length - 1 : index - 1) : -1));
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (activeIndex >= 0 && flatResults[activeIndex]) {
+          onSelect?.(flatResults[activeIndex]);
+        } else if (query.trim()) {
+          onSubmit?.(query.trim());
+        }
+        break;
+      case 'Escape':
+        setActiveIndex(-1);
+        onEscape?.();
+        break;
+      default:
+        break;
+    }
+  }, [flatResults, activeIndex, query]);
+
+  return {
+    query,
+    setQuery,
+    results,
+    flatResults,
+    loading,
+    error,
+    hasResults: flatResults.length > 0,
+    isQueryTooShort: query.trim().length < minLength,
+    activeIndex,
+    setActiveIndex,
+    handleKeyDown,
+    recentSearches,
+    popularSearches,
+    rememberSearch,
+    clearRecent
+  };
+};
+
+export default useServiceSearch;
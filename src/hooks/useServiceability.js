@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback, useMemo, useSyncExternalStore } from 'react';
+import serviceabilityService, { SERVICEABILITY_STATUS } from '../api/services/serviceabilityService.js';
+
+/**
+ * useServiceability - Whether we serve an address, checked once and shared
+ * through serviceabilityService's per-address cache
+ * @param {Object|null} address - Any address shape (API address, form data)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled=true] - Run the check (e.g. only once the form has a pincode)
+ */
+export const useServiceability = (address, { enabled = true } = {}) => {
+  // Re-render whenever any cached result changes
+  useSyncExternalStore(serviceabilityService.subscribe, serviceabilityService.getVersion);
+
+  const { addressId, pincode, latitude, longitude } = serviceabilityService.getLocation(address);
+  const location = useMemo(
+    () => ({ id: addressId, postalCode: pincode, latitude, longitude }),
+    [addressId, pincode, latitude, longitude]
+  );
+
+  const hasLocation = Boolean(serviceabilityService.getCacheKey({ addressId, pincode, latitude, longitude }));
+  const result = hasLocation ? serviceabilityService.getCachedResult(location) : null;
+  const needsCheck = enabled && hasLocation && !result;
+
+  useEffect(() => {
+    if (needsCheck) {
+      serviceabilityService.checkAddress(location);
+    }
+  }, [needsCheck, location]);
+
+  const [notifying, setNotifying] = useState(false);
+
+  const requestNotification = useCallback(async () => {
+    setNotifying(true);
+    try {
+      return await serviceabilityService.requestNotification(location);
+    } finally {
+      setNotifying(false);
+    }
+  }, [location]);
+
+  const recheck = useCallback(() => serviceabilityService.checkAddress(location, { force: true }), [location]);
+
+  const status = result?.status || (needsCheck ? SERVICEABILITY_STATUS.CHECKING : null);
+
+  return {
+    status,
+    isChecking: status === SERVICEABILITY_STATUS.CHECKING,
+    isServiceable: status === SERVICEABILITY_STATUS.SERVICEABLE,
+    isUnserviceable: status === SERVICEABILITY_STATUS.UNSERVICEABLE,
+    notifyRequested: Boolean(result?.notifyRequested),
+    notifying,
+    requestNotification,
+    recheck
+  };
+};
+
+export default useServiceability;
@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef } from 'react';
 import settingsService from '../api/services/settingsService';
 import { handleError, handleSuccess } from '../utils/errorHandler';
+import { setPreferences, fromApiPreferences } from '../i18n/preferences';
+import { savePreferences } from './usePreferences';
 
 /**
  * useSettings Hook - Settings state management and API integration
@@ -78,6 +80,9 @@ export const useSettings = () => {
           }
         });
 
+        // Language, timezone and formats apply app-wide; unsupported values are skipped
+        setPreferences(fromApiPreferences(apiData));
+
         setLastFetched(Date.now());
         hasInitialized.current = true;
         console.log('✅ useSettings: Settings fetched successfully');
@@ -130,6 +135,7 @@ export const useSettings = () => {
 
   /**
    * Update profile preferences
+   * Saved through the shared preferences (validated against the locale registry)
    * @param {Object} preferences - Profile preferences
    * @returns {Promise<boolean>} Success status
    */
@@ -139,12 +145,12 @@ export const useSettings = () => {
 
     try {
       console.log('⚙️ useSettings: Updating preferences:', preferences);
-      const result = await settingsService.updateProfileSettings(preferences);
+      const result = await savePreferences(preferences);
 
       if (result.success) {
         setSettings(prev => ({
           ...prev,
-          preferences: preferences
+          preferences: { ...prev.preferences, ...preferences }
         }));
         handleSuccess('Profile preferences updated successfully');
         console.log('✅ useSettings: Preferences updated successfully');
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import dateTimeService from '../api/services/dateTimeService.js';
+
+/**
+ * useTimeSlots - Slot engine shared by booking and rescheduling
+ * Loads the backend slot configuration and derives the date strip and the
+ * hourly slots for the selected date (first-day restrictions included)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Fetch slots only while enabled (e.g. modal open)
+ */
+export const useTimeSlots = ({ enabled = true } = {}) => {
+  const [slotData, setSlotData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+
+  const fetchSlots = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await dateTimeService.getDateAndTimeSlots();
+
+      if (response.success) {
+        setSlotData(response.data);
+      } else {
+        throw new Error(response.message || 'Failed to load available time slots');
+      }
+    } catch (err) {
+      console.error('❌ useTimeSlots: Error fetching slots:', err);
+      setError(err.message || 'Failed to load available time slots');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (enabled) {
+      fetchSlots();
+    }
+  }, [enabled, fetchSlots]);
+
+  const dates = useMemo(() => dateTimeService.getSelectableDates(slotData), [slotData]);
+
+  const slots = useMemo(() => (
+    selectedDate ? dateTimeService.getSlotsForDate(slotData, selectedDate) : []
+  ), [slotData, selectedDate]);
+
+  // Changing the date always clears the slot - hours differ per day
+  const selectDate = useCallback((date) => {
+    setSelectedDate(date);
+    setSelectedSlot(null);
+  }, []);
+
+  const selectSlot = useCallback((slot) => {
+    if (slot?.available === false) return;
+    setSelectedSlot(slot);
+  }, []);
+
+  const reset = useCallback(() => {
+    setSelectedDate(null);
+    setSelectedSlot(null);
+  }, []);
+
+  const isAvailable = useCallback((date, timeFrom) => (
+    dateTimeService.isSlotAvailable(slotData, date, timeFrom)
+  ), [slotData]);
+
+  return {
+    slotData,
+    dates,
+    slots,
+    selectedDate,
+    selectedSlot,
+    loading,
+    error,
+    selectDate,
+    selectSlot,
+    reset,
+    isAvailable,
+    refresh: fetchSlots
+  };
+};
+
+export default useTimeSlots;
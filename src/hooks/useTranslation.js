@@ -0,0 +1,16 @@
+import { useContext } from 'react';
+import I18nContext from '../contexts/I18nContext';
+
+/**
+ * useTranslation - Active language, preferences, t() and formatters
+ * Components using it re-render when the language or a preference changes.
+ */
+export const useTranslation = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within an I18nProvider');
+  }
+  return context;
+};
+
+export default useTranslation;
@@ -1,5 +1,15 @@
-import { useEffect } from 'react';
+import { useEffect, useState, useCallback } from 'react';
+import toast from 'react-hot-toast';
 import useWalletStore from '../stores/walletStore.js';
+import walletService from '../api/services/walletService.js';
+import {
+  buildStatementCsv,
+  buildStatementHtml,
+  getStatementFileName,
+  downloadStatementCsv,
+  openStatementWindow,
+  printStatement
+} from '../utils/walletStatement.js';
 
 /**
  * useWallet - Custom hook for wallet management
@@ -38,6 +48,8 @@ export const useWallet = (options = {}) => {
     loadNextPage,
     loadPreviousPage,
     filterByType,
+    applyFilters,
+    getMonthlyStatistics,
     clearError,
     refresh,
     reset
@@ -75,6 +87,11 @@ export const useWallet = (options = {}) => {
     await filterByType(type);
   };
 
+  const handleApplyFilters = async (nextFilters) => {
+    clearError();
+    await applyFilters(nextFilters);
+  };
+
   const handleLoadMore = async () => {
     if (hasNextPage()) {
       await loadNextPage();
@@ -108,6 +125,7 @@ export const useWallet = (options = {}) => {
     addMoney: handleAddMoney,
     getTransactionDetails: handleGetTransactionDetails,
     filterByType: handleFilterByType,
+    applyFilters: handleApplyFilters,
     loadMore: handleLoadMore,
     loadNext: loadNextPage,
     loadPrevious: loadPreviousPage,
@@ -122,6 +140,7 @@ export const useWallet = (options = {}) => {
     hasPrevious: hasPreviousPage(),
     statistics,
     groupedTransactions,
+    monthlyStatistics: getMonthlyStatistics(),
 
     // Helper functions
     formatAmount: formatTransactionAmount,
@@ -305,4 +324,58 @@ export const useWalletValidation = () => {
   };
 };
 
+/**
+ * useWalletStatement - Exports the wallet statement for the current filters
+ * Fetches every page (not just what is loaded) before building the file.
+ */
+export const useWalletStatement = () => {
+  const filters = useWalletStore((state) => state.filters);
+  const [exporting, setExporting] = useState(null);
+
+  const exportStatement = useCallback(async (format, options = {}) => {
+    const statementFilters = {
+      type: filters.type,
+      startDate: filters.startDate,
+      endDate: filters.endDate
+    };
+
+    // Opened before the fetch, while still inside the click - popup blockers allow it only there
+    const printWindow = format === 'pdf' ? openStatementWindow() : null;
+    if (format === 'pdf' && !printWindow) {
+      toast.error('Allow pop-ups for this site to download the PDF statement');
+      return { success: false };
+    }
+
+    setExporting(format);
+    try {
+      const transactions = await walletService.getStatementTransactions(statementFilters);
+
+      if (format === 'csv') {
+        downloadStatementCsv(buildStatementCsv(transactions), getStatementFileName(statementFilters, 'csv'));
+      } else {
+        printStatement(printWindow, buildStatementHtml({
+          transactions,
+          filters: statementFilters,
+          accountName: options.accountName
+        }));
+      }
+      return { success: true, count: transactions.length };
+    } catch (error) {
+      printWindow?.close();
+      console.error('❌ Wallet statement export error:', error);
+      toast.error(error.message || 'Failed to export statement');
+      return { success: false, error: error.message };
+    } finally {
+      setExporting(null);
+    }
+  }, [filters.type, filters.startDate, filters.endDate]);
+
+  return {
+    exporting,
+    isExporting: exporting !== null,
+    exportCsv: () => exportStatement('csv'),
+    exportPdf: (options) => exportStatement('pdf', options)
+  };
+};
+
 export default useWallet;
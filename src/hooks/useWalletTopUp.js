@@ -0,0 +1,103 @@
+import { useCallback } from 'react';
+import toast from 'react-hot-toast';
+import walletService from '../api/services/walletService';
+import useWalletStore from '../stores/walletStore';
+import { validateWalletTransaction } from '../utils/validationSchemas';
+import { PAYMENT_JOURNAL_TYPE } from '../utils/paymentJournal';
+import { useJournalledPayment, JOURNALLED_PAYMENT_STATUS } from './useJournalledPayment';
+
+export const WALLET_TOPUP_STATUS = JOURNALLED_PAYMENT_STATUS;
+
+/**
+ * Validate a top-up amount against walletTransactionSchema (₹10 - ₹50,000)
+ * @param {number|string} amount - Amount entered by the user
+ * @returns {{ isValid: boolean, amount: number|null, error: string|null }}
+ */
+export const validateTopUpAmount = (amount) => {
+  const value = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+  const { success, data, errors } = validateWalletTransaction({ amount: value, payment_method: 'razorpay' });
+
+  return success
+    ? { isValid: true, amount: data.amount, error: null }
+    : { isValid: false, amount: null, error: errors.amount || errors.general || 'Please enter a valid amount' };
+};
+
+/**
+ * useWalletTopUp - Adds money to the wallet through Razorpay
+ * Creates the order on the backend and collects it as a journalled payment
+ * (useJournalledPayment), verified by walletService.addMoney. The paid amount
+ * is shown straight away as a pending credit (walletStore.addPendingTopUp) and
+ * reconciled with the backend balance once it is verified.
+ */
+export const useWalletTopUp = () => {
+  const payment = useJournalledPayment({
+    type: PAYMENT_JOURNAL_TYPE.WALLET_TOPUP,
+    logTag: 'useWalletTopUp',
+    unverifiedMessage: 'Payment received but not yet credited. Please retry - do not pay again.',
+    onAuthorized: (razorpayOrderId, { amount }) => {
+      useWalletStore.getState().addPendingTopUp({ razorpayOrderId, amount });
+    },
+    verify: async (razorpayOrderId, paymentResponse, { amount }) => {
+      const response = await walletService.addMoney({
+        amount,
+        payment_method: 'razorpay',
+        razorpay_order_id: razorpayOrderId,
+        razorpay_payment_id: paymentResponse.razorpay_payment_id,
+        razorpay_signature: paymentResponse.razorpay_signature || ''
+      });
+      if (!response.success) {
+        throw new Error(response.message || 'Top-up not verified');
+      }
+    },
+    // The pending entry stays visible (without counting in the balance) until it is reconciled
+    onUnverified: (razorpayOrderId) => {
+      useWalletStore.getState().rollbackTopUp(razorpayOrderId, { keepPending: true });
+    },
+    onUnpaid: (razorpayOrderId) => {
+      useWalletStore.getState().rollbackTopUp(razorpayOrderId);
+    },
+    complete: async ({ amount }, razorpayOrderId) => {
+      toast.success(`₹${amount} added to wallet successfully`);
+      await useWalletStore.getState().confirmTopUp(razorpayOrderId);
+    }
+  });
+  const { start, fail, pay } = payment;
+
+  /**
+   * Add money to the wallet
+   * @param {number|string} amount - Amount in rupees
+   * @returns {Promise<Object>} { success, message? }
+   */
+  const topUp = useCallback(async (amount) => {
+    const validation = validateTopUpAmount(amount);
+    if (!validation.isValid) {
+      return fail(validation.error);
+    }
+
+    start();
+
+    try {
+      const { data: order } = await walletService.createTopUpOrder(validation.amount);
+      return await pay({
+        razorpayOrderId: order.razorpayOrderId,
+        amount: order.amount,
+        checkoutData: { amount: order.amount }
+      });
+    } catch (err) {
+      console.error('❌ useWalletTopUp: Failed to start top-up:', err);
+      return fail(err.message || 'Failed to initiate payment');
+    }
+  }, [start, fail, pay]);
+
+  return {
+    status: payment.status,
+    error: payment.error,
+    isProcessing: payment.isProcessing,
+    isUnverified: payment.isUnverified,
+    topUp,
+    retryVerification: payment.retryVerification,
+    reset: payment.reset
+  };
+};
+
+export default useWalletTopUp;
@@ -0,0 +1,268 @@
+/**
+ * Locale-aware Formatting
+ * Number, currency, date and time formatting for the active language and
+ * the user's preferences (currency display, date format, timezone).
+ *
+ * All formatters keep Latin digits (numberingSystem 'latn') so amounts,
+ * OTPs and dates read the same as what users type and what the API returns,
+ * even where the locale's default is Devanagari (mr-IN).
+ */
+
+import { getLanguage, getLocale, translate } from './index.js';
+import { getPreferences } from './preferences.js';
+import { SERVICE_TIMEZONE, LANGUAGES } from './registry.js';
+import { toPaise, formatPaise } from '../utils/money.js';
+
+const NUMBERING_SYSTEM = 'latn';
+
+const formatterCache = new Map();
+
+const getFormatter = (Formatter, locale, options) => {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(cacheKey)) {
+    formatterCache.set(cacheKey, new Formatter(locale, { numberingSystem: NUMBERING_SYSTEM, ...options }));
+  }
+  return formatterCache.get(cacheKey);
+};
+
+/**
+ * Date presets shared across the app
+ * - short:   "26 Jun 2025"
+ * - medium:  "Wed, 26 Jun 2025"
+ * - long:    "Wednesday, 26 June 2025"
+ * - dayMonth: "26 Jun"
+ */
+export const DATE_FORMATS = {
+  short: { day: 'numeric', month: 'short', year: 'numeric' },
+  medium: { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' },
+  long: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' },
+  dayMonth: { day: 'numeric', month: 'short' }
+};
+
+/**
+ * Parse a date value
+ * "yyyy-MM-dd" strings are read as local dates (new Date() treats them as UTC)
+ * @param {Date|string|number} value - Date value
+ * @returns {Date|null} Valid Date or null
+ */
+export const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a number
+ * @param {number} value - Number to format
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string}
+ */
+export const formatNumber = (value, options = {}, language = getLanguage()) => {
+  const number = Number(value);
+  return getFormatter(Intl.NumberFormat, getLocale(language), options).format(Number.isFinite(number) ? number : 0);
+};
+
+/**
+ * Format a rupee amount
+ * Same rounding and fraction rules as formatPaise in utils/money.js.
+ * @param {number|string} amount - Amount in rupees
+ * @param {Object} [options] - formatPaise options (fractionDigits, signed) and
+ *   currencyDisplay ('symbol' | 'code', defaults to the user's preference)
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string} e.g. "₹1,23,456" or "INR 1,23,456"
+ */
+export const formatCurrency = (amount, options = {}, language = getLanguage()) => {
+  const { currencyDisplay = getPreferences().currencyDisplay, ...paiseOptions } = options;
+  const formatted = formatPaise(toPaise(amount), { ...paiseOptions, locale: getLocale(language) });
+  return currencyDisplay === 'code' ? formatted.replace('₹', 'INR ') : formatted;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Numeric layouts for the 'dmy' | 'mdy' | 'ymd' date format preferences
+const formatNumericDate = (date, style) => {
+  const day = pad(date.getDate());
+  const month = pad(date.getMonth() + 1);
+  const year = date.getFullYear();
+
+  if (style === 'mdy') return `${month}/${day}/${year}`;
+  if (style === 'ymd') return `${year}-${month}-${day}`;
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Format a calendar date
+ * The 'short' and 'medium' presets follow the user's date format preference;
+ * other presets and explicit Intl options are always written out. No timezone
+ * shift is applied - use formatBookingDate for service wall-clock times.
+ * @param {Date|string|number} value - Date value
+ * @param {string|Object} [format='short'] - DATE_FORMATS preset or Intl.DateTimeFormat options
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string} Formatted date, or the original string if it can't be parsed
+ */
+export const formatDate = (value, format = 'short', language = getLanguage()) => {
+  const date = toDate(value);
+  if (!date) return typeof value === 'string' ? value : '';
+
+  const { dateFormat } = getPreferences();
+  if ((format === 'short' || format === 'medium') && dateFormat !== 'text') {
+    return formatNumericDate(date, dateFormat);
+  }
+
+  const options = typeof format === 'string' ? (DATE_FORMATS[format] || DATE_FORMATS.short) : format;
+  return getFormatter(Intl.DateTimeFormat, getLocale(language), options).format(date);
+};
+
+/**
+ * Format a time of day in 12-hour format
+ * "HH:mm" strings are wall-clock times and are shown as-is; Date values are
+ * instants and are shown in the user's timezone.
+ * @param {Date|string} value - Date, or "HH:mm" / "HH:mm:ss" string
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string} e.g. "2:30 PM"
+ */
+export const formatTime = (value, language = getLanguage()) => {
+  const locale = getLocale(language);
+  const timeLocale = LANGUAGES.find((entry) => entry.locale === locale).timeLocale || locale;
+  const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+
+  let date = value;
+  if (typeof value === 'string') {
+    const [hours, minutes] = value.split(':').map((part) => parseInt(part, 10));
+    if (!Number.isFinite(hours)) return value;
+    date = new Date();
+    date.setHours(hours, Number.isFinite(minutes) ? minutes : 0, 0, 0);
+  } else {
+    options.timeZone = getPreferences().timezone;
+  }
+  if (!(date instanceof Date) || isNaN(date.getTime())) return '';
+
+  return getFormatter(Intl.DateTimeFormat, timeLocale, options).format(date);
+};
+
+// Offset of a timezone from UTC at an instant, in ms
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = getFormatter(Intl.DateTimeFormat, 'en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * Parse a time of day
+ * @param {string} value - "HH:mm", "HH:mm:ss" or "h:mm AM/PM"
+ * @returns {{ hours: number, minutes: number }|null}
+ */
+const parseTimeOfDay = (value) => {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const meridiem = match[3]?.[0].toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  return hours < 24 ? { hours, minutes: Number(match[2]) } : null;
+};
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ * @param {Date|string} dateValue - Calendar date ("yyyy-MM-dd" or Date)
+ * @param {string} timeValue - Time of day ("HH:mm", "HH:mm:ss" or "h:mm AM/PM")
+ * @param {string} [timeZone=SERVICE_TIMEZONE] - IANA timezone the values are in
+ * @returns {Date|null} Instant, or null if either value can't be parsed
+ */
+export const zonedTimeToDate = (dateValue, timeValue, timeZone = SERVICE_TIMEZONE) => {
+  const date = toDate(dateValue);
+  const time = parseTimeOfDay(timeValue);
+  if (!date || !time) return null;
+
+  const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes);
+  // Re-check the offset at the result so DST transitions land on the right side
+  const offset = getTimeZoneOffset(wallClock, timeZone);
+  const correctedOffset = getTimeZoneOffset(wallClock - offset, timeZone);
+  return new Date(wallClock - correctedOffset);
+};
+
+/**
+ * Format a booking date in the user's timezone
+ * Booking dates and times are stored in the service timezone (IST), so a slot
+ * near midnight can fall on another day for users elsewhere.
+ * @param {Date|string} date - Booking date
+ * @param {string} [time] - Booking time the date belongs to (e.g. booking_time_from)
+ * @param {string|Object} [format='short'] - DATE_FORMATS preset or Intl.DateTimeFormat options
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string}
+ */
+export const formatBookingDate = (date, time, format = 'short', language = getLanguage()) => {
+  const instant = zonedTimeToDate(date, time);
+  if (!instant) return formatDate(date, format, language);
+
+  // Re-read the user's wall-clock date as a plain calendar date
+  const [year, month, day] = getFormatter(Intl.DateTimeFormat, 'en-CA', {
+    timeZone: getPreferences().timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(instant).split('-').map(Number);
+
+  return formatDate(new Date(year, month - 1, day), format, language);
+};
+
+/**
+ * Format a booking time in the user's timezone
+ * @param {Date|string} date - Booking date (needed for DST and day changes)
+ * @param {string} time - Booking time in the service timezone
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string} e.g. "2:30 PM", or the time as-is if it can't be parsed
+ */
+export const formatBookingTime = (date, time, language = getLanguage()) => {
+  const instant = zonedTimeToDate(date, time);
+  return instant ? formatTime(instant, language) : formatTime(time || '', language);
+};
+
+/**
+ * Format a booking slot in the user's timezone
+ * @param {Object} slot
+ * @param {Date|string} slot.date - Booking date
+ * @param {string} [slot.timeFrom] - Slot start in the service timezone
+ * @param {string} [slot.timeTo] - Slot end in the service timezone
+ * @param {string|Object} [format='short'] - Date format for the slot date
+ * @returns {{ date: string, time: string }} time is "2:30 PM - 4:30 PM", or '' without a start time
+ */
+export const formatBookingSlot = ({ date, timeFrom, timeTo }, format = 'short') => {
+  const from = timeFrom ? formatBookingTime(date, timeFrom) : '';
+  const to = timeTo ? formatBookingTime(date, timeTo) : '';
+
+  return {
+    date: formatBookingDate(date, timeFrom, format),
+    time: from && to ? `${from} - ${to}` : from
+  };
+};
+
+/**
+ * Format an ordinal number ("1st", "22nd") from the catalog's ordinal forms
+ * @param {number} value - Number
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string}
+ */
+export const formatOrdinal = (value, language = getLanguage()) => {
+  return translate('ordinal', { count: value }, { language, pluralType: 'ordinal' });
+};
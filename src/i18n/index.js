@@ -0,0 +1,200 @@
+/**
+ * i18n Core
+ * Message catalogs, the active language and translation lookups.
+ *
+ * Messages are looked up by dot path ("profile.menu.wallet") and support:
+ * - Interpolation: "Language changed to {language}"
+ * - Pluralization: an object keyed by Intl.PluralRules category
+ *   ({ one, other, ... }) selected by the `count` param; an optional `zero`
+ *   entry is used when count is exactly 0
+ *
+ * Missing keys fall back to English, then to the key itself.
+ * Works outside React; components use I18nContext to re-render on change.
+ */
+
+import { LOCALIZATION_CONFIG } from '../utils/env.js';
+import { LANGUAGES, FALLBACK_LANGUAGE, isSupportedLanguage } from './registry.js';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import pu from './locales/pu.js';
+import mr from './locales/mr.js';
+
+export { LANGUAGES };
+
+export const LANGUAGE_STORAGE_KEY = 'eassylife_language';
+
+const CATALOGS = { en, hi, pu, mr };
+
+// ISO 639-1 codes and profile codes that differ
+const LANGUAGE_ALIASES = { pa: 'pu' };
+
+const isSupported = (code) => Boolean(CATALOGS[code]) && isSupportedLanguage(code);
+
+/**
+ * Normalize a language code to a supported app language
+ * Accepts BCP 47 tags ("hi-IN") and ISO codes ("pa").
+ * @param {string} code - Language code
+ * @returns {string|null} Supported language code, or null
+ */
+export const normalizeLanguage = (code) => {
+  if (!code || typeof code !== 'string') return null;
+
+  const base = code.trim().toLowerCase().split(/[-_]/)[0];
+  const resolved = LANGUAGE_ALIASES[base] || base;
+  return isSupported(resolved) ? resolved : null;
+};
+
+const readStoredLanguage = () => {
+  try {
+    return normalizeLanguage(localStorage.getItem(LANGUAGE_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const getInitialLanguage = () => {
+  return readStoredLanguage() ||
+    normalizeLanguage(LOCALIZATION_CONFIG.DEFAULT_LANGUAGE) ||
+    FALLBACK_LANGUAGE;
+};
+
+let currentLanguage = getInitialLanguage();
+const listeners = new Set();
+
+const applyDocumentLanguage = (language) => {
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = getLocale(language);
+  }
+};
+
+/**
+ * Get the active language code
+ * @returns {string}
+ */
+export const getLanguage = () => currentLanguage;
+
+/**
+ * Get the Intl locale for a language
+ * @param {string} [language] - Language code (defaults to the active language)
+ * @returns {string} BCP 47 locale, e.g. "hi-IN"
+ */
+export const getLocale = (language = currentLanguage) => {
+  const code = normalizeLanguage(language) || FALLBACK_LANGUAGE;
+  return LANGUAGES.find((entry) => entry.code === code).locale;
+};
+
+/**
+ * Languages available in this build (filtered by LOCALIZATION_CONFIG)
+ * @returns {Array<Object>}
+ */
+export const getAvailableLanguages = () => {
+  return LANGUAGES.filter((entry) => isSupported(entry.code));
+};
+
+/**
+ * Switch the active language and persist it
+ * @param {string} language - Language code
+ * @returns {boolean} True if the language changed
+ */
+export const setLanguage = (language) => {
+  const next = normalizeLanguage(language);
+  if (!next) {
+    console.warn(`⚠️ Unsupported language "${language}", keeping ${currentLanguage}`);
+    return false;
+  }
+
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, next);
+  } catch {
+    // Storage unavailable (private mode) - the switch still applies for this session
+  }
+
+  if (next === currentLanguage) return false;
+
+  currentLanguage = next;
+  applyDocumentLanguage(next);
+  console.log(`🌐 Language switched to ${next}`);
+  listeners.forEach((listener) => listener(next));
+  return true;
+};
+
+/**
+ * Subscribe to language changes
+ * @param {Function} listener - Called with the new language code
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeLanguage = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+};
+
+const pluralRulesCache = new Map();
+
+/**
+ * Get a (cached) Intl.PluralRules for a language
+ * @param {string} language - Language code
+ * @param {string} [type='cardinal'] - 'cardinal' or 'ordinal'
+ * @returns {Intl.PluralRules}
+ */
+export const getPluralRules = (language, type = 'cardinal') => {
+  const cacheKey = `${language}:${type}`;
+  if (!pluralRulesCache.has(cacheKey)) {
+    pluralRulesCache.set(cacheKey, new Intl.PluralRules(getLocale(language), { type }));
+  }
+  return pluralRulesCache.get(cacheKey);
+};
+
+const selectPluralForm = (forms, count, language, type) => {
+  if (count === 0 && forms.zero !== undefined) return forms.zero;
+  const category = getPluralRules(language, type).select(count);
+  return forms[category] ?? forms.other;
+};
+
+const interpolate = (message, params) => {
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    return params[name] === undefined || params[name] === null ? match : String(params[name]);
+  });
+};
+
+/**
+ * Translate a message key
+ * @param {string} key - Dot-path message key
+ * @param {Object} [params={}] - Interpolation values; `count` selects the plural form
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.language] - Language code (defaults to the active language)
+ * @param {string} [options.pluralType='cardinal'] - 'ordinal' for 1st/2nd/3rd style messages
+ * @returns {string} Translated message
+ */
+export const translate = (key, params = {}, { language = currentLanguage, pluralType = 'cardinal' } = {}) => {
+  const code = normalizeLanguage(language) || FALLBACK_LANGUAGE;
+
+  let message = lookup(CATALOGS[code], key);
+  let messageLanguage = code;
+  if (message === undefined) {
+    message = lookup(CATALOGS[FALLBACK_LANGUAGE], key);
+    messageLanguage = FALLBACK_LANGUAGE;
+  }
+
+  if (message === undefined) {
+    if (import.meta.env.DEV) {
+      console.warn(`⚠️ Missing translation: ${key}`);
+    }
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const count = Number(params.count);
+    // Plural forms follow the rules of the language the message is written in
+    message = selectPluralForm(message, Number.isFinite(count) ? count : 0, messageLanguage, pluralType);
+  }
+
+  return interpolate(String(message), params);
+};
+
+export const t = translate;
+
+applyDocumentLanguage(currentLanguage);
@@ -0,0 +1,137 @@
+/**
+ * English message catalog (source of truth)
+ * Every key used in the app must exist here - other catalogs fall back to it.
+ */
+const en = {
+  common: {
+    home: 'Home',
+    cart: 'Cart',
+    profile: 'Profile',
+    settings: 'Settings',
+    logout: 'Logout',
+    callNow: 'Call Now',
+    myOrders: 'My Orders',
+    joinVip: 'Join VIP',
+    update: 'Update',
+    new: 'New'
+  },
+  language: {
+    preferred: 'Preferred Language',
+    en: 'English',
+    hi: 'Hindi',
+    pu: 'Punjabi',
+    mr: 'Marathi',
+    invalid: 'Please select a valid language'
+  },
+  profile: {
+    sections: {
+      bookings: 'Bookings & Services',
+      account: 'Account & Features',
+      actions: 'Account Actions'
+    },
+    menu: {
+      bookings: 'My Bookings',
+      bookingsDescription: 'View your service bookings and history',
+      address: 'Manage Address',
+      addressShort: 'Address',
+      addressDescription: 'Add and manage your addresses',
+      flight: 'Flight Booking',
+      flightDescription: 'Book flights (Coming Soon)',
+      wallet: 'Wallet History',
+      walletShort: 'Wallet',
+      walletDescription: 'View transactions and balance',
+      favourites: 'Favourites',
+      favouritesDescription: 'Your saved services and providers',
+      referral: 'Refer & Earn',
+      referralDescription: 'Invite friends and earn rewards',
+      notifications: 'Notifications',
+      notificationsDescription: 'Manage your notification preferences',
+      settings: 'Settings',
+      settingsDescription: 'Manage app preferences and configurations'
+    }
+  },
+  cart: {
+    title: 'Cart Summary',
+    guestTitle: 'Please Login',
+    guestMessage: 'Login to view your cart and continue shopping',
+    emptyTitle: 'No Service added to cart',
+    emptyMessage: 'Add some services to get started',
+    login: 'Login',
+    explore: 'Explore Services',
+    refresh: 'Refresh',
+    cancellationTitle: 'Cancellation Policy',
+    cancellationText: 'Free cancellations if done more than 3 hours before the service. If professional isn\'t assigned, a fee will be charged otherwise.',
+    notesPlaceholder: 'Booking notes for the Service Provider',
+    tipTitle: 'Tip your service partner',
+    tipDescription: 'They work tirelessly for our happiness. 100% of your tip will be transferred to them',
+    redeemWallet: 'Redeem EassyCash',
+    redeemableAmount: 'Redeemable Amount',
+    paymentSummary: 'Payment Summary',
+    numberOfServices: 'Number of Services',
+    numberOfPackages: 'No. of Package',
+    itemTotal: 'Item Total',
+    gstOnItemTotal: 'GST on Item Total',
+    convenienceFee: 'Convenience Fee',
+    gstOnConvenienceFee: 'GST on Convenience Fee',
+    discount: 'Discount',
+    subscriptionDiscount: 'Subscription Discount',
+    subscriptionFee: 'Subscription Fee',
+    walletDeduction: 'EassyCash Deduction',
+    grandTotal: 'Grand Total',
+    balancePayable: 'Balance payable {amount} before service',
+    saved: 'Hurray ! You saved {amount} on final bill',
+    toPay: 'To Pay',
+    payNow: 'Pay Now',
+    processing: 'Processing...',
+    securePayment: 'Secure payment powered by Razorpay',
+    remaining: '+ {amount} remaining',
+    selectedServices: 'Selected Services',
+    selectedPackages: 'Selected Packages',
+    itemCount: {
+      zero: 'No items',
+      one: '{count} item',
+      other: '{count} items'
+    }
+  },
+  slots: {
+    title: 'Select Date & Time',
+    loading: 'Loading available slots...',
+    selectDate: 'Select Date',
+    selectTime: 'Select Time Slot',
+    availableDates: 'Available dates',
+    noDates: 'No dates are available for booking right now.',
+    noSlots: 'No time slots available for the selected date. Please choose a different date.',
+    confirm: 'Confirm',
+    cancel: 'Cancel'
+  },
+  consent: {
+    title: 'Help us improve EassyLife',
+    description: 'We use anonymous usage analytics to improve bookings. Phone numbers, emails and names are never shared.',
+    accept: 'Allow',
+    decline: 'No thanks'
+  },
+  serviceability: {
+    checking: 'Checking availability...',
+    serviceable: 'We serve this area',
+    unserviceable: 'Not serviceable yet',
+    unavailableTitle: "We don't serve this area yet",
+    unavailableDescription: 'Services are not available at this address yet. Choose another address or get notified when we arrive.',
+    notifyMe: 'Notify me when available',
+    notifyRequested: "We'll let you know when we arrive",
+    notifyFailed: 'Could not register your request. Please try again.',
+    blocked: "We don't serve the selected address yet. Please choose another address.",
+    changeAddress: 'Change address'
+  },
+  pwa: {
+    updateAvailable: 'A new version of EassyLife is available.',
+    dismissUpdate: 'Dismiss update notice'
+  },
+  ordinal: {
+    one: '{count}st',
+    two: '{count}nd',
+    few: '{count}rd',
+    other: '{count}th'
+  }
+};
+
+export default en;
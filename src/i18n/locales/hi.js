@@ -0,0 +1,131 @@
+/**
+ * Hindi message catalog
+ * Missing keys fall back to the English catalog.
+ */
+const hi = {
+  common: {
+    home: 'होम',
+    cart: 'कार्ट',
+    profile: 'प्रोफ़ाइल',
+    settings: 'सेटिंग्स',
+    logout: 'लॉग आउट',
+    callNow: 'कॉल करें',
+    myOrders: 'मेरे ऑर्डर',
+    joinVip: 'VIP बनें',
+    update: 'अपडेट करें',
+    new: 'नया'
+  },
+  language: {
+    preferred: 'पसंदीदा भाषा',
+    en: 'अंग्रेज़ी',
+    hi: 'हिंदी',
+    pu: 'पंजाबी',
+    mr: 'मराठी',
+    invalid: 'कृपया एक मान्य भाषा चुनें'
+  },
+  profile: {
+    sections: {
+      bookings: 'बुकिंग और सेवाएँ',
+      account: 'खाता और सुविधाएँ',
+      actions: 'खाता विकल्प'
+    },
+    menu: {
+      bookings: 'मेरी बुकिंग',
+      bookingsDescription: 'अपनी सेवा बुकिंग और इतिहास देखें',
+      address: 'पता प्रबंधित करें',
+      addressShort: 'पता',
+      addressDescription: 'अपने पते जोड़ें और प्रबंधित करें',
+      flight: 'फ़्लाइट बुकिंग',
+      flightDescription: 'फ़्लाइट बुक करें (जल्द आ रहा है)',
+      wallet: 'वॉलेट इतिहास',
+      walletShort: 'वॉलेट',
+      walletDescription: 'लेन-देन और बैलेंस देखें',
+      favourites: 'पसंदीदा',
+      favouritesDescription: 'आपकी सहेजी गई सेवाएँ और प्रदाता',
+      referral: 'रेफ़र करें और कमाएँ',
+      referralDescription: 'दोस्तों को आमंत्रित करें और इनाम पाएँ',
+      notifications: 'सूचनाएँ',
+      notificationsDescription: 'अपनी सूचना प्राथमिकताएँ प्रबंधित करें',
+      settings: 'सेटिंग्स',
+      settingsDescription: 'ऐप की प्राथमिकताएँ और कॉन्फ़िगरेशन प्रबंधित करें'
+    }
+  },
+  cart: {
+    title: 'कार्ट सारांश',
+    guestTitle: 'कृपया लॉगिन करें',
+    guestMessage: 'अपना कार्ट देखने और खरीदारी जारी रखने के लिए लॉगिन करें',
+    emptyTitle: 'कार्ट में कोई सेवा नहीं जोड़ी गई',
+    emptyMessage: 'शुरू करने के लिए कुछ सेवाएँ जोड़ें',
+    login: 'लॉगिन',
+    explore: 'सेवाएँ देखें',
+    refresh: 'रीफ़्रेश',
+    cancellationTitle: 'रद्दीकरण नीति',
+    cancellationText: 'सेवा से 3 घंटे से अधिक पहले रद्द करने पर कोई शुल्क नहीं। अन्यथा, यदि प्रोफ़ेशनल असाइन नहीं हुआ है, तो शुल्क लिया जाएगा।',
+    notesPlaceholder: 'सेवा प्रदाता के लिए बुकिंग नोट्स',
+    tipTitle: 'अपने सर्विस पार्टनर को टिप दें',
+    tipDescription: 'वे हमारी खुशी के लिए अथक मेहनत करते हैं। आपकी टिप का 100% उन्हें दिया जाएगा',
+    redeemWallet: 'EassyCash इस्तेमाल करें',
+    redeemableAmount: 'इस्तेमाल योग्य राशि',
+    paymentSummary: 'भुगतान सारांश',
+    numberOfServices: 'सेवाओं की संख्या',
+    numberOfPackages: 'पैकेज की संख्या',
+    itemTotal: 'आइटम कुल',
+    gstOnItemTotal: 'आइटम कुल पर GST',
+    convenienceFee: 'सुविधा शुल्क',
+    gstOnConvenienceFee: 'सुविधा शुल्क पर GST',
+    discount: 'छूट',
+    subscriptionDiscount: 'सदस्यता छूट',
+    subscriptionFee: 'सदस्यता शुल्क',
+    walletDeduction: 'EassyCash कटौती',
+    grandTotal: 'कुल योग',
+    balancePayable: 'सेवा से पहले {amount} बकाया देय',
+    saved: 'बधाई हो! आपने अंतिम बिल पर {amount} बचाए',
+    toPay: 'देय राशि',
+    payNow: 'अभी भुगतान करें',
+    processing: 'प्रोसेस हो रहा है...',
+    securePayment: 'Razorpay द्वारा सुरक्षित भुगतान',
+    remaining: '+ {amount} बाकी',
+    selectedServices: 'चुनी गई सेवाएँ',
+    selectedPackages: 'चुने गए पैकेज',
+    itemCount: {
+      zero: 'कोई आइटम नहीं',
+      one: '{count} आइटम',
+      other: '{count} आइटम'
+    }
+  },
+  slots: {
+    title: 'तारीख और समय चुनें',
+    loading: 'उपलब्ध स्लॉट लोड हो रहे हैं...',
+    selectDate: 'तारीख चुनें',
+    selectTime: 'समय स्लॉट चुनें',
+    availableDates: 'उपलब्ध तारीखें',
+    noDates: 'अभी बुकिंग के लिए कोई तारीख उपलब्ध नहीं है।',
+    noSlots: 'चुनी गई तारीख के लिए कोई समय स्लॉट उपलब्ध नहीं है। कृपया दूसरी तारीख चुनें।',
+    confirm: 'पुष्टि करें',
+    cancel: 'रद्द करें'
+  },
+  consent: {
+    title: 'EassyLife को बेहतर बनाने में मदद करें',
+    description: 'हम बुकिंग को बेहतर बनाने के लिए गुमनाम उपयोग आँकड़ों का उपयोग करते हैं। फ़ोन नंबर, ईमेल और नाम कभी साझा नहीं किए जाते।',
+    accept: 'अनुमति दें',
+    decline: 'नहीं, धन्यवाद'
+  },
+  serviceability: {
+    checking: 'उपलब्धता जाँची जा रही है...',
+    serviceable: 'हम इस क्षेत्र में सेवा देते हैं',
+    unserviceable: 'अभी सेवा उपलब्ध नहीं',
+    unavailableTitle: 'हम अभी इस क्षेत्र में सेवा नहीं देते',
+    unavailableDescription: 'इस पते पर अभी सेवाएँ उपलब्ध नहीं हैं। कोई दूसरा पता चुनें या उपलब्ध होने पर सूचना पाएँ।',
+    notifyMe: 'उपलब्ध होने पर मुझे सूचित करें',
+    notifyRequested: 'सेवा शुरू होते ही हम आपको बताएँगे',
+    notifyFailed: 'आपका अनुरोध दर्ज नहीं हो सका। कृपया फिर से प्रयास करें।',
+    blocked: 'हम अभी चुने गए पते पर सेवा नहीं देते। कृपया दूसरा पता चुनें।',
+    changeAddress: 'पता बदलें'
+  },
+  pwa: {
+    updateAvailable: 'EassyLife का नया संस्करण उपलब्ध है।',
+    dismissUpdate: 'अपडेट सूचना हटाएँ'
+  }
+};
+
+export default hi;
@@ -0,0 +1,131 @@
+/**
+ * Marathi message catalog
+ * Missing keys fall back to the English catalog.
+ */
+const mr = {
+  common: {
+    home: 'होम',
+    cart: 'कार्ट',
+    profile: 'प्रोफाइल',
+    settings: 'सेटिंग्ज',
+    logout: 'लॉग आउट',
+    callNow: 'कॉल करा',
+    myOrders: 'माझे ऑर्डर',
+    joinVip: 'VIP व्हा',
+    update: 'अपडेट करा',
+    new: 'नवीन'
+  },
+  language: {
+    preferred: 'पसंतीची भाषा',
+    en: 'इंग्रजी',
+    hi: 'हिंदी',
+    pu: 'पंजाबी',
+    mr: 'मराठी',
+    invalid: 'कृपया वैध भाषा निवडा'
+  },
+  profile: {
+    sections: {
+      bookings: 'बुकिंग आणि सेवा',
+      account: 'खाते आणि वैशिष्ट्ये',
+      actions: 'खाते पर्याय'
+    },
+    menu: {
+      bookings: 'माझी बुकिंग',
+      bookingsDescription: 'तुमची सेवा बुकिंग आणि इतिहास पहा',
+      address: 'पत्ता व्यवस्थापित करा',
+      addressShort: 'पत्ता',
+      addressDescription: 'तुमचे पत्ते जोडा आणि व्यवस्थापित करा',
+      flight: 'फ्लाइट बुकिंग',
+      flightDescription: 'फ्लाइट बुक करा (लवकरच येत आहे)',
+      wallet: 'वॉलेट इतिहास',
+      walletShort: 'वॉलेट',
+      walletDescription: 'व्यवहार आणि शिल्लक पहा',
+      favourites: 'आवडते',
+      favouritesDescription: 'तुमच्या जतन केलेल्या सेवा आणि प्रदाते',
+      referral: 'रेफर करा आणि कमवा',
+      referralDescription: 'मित्रांना आमंत्रित करा आणि बक्षिसे मिळवा',
+      notifications: 'सूचना',
+      notificationsDescription: 'तुमची सूचना प्राधान्ये व्यवस्थापित करा',
+      settings: 'सेटिंग्ज',
+      settingsDescription: 'अ‍ॅप प्राधान्ये आणि कॉन्फिगरेशन व्यवस्थापित करा'
+    }
+  },
+  cart: {
+    title: 'कार्ट सारांश',
+    guestTitle: 'कृपया लॉगिन करा',
+    guestMessage: 'तुमचा कार्ट पाहण्यासाठी आणि खरेदी सुरू ठेवण्यासाठी लॉगिन करा',
+    emptyTitle: 'कार्टमध्ये कोणतीही सेवा जोडलेली नाही',
+    emptyMessage: 'सुरुवात करण्यासाठी काही सेवा जोडा',
+    login: 'लॉगिन',
+    explore: 'सेवा पाहा',
+    refresh: 'रीफ्रेश',
+    cancellationTitle: 'रद्दीकरण धोरण',
+    cancellationText: 'सेवेच्या 3 तासांपेक्षा जास्त आधी रद्द केल्यास कोणतेही शुल्क नाही. अन्यथा, प्रोफेशनल नियुक्त नसल्यास शुल्क आकारले जाईल.',
+    notesPlaceholder: 'सेवा प्रदात्यासाठी बुकिंग नोट्स',
+    tipTitle: 'तुमच्या सर्व्हिस पार्टनरला टिप द्या',
+    tipDescription: 'ते आपल्या आनंदासाठी अथक परिश्रम करतात. तुमच्या टिपचे 100% त्यांना दिले जातील',
+    redeemWallet: 'EassyCash वापरा',
+    redeemableAmount: 'वापरण्यायोग्य रक्कम',
+    paymentSummary: 'पेमेंट सारांश',
+    numberOfServices: 'सेवांची संख्या',
+    numberOfPackages: 'पॅकेजची संख्या',
+    itemTotal: 'आयटम एकूण',
+    gstOnItemTotal: 'आयटम एकूणवर GST',
+    convenienceFee: 'सुविधा शुल्क',
+    gstOnConvenienceFee: 'सुविधा शुल्कावर GST',
+    discount: 'सूट',
+    subscriptionDiscount: 'सदस्यता सूट',
+    subscriptionFee: 'सदस्यता शुल्क',
+    walletDeduction: 'EassyCash वजावट',
+    grandTotal: 'एकूण रक्कम',
+    balancePayable: 'सेवेपूर्वी {amount} बाकी देय',
+    saved: 'अभिनंदन! तुम्ही अंतिम बिलावर {amount} वाचवले',
+    toPay: 'भरायची रक्कम',
+    payNow: 'आता पैसे भरा',
+    processing: 'प्रक्रिया सुरू आहे...',
+    securePayment: 'Razorpay द्वारे सुरक्षित पेमेंट',
+    remaining: '+ {amount} बाकी',
+    selectedServices: 'निवडलेल्या सेवा',
+    selectedPackages: 'निवडलेली पॅकेजेस',
+    itemCount: {
+      zero: 'एकही आयटम नाही',
+      one: '{count} आयटम',
+      other: '{count} आयटम'
+    }
+  },
+  slots: {
+    title: 'तारीख आणि वेळ निवडा',
+    loading: 'उपलब्ध स्लॉट लोड होत आहेत...',
+    selectDate: 'तारीख निवडा',
+    selectTime: 'वेळ स्लॉट निवडा',
+    availableDates: 'उपलब्ध तारखा',
+    noDates: 'सध्या बुकिंगसाठी कोणतीही तारीख उपलब्ध नाही.',
+    noSlots: 'निवडलेल्या तारखेसाठी कोणताही वेळ स्लॉट उपलब्ध नाही. कृपया दुसरी तारीख निवडा.',
+    confirm: 'निश्चित करा',
+    cancel: 'रद्द करा'
+  },
+  consent: {
+    title: 'EassyLife सुधारण्यात मदत करा',
+    description: 'बुकिंग सुधारण्यासाठी आम्ही निनावी वापर आकडेवारी वापरतो. फोन नंबर, ईमेल आणि नावे कधीही शेअर केली जात नाहीत.',
+    accept: 'परवानगी द्या',
+    decline: 'नको, धन्यवाद'
+  },
+  serviceability: {
+    checking: 'उपलब्धता तपासत आहोत...',
+    serviceable: 'या भागात आमची सेवा उपलब्ध आहे',
+    unserviceable: 'अद्याप सेवा उपलब्ध नाही',
+    unavailableTitle: 'या भागात आमची सेवा अद्याप उपलब्ध नाही',
+    unavailableDescription: 'या पत्त्यावर अद्याप सेवा उपलब्ध नाहीत. दुसरा पत्ता निवडा किंवा सेवा सुरू झाल्यावर सूचना मिळवा.',
+    notifyMe: 'उपलब्ध झाल्यावर मला कळवा',
+    notifyRequested: 'सेवा सुरू होताच आम्ही तुम्हाला कळवू',
+    notifyFailed: 'तुमची विनंती नोंदवता आली नाही. कृपया पुन्हा प्रयत्न करा.',
+    blocked: 'निवडलेल्या पत्त्यावर आमची सेवा अद्याप उपलब्ध नाही. कृपया दुसरा पत्ता निवडा.',
+    changeAddress: 'पत्ता बदला'
+  },
+  pwa: {
+    updateAvailable: 'EassyLife ची नवीन आवृत्ती उपलब्ध आहे.',
+    dismissUpdate: 'अपडेट सूचना काढा'
+  }
+};
+
+export default mr;
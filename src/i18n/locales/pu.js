@@ -0,0 +1,132 @@
+/**
+ * Punjabi (Gurmukhi) message catalog
+ * The app and API use the code "pu"; Intl formatting uses pa-IN.
+ * Missing keys fall back to the English catalog.
+ */
+const pu = {
+  common: {
+    home: 'ਹੋਮ',
+    cart: 'ਕਾਰਟ',
+    profile: 'ਪ੍ਰੋਫਾਈਲ',
+    settings: 'ਸੈਟਿੰਗਾਂ',
+    logout: 'ਲੌਗ ਆਉਟ',
+    callNow: 'ਕਾਲ ਕਰੋ',
+    myOrders: 'ਮੇਰੇ ਆਰਡਰ',
+    joinVip: 'VIP ਬਣੋ',
+    update: 'ਅੱਪਡੇਟ ਕਰੋ',
+    new: 'ਨਵਾਂ'
+  },
+  language: {
+    preferred: 'ਪਸੰਦੀਦਾ ਭਾਸ਼ਾ',
+    en: 'ਅੰਗਰੇਜ਼ੀ',
+    hi: 'ਹਿੰਦੀ',
+    pu: 'ਪੰਜਾਬੀ',
+    mr: 'ਮਰਾਠੀ',
+    invalid: 'ਕਿਰਪਾ ਕਰਕੇ ਇੱਕ ਵੈਧ ਭਾਸ਼ਾ ਚੁਣੋ'
+  },
+  profile: {
+    sections: {
+      bookings: 'ਬੁਕਿੰਗਾਂ ਅਤੇ ਸੇਵਾਵਾਂ',
+      account: 'ਖਾਤਾ ਅਤੇ ਵਿਸ਼ੇਸ਼ਤਾਵਾਂ',
+      actions: 'ਖਾਤਾ ਵਿਕਲਪ'
+    },
+    menu: {
+      bookings: 'ਮੇਰੀਆਂ ਬੁਕਿੰਗਾਂ',
+      bookingsDescription: 'ਆਪਣੀਆਂ ਸੇਵਾ ਬੁਕਿੰਗਾਂ ਅਤੇ ਇਤਿਹਾਸ ਵੇਖੋ',
+      address: 'ਪਤਾ ਪ੍ਰਬੰਧਿਤ ਕਰੋ',
+      addressShort: 'ਪਤਾ',
+      addressDescription: 'ਆਪਣੇ ਪਤੇ ਸ਼ਾਮਲ ਕਰੋ ਅਤੇ ਪ੍ਰਬੰਧਿਤ ਕਰੋ',
+      flight: 'ਫਲਾਈਟ ਬੁਕਿੰਗ',
+      flightDescription: 'ਫਲਾਈਟ ਬੁੱਕ ਕਰੋ (ਜਲਦੀ ਆ ਰਿਹਾ ਹੈ)',
+      wallet: 'ਵਾਲਿਟ ਇਤਿਹਾਸ',
+      walletShort: 'ਵਾਲਿਟ',
+      walletDescription: 'ਲੈਣ-ਦੇਣ ਅਤੇ ਬਕਾਇਆ ਵੇਖੋ',
+      favourites: 'ਮਨਪਸੰਦ',
+      favouritesDescription: 'ਤੁਹਾਡੀਆਂ ਸੁਰੱਖਿਅਤ ਸੇਵਾਵਾਂ ਅਤੇ ਪ੍ਰਦਾਤਾ',
+      referral: 'ਰੈਫਰ ਕਰੋ ਅਤੇ ਕਮਾਓ',
+      referralDescription: 'ਦੋਸਤਾਂ ਨੂੰ ਸੱਦਾ ਦਿਓ ਅਤੇ ਇਨਾਮ ਕਮਾਓ',
+      notifications: 'ਸੂਚਨਾਵਾਂ',
+      notificationsDescription: 'ਆਪਣੀਆਂ ਸੂਚਨਾ ਤਰਜੀਹਾਂ ਪ੍ਰਬੰਧਿਤ ਕਰੋ',
+      settings: 'ਸੈਟਿੰਗਾਂ',
+      settingsDescription: 'ਐਪ ਤਰਜੀਹਾਂ ਅਤੇ ਸੰਰਚਨਾ ਪ੍ਰਬੰਧਿਤ ਕਰੋ'
+    }
+  },
+  cart: {
+    title: 'ਕਾਰਟ ਸਾਰ',
+    guestTitle: 'ਕਿਰਪਾ ਕਰਕੇ ਲੌਗਇਨ ਕਰੋ',
+    guestMessage: 'ਆਪਣਾ ਕਾਰਟ ਦੇਖਣ ਅਤੇ ਖਰੀਦਦਾਰੀ ਜਾਰੀ ਰੱਖਣ ਲਈ ਲੌਗਇਨ ਕਰੋ',
+    emptyTitle: 'ਕਾਰਟ ਵਿੱਚ ਕੋਈ ਸੇਵਾ ਨਹੀਂ ਜੋੜੀ ਗਈ',
+    emptyMessage: 'ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਕੁਝ ਸੇਵਾਵਾਂ ਜੋੜੋ',
+    login: 'ਲੌਗਇਨ',
+    explore: 'ਸੇਵਾਵਾਂ ਦੇਖੋ',
+    refresh: 'ਰਿਫ੍ਰੈਸ਼',
+    cancellationTitle: 'ਰੱਦ ਕਰਨ ਦੀ ਨੀਤੀ',
+    cancellationText: 'ਸੇਵਾ ਤੋਂ 3 ਘੰਟੇ ਤੋਂ ਵੱਧ ਪਹਿਲਾਂ ਰੱਦ ਕਰਨ ਤੇ ਕੋਈ ਫੀਸ ਨਹੀਂ। ਨਹੀਂ ਤਾਂ, ਜੇ ਪ੍ਰੋਫੈਸ਼ਨਲ ਨਿਯੁਕਤ ਨਹੀਂ ਹੈ, ਤਾਂ ਫੀਸ ਲਈ ਜਾਵੇਗੀ।',
+    notesPlaceholder: 'ਸੇਵਾ ਪ੍ਰਦਾਤਾ ਲਈ ਬੁਕਿੰਗ ਨੋਟਸ',
+    tipTitle: 'ਆਪਣੇ ਸਰਵਿਸ ਪਾਰਟਨਰ ਨੂੰ ਟਿੱਪ ਦਿਓ',
+    tipDescription: 'ਉਹ ਸਾਡੀ ਖੁਸ਼ੀ ਲਈ ਅਣਥੱਕ ਮਿਹਨਤ ਕਰਦੇ ਹਨ। ਤੁਹਾਡੀ ਟਿੱਪ ਦਾ 100% ਉਹਨਾਂ ਨੂੰ ਦਿੱਤਾ ਜਾਵੇਗਾ',
+    redeemWallet: 'EassyCash ਵਰਤੋ',
+    redeemableAmount: 'ਵਰਤਣਯੋਗ ਰਕਮ',
+    paymentSummary: 'ਭੁਗਤਾਨ ਸਾਰ',
+    numberOfServices: 'ਸੇਵਾਵਾਂ ਦੀ ਗਿਣਤੀ',
+    numberOfPackages: 'ਪੈਕੇਜਾਂ ਦੀ ਗਿਣਤੀ',
+    itemTotal: 'ਆਈਟਮ ਕੁੱਲ',
+    gstOnItemTotal: 'ਆਈਟਮ ਕੁੱਲ ਤੇ GST',
+    convenienceFee: 'ਸਹੂਲਤ ਫੀਸ',
+    gstOnConvenienceFee: 'ਸਹੂਲਤ ਫੀਸ ਤੇ GST',
+    discount: 'ਛੋਟ',
+    subscriptionDiscount: 'ਮੈਂਬਰਸ਼ਿਪ ਛੋਟ',
+    subscriptionFee: 'ਮੈਂਬਰਸ਼ਿਪ ਫੀਸ',
+    walletDeduction: 'EassyCash ਕਟੌਤੀ',
+    grandTotal: 'ਕੁੱਲ ਜੋੜ',
+    balancePayable: 'ਸੇਵਾ ਤੋਂ ਪਹਿਲਾਂ {amount} ਬਕਾਇਆ ਦੇਣਯੋਗ',
+    saved: 'ਵਧਾਈਆਂ! ਤੁਸੀਂ ਅੰਤਿਮ ਬਿੱਲ ਤੇ {amount} ਬਚਾਏ',
+    toPay: 'ਦੇਣਯੋਗ ਰਕਮ',
+    payNow: 'ਹੁਣੇ ਭੁਗਤਾਨ ਕਰੋ',
+    processing: 'ਪ੍ਰੋਸੈਸ ਹੋ ਰਿਹਾ ਹੈ...',
+    securePayment: 'Razorpay ਦੁਆਰਾ ਸੁਰੱਖਿਅਤ ਭੁਗਤਾਨ',
+    remaining: '+ {amount} ਬਾਕੀ',
+    selectedServices: 'ਚੁਣੀਆਂ ਗਈਆਂ ਸੇਵਾਵਾਂ',
+    selectedPackages: 'ਚੁਣੇ ਗਏ ਪੈਕੇਜ',
+    itemCount: {
+      zero: 'ਕੋਈ ਆਈਟਮ ਨਹੀਂ',
+      one: '{count} ਆਈਟਮ',
+      other: '{count} ਆਈਟਮਾਂ'
+    }
+  },
+  slots: {
+    title: 'ਤਾਰੀਖ ਅਤੇ ਸਮਾਂ ਚੁਣੋ',
+    loading: 'ਉਪਲਬਧ ਸਲਾਟ ਲੋਡ ਹੋ ਰਹੇ ਹਨ...',
+    selectDate: 'ਤਾਰੀਖ ਚੁਣੋ',
+    selectTime: 'ਸਮਾਂ ਸਲਾਟ ਚੁਣੋ',
+    availableDates: 'ਉਪਲਬਧ ਤਾਰੀਖਾਂ',
+    noDates: 'ਇਸ ਵੇਲੇ ਬੁਕਿੰਗ ਲਈ ਕੋਈ ਤਾਰੀਖ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।',
+    noSlots: 'ਚੁਣੀ ਗਈ ਤਾਰੀਖ ਲਈ ਕੋਈ ਸਮਾਂ ਸਲਾਟ ਉਪਲਬਧ ਨਹੀਂ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਕੋਈ ਹੋਰ ਤਾਰੀਖ ਚੁਣੋ।',
+    confirm: 'ਪੁਸ਼ਟੀ ਕਰੋ',
+    cancel: 'ਰੱਦ ਕਰੋ'
+  },
+  consent: {
+    title: 'EassyLife ਨੂੰ ਬਿਹਤਰ ਬਣਾਉਣ ਵਿੱਚ ਮਦਦ ਕਰੋ',
+    description: 'ਅਸੀਂ ਬੁਕਿੰਗ ਨੂੰ ਬਿਹਤਰ ਬਣਾਉਣ ਲਈ ਗੁਮਨਾਮ ਵਰਤੋਂ ਅੰਕੜਿਆਂ ਦੀ ਵਰਤੋਂ ਕਰਦੇ ਹਾਂ। ਫ਼ੋਨ ਨੰਬਰ, ਈਮੇਲ ਅਤੇ ਨਾਮ ਕਦੇ ਸਾਂਝੇ ਨਹੀਂ ਕੀਤੇ ਜਾਂਦੇ।',
+    accept: 'ਇਜਾਜ਼ਤ ਦਿਓ',
+    decline: 'ਨਹੀਂ, ਧੰਨਵਾਦ'
+  },
+  serviceability: {
+    checking: 'ਉਪਲਬਧਤਾ ਦੀ ਜਾਂਚ ਹੋ ਰਹੀ ਹੈ...',
+    serviceable: 'ਅਸੀਂ ਇਸ ਖੇਤਰ ਵਿੱਚ ਸੇਵਾ ਦਿੰਦੇ ਹਾਂ',
+    unserviceable: 'ਹਾਲੇ ਸੇਵਾ ਉਪਲਬਧ ਨਹੀਂ',
+    unavailableTitle: 'ਅਸੀਂ ਹਾਲੇ ਇਸ ਖੇਤਰ ਵਿੱਚ ਸੇਵਾ ਨਹੀਂ ਦਿੰਦੇ',
+    unavailableDescription: 'ਇਸ ਪਤੇ ਤੇ ਹਾਲੇ ਸੇਵਾਵਾਂ ਉਪਲਬਧ ਨਹੀਂ ਹਨ। ਕੋਈ ਹੋਰ ਪਤਾ ਚੁਣੋ ਜਾਂ ਉਪਲਬਧ ਹੋਣ ਤੇ ਸੂਚਨਾ ਪ੍ਰਾਪਤ ਕਰੋ।',
+    notifyMe: 'ਉਪਲਬਧ ਹੋਣ ਤੇ ਮੈਨੂੰ ਸੂਚਿਤ ਕਰੋ',
+    notifyRequested: 'ਸੇਵਾ ਸ਼ੁਰੂ ਹੁੰਦੇ ਹੀ ਅਸੀਂ ਤੁਹਾਨੂੰ ਦੱਸਾਂਗੇ',
+    notifyFailed: 'ਤੁਹਾਡੀ ਬੇਨਤੀ ਦਰਜ ਨਹੀਂ ਹੋ ਸਕੀ। ਕਿਰਪਾ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।',
+    blocked: 'ਅਸੀਂ ਹਾਲੇ ਚੁਣੇ ਗਏ ਪਤੇ ਤੇ ਸੇਵਾ ਨਹੀਂ ਦਿੰਦੇ। ਕਿਰਪਾ ਕਰਕੇ ਕੋਈ ਹੋਰ ਪਤਾ ਚੁਣੋ।',
+    changeAddress: 'ਪਤਾ ਬਦਲੋ'
+  },
+  pwa: {
+    updateAvailable: 'EassyLife ਦਾ ਨਵਾਂ ਸੰਸਕਰਣ ਉਪਲਬਧ ਹੈ।',
+    dismissUpdate: 'ਅੱਪਡੇਟ ਸੂਚਨਾ ਹਟਾਓ'
+  }
+};
+
+export default pu;
@@ -0,0 +1,123 @@
+/**
+ * User Preferences
+ * Language, timezone, currency display and date format for the current user.
+ *
+ * Language stays owned by the i18n core (getLanguage/setLanguage) so there is
+ * one active language; the regional preferences are kept here. Every update is
+ * validated against the locale registry and persisted locally, so formatting
+ * is right before the profile has loaded. Works outside React; components use
+ * I18nContext / usePreferences to re-render on change.
+ */
+
+import { getLanguage, setLanguage, normalizeLanguage, subscribeLanguage } from './index.js';
+import { DEFAULT_PREFERENCES, validatePreferences } from './registry.js';
+
+export const PREFERENCES_STORAGE_KEY = 'eassylife_preferences';
+
+const REGIONAL_KEYS = ['timezone', 'currency', 'currencyDisplay', 'dateFormat'];
+
+const pickValid = (preferences) => {
+  return REGIONAL_KEYS.reduce((valid, key) => {
+    const value = preferences?.[key];
+    if (value !== undefined && value !== null && validatePreferences({ [key]: value }).isValid) {
+      valid[key] = value;
+    }
+    return valid;
+  }, {});
+};
+
+const readStoredPreferences = () => {
+  try {
+    return pickValid(JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY) || '{}'));
+  } catch {
+    return {};
+  }
+};
+
+const writeStoredPreferences = (preferences) => {
+  try {
+    localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+  } catch {
+    // Storage unavailable (private mode) - the preferences still apply for this session
+  }
+};
+
+const { language: _defaultLanguage, ...DEFAULT_REGIONAL } = DEFAULT_PREFERENCES;
+
+let regionalPreferences = { ...DEFAULT_REGIONAL, ...readStoredPreferences() };
+// Stable snapshot for useSyncExternalStore - replaced on every change
+let snapshot = { language: getLanguage(), ...regionalPreferences };
+const listeners = new Set();
+
+const notify = () => {
+  snapshot = { language: getLanguage(), ...regionalPreferences };
+  listeners.forEach((listener) => listener(snapshot));
+};
+
+subscribeLanguage(notify);
+
+/**
+ * Get the active preferences
+ * @returns {{ language: string, timezone: string, currency: string, currencyDisplay: string, dateFormat: string }}
+ */
+export const getPreferences = () => snapshot;
+
+/**
+ * Update preferences
+ * Nothing is applied unless every given value is in the registry.
+ * @param {Object} preferences - Any of { language, timezone, currency, currencyDisplay, dateFormat }
+ * @returns {{ success: boolean, errors: Object }}
+ */
+export const setPreferences = (preferences = {}) => {
+  const { isValid, errors } = validatePreferences(preferences);
+  if (!isValid) {
+    console.warn('⚠️ Ignoring invalid preferences:', errors);
+    return { success: false, errors };
+  }
+
+  const next = { ...regionalPreferences, ...pickValid(preferences) };
+  const regionalChanged = REGIONAL_KEYS.some((key) => next[key] !== regionalPreferences[key]);
+
+  if (regionalChanged) {
+    regionalPreferences = next;
+    writeStoredPreferences(next);
+  }
+
+  // setLanguage notifies through subscribeLanguage
+  const languageChanged = preferences.language !== undefined && setLanguage(preferences.language);
+  if (regionalChanged && !languageChanged) {
+    notify();
+  }
+
+  return { success: true, errors: {} };
+};
+
+/**
+ * Subscribe to preference changes (including language switches)
+ * @param {Function} listener - Called with the new preferences
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePreferences = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Read preferences from a settings or profile API response
+ * Unsupported values are dropped so the current ones stay in place.
+ * @param {Object} data - API data (language | preferred_language, timezone, currency, currency_display, date_format)
+ * @returns {Object} Valid preferences only
+ */
+export const fromApiPreferences = (data = {}) => {
+  const language = normalizeLanguage(data?.language || data?.preferred_language);
+
+  return {
+    ...(language ? { language } : {}),
+    ...pickValid({
+      timezone: data?.timezone,
+      currency: data?.currency,
+      currencyDisplay: data?.currency_display,
+      dateFormat: data?.date_format
+    })
+  };
+};
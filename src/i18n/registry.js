@@ -0,0 +1,115 @@
+/**
+ * Supported Locale Registry
+ * The one list of languages, timezones, currencies and date formats the app
+ * supports. Profile, settings and the formatters validate against it.
+ */
+
+import { LOCALIZATION_CONFIG } from '../utils/env.js';
+
+/**
+ * Languages the app ships catalogs for. `code` is the value stored on the
+ * profile (preferred_language); `locale` is what Intl formatters receive.
+ * `timeLocale` overrides it for times - English keeps the "2:30 PM" the app
+ * has always shown, where en-IN writes "2:30 pm".
+ */
+export const LANGUAGES = [
+  { code: 'en', locale: 'en-IN', timeLocale: 'en-US', label: 'EN', name: 'English', nativeName: 'English' },
+  { code: 'hi', locale: 'hi-IN', label: 'हि', name: 'Hindi', nativeName: 'हिंदी' },
+  { code: 'pu', locale: 'pa-IN', label: 'ਪੰ', name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ' },
+  { code: 'mr', locale: 'mr-IN', label: 'मर', name: 'Marathi', nativeName: 'मराठी' }
+];
+
+export const FALLBACK_LANGUAGE = 'en';
+
+// Services are delivered in India - booking dates and times from the API are IST wall-clock values
+export const SERVICE_TIMEZONE = 'Asia/Kolkata';
+
+export const TIMEZONES = [
+  { value: 'Asia/Kolkata', label: 'India (IST, UTC+05:30)' },
+  { value: 'Asia/Dubai', label: 'Dubai (GST, UTC+04:00)' },
+  { value: 'Asia/Singapore', label: 'Singapore (SGT, UTC+08:00)' },
+  { value: 'Europe/London', label: 'London (GMT/BST)' },
+  { value: 'America/New_York', label: 'New York (EST/EDT)' },
+  { value: 'America/Los_Angeles', label: 'Los Angeles (PST/PDT)' }
+];
+
+// Prices are charged in rupees only; the preference controls how they are shown
+export const CURRENCIES = [
+  { code: 'INR', symbol: '₹', name: 'Indian Rupee' }
+];
+
+export const CURRENCY_DISPLAYS = [
+  { value: 'symbol', label: '₹1,234', description: 'Rupee symbol' },
+  { value: 'code', label: 'INR 1,234', description: 'Currency code' }
+];
+
+/**
+ * Date formats for full dates ('short' and 'medium' presets)
+ * 'text' keeps the language's own month names; the others are numeric.
+ */
+export const DATE_FORMAT_STYLES = [
+  { value: 'text', label: '26 Jun 2025' },
+  { value: 'dmy', label: '26/06/2025' },
+  { value: 'mdy', label: '06/26/2025' },
+  { value: 'ymd', label: '2025-06-26' }
+];
+
+export const DEFAULT_PREFERENCES = {
+  language: FALLBACK_LANGUAGE,
+  timezone: SERVICE_TIMEZONE,
+  currency: 'INR',
+  currencyDisplay: 'symbol',
+  dateFormat: 'text'
+};
+
+/**
+ * Whether a language code is supported in this build (filtered by LOCALIZATION_CONFIG)
+ * @param {string} code - Language code, e.g. "hi"
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (code) => {
+  return LANGUAGES.some((entry) => entry.code === code) &&
+    (code === FALLBACK_LANGUAGE || LOCALIZATION_CONFIG.SUPPORTED_LANGUAGES.includes(code));
+};
+
+/**
+ * Language codes available in this build
+ * @returns {Array<string>}
+ */
+export const getSupportedLanguageCodes = () => {
+  return LANGUAGES.map((entry) => entry.code).filter(isSupportedLanguage);
+};
+
+const hasValue = (options, value, key = 'value') => options.some((option) => option[key] === value);
+
+/**
+ * Validate preferences against the registry
+ * Only the keys present are checked, so partial updates validate too.
+ * @param {Object} preferences - Any of { language, timezone, currency, currencyDisplay, dateFormat }
+ * @returns {{ isValid: boolean, errors: Object }}
+ */
+export const validatePreferences = (preferences = {}) => {
+  const errors = {};
+  const { language, timezone, currency, currencyDisplay, dateFormat } = preferences;
+
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    errors.language = 'Please select a valid language';
+  }
+  if (timezone !== undefined && !hasValue(TIMEZONES, timezone)) {
+    errors.timezone = 'Please select a valid timezone';
+  }
+  if (currency !== undefined && !hasValue(CURRENCIES, currency, 'code')) {
+    errors.currency = 'Please select a valid currency';
+  }
+  if (currencyDisplay !== undefined && !hasValue(CURRENCY_DISPLAYS, currencyDisplay)) {
+    errors.currencyDisplay = 'Please select a valid currency display';
+  }
+  if (dateFormat !== undefined && !hasValue(DATE_FORMAT_STYLES, dateFormat)) {
+    errors.dateFormat = 'Please select a valid date format';
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+};
@@ -3,6 +3,18 @@ import { createRoot } from 'react-dom/client'
 import { HelmetProvider } from 'react-helmet-async'
 import './globals.css'
 import App from './App.jsx'
+import { captureReferralCode } from './utils/referralUtils'
+import { registerServiceWorker } from './pwa/registerServiceWorker'
+import errorReportingService from './api/services/errorReportingService'
+
+// Report uncaught errors, unhandled rejections and failed API calls (when configured)
+errorReportingService.init()
+
+// Remember a referral code from a share link (?ref=CODE) so signup can pre-fill it
+captureReferralCode()
+
+// Installable app + offline shell (production builds only)
+registerServiceWorker()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
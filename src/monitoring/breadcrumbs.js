@@ -0,0 +1,96 @@
+/**
+ * Breadcrumb instrumentation
+ * Records what the user did just before an error: clicks and route changes.
+ * API calls are recorded by axiosInstance. Each installer returns a cleanup
+ * function.
+ *
+ * Clicks are described by element, never by the text typed or shown, so no
+ * user content ends up in a report.
+ */
+
+const MAX_SELECTOR_PARTS = 3;
+
+/**
+ * Describe a DOM element as a short selector, e.g. "div.cart > button#pay-now"
+ * @param {Element} element
+ * @returns {string}
+ */
+export const describeElement = (element) => {
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === 1 && parts.length < MAX_SELECTOR_PARTS) {
+    let part = current.tagName.toLowerCase();
+    if (current.id) {
+      part += `#${current.id}`;
+    } else if (typeof current.className === 'string' && current.className.trim()) {
+      // Utility classes are noise - the first class is usually the meaningful one
+      part += `.${current.className.trim().split(/\s+/)[0]}`;
+    }
+
+    const label = current.getAttribute('aria-label');
+    if (label) part += `[aria-label="${label}"]`;
+
+    parts.unshift(part);
+    if (current.id) break;
+    current = current.parentElement;
+  }
+
+  return parts.join(' > ');
+};
+
+/**
+ * Record a breadcrumb for every click
+ * @param {Function} addBreadcrumb - Receives the breadcrumb
+ * @returns {Function} Cleanup
+ */
+export const instrumentClicks = (addBreadcrumb) => {
+  const handleClick = (event) => {
+    const target = event.target?.closest?.('button, a, [role="button"], input, select') || event.target;
+    if (!target || target.nodeType !== 1) return;
+
+    addBreadcrumb({ category: 'ui.click', message: describeElement(target) });
+  };
+
+  // Capture phase, so clicks whose handlers stop propagation are still seen
+  document.addEventListener('click', handleClick, true);
+  return () => document.removeEventListener('click', handleClick, true);
+};
+
+/**
+ * Record a breadcrumb for every route change
+ * React Router navigates through history.pushState/replaceState, which fire
+ * no event, so both are wrapped; back/forward arrive as popstate.
+ * @param {Function} addBreadcrumb - Receives the breadcrumb
+ * @returns {Function} Cleanup
+ */
+export const instrumentNavigation = (addBreadcrumb) => {
+  let lastPath = window.location.pathname;
+
+  const recordNavigation = () => {
+    const path = window.location.pathname;
+    if (path === lastPath) return;
+
+    addBreadcrumb({ category: 'navigation', data: { from: lastPath, to: path } });
+    lastPath = path;
+  };
+
+  const originals = {
+    pushState: window.history.pushState,
+    replaceState: window.history.replaceState
+  };
+
+  Object.entries(originals).forEach(([method, original]) => {
+    window.history[method] = function (...args) {
+      const result = original.apply(this, args);
+      recordNavigation();
+      return result;
+    };
+  });
+  window.addEventListener('popstate', recordNavigation);
+
+  return () => {
+    Object.assign(window.history, originals);
+    window.removeEventListener('popstate', recordNavigation);
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Sentry DSN parsing
+ * A DSN looks like `https://<publicKey>@<host>[/<path>]/<projectId>`. Any
+ * receiver that speaks the envelope endpoint works - Sentry, a self-hosted
+ * relay, or a local stand-in during tests.
+ */
+
+/**
+ * Parse a DSN into the pieces needed to send envelopes
+ * @param {string} dsn - Sentry DSN
+ * @returns {{dsn: string, publicKey: string, projectId: string, envelopeUrl: string}|null} Null if invalid
+ */
+export const parseDsn = (dsn) => {
+  if (!dsn) return null;
+
+  try {
+    const url = new URL(dsn);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const projectId = segments.pop();
+    if (!url.username || !projectId) return null;
+
+    const path = segments.length > 0 ? `/${segments.join('/')}` : '';
+    const query = new URLSearchParams({ sentry_key: url.username, sentry_version: '7' });
+
+    return {
+      dsn,
+      publicKey: url.username,
+      projectId,
+      // Auth goes in the query string so the request stays CORS-simple
+      envelopeUrl: `${url.protocol}//${url.host}${path}/api/${projectId}/envelope/?${query}`
+    };
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Sentry envelope format
+ * Newline-delimited JSON: an envelope header, then an item header and
+ * payload for each item. https://develop.sentry.dev/sdk/envelopes/
+ */
+
+/**
+ * Serialize an event into an envelope
+ * @param {Object} event - Sentry event (must have event_id)
+ * @param {Object} [options]
+ * @param {string} [options.dsn] - DSN the envelope is addressed to
+ * @param {Date} [options.sentAt=new Date()]
+ * @returns {string}
+ */
+export const createEventEnvelope = (event, { dsn, sentAt = new Date() } = {}) => {
+  const header = { event_id: event.event_id, sent_at: sentAt.toISOString() };
+  if (dsn) header.dsn = dsn;
+
+  const payload = JSON.stringify(event);
+  const itemHeader = {
+    type: 'event',
+    content_type: 'application/json',
+    // Length is in bytes, not characters
+    length: new TextEncoder().encode(payload).length
+  };
+
+  return [JSON.stringify(header), JSON.stringify(itemHeader), payload].join('\n');
+};
+
+/**
+ * Parse an envelope produced by createEventEnvelope (receivers and tests)
+ * @param {string} envelope
+ * @returns {{header: Object, items: Array<{header: Object, payload: Object}>}}
+ */
+export const parseEnvelope = (envelope) => {
+  const [headerLine, ...lines] = envelope.split('\n').filter(Boolean);
+  const items = [];
+
+  for (let index = 0; index < lines.length; index += 2) {
+    items.push({
+      header: JSON.parse(lines[index]),
+      payload: JSON.parse(lines[index + 1])
+    });
+  }
+
+  return { header: JSON.parse(headerLine), items };
+};
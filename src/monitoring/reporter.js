@@ -0,0 +1,240 @@
+/**
+ * Error Reporter
+ * Builds Sentry-compatible events from caught errors and hands them to the
+ * envelope transport.
+ *
+ * - Every event carries the recent breadcrumbs, the release and a user
+ *   context reduced to the backend id
+ * - Messages, URLs, breadcrumbs and extra data are scrubbed of contact
+ *   details and secrets before serialization
+ * - The same error reported repeatedly (e.g. a render loop) is sent once per
+ *   DEDUPE_WINDOW
+ */
+
+import { parseDsn } from './dsn.js';
+import { createEventEnvelope } from './envelope.js';
+import { scrubData, scrubUrl, scrubUser } from './scrub.js';
+import { instrumentClicks, instrumentNavigation } from './breadcrumbs.js';
+import EnvelopeTransport from './transport.js';
+import { redactText } from '../analytics/privacy.js';
+
+export const REPORTER_DEFAULTS = {
+  MAX_BREADCRUMBS: 50,
+  MAX_FRAMES: 50,
+  DEDUPE_WINDOW: 5000
+};
+
+// Browser noise that says nothing about our code
+const IGNORED_ERRORS = [/^ResizeObserver loop/, /^Script error\.?$/];
+
+/**
+ * Sentry event ids are 32 hex characters without dashes
+ * @returns {string}
+ */
+export const createEventId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID().replace(/-/g, '');
+  return Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+};
+
+/**
+ * Parse a Chrome or Firefox/Safari stack trace into Sentry frames
+ * @param {string} stack - error.stack
+ * @returns {Array<Object>} Frames, oldest call first (Sentry's order)
+ */
+export const parseStack = (stack = '') => {
+  const frames = [];
+
+  String(stack).split('\n').forEach((line) => {
+    const chrome = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/);
+    const gecko = !chrome && line.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+    const match = chrome || gecko;
+    if (!match) return;
+
+    frames.push({
+      function: match[1] || '?',
+      filename: scrubUrl(match[2]),
+      lineno: Number(match[3]),
+      colno: Number(match[4]),
+      in_app: !match[2].includes('/node_modules/')
+    });
+  });
+
+  return frames.slice(0, REPORTER_DEFAULTS.MAX_FRAMES).reverse();
+};
+
+const toError = (value) => {
+  if (value instanceof Error) return value;
+  if (typeof value === 'string') return new Error(value);
+  return new Error(value?.message || 'Non-Error value thrown');
+};
+
+export class ErrorReporter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dsn] - Sentry DSN; without one (or a transport) nothing is sent
+   * @param {string} [options.release]
+   * @param {string} [options.environment]
+   * @param {Object} [options.transport] - Anything with send(envelope); defaults to EnvelopeTransport
+   * @param {number} [options.maxBreadcrumbs]
+   */
+  constructor({
+    dsn,
+    release,
+    environment,
+    transport,
+    maxBreadcrumbs = REPORTER_DEFAULTS.MAX_BREADCRUMBS
+  } = {}) {
+    this.dsn = parseDsn(dsn);
+    this.transport = transport || (this.dsn ? new EnvelopeTransport({ url: this.dsn.envelopeUrl }) : null);
+    this.release = release;
+    this.environment = environment;
+    this.maxBreadcrumbs = maxBreadcrumbs;
+
+    this.breadcrumbs = [];
+    this.user = null;
+    this.lastSent = new Map();
+    this.cleanups = [];
+  }
+
+  get enabled() {
+    return Boolean(this.transport);
+  }
+
+  /**
+   * Install global handlers and breadcrumb instrumentation
+   * @returns {ErrorReporter}
+   */
+  install() {
+    if (this.cleanups.length > 0 || typeof window === 'undefined') return this;
+
+    const handleError = (event) => {
+      this.captureException(event.error || event.message, { mechanism: { type: 'onerror', handled: false } });
+    };
+    const handleRejection = (event) => {
+      // Failed API calls are already reported by axiosInstance
+      if (event.reason?.isAxiosError) return;
+      this.captureException(event.reason, { mechanism: { type: 'onunhandledrejection', handled: false } });
+    };
+    const handleOnline = () => this.transport?.flushQueue?.();
+
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    window.addEventListener('online', handleOnline);
+
+    const addBreadcrumb = (breadcrumb) => this.addBreadcrumb(breadcrumb);
+    this.cleanups = [
+      () => window.removeEventListener('error', handleError),
+      () => window.removeEventListener('unhandledrejection', handleRejection),
+      () => window.removeEventListener('online', handleOnline),
+      instrumentClicks(addBreadcrumb),
+      instrumentNavigation(addBreadcrumb)
+    ];
+
+    // Reports queued while offline in a previous visit
+    handleOnline();
+    return this;
+  }
+
+  uninstall() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+  }
+
+  /**
+   * Record a breadcrumb
+   * @param {Object} breadcrumb
+   * @param {string} breadcrumb.category - e.g. 'navigation', 'ui.click', 'http'
+   * @param {string} [breadcrumb.message]
+   * @param {Object} [breadcrumb.data]
+   * @param {string} [breadcrumb.level='info']
+   */
+  addBreadcrumb({ category, message, data, level = 'info' }) {
+    this.breadcrumbs.push({ timestamp: Date.now() / 1000, category, message, data, level });
+    if (this.breadcrumbs.length > this.maxBreadcrumbs) this.breadcrumbs.shift();
+  }
+
+  /**
+   * Set (or clear with null) the user attached to reports
+   * @param {Object|null} user - Authenticated user; only the id is kept
+   */
+  setUser(user) {
+    this.user = scrubUser(user);
+  }
+
+  /**
+   * Report an error
+   * @param {*} error - Error (or thrown value)
+   * @param {Object} [context]
+   * @param {string} [context.level='error']
+   * @param {Object} [context.tags]
+   * @param {Object} [context.extra]
+   * @param {Object} [context.contexts] - e.g. { react: { componentStack } }
+   * @param {string[]} [context.fingerprint] - Grouping key (also used for de-duplication)
+   * @param {Object} [context.mechanism] - { type, handled }
+   * @returns {Promise<string|null>} Event id, or null if not sent
+   */
+  async captureException(error, { level = 'error', tags, extra, contexts, fingerprint, mechanism } = {}) {
+    if (!this.enabled) return null;
+
+    const normalized = toError(error);
+    const message = normalized.message || String(normalized);
+    if (IGNORED_ERRORS.some((pattern) => pattern.test(message))) return null;
+
+    const dedupeKey = fingerprint ? fingerprint.join('|') : `${normalized.name}:${message}`;
+    const now = Date.now();
+    if (now - (this.lastSent.get(dedupeKey) || 0) < REPORTER_DEFAULTS.DEDUPE_WINDOW) return null;
+    this.lastSent.set(dedupeKey, now);
+
+    const event = this.buildEvent({
+      level,
+      tags,
+      extra,
+      contexts,
+      fingerprint,
+      exception: {
+        values: [{
+          type: normalized.name || 'Error',
+          value: redactText(message),
+          stacktrace: normalized.stack ? { frames: parseStack(normalized.stack) } : undefined,
+          mechanism: mechanism || { type: 'generic', handled: true }
+        }]
+      }
+    });
+
+    try {
+      await this.transport.send(createEventEnvelope(event, { dsn: this.dsn?.dsn }));
+      return event.event_id;
+    } catch (sendError) {
+      console.warn('⚠️ ErrorReporter: failed to send report', sendError);
+      return null;
+    }
+  }
+
+  buildEvent({ level, tags, extra, contexts, fingerprint, exception }) {
+    const event = {
+      event_id: createEventId(),
+      timestamp: Date.now() / 1000,
+      platform: 'javascript',
+      level,
+      release: this.release,
+      environment: this.environment,
+      exception,
+      breadcrumbs: { values: scrubData(this.breadcrumbs) },
+      tags: { ...tags },
+      extra: scrubData(extra || {}),
+      contexts: scrubData(contexts || {}),
+      fingerprint
+    };
+
+    if (this.user) event.user = this.user;
+    if (typeof window !== 'undefined') {
+      event.request = {
+        url: scrubUrl(window.location.href),
+        headers: { 'User-Agent': navigator.userAgent }
+      };
+    }
+    return event;
+  }
+}
+
+export default ErrorReporter;
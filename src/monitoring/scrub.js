@@ -0,0 +1,61 @@
+/**
+ * Error Report Scrubbing
+ * Error reports carry URLs, breadcrumbs and arbitrary extra data, so every
+ * string is passed through the same redaction as analytics before it leaves
+ * the browser. The user context is reduced to the backend id.
+ */
+
+import { REDACTED, redactText, isNameKey } from '../analytics/privacy.js';
+
+const SENSITIVE_KEYS = /(token|password|otp|secret|signature|authorization|cookie|phone|mobile|email|address)/i;
+const MAX_DEPTH = 5;
+
+/**
+ * Redact sensitive query parameters and contact details in a URL
+ * @param {string} url - Absolute or relative URL
+ * @returns {string}
+ */
+export const scrubUrl = (url) => {
+  if (!url) return url;
+
+  const withoutSecrets = String(url).replace(
+    /([?&])([^=&#]+)=([^&#]*)/g,
+    (match, separator, key) => (SENSITIVE_KEYS.test(key) ? `${separator}${key}=${REDACTED}` : match)
+  );
+  return redactText(withoutSecrets);
+};
+
+/**
+ * Recursively scrub an object for an error report
+ * @param {*} value - Value to scrub
+ * @param {number} [depth=0]
+ * @returns {*} Scrubbed copy
+ */
+export const scrubData = (value, depth = 0) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map((item) => scrubData(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !isNameKey(key))
+      .map(([key, item]) => [
+        key,
+        SENSITIVE_KEYS.test(key) ? REDACTED : scrubData(key === 'url' ? scrubUrl(item) : item, depth + 1)
+      ])
+  );
+};
+
+/**
+ * Reduce a user to what an error report may contain
+ * @param {Object|null} user - Authenticated user
+ * @returns {{id: string}|null}
+ */
+export const scrubUser = (user) => {
+  const id = user?.id ?? user?.userId;
+  return id === undefined || id === null ? null : { id: String(id) };
+};
@@ -0,0 +1,186 @@
+/**
+ * Envelope Transport
+ * Delivers error envelopes to the receiver's envelope endpoint.
+ *
+ * - Client-side rate limit: at most MAX_EVENTS_PER_MINUTE envelopes; a
+ *   crash loop can't flood the receiver or the user's data plan
+ * - Server rate limits (429 with Retry-After or X-Sentry-Rate-Limits) pause
+ *   sending until they expire; rate-limited envelopes are dropped
+ * - Offline or failed deliveries (network error, 5xx) are kept in a capped
+ *   localStorage queue and retried when the browser comes back online
+ */
+
+export const TRANSPORT_DEFAULTS = {
+  MAX_EVENTS_PER_MINUTE: 20,
+  MAX_QUEUED_ENVELOPES: 30,
+  QUEUE_STORAGE_KEY: 'eassylife_error_queue',
+  DEFAULT_RETRY_AFTER: 60 // seconds
+};
+
+export const SEND_RESULT = {
+  SENT: 'sent',
+  QUEUED: 'queued',
+  RATE_LIMITED: 'rate_limited',
+  DROPPED: 'dropped'
+};
+
+const RATE_WINDOW = 60 * 1000;
+
+/**
+ * Seconds to back off for error events, from Sentry's rate limit headers
+ * X-Sentry-Rate-Limits: "60:error;default:organization, 2700::project"
+ * @param {Object} headers - Fetch Headers
+ * @param {number} status - HTTP status
+ * @returns {number} 0 if not rate limited
+ */
+export const getRetryAfterSeconds = (headers, status) => {
+  const rateLimits = headers?.get?.('X-Sentry-Rate-Limits');
+  if (rateLimits) {
+    return rateLimits.split(',').reduce((longest, limit) => {
+      const [seconds, categories = ''] = limit.trim().split(':');
+      const appliesToErrors = categories === '' || categories.split(';').some((category) => ['error', 'default'].includes(category));
+      return appliesToErrors ? Math.max(longest, parseInt(seconds, 10) || 0) : longest;
+    }, 0);
+  }
+
+  if (status === 429) {
+    return parseInt(headers?.get?.('Retry-After'), 10) || TRANSPORT_DEFAULTS.DEFAULT_RETRY_AFTER;
+  }
+  return 0;
+};
+
+export class EnvelopeTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Envelope endpoint (see parseDsn)
+   * @param {Function} [options.fetchImpl=fetch]
+   * @param {Storage} [options.storage=localStorage] - Offline queue storage
+   * @param {number} [options.maxEventsPerMinute]
+   * @param {number} [options.maxQueued]
+   * @param {Function} [options.now=Date.now]
+   */
+  constructor({
+    url,
+    fetchImpl = (...args) => fetch(...args),
+    storage = typeof localStorage !== 'undefined' ? localStorage : null,
+    maxEventsPerMinute = TRANSPORT_DEFAULTS.MAX_EVENTS_PER_MINUTE,
+    maxQueued = TRANSPORT_DEFAULTS.MAX_QUEUED_ENVELOPES,
+    now = () => Date.now()
+  }) {
+    this.url = url;
+    this.fetchImpl = fetchImpl;
+    this.storage = storage;
+    this.maxEventsPerMinute = maxEventsPerMinute;
+    this.maxQueued = maxQueued;
+    this.now = now;
+
+    this.sentAt = [];
+    this.disabledUntil = 0;
+    this.flushing = null;
+  }
+
+  isRateLimited() {
+    const now = this.now();
+    if (now < this.disabledUntil) return true;
+
+    this.sentAt = this.sentAt.filter((time) => now - time < RATE_WINDOW);
+    return this.sentAt.length >= this.maxEventsPerMinute;
+  }
+
+  /**
+   * Send one envelope
+   * @param {string} envelope - Serialized envelope
+   * @returns {Promise<string>} A SEND_RESULT value
+   */
+  async send(envelope) {
+    if (this.isRateLimited()) {
+      return SEND_RESULT.RATE_LIMITED;
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.enqueue(envelope);
+      return SEND_RESULT.QUEUED;
+    }
+
+    this.sentAt.push(this.now());
+
+    let response;
+    try {
+      // No Content-Type: a text/plain body keeps the request CORS-simple
+      response = await this.fetchImpl(this.url, { method: 'POST', body: envelope, keepalive: true });
+    } catch {
+      this.enqueue(envelope);
+      return SEND_RESULT.QUEUED;
+    }
+
+    const retryAfter = getRetryAfterSeconds(response.headers, response.status);
+    if (retryAfter > 0) {
+      this.disabledUntil = this.now() + retryAfter * 1000;
+    }
+
+    if (response.status === 429) return SEND_RESULT.RATE_LIMITED;
+    if (response.status >= 500) {
+      this.enqueue(envelope);
+      return SEND_RESULT.QUEUED;
+    }
+    if (!response.ok) return SEND_RESULT.DROPPED;
+
+    if (this.getQueue().length > 0) this.flushQueue();
+    return SEND_RESULT.SENT;
+  }
+
+  getQueue() {
+    try {
+      const queue = JSON.parse(this.storage?.getItem(TRANSPORT_DEFAULTS.QUEUE_STORAGE_KEY) || '[]');
+      return Array.isArray(queue) ? queue : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveQueue(queue) {
+    try {
+      if (queue.length === 0) {
+        this.storage?.removeItem(TRANSPORT_DEFAULTS.QUEUE_STORAGE_KEY);
+      } else {
+        this.storage?.setItem(TRANSPORT_DEFAULTS.QUEUE_STORAGE_KEY, JSON.stringify(queue));
+      }
+    } catch {
+      // Storage full or unavailable - the report is lost, never the app
+    }
+  }
+
+  enqueue(envelope) {
+    // Oldest reports are dropped first
+    this.saveQueue([...this.getQueue(), envelope].slice(-this.maxQueued));
+  }
+
+  /**
+   * Retry queued envelopes (called when the browser comes back online)
+   * @returns {Promise<void>}
+   */
+  flushQueue() {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      const queue = this.getQueue();
+      this.saveQueue([]);
+
+      for (let index = 0; index < queue.length; index++) {
+        const result = await this.send(queue[index]);
+        if (result === SEND_RESULT.QUEUED || result === SEND_RESULT.RATE_LIMITED) {
+          // Still offline or paused - keep the rest for the next attempt
+          if (result === SEND_RESULT.RATE_LIMITED) this.enqueue(queue[index]);
+          queue.slice(index + 1).forEach((envelope) => this.enqueue(envelope));
+          break;
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+}
+
+export default EnvelopeTransport;
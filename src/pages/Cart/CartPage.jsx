@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { ArrowLeft } from 'lucide-react';
 import { motion } from 'framer-motion';
@@ -14,6 +14,8 @@ import CartLoadingState from '../../components/cart/CartLoadingState';
 import { useCart } from '../../hooks/useCart';
 import { useAuth } from '../../hooks/useAuth';
 import { CartStatus } from '../../types/cart';
+import { trackFunnelStep } from '../../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
 
 /**
  * Cart Page Component
@@ -53,6 +55,18 @@ const CartPage = () => {
     }
   }, [isAuthenticated, isInitialized, fetchCartData, cartState.status]); // Only run when authentication or initialization status changes
 
+  // Booking funnel - record the cart once per visit, after it has loaded
+  const hasTrackedCartView = useRef(false);
+  const groupedCart = cartState.cartData?.groupedCart;
+  useEffect(() => {
+    if (!groupedCart || hasTrackedCartView.current) return;
+
+    hasTrackedCartView.current = true;
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CART_VIEWED, {
+      item_count: (groupedCart.categories?.length || 0) + (groupedCart.packages?.length || 0)
+    });
+  }, [groupedCart]);
+
   // Handle coupon application from coupons page
   useEffect(() => {
     if (location.state?.appliedCoupon && location.state?.returnFromCoupons) {
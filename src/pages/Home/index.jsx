@@ -33,6 +33,8 @@ import { CardContent} from '../../components/ui/card';
 
 import { SmoothCard } from '../../components/ui/SmoothHover';
 import { useHomePage } from '../../hooks/useHomePage';
+import ContinueBookingCard from '../../components/serviceDetails/ContinueBookingCard';
+import PendingBalanceBanner from '../../components/orders/PendingBalanceBanner';
 import { isAuthenticated, setAuthToken, setUserData } from '../../utils/tokenManager';
 import authService from '../../api/services/authService';
 
@@ -210,8 +212,11 @@ const Home = () => {
       {/* Main Content */}
       <main className="w-full max-w-full px-0 py-2 md:max-w-7xl md:mx-auto md:px-2">
 
+        {/* Remaining balance on a partially paid booking */}
+        <PendingBalanceBanner />
 
-
+        {/* Booking draft from an earlier visit */}
+        <ContinueBookingCard />
 
         {/* Banner Carousel with Animated Gradient Background */}
         <section className="my-8 px-4 md:px-0">
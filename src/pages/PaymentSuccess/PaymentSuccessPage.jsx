@@ -2,6 +2,8 @@ import React, { useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { CheckCircle, ArrowRight } from 'lucide-react';
+import { trackFunnelStep, endFunnelSession } from '../../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
 
 /**
  * Payment Success Page
@@ -23,6 +25,14 @@ const PaymentSuccessPage = () => {
     }
   }, [bookingData, navigate]);
 
+  // Last booking funnel step - the next service view starts a new funnel
+  useEffect(() => {
+    if (!bookingData) return;
+
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PAYMENT_SUCCESS_VIEWED, { booking_id: bookingData.bookingId });
+    endFunnelSession();
+  }, [bookingData]);
+
   // Handle proceed to booking success
   const handleProceed = () => {
     console.log('🎉 PaymentSuccessPage: Proceeding to booking success...');
@@ -1,12 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Copy } from 'lucide-react';
+import { ArrowLeft, Copy, Link2, RefreshCw, Users } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useResponsive } from '../../hooks/useResponsive';
 import { useProfile } from '../../hooks/useProfile';
+import { useReferral } from '../../hooks/useReferral';
+import { getPlatformShareUrl, REFERRAL_STATUS } from '../../utils/referralUtils';
+import { formatCurrency } from '../../utils/paymentCalculations';
 import { cn } from '../../lib/utils';
 
+const STATUS_STYLES = {
+  [REFERRAL_STATUS.COMPLETED]: 'bg-green-100 text-green-700',
+  [REFERRAL_STATUS.PENDING]: 'bg-yellow-100 text-yellow-700',
+  [REFERRAL_STATUS.JOINED]: 'bg-blue-100 text-blue-700',
+  [REFERRAL_STATUS.EXPIRED]: 'bg-gray-100 text-gray-500'
+};
+
 /**
  * ReferEarnPage - Referral program and earnings tracking
  * Matches Flutter app refer & earn functionality with responsive design
@@ -15,17 +25,26 @@ const ReferEarnPage = () => {
   const navigate = useNavigate();
   const { isMobile } = useResponsive();
   const { user } = useProfile();
-  const [copied, setCopied] = useState(false);
+  const [copied, setCopied] = useState(null); // 'code' | 'link' | null
 
-  // Mock referral code - replace with actual user referral code from API
-  const referralCode = user?.referralCode || 'ZUS5DX74';
-  const shareText = `Hey, Life's Eassy With Eassylife. Use Referral Code ${referralCode} And Share The Joy Of Having The World At Your Fingertips With Your Friends And Family. Use This Link To Download The App Now https://eassylife.in/app`;
+  const {
+    code: referralCode,
+    shareLink,
+    shareText,
+    referralCount,
+    pendingRewards,
+    earnedRewards,
+    rewardPerReferral,
+    referrals,
+    loading,
+    error,
+    refresh
+  } = useReferral(user);
 
-  // Load referral data from API
-  useEffect(() => {
-    // TODO: Implement API call to fetch user referral data
-    // For now using mock data
-  }, []);
+  const showCopied = (target) => {
+    setCopied(target);
+    setTimeout(() => setCopied(null), 2000);
+  };
 
   // Handle back navigation
   const handleBack = () => {
@@ -34,10 +53,21 @@ const ReferEarnPage = () => {
 
   // Handle copy referral code
   const handleCopyCode = async () => {
+    if (!referralCode) return;
     try {
       await navigator.clipboard.writeText(referralCode);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      showCopied('code');
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  // Handle copy share link
+  const handleCopyLink = async () => {
+    if (!shareLink) return;
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      showCopied('link');
     } catch (err) {
       console.error('Failed to copy:', err);
     }
@@ -45,18 +75,24 @@ const ReferEarnPage = () => {
 
   // Handle social media sharing
   const handleSocialShare = async (platform) => {
+    if (!referralCode) return;
+
     try {
-      // Copy referral code to clipboard first
-      await navigator.clipboard.writeText(referralCode);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
+      const platformUrl = getPlatformShareUrl(platform, shareText, shareLink);
+      if (platformUrl) {
+        window.open(platformUrl, '_blank', 'noopener,noreferrer');
+        return;
+      }
+
+      // Platforms without a web share URL - copy the message and use the native share sheet
+      await navigator.clipboard.writeText(shareText);
+      showCopied('code');
 
-      // Then trigger native share or platform-specific sharing
       if (navigator.share) {
         await navigator.share({
           title: 'EassyLife App',
           text: shareText,
-          url: 'https://eassylife.in/app'
+          url: shareLink
         });
       }
     } catch (err) {
@@ -144,24 +180,65 @@ const ReferEarnPage = () => {
                 className="border border-gray-300 rounded-2xl p-6 mb-6 cursor-pointer hover:border-gray-400 transition-colors"
               >
                 <div className="text-center">
-                  <span className="text-3xl font-bold text-gray-900 tracking-wider">
-                    {referralCode}
-                  </span>
+                  {loading && !referralCode ? (
+                    <div className="h-9 w-40 mx-auto rounded-lg bg-gray-200 animate-pulse" />
+                  ) : (
+                    <span className="text-3xl font-bold text-gray-900 tracking-wider">
+                      {referralCode || '--------'}
+                    </span>
+                  )}
                 </div>
-                {copied && (
+                {copied === 'code' && (
                   <p className="text-green-600 text-sm mt-2 text-center">Code copied to clipboard!</p>
                 )}
               </div>
 
+              {/* Share Link */}
+              {shareLink && (
+                <div className="flex items-center gap-2 border border-gray-200 rounded-xl px-3 py-2 mb-6 bg-gray-50">
+                  <Link2 className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                  <span className="text-sm text-gray-600 truncate flex-1">{shareLink}</span>
+                  <button
+                    onClick={handleCopyLink}
+                    className="flex items-center gap-1 text-sm font-medium text-orange-500 hover:text-orange-600"
+                  >
+                    <Copy className="w-4 h-4" />
+                    {copied === 'link' ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+              )}
+
               {/* Description Text - Exact Flutter Text */}
               <div className="text-center mb-8">
                 <p className="text-gray-600 text-base leading-relaxed px-4">
-                  Invite your friends to join and earn rewards for every successful referral. Use the code below to get started!
+                  {rewardPerReferral > 0
+                    ? `Invite your friends to join and earn ${formatCurrency(rewardPerReferral)} for every successful referral. Use the code below to get started!`
+                    : 'Invite your friends to join and earn rewards for every successful referral. Use the code below to get started!'}
                 </p>
               </div>
+
+              {error && (
+                <div className="flex items-center justify-between bg-red-50 text-red-600 text-sm rounded-lg px-3 py-2">
+                  <span>{error}</span>
+                  <button onClick={refresh} className="flex items-center gap-1 font-medium" aria-label="Retry">
+                    <RefreshCw className="w-4 h-4" />
+                    Retry
+                  </button>
+                </div>
+              )}
             </div>
           </motion.div>
 
+          {/* Referral Stats */}
+          <motion.div variants={itemVariants} className={cn(
+            "mt-6 grid grid-cols-3 gap-3",
+            isMobile ? "mx-6" : "mx-0"
+          )}>
+            <StatCard label="Referrals" value={referralCount} loading={loading} />
+            <StatCard label="Pending" value={formatCurrency(pendingRewards)} loading={loading} />
+            <StatCard label="Earned" value={formatCurrency(earnedRewards)} loading={loading} highlight />
+          </motion.div>
+
           {/* Share On Section - Exact Flutter Design */}
           <motion.div variants={itemVariants} className={cn(
             "mt-6",
@@ -218,12 +295,75 @@ const ReferEarnPage = () => {
             </div>
           </motion.div>
 
+          {/* Referred Friends */}
+          <motion.div variants={itemVariants} className={cn(
+            "mt-8",
+            isMobile ? "mx-6" : "mx-0"
+          )}>
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Your Referrals</h3>
+
+            {loading ? (
+              <div className="space-y-3">
+                {[0, 1, 2].map((index) => (
+                  <div key={index} className="h-16 bg-white rounded-xl shadow-sm animate-pulse" />
+                ))}
+              </div>
+            ) : referrals.length === 0 ? (
+              <div className="bg-white rounded-2xl shadow-sm p-6 flex flex-col items-center text-center">
+                <Users className="w-10 h-10 text-gray-300 mb-3" />
+                <p className="text-gray-600 text-sm">No referrals yet. Share your code to start earning!</p>
+              </div>
+            ) : (
+              <ul className="bg-white rounded-2xl shadow-sm divide-y divide-gray-100">
+                {referrals.map((referral) => (
+                  <li key={referral.id} className="flex items-center justify-between px-4 py-3">
+                    <div className="min-w-0">
+                      <p className="font-medium text-gray-900 truncate">{referral.name}</p>
+                      {referral.joinedAt && (
+                        <p className="text-xs text-gray-500">
+                          Joined {new Date(referral.joinedAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-3 flex-shrink-0">
+                      {referral.reward > 0 && (
+                        <span className="text-sm font-semibold text-gray-900">{formatCurrency(referral.reward)}</span>
+                      )}
+                      <span className={cn(
+                        "px-2 py-0.5 rounded-full text-xs font-medium capitalize",
+                        STATUS_STYLES[referral.status] || STATUS_STYLES[REFERRAL_STATUS.JOINED]
+                      )}>
+                        {referral.status}
+                      </span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+
         </motion.div>
       </div>
     </>
   );
 };
 
+/**
+ * StatCard - Single referral statistic
+ */
+const StatCard = ({ label, value, loading, highlight = false }) => {
+  return (
+    <div className="bg-white rounded-2xl shadow-md p-4 text-center">
+      {loading ? (
+        <div className="h-6 w-12 mx-auto rounded bg-gray-200 animate-pulse" />
+      ) : (
+        <p className={cn("text-xl font-bold", highlight ? "text-green-600" : "text-gray-900")}>{value}</p>
+      )}
+      <p className="text-xs text-gray-500 mt-1">{label}</p>
+    </div>
+  );
+};
+
 /**
  * SocialButton - Individual social media sharing button
  * Matches Flutter app design exactly
@@ -0,0 +1,246 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import { ArrowLeft, Search, Loader2 } from 'lucide-react';
+import { Input } from '../../components/ui/input';
+import { useServiceSearch } from '../../hooks/useServiceSearch';
+import {
+  SEARCH_GROUPS,
+  SEARCH_GROUP_LABELS,
+  getSearchResultRoute
+} from '../../utils/searchUtils';
+
+const TYPE_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: SEARCH_GROUPS.CATEGORY, label: SEARCH_GROUP_LABELS[SEARCH_GROUPS.CATEGORY] },
+  { value: SEARCH_GROUPS.SUB_SERVICE, label: SEARCH_GROUP_LABELS[SEARCH_GROUPS.SUB_SERVICE] },
+  { value: SEARCH_GROUPS.PACKAGE, label: SEARCH_GROUP_LABELS[SEARCH_GROUPS.PACKAGE] }
+];
+
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'name', label: 'Name (A-Z)' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' }
+];
+
+const sortResults = (items, sort) => {
+  const sorted = [...items];
+  switch (sort) {
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name));
+    case 'price_asc':
+      return sorted.sort((a, b) => (a.price ?? Infinity) - (b.price ?? Infinity));
+    case 'price_desc':
+      return sorted.sort((a, b) => (b.price ?? -Infinity) - (a.price ?? -Infinity));
+    default:
+      return sorted;
+  }
+};
+
+/**
+ * SearchPage - Full search results for /search?q=
+ * Supports result-type filtering and sorting; the query is kept in the URL
+ */
+const SearchPage = () => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const urlQuery = searchParams.get('q') || '';
+  const typeFilter = searchParams.get('type') || 'all';
+  const [sort, setSort] = useState('relevance');
+
+  const {
+    query,
+    setQuery,
+    flatResults,
+    loading,
+    error,
+    isQueryTooShort,
+    recentSearches,
+    popularSearches,
+    rememberSearch
+  } = useServiceSearch({ initialQuery: urlQuery, debounceMs: 250 });
+
+  // Keep the input in sync with back/forward navigation
+  useEffect(() => {
+    setQuery(urlQuery);
+  }, [urlQuery, setQuery]);
+
+  const updateParams = (updates) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value && value !== 'all') next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    updateParams({ q: value });
+  };
+
+  const handleSelect = (result) => {
+    rememberSearch(query.trim() || result.name);
+    const { path, state } = getSearchResultRoute(result);
+    navigate(path, state ? { state } : undefined);
+  };
+
+  const visibleResults = useMemo(() => {
+    const filtered = typeFilter === 'all'
+      ? flatResults
+      : flatResults.filter((result) => result.type === typeFilter);
+    return sortResults(filtered, sort);
+  }, [flatResults, typeFilter, sort]);
+
+  const countFor = (type) => (type === 'all'
+    ? flatResults.length
+    : flatResults.filter((result) => result.type === type).length);
+
+  return (
+    <>
+      <Helmet>
+        <title>{urlQuery ? `Search: ${urlQuery}` : 'Search'} - EassyLife</title>
+        <meta name="description" content="Search EassyLife services, categories and packages" />
+      </Helmet>
+
+      <div className="min-h-screen bg-gray-50 pb-32 md:pb-8">
+        {/* Header */}
+        <div className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-20">
+          <div className="max-w-4xl mx-auto px-4 py-3 flex items-center gap-3">
+            <button
+              onClick={() => navigate(-1)}
+              className="p-2 rounded-lg hover:bg-gray-100 transition-colors duration-200"
+              aria-label="Go back"
+            >
+              <ArrowLeft className="w-5 h-5 text-gray-600" />
+            </button>
+            <div className="relative flex-1">
+              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 z-10" />
+              <Input
+                type="search"
+                autoFocus
+                value={query}
+                placeholder="Try searching a service"
+                onChange={(event) => handleQueryChange(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter' && query.trim()) rememberSearch(query.trim());
+                }}
+                className="pl-10 w-full border-gray-300 rounded-lg"
+              />
+            </div>
+          </div>
+
+          {/* Filters */}
+          {!isQueryTooShort && (
+            <div className="max-w-4xl mx-auto px-4 pb-3 flex items-center gap-2 overflow-x-auto">
+              {TYPE_FILTERS.map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => updateParams({ type: filter.value })}
+                  className={`px-3 py-1.5 rounded-full text-sm whitespace-nowrap border transition-colors duration-200 ${
+                    typeFilter === filter.value
+                      ? 'bg-orange-500 border-orange-500 text-white'
+                      : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {filter.label} ({countFor(filter.value)})
+                </button>
+              ))}
+              <select
+                value={sort}
+                onChange={(event) => setSort(event.target.value)}
+                className="ml-auto px-3 py-1.5 rounded-lg border border-gray-300 text-sm bg-white"
+                aria-label="Sort results"
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {/* Content */}
+        <div className="max-w-4xl mx-auto px-4 py-4">
+          {isQueryTooShort ? (
+            <div className="space-y-6">
+              {recentSearches.length > 0 && (
+                <section>
+                  <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Recent Searches</h2>
+                  <div className="flex flex-wrap gap-2">
+                    {recentSearches.map((term) => (
+                      <button
+                        key={term}
+                        onClick={() => handleQueryChange(term)}
+                        className="px-3 py-1.5 rounded-full bg-white border border-gray-200 text-sm text-gray-700 hover:bg-gray-100"
+                      >
+                        {term}
+                      </button>
+                    ))}
+                  </div>
+                </section>
+              )}
+              {popularSearches.length > 0 && (
+                <section>
+                  <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Popular Searches</h2>
+                  <div className="flex flex-wrap gap-2">
+                    {popularSearches.map((term) => (
+                      <button
+                        key={term}
+                        onClick={() => handleQueryChange(term)}
+                        className="px-3 py-1.5 rounded-full bg-orange-50 text-sm text-orange-600 hover:bg-orange-100"
+                      >
+                        {term}
+                      </button>
+                    ))}
+                  </div>
+                </section>
+              )}
+            </div>
+          ) : loading && !flatResults.length ? (
+            <div className="flex justify-center py-16">
+              <Loader2 className="w-8 h-8 text-orange-500 animate-spin" />
+            </div>
+          ) : error ? (
+            <p className="text-center text-red-500 py-16">{error}</p>
+          ) : visibleResults.length === 0 ? (
+            <div className="flex flex-col items-center py-16">
+              <img src="/images/sad.png" alt="No results" className="w-24 h-24 object-contain mb-4" />
+              <p className="text-base font-medium text-gray-900">No services found for &ldquo;{urlQuery}&rdquo;</p>
+            </div>
+          ) : (
+            <ul className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-100">
+              {visibleResults.map((result) => (
+                <li key={`${result.type}-${result.id}`}>
+                  <button
+                    onClick={() => handleSelect(result)}
+                    className="w-full flex items-center gap-4 px-4 py-3 text-left hover:bg-gray-50 transition-colors duration-200"
+                  >
+                    {result.image ? (
+                      <img src={result.image} alt="" className="w-12 h-12 rounded-lg object-cover flex-shrink-0" />
+                    ) : (
+                      <div className="w-12 h-12 rounded-lg bg-gray-100 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0 flex-1">
+                      <p className="font-medium text-gray-900 truncate">{result.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {SEARCH_GROUP_LABELS[result.type]}
+                        {result.categoryName ? ` · ${result.categoryName}` : ''}
+                      </p>
+                    </div>
+                    {result.price !== null && (
+                      <span className="text-sm font-semibold text-gray-900">₹{result.price}</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SearchPage;
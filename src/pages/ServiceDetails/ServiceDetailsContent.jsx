@@ -2,14 +2,21 @@ import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useServiceDetails, useBookingState } from '../../hooks/useServiceDetails';
 import { useDynamicAttributes } from '../../hooks/useDynamicAttributes';
+import { useBookingDraft } from '../../hooks/useBookingDraft';
 import { useServiceDetailsContext } from '../../contexts/ServiceDetailsContext';
 import { useAddressContext } from '../../contexts/AddressContext';
 import DynamicAttributeSelector from '../../components/serviceDetails/DynamicAttributeSelector';
 import AttributeErrorBoundary from '../../components/serviceDetails/AttributeErrorBoundary';
 import AttributeValidationFeedback from '../../components/serviceDetails/AttributeValidationFeedback';
 import AddressSelectionModal from '../../components/cart/AddressSelectionModal';
-import DatePickerModal from '../../components/serviceDetails/pickers/DatePickerModal';
-import TimePickerModal from '../../components/serviceDetails/pickers/TimePickerModal';
+import UnserviceableNotice from '../../components/location/UnserviceableNotice';
+import serviceabilityService, { SERVICEABILITY_STATUS } from '../../api/services/serviceabilityService';
+import { useTranslation } from '../../hooks/useTranslation';
+import toast from 'react-hot-toast';
+import SlotPickerModal from '../../components/serviceDetails/pickers/SlotPickerModal';
+import { setFunnelService, trackFunnelStep } from '../../analytics/funnel';
+import { ANALYTICS_EVENTS } from '../../analytics/events';
+import { formatDateForAPI } from '../../utils/dateUtils';
 import {
   ArrowLeft,
   MapPin,
@@ -40,6 +47,7 @@ const ServiceDetailsContent = () => {
 
   // Get primary address from context (matches Flutter constant.savedFinalAddress)
   const { primaryAddress, fetchAddresses, hasAddress } = useAddressContext();
+  const { t } = useTranslation();
   console.log("12",primaryAddress)
   // Use dynamic attributes hook for enhanced attribute management
   const {
@@ -59,14 +67,15 @@ const ServiceDetailsContent = () => {
     timeToValue,
     selectDate,
     selectTimeFrom,
-    selectTimeTo,
-    availableTimeSlots
+    selectTimeTo
   } = useBookingState();
 
+  // Selections survive a refresh or a detour to add an address
+  useBookingDraft(serviceId, serviceDetails);
+
   // Modal states
   const [isAddressModalOpen, setIsAddressModalOpen] = useState(false);
-  const [isDateModalOpen, setIsDateModalOpen] = useState(false);
-  const [isTimeModalOpen, setIsTimeModalOpen] = useState(false);
+  const [isSlotModalOpen, setIsSlotModalOpen] = useState(false);
   const [selectedAddress, setSelectedAddress] = useState(null);
 
   useEffect(() => {
@@ -78,6 +87,17 @@ const ServiceDetailsContent = () => {
     }
   }, [serviceId, subServiceId, fetchServiceDetails]);
 
+  // Booking funnel entry point - later steps inherit this service/category
+  const isServiceLoaded = Boolean(serviceDetails);
+  const loadedCategoryId = serviceDetails?.category_id;
+  const loadedServiceName = serviceDetails?.name;
+  useEffect(() => {
+    if (!serviceId || !isServiceLoaded) return;
+
+    setFunnelService({ serviceId, categoryId: loadedCategoryId });
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_SERVICE_VIEWED, { service_name: loadedServiceName });
+  }, [serviceId, isServiceLoaded, loadedCategoryId, loadedServiceName]);
+
   // Fetch user's addresses when component mounts to ensure default address is available
   useEffect(() => {
     if (fetchAddresses && !hasAddress) {
@@ -171,31 +191,48 @@ const ServiceDetailsContent = () => {
 
   // Date and time change handlers
   const handleDateTimeChange = () => {
-    setIsDateModalOpen(true);
+    setIsSlotModalOpen(true);
   };
 
-  const handleDateSelect = (date) => {
-    selectDate(date);
-    setIsDateModalOpen(false);
-    // Auto-open time picker after date selection
-    setTimeout(() => setIsTimeModalOpen(true), 300);
+  // Segments arrive here too (attributeId "serviceSegments")
+  const handleAttributeSelectWithTracking = (attributeId, optionId, ...rest) => {
+    handleAttributeSelect(attributeId, optionId, ...rest);
+    if (attributeId && optionId) {
+      trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_ATTRIBUTE_SELECTED, { attribute_id: attributeId, option_id: optionId });
+    }
   };
 
-  const handleTimeSelect = (timeSlot) => {
-    selectTimeFrom(timeSlot.from);
-    selectTimeTo(timeSlot.to);
-    setIsTimeModalOpen(false);
-    console.log('⏰ ServiceDetails: Time slot selected:', timeSlot);
+  // Slots come from the same useTimeSlots engine as the cart
+  const handleSlotConfirm = (date, slot) => {
+    // selectDate clears the time, so it goes first
+    selectDate(date);
+    selectTimeFrom(slot.timeFrom);
+    selectTimeTo(slot.timeTo);
+    console.log('⏰ ServiceDetails: Time slot selected:', slot);
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_SLOT_SELECTED, {
+      booking_date: formatDateForAPI(date),
+      time_from: slot.timeFrom,
+      time_to: slot.timeTo,
+      source: 'service_details'
+    });
   };
 
   // Handle continue button click - navigate to service provider page
   // Matches Flutter SelectServiceProviderScreen navigation
-  const handleContinue = () => {
+  const handleContinue = async () => {
     if (!areRequiredAttributesSelected()) {
       console.log('❌ ServiceDetails: Required attributes not selected');
       return;
     }
 
+    // Don't let an address we don't serve get as far as the cart
+    const serviceability = await serviceabilityService.checkAddress(selectedAddress || primaryAddress);
+    if (serviceability.data.status === SERVICEABILITY_STATUS.UNSERVICEABLE) {
+      console.log('❌ ServiceDetails: Address is not serviceable');
+      toast.error(t('serviceability.blocked'));
+      return;
+    }
+
     console.log('🔧 ServiceDetails: Navigating to service provider page...');
     console.log('🔧 ServiceDetails: URL Params:', { serviceId, subServiceId });
     console.log('🏠 ServiceDetails: Primary address:', primaryAddress);
@@ -565,7 +602,7 @@ const ServiceDetailsContent = () => {
                 <DynamicAttributeSelector
                   attributes={serviceDetails.attributes}
                   selectedAttributes={selectedAttributes}
-                  onAttributeSelect={handleAttributeSelect}
+                  onAttributeSelect={handleAttributeSelectWithTracking}
                   requiredAttributes={requiredAttributes}
                   showValidationErrors={true}
                   serviceDetails={serviceDetails}
@@ -687,6 +724,12 @@ const ServiceDetailsContent = () => {
                 Change
               </button>
             </div>
+
+            <UnserviceableNotice
+              address={selectedAddress || primaryAddress}
+              onChangeAddress={handleAddressChange}
+              className="mt-2"
+            />
           </div>
 
           {/* Date & Time */}
@@ -768,34 +811,14 @@ const ServiceDetailsContent = () => {
         isLoading={false}
       />
 
-      {/* Date Picker Modal */}
-      <DatePickerModal
-        isOpen={isDateModalOpen}
-        onClose={() => setIsDateModalOpen(false)}
-        onDateSelect={handleDateSelect}
+      {/* Date & Time Modal */}
+      <SlotPickerModal
+        isOpen={isSlotModalOpen}
+        onClose={() => setIsSlotModalOpen(false)}
+        onConfirm={handleSlotConfirm}
         selectedDate={selectedDate}
-        minDate={new Date()}
-        maxDate={new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)} // 30 days from now
-      />
-
-      {/* Time Picker Modal */}
-      <TimePickerModal
-        isOpen={isTimeModalOpen}
-        onClose={() => setIsTimeModalOpen(false)}
-        onTimeSelect={handleTimeSelect}
         selectedTimeFrom={timeFromValue}
         selectedTimeTo={timeToValue}
-        availableSlots={availableTimeSlots || [
-          // Default time slots if none available
-          { from: '09:00', to: '10:00', available: true },
-          { from: '10:00', to: '11:00', available: true },
-          { from: '11:00', to: '12:00', available: true },
-          { from: '14:00', to: '15:00', available: true },
-          { from: '15:00', to: '16:00', available: true },
-          { from: '16:00', to: '17:00', available: true },
-          { from: '17:00', to: '18:00', available: true }
-        ]}
-        serviceDuration={60}
       />
     </div>
   );
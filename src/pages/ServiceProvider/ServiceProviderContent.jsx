@@ -1,4 +1,4 @@
-import React, { useEffect, useCallback } from 'react';
+import React, { useEffect, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useServiceProvider } from '../../contexts/ServiceProviderContext';
 import { ServiceProviderStatus } from '../../types/serviceProvider';
@@ -8,6 +8,7 @@ import ProviderList from '../../components/ServiceProvider/ProviderList';
 import BottomButtonSection from '../../components/ServiceProvider/BottomButtonSection';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ErrorMessage from '../../components/common/ErrorMessage';
+import { getBookingDraft, saveBookingDraft, removeBookingDraft } from '../../utils/bookingDrafts';
 
 /**
  * ServiceProviderContent - Main content component for service provider page
@@ -29,10 +30,14 @@ const ServiceProviderContent = ({ navigationData, layoutMode }) => {
     hasError,
     hasProviders,
     fetchServiceProviderData,
+    toggleProvider,
     addToCartButton,
     resetState
   } = useServiceProvider();
 
+  // Booking drafts are keyed by the service the user came from
+  const draftServiceId = navigationData.subCatIdValue;
+
   // Fetch service provider data on component mount
   useEffect(() => {
     console.log('🔧 ServiceProviderContent: Fetching service provider data...');
@@ -73,14 +78,39 @@ const ServiceProviderContent = ({ navigationData, layoutMode }) => {
     };
   }, [navigationData, fetchServiceProviderData, resetState]);
 
+  // Pick the provider saved in the booking draft again, if it's still offered
+  const draftProviderRestoredRef = useRef(false);
+  useEffect(() => {
+    if (!hasProviders || draftProviderRestoredRef.current) return;
+    draftProviderRestoredRef.current = true;
+
+    const rateCardId = getBookingDraft(draftServiceId)?.rateCardId;
+    const provider = rateCardId && servicesProvider.find((item) => String(item.id) === String(rateCardId));
+    if (provider && !selectedServicesProvider) {
+      console.log('📝 ServiceProviderContent: Restoring provider from booking draft:', provider.id);
+      toggleProvider(provider);
+    }
+  }, [hasProviders, servicesProvider, selectedServicesProvider, draftServiceId, toggleProvider]);
+
+  // Remember the chosen provider in the booking draft
+  useEffect(() => {
+    if (!selectedServicesProvider || !getBookingDraft(draftServiceId)) return;
+
+    saveBookingDraft(draftServiceId, {
+      rateCardId: selectedServicesProvider.id,
+      providerId: selectedServicesProvider.providerId
+    });
+  }, [selectedServicesProvider, draftServiceId]);
+
   // Handle add to cart confirmed state (navigate to cart)
   useEffect(() => {
     if (isAddToCartConfirmed) {
       console.log('🛒 ServiceProviderContent: Add to cart confirmed, navigating to cart...');
+      removeBookingDraft(draftServiceId);
       // Navigate to cart page (matches Flutter navigation)
       navigate('/cart');
     }
-  }, [isAddToCartConfirmed, navigate]);
+  }, [isAddToCartConfirmed, navigate, draftServiceId]);
 
   // Handle back navigation
   const handleBack = useCallback(() => {
@@ -2,6 +2,8 @@ import React, { useEffect, useState, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { ArrowLeft, Play, Pause, VolumeX, Volume2 } from 'lucide-react';
 import serviceDetailsService from '../../api/services/serviceDetailsService';
+import { useAddressContext } from '../../contexts/AddressContext';
+import UnserviceableNotice from '../../components/location/UnserviceableNotice';
 
 /**
  * ServiceSelectionPage - Complete Rewrite with Optimized API and Video Implementation
@@ -171,6 +173,7 @@ const OptimizedVideoPlayer = ({ videoUrl, onBack, showBackButton = true, classNa
 const ServiceSelectionPage = () => {
   const { categoryId } = useParams();
   const navigate = useNavigate();
+  const { primaryAddress } = useAddressContext();
 
   // Optimized state management - single API response
   const [apiResponse, setApiResponse] = useState(null);
@@ -374,6 +377,12 @@ const ServiceSelectionPage = () => {
         <div className="p-4">
           <h2 className="text-lg font-semibold text-gray-900 mb-4">Select Service</h2>
 
+          <UnserviceableNotice
+            address={primaryAddress}
+            onChangeAddress={() => navigate('/address')}
+            className="mb-4"
+          />
+
           <div className="grid grid-cols-4" style={{ gap: '8px' }}>
             {subServices.map((service) => (
               <div
@@ -427,6 +436,12 @@ const ServiceSelectionPage = () => {
             <h1 className="text-2xl font-semibold text-gray-900">Select Service - {categoryName}</h1>
           </div>
 
+          <UnserviceableNotice
+            address={primaryAddress}
+            onChangeAddress={() => navigate('/address')}
+            className="mb-6 max-w-4xl mx-auto"
+          />
+
           {/* Desktop Video Player - Optimized Proportions */}
           <div className="mb-10 rounded-xl shadow-lg bg-orange-50 max-w-4xl mx-auto">
             <OptimizedVideoPlayer
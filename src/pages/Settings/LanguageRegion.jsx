@@ -0,0 +1,60 @@
+import React from 'react';
+import { Helmet } from 'react-helmet-async';
+import { ArrowLeft } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import AccountPreferences from '../../components/settings/AccountPreferences';
+import LoadingSpinner from '../../components/common/LoadingSpinner';
+import { useSettings } from '../../hooks/useSettings';
+
+/**
+ * LanguageRegionPage - Mobile page for language, timezone, currency display
+ * and date format (desktop shows the same section inside Settings)
+ */
+const LanguageRegionPage = () => {
+  const navigate = useNavigate();
+  const { settings, loading, saving, updatePreferences } = useSettings();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-white flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Language & Region - EassyLife</title>
+        <meta name="description" content="Choose your language, timezone, currency display and date format" />
+      </Helmet>
+
+      <div className="min-h-screen bg-white">
+        <div className="bg-white shadow-sm border-b border-gray-200 sticky top-0 z-20">
+          <div className="px-4 sm:px-6">
+            <div className="flex items-center h-16">
+              <button
+                onClick={() => navigate('/settings')}
+                className="p-2 rounded-lg hover:bg-gray-100 transition-colors duration-200 group"
+                aria-label="Go back"
+              >
+                <ArrowLeft className="w-5 h-5 text-gray-600 group-hover:text-gray-800 transition-colors duration-200" />
+              </button>
+              <h1 className="ml-3 text-xl font-semibold text-gray-900">Language & Region</h1>
+            </div>
+          </div>
+        </div>
+
+        <div className="px-6 py-6">
+          <AccountPreferences
+            preferences={settings.preferences}
+            onUpdate={updatePreferences}
+            saving={saving}
+          />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default LanguageRegionPage;
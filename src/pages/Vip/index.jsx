@@ -19,9 +19,9 @@ import {
   Zap
 } from 'lucide-react';
 import { Button } from '../../components/ui/button';
-import { useAuthContext } from '../../contexts/AuthContext';
 import { useVipContext } from '../../contexts/VipContext';
-import razorpayService from '../../api/services/razorpayService';
+import { VIP_ACTIVATION_STATUS } from '../../api/services/vipService';
+import CancelVipDialog from '../../components/vip/CancelVipDialog';
 import toast from 'react-hot-toast';
 
 /**
@@ -35,49 +35,23 @@ import toast from 'react-hot-toast';
  */
 const VipPage = () => {
   const navigate = useNavigate();
-  const { user } = useAuthContext();
   const {
     vipPlans,
+    vipStatus,
     loading,
     paymentLoading,
     selectedPlan,
-    purchaseVipPlan,
-    selectVipPlan,
-    refreshVipData
+    activationStatus,
+    buyVipPlan,
+    getVipDaysRemaining
   } = useVipContext();
+  const [showCancelDialog, setShowCancelDialog] = useState(false);
 
+  // The order is created on the backend, which also verifies the payment and activates the plan
   const handleBuyPlan = async (plan) => {
-    try {
-      selectVipPlan(plan);
-
-      // Initialize Razorpay payment
-      await razorpayService.openCheckout({
-        total: parseFloat(plan.discount_price || plan.price),
-        orderId: '', // Will be generated by backend
-        onPaymentSuccess: async (paymentId) => {
-          try {
-            // Process VIP purchase using context
-            const result = await purchaseVipPlan({
-              planId: plan.id,
-              paymentId: paymentId,
-              amount: parseFloat(plan.discount_price || plan.price)
-            });
-
-            if (result.success) {
-              navigate('/home');
-            }
-          } catch (error) {
-            console.error('Error processing VIP purchase:', error);
-          }
-        },
-        onPaymentError: (error) => {
-          console.error('Payment failed:', error);
-          toast.error('Payment failed. Please try again.');
-        }
-      });
-    } catch (error) {
-      console.error('Error initiating payment:', error);
-      toast.error('Failed to initiate payment');
+    const result = await buyVipPlan(plan);
+    if (result.success) {
+      navigate('/home');
     }
   };
 
@@ -252,6 +226,40 @@ const VipPage = () => {
           </motion.div>
         </motion.div>
 
+        {/* Purchase waiting on activation */}
+        {activationStatus === VIP_ACTIVATION_STATUS.ACTIVATING && (
+          <div className="mx-4 sm:mx-6 lg:mx-8 mb-4 flex items-center gap-3 rounded-xl border border-orange-200 bg-orange-50 p-4" role="status">
+            <div className="w-5 h-5 border-2 border-orange-200 border-t-orange-500 rounded-full animate-spin flex-shrink-0"></div>
+            <p className="text-sm text-orange-800">Payment received - activating your VIP membership...</p>
+          </div>
+        )}
+        {activationStatus === VIP_ACTIVATION_STATUS.DELAYED && (
+          <div className="mx-4 sm:mx-6 lg:mx-8 mb-4 rounded-xl border border-yellow-200 bg-yellow-50 p-4" role="status">
+            <p className="text-sm text-yellow-800">
+              Your payment was received and your VIP membership will be activated shortly. There is no need to pay again.
+            </p>
+          </div>
+        )}
+
+        {/* Current membership */}
+        {vipStatus.isVip && (
+          <div className="mx-4 sm:mx-6 lg:mx-8 mb-4 flex items-center justify-between gap-4 rounded-xl border border-gray-200 bg-white p-4 shadow-sm">
+            <div>
+              <p className="text-base font-semibold text-gray-900">{vipStatus.planName || 'VIP Membership'}</p>
+              <p className="text-sm text-gray-600">
+                {getVipDaysRemaining()} day{getVipDaysRemaining() === 1 ? '' : 's'} remaining
+              </p>
+            </div>
+            <Button
+              variant="outline"
+              onClick={() => setShowCancelDialog(true)}
+              className="border-red-200 text-red-600 hover:bg-red-50"
+            >
+              Cancel membership
+            </Button>
+          </div>
+        )}
+
         {/* VIP Plans List */}
         <div className="px-4 sm:px-6 lg:px-8 space-y-4">
           {vipPlans.map((plan, index) => (
@@ -280,6 +288,8 @@ const VipPage = () => {
 
       {/* Attractive Footer */}
       <VipFooter />
+
+      <CancelVipDialog isOpen={showCancelDialog} onClose={() => setShowCancelDialog(false)} />
     </div>
   );
 };
@@ -1,10 +1,15 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { motion } from 'framer-motion';
-import { ArrowLeft, CreditCard } from 'lucide-react';
+import { ArrowLeft, CreditCard, Clock, Plus, Download, FileText } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
-import { useWallet } from '../../hooks/useWallet';
+import { useWallet, useWalletStatement } from '../../hooks/useWallet';
+import { useAuthContext } from '../../contexts/AuthContext';
 import { useResponsive } from '../../hooks/useResponsive';
+import { WALLET_TRANSACTION_STATUS } from '../../stores/walletStore';
+import AddMoneySheet from '../../components/wallet/AddMoneySheet';
+import WalletFilters from '../../components/wallet/WalletFilters';
+import TransactionDetailDialog from '../../components/wallet/TransactionDetailDialog';
 import { cn } from '../../lib/utils';
 
 /**
@@ -14,18 +19,32 @@ import { cn } from '../../lib/utils';
 const WalletPage = () => {
   const navigate = useNavigate();
   const { isMobile } = useResponsive();
+  const { user } = useAuthContext();
+  const [isAddMoneyOpen, setIsAddMoneyOpen] = useState(false);
+  const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const loadMoreRef = useRef(null);
   const {
     balance,
     transactions,
     loading,
     error,
+    filters,
+    pagination,
     formattedBalance,
     hasTransactions,
+    hasMore,
+    monthlyStatistics,
     fetchHistory,
     fetchBalance,
+    applyFilters,
+    loadMore,
     refresh,
     clearError
   } = useWallet();
+  const { exporting, isExporting, exportCsv, exportPdf } = useWalletStatement();
+  const hasActiveFilters = filters.type !== 'all' || !!filters.startDate || !!filters.endDate;
+  const loadMoreHandlerRef = useRef(loadMore);
+  loadMoreHandlerRef.current = loadMore;
 
   // Fetch wallet data on mount
   useEffect(() => {
@@ -43,6 +62,22 @@ const WalletPage = () => {
     }
   }, [error, clearError]);
 
+  // Infinite scroll - load the next page when the end of the list comes into view.
+  // Re-observing after each page fires again if the sentinel is still visible.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore) return undefined;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) loadMoreHandlerRef.current();
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, transactions.length]);
+
   // Handle back navigation
   const handleBack = () => {
     navigate('/profile');
@@ -81,7 +116,7 @@ const WalletPage = () => {
   };
 
   // Show loading state like Flutter app
-  if (loading && !hasTransactions) {
+  if (loading && !hasTransactions && !hasActiveFilters) {
     return (
       <div className="min-h-screen bg-white">
         {/* Header */}
@@ -170,10 +205,19 @@ const WalletPage = () => {
               />
 
               {/* Balance text */}
-              <div>
+              <div className="flex-1">
                 <p className="text-gray-900 text-base font-semibold mb-1">Total payments received</p>
                 <p className="text-orange-400 text-3xl font-bold">{formattedBalance || '₹0'}</p>
               </div>
+
+              <button
+                type="button"
+                onClick={() => setIsAddMoneyOpen(true)}
+                className="flex items-center gap-1 px-4 py-2 rounded-lg bg-orange-500 hover:bg-orange-600 text-white text-sm font-medium transition-colors"
+              >
+                <Plus className="w-4 h-4" />
+                Add Money
+              </button>
             </div>
           </motion.div>
 
@@ -182,10 +226,35 @@ const WalletPage = () => {
             <div className="flex items-center justify-between px-6 mb-4">
               <h2 className="text-lg font-bold text-gray-900">Transaction History</h2>
               <span className="text-sm font-medium text-gray-600">
-                {transactions?.length || 1} Transactions
+                {pagination?.total ?? transactions?.length ?? 0} Transactions
               </span>
             </div>
 
+            <div className="px-6 mb-4 space-y-3">
+              <WalletFilters filters={filters} onChange={applyFilters} disabled={loading} />
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={exportCsv}
+                  disabled={isExporting || !hasTransactions}
+                  className="flex items-center gap-1.5 px-3 h-9 rounded-lg border border-gray-200 bg-white text-sm font-medium text-gray-700 hover:border-orange-300 disabled:opacity-50"
+                >
+                  <Download className="w-4 h-4" />
+                  {exporting === 'csv' ? 'Exporting...' : 'CSV'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => exportPdf({ accountName: `${user?.first_name || ''} ${user?.last_name || ''}`.trim() })}
+                  disabled={isExporting || !hasTransactions}
+                  className="flex items-center gap-1.5 px-3 h-9 rounded-lg border border-gray-200 bg-white text-sm font-medium text-gray-700 hover:border-orange-300 disabled:opacity-50"
+                >
+                  <FileText className="w-4 h-4" />
+                  {exporting === 'pdf' ? 'Preparing...' : 'PDF'}
+                </button>
+              </div>
+            </div>
+
             {error && (
               <div className="mx-6 mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
                 <p className="text-red-600 text-sm">{error}</p>
@@ -193,25 +262,66 @@ const WalletPage = () => {
             )}
 
             {!hasTransactions ? (
-              <div className="mx-6 bg-white rounded-2xl shadow-sm border border-gray-100 p-8 text-center">
-                <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                  <svg className="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v12m6-6H6"/>
-                  </svg>
+              loading ? (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-500"></div>
                 </div>
-                <h3 className="text-lg font-semibold text-gray-900 mb-2">No Transactions Yet</h3>
-                <p className="text-gray-600 mb-6">Your wallet transaction history will appear here</p>
-              </div>
+              ) : (
+                <div className="mx-6 bg-white rounded-2xl shadow-sm border border-gray-100 p-8 text-center">
+                  <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
+                    <svg className="w-8 h-8 text-gray-400" fill="none" stroke="currentColor" strokeWidth="2" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" d="M12 6v12m6-6H6"/>
+                    </svg>
+                  </div>
+                  <h3 className="text-lg font-semibold text-gray-900 mb-2">
+                    {hasActiveFilters ? 'No Matching Transactions' : 'No Transactions Yet'}
+                  </h3>
+                  <p className="text-gray-600 mb-6">
+                    {hasActiveFilters
+                      ? 'Try another type or date range'
+                      : 'Your wallet transaction history will appear here'}
+                  </p>
+                </div>
+              )
             ) : (
-              <div className="mx-4 space-y-3">
-                {transactions?.map((transaction, index) => (
-                  <TransactionItem key={transaction.id || index} transaction={transaction} />
+              <div className="mx-4 space-y-6">
+                {monthlyStatistics.map((month) => (
+                  <section key={month.key}>
+                    <div className="flex items-baseline justify-between px-2 mb-3">
+                      <h3 className="text-sm font-semibold text-gray-900">{month.label}</h3>
+                      {month.totalCredits !== null && (
+                        <p className="text-xs text-gray-500">
+                          <span className="text-green-600">+₹{month.totalCredits.toFixed(2)}</span>
+                          {' · '}
+                          <span className="text-red-600">-₹{month.totalDebits.toFixed(2)}</span>
+                        </p>
+                      )}
+                    </div>
+                    <div className="space-y-3">
+                      {month.transactions.map((transaction, index) => (
+                        <TransactionItem
+                          key={transaction.id || index}
+                          transaction={transaction}
+                          onSelect={setSelectedTransaction}
+                        />
+                      ))}
+                    </div>
+                  </section>
                 ))}
+
+                {hasMore && (
+                  <div ref={loadMoreRef} className="flex justify-center py-4">
+                    {loading && <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-orange-500"></div>}
+                  </div>
+                )}
               </div>
             )}
           </motion.div>
         </motion.div>
       </div>
+
+      <AddMoneySheet isOpen={isAddMoneyOpen} onClose={() => setIsAddMoneyOpen(false)} />
+      <TransactionDetailDialog transaction={selectedTransaction} onClose={() => setSelectedTransaction(null)} />
     </>
   );
 };
@@ -220,8 +330,9 @@ const WalletPage = () => {
  * TransactionItem - Individual transaction display component
  * Matches Flutter app design exactly
  */
-const TransactionItem = ({ transaction }) => {
+const TransactionItem = ({ transaction, onSelect }) => {
   const isCredit = transaction.transaction_type === 'credit';
+  const isPending = transaction.status === WALLET_TRANSACTION_STATUS.PENDING;
   const amountColor = isCredit ? 'text-green-600' : 'text-red-600';
   const iconBgColor = isCredit ? 'bg-green-100' : 'bg-red-100';
   const iconColor = isCredit ? 'text-green-600' : 'text-red-600';
@@ -239,8 +350,10 @@ const TransactionItem = ({ transaction }) => {
   };
 
   return (
-    <motion.div
-      className="bg-white rounded-xl shadow-sm border border-gray-100 p-4"
+    <motion.button
+      type="button"
+      onClick={() => onSelect?.(transaction)}
+      className="w-full text-left bg-white rounded-xl shadow-sm border border-gray-100 p-4"
       whileHover={{ scale: 1.01 }}
       transition={{ duration: 0.2 }}
     >
@@ -268,6 +381,12 @@ const TransactionItem = ({ transaction }) => {
           <p className="text-sm text-gray-500 mt-1">
             {formatDate(transaction.created_at)}
           </p>
+          {isPending && (
+            <span className="inline-flex items-center gap-1 mt-1 px-2 py-0.5 rounded-full bg-yellow-50 text-yellow-700 text-xs font-medium">
+              <Clock className="w-3 h-3" />
+              Pending
+            </span>
+          )}
         </div>
 
         {/* Amount and balance */}
@@ -276,11 +395,11 @@ const TransactionItem = ({ transaction }) => {
             {isCredit ? '+' : ''}₹{Math.abs(transaction.amount || 0)}
           </p>
           <p className="text-xs text-gray-500 mt-1">
-            Balance: ₹{transaction.new_balance || 0}
+            {isPending ? 'Awaiting confirmation' : `Balance: ₹${transaction.new_balance || 0}`}
           </p>
         </div>
       </div>
-    </motion.div>
+    </motion.button>
   );
 };
 
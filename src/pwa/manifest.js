@@ -0,0 +1,55 @@
+/**
+ * Web App Manifest
+ * Builds manifest.webmanifest from PWA_CONFIG. Kept free of import.meta.env so
+ * the build (plugins/pwa.js) and the app (utils/env.js) share the same defaults.
+ */
+
+export const PWA_DEFAULTS = {
+  NAME: 'EassyLife',
+  SHORT_NAME: 'EassyLife',
+  DESCRIPTION: 'AI-Powered E-Commerce Marketplace',
+  THEME_COLOR: '#FFA301',
+  BACKGROUND_COLOR: '#FFFFFF',
+  ICON_PATH: '/icons/ellogo.jpg'
+};
+
+/**
+ * Resolve PWA_CONFIG from raw VITE_* environment variables
+ * @param {Object} env - Environment variables (import.meta.env or Vite's loadEnv result)
+ * @returns {Object} PWA configuration
+ */
+export const resolvePwaConfig = (env = {}) => ({
+  NAME: env.VITE_PWA_NAME || PWA_DEFAULTS.NAME,
+  SHORT_NAME: env.VITE_PWA_SHORT_NAME || PWA_DEFAULTS.SHORT_NAME,
+  DESCRIPTION: env.VITE_PWA_DESCRIPTION || PWA_DEFAULTS.DESCRIPTION,
+  THEME_COLOR: env.VITE_PWA_THEME_COLOR || PWA_DEFAULTS.THEME_COLOR,
+  BACKGROUND_COLOR: env.VITE_PWA_BACKGROUND_COLOR || PWA_DEFAULTS.BACKGROUND_COLOR
+});
+
+/**
+ * Create the web app manifest
+ * @param {Object} pwaConfig - PWA_CONFIG
+ * @param {Object} options
+ * @param {string} options.imageBaseUrl - CDN hosting the app icon (EXTERNAL_CONFIG.IMAGE_BASE_URL)
+ * @returns {Object} Manifest JSON
+ */
+export const createWebManifest = (pwaConfig, { imageBaseUrl }) => {
+  const iconUrl = `${imageBaseUrl.replace(/\/$/, '')}${PWA_DEFAULTS.ICON_PATH}`;
+
+  return {
+    name: pwaConfig.NAME,
+    short_name: pwaConfig.SHORT_NAME,
+    description: pwaConfig.DESCRIPTION,
+    start_url: '/?source=pwa',
+    scope: '/',
+    display: 'standalone',
+    orientation: 'portrait',
+    theme_color: pwaConfig.THEME_COLOR,
+    background_color: pwaConfig.BACKGROUND_COLOR,
+    categories: ['lifestyle', 'shopping'],
+    icons: [
+      { src: iconUrl, sizes: '192x192', type: 'image/jpeg', purpose: 'any' },
+      { src: iconUrl, sizes: '512x512', type: 'image/jpeg', purpose: 'any' }
+    ]
+  };
+};
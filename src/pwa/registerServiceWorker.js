@@ -0,0 +1,96 @@
+/**
+ * Service Worker Registration
+ * Registers /sw.js in production builds and tells subscribers when a new
+ * version has been downloaded and is waiting to take over.
+ */
+
+import { FEATURE_FLAGS, PERFORMANCE_CONFIG } from '../utils/env.js';
+
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+let waitingWorker = null;
+const listeners = new Set();
+
+const notifyUpdateAvailable = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener(worker));
+};
+
+const trackInstallingWorker = (registration) => {
+  const worker = registration.installing;
+  if (!worker) return;
+
+  worker.addEventListener('statechange', () => {
+    // Only an update if a previous worker already controls the page
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+      notifyUpdateAvailable(worker);
+    }
+  });
+};
+
+/**
+ * Whether the service worker should be registered in this build
+ * @returns {boolean}
+ */
+export const isServiceWorkerEnabled = () => {
+  return import.meta.env.PROD &&
+    typeof navigator !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    FEATURE_FLAGS.ENABLE_PWA &&
+    PERFORMANCE_CONFIG.ENABLE_SERVICE_WORKER;
+};
+
+/**
+ * Register the service worker (no-op in development or when disabled)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+  if (!isServiceWorkerEnabled()) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    console.log('📦 Service worker registered');
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      notifyUpdateAvailable(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => trackInstallingWorker(registration));
+
+    // Long-lived tabs still pick up new releases
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+
+    return registration;
+  } catch (error) {
+    console.error('❌ Service worker registration failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Subscribe to "new version available" notifications
+ * Fires immediately if an update is already waiting.
+ * @param {Function} listener - Called with the waiting worker
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeUpdateAvailable = (listener) => {
+  listeners.add(listener);
+  if (waitingWorker) {
+    listener(waitingWorker);
+  }
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Activate the waiting service worker and reload once it has taken control
+ */
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,139 @@
+/**
+ * EassyLife Service Worker
+ * Emitted as /sw.js by plugins/pwa.js, which prepends `self.__PWA_CONFIG__`
+ * with the build's app-shell files and settings.
+ *
+ * - App shell: precached on install, served cache-first (file names are hashed)
+ * - Navigations: network-first; offline falls back to the cached shell when
+ *   offline mode is enabled, otherwise to /offline.html
+ * - CDN images: stale-while-revalidate in a size-capped runtime cache; only
+ *   CORS responses are stored, never opaque ones
+ * - API calls are never cached here (the axios request cache handles those)
+ *
+ * A new worker waits until the page asks it to take over (SKIP_WAITING), so the
+ * app can show a "new version available" prompt first.
+ */
+
+const {
+  cacheVersion,
+  precacheUrls,
+  imageBaseUrl,
+  offlineMode
+} = self.__PWA_CONFIG__;
+
+const SHELL_CACHE_PREFIX = 'eassylife-shell-';
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${cacheVersion}`;
+const IMAGE_CACHE = 'eassylife-images';
+const IMAGE_CACHE_MAX_ENTRIES = 150;
+const OFFLINE_URL = '/offline.html';
+const SHELL_URL = '/index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(precacheUrls))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE)
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // Cache keys are in insertion order - drop the oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch {
+    const cache = await caches.open(SHELL_CACHE);
+    const fallback = offlineMode
+      ? (await cache.match(SHELL_URL)) || (await cache.match(OFFLINE_URL))
+      : await cache.match(OFFLINE_URL);
+    return fallback || Response.error();
+  }
+};
+
+const handleShellAsset = async (request) => {
+  const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+  return cached || fetch(request);
+};
+
+// <img> requests are no-cors, whose opaque responses count as several MB of
+// storage quota each. Ask for CORS instead so the real size is stored, and
+// fall back to the plain request (for the rest of this worker's life) if the
+// bucket doesn't allow it.
+let imageCorsUnsupported = false;
+
+const fetchImage = async (request) => {
+  if (request.mode !== 'no-cors' || imageCorsUnsupported) return fetch(request);
+  try {
+    return await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    // Only a failure the plain request doesn't share means CORS is refused (not offline)
+    const response = await fetch(request);
+    imageCorsUnsupported = true;
+    return response;
+  }
+};
+
+const handleImage = async (event) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+
+  const network = fetchImage(event.request)
+    .then(async (response) => {
+      // Opaque responses are left to the HTTP cache
+      if (response.ok) {
+        await cache.put(event.request, response.clone());
+        await trimCache(IMAGE_CACHE, IMAGE_CACHE_MAX_ENTRIES);
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+  return network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && precacheUrls.includes(url.pathname)) {
+    event.respondWith(handleShellAsset(request));
+    return;
+  }
+
+  // The bucket also serves videos and documents - only images are cached
+  if (imageBaseUrl && request.url.startsWith(imageBaseUrl) && request.destination === 'image') {
+    event.respondWith(handleImage(event));
+  }
+});
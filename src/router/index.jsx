@@ -12,6 +12,7 @@ import OrderDetailPage from '../pages/Orders/OrderDetail';
 import ProfilePage from '../pages/Profile/index';
 import SettingsPage from '../pages/Settings/index';
 import NotificationPreferencesPage from '../pages/Settings/NotificationPreferences';
+import LanguageRegionPage from '../pages/Settings/LanguageRegion';
 import WalletPage from '../pages/Wallet/index';
 import FavoritesPage from '../pages/Favorites/index';
 import ReferEarnPage from '../pages/ReferEarn/index';
@@ -19,6 +20,7 @@ import VipPage from '../pages/Vip/index';
 import ServiceDetailsPage from '../pages/ServiceDetails/index';
 import ServiceSelectionPage from '../pages/ServiceSelection/index';
 import ServiceProviderPage from '../pages/ServiceProvider/index';
+import SearchPage from '../pages/Search/index';
 import ApiDebugTest from '../pages/ServiceProvider/ApiDebugTest';
 import ServiceRedirectHandler from '../components/ServiceRedirectHandler';
 import PaymentSuccessPage from '../pages/PaymentSuccess';
@@ -121,6 +123,16 @@ const router = createBrowserRouter([
           </ProtectedRoute>
         ),
       },
+      {
+        path: '/settings/preferences',
+        element: (
+          <ProtectedRoute>
+            <MobileOnlyRoute>
+              <LanguageRegionPage />
+            </MobileOnlyRoute>
+          </ProtectedRoute>
+        ),
+      },
       {
         path: '/wallet',
         element: (
@@ -169,6 +181,14 @@ const router = createBrowserRouter([
           </ProtectedRoute>
         ),
       },
+      {
+        path: '/search',
+        element: (
+          <ProtectedRoute>
+            <SearchPage />
+          </ProtectedRoute>
+        ),
+      },
       {
         path: '/service-providers',
         element: (
@@ -2,6 +2,7 @@ import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import notificationService from '../api/services/notificationService.js';
 import toast from 'react-hot-toast';
+import { TAB_SYNC_EVENTS, subscribeTabEvent } from '../sync/tabSync.js';
 
 /**
  * Notification Store - Manages notification preferences and settings
@@ -250,4 +251,9 @@ const useNotificationStore = create(
   )
 );
 
+// Another tab signed in or out - drop this user's cached data
+[TAB_SYNC_EVENTS.LOGIN, TAB_SYNC_EVENTS.LOGOUT].forEach((event) => {
+  subscribeTabEvent(event, () => useNotificationStore.getState().reset());
+});
+
 export default useNotificationStore;
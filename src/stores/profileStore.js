@@ -2,6 +2,7 @@ import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import profileService from '../api/services/profileService.js';
 import toast from 'react-hot-toast';
+import { TAB_SYNC_EVENTS, subscribeTabEvent } from '../sync/tabSync.js';
 
 /**
  * Profile Store - Manages user profile data and operations
@@ -261,4 +262,9 @@ const useProfileStore = create(
   )
 );
 
+// Another tab signed in or out - drop this user's cached data
+[TAB_SYNC_EVENTS.LOGIN, TAB_SYNC_EVENTS.LOGOUT].forEach((event) => {
+  subscribeTabEvent(event, () => useProfileStore.getState().reset());
+});
+
 export default useProfileStore;
@@ -2,6 +2,23 @@ import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
 import walletService from '../api/services/walletService.js';
 import toast from 'react-hot-toast';
+import { toPaise, fromPaise } from '../utils/money.js';
+import { TAB_SYNC_EVENTS, subscribeTabEvent } from '../sync/tabSync.js';
+
+export const WALLET_TRANSACTION_STATUS = {
+  PENDING: 'pending', // Paid at the gateway, not yet credited by the backend
+  CONFIRMED: 'confirmed'
+};
+
+// Top-ups still awaiting the backend are shown above the first page of credits
+const keepsPendingTopUps = ({ page = 1, type = 'all' }) => page === 1 && (type === 'all' || type === 'credit');
+
+const addPaise = (amount, paise) => fromPaise(toPaise(amount) + paise);
+
+const isSameStatement = (a, b) => a.type === b.type && a.startDate === b.startDate && a.endDate === b.endDate;
+
+// Month shown before its totals have been fetched
+const UNKNOWN_MONTH_TOTALS = { totalCredits: null, totalDebits: null, totalTransactions: null, netAmount: null };
 
 /**
  * Wallet Store - Manages wallet data and transactions
@@ -18,11 +35,16 @@ const useWalletStore = create(
       error: null,
       pagination: null,
       lastFetched: null,
+      balanceFetchedAt: null,
       filters: {
         type: 'all',
         page: 1,
-        limit: 20
+        limit: 20,
+        startDate: null,
+        endDate: null
       },
+      // Whole-month totals for the current filters, by YYYY-MM (null while fetching)
+      monthlyTotals: {},
 
       // Actions
       setLoading: (loading) => set({ loading }, false, 'setLoading'),
@@ -69,28 +91,39 @@ const useWalletStore = create(
           
           if (response.success) {
             // Transform backend data to match frontend expectations
-            const transformedTransactions = (response.data || []).map(transaction => ({
-              id: transaction.id,
-              user_id: transaction.user_id,
-              transaction_type: transaction.transaction_type,
-              amount: parseFloat(transaction.amount || 0),
-              reason: transaction.reason,
-              previous_balance: parseFloat(transaction.previous_balance || 0),
-              new_balance: parseFloat(transaction.new_balance || 0),
-              created_at: transaction.created_at,
-              // Add computed fields for UI
-              type: transaction.transaction_type, // credit/debit
-              description: transaction.reason?.replace(/_/g, ' ').toUpperCase() || 'Transaction',
-              date: transaction.created_at ? new Date(transaction.created_at * 1000).toLocaleDateString() : new Date().toLocaleDateString(),
-              formattedAmount: `₹${Math.abs(parseFloat(transaction.amount || 0)).toFixed(2)}`
-            }));
+            const pageTransactions = walletService.filterTransactionsByDateRange(
+              (response.data || []).map((transaction) => walletService.normalizeTransaction(transaction)),
+              queryOptions.startDate,
+              queryOptions.endDate
+            );
+
+            // The backend doesn't list a top-up until it is credited - keep ours on top until then
+            const pendingTopUps = keepsPendingTopUps(queryOptions)
+              ? get().transactions.filter((transaction) => transaction.status === WALLET_TRANSACTION_STATUS.PENDING)
+              : [];
+
+            // Later pages are appended for infinite scroll
+            const previousTransactions = queryOptions.page > 1 ? get().transactions : pendingTopUps;
+            const loadedIds = new Set(previousTransactions.map((transaction) => transaction.id));
+            const transformedTransactions = [
+              ...previousTransactions,
+              ...pageTransactions.filter((transaction) => !loadedIds.has(transaction.id))
+            ];
 
             set({
               transactions: transformedTransactions,
-              pagination: response.pagination,
+              pagination: response.pagination || {
+                // No pagination from the backend - a full page means there may be more
+                hasNextPage: (response.data || []).length >= queryOptions.limit,
+                hasPreviousPage: queryOptions.page > 1
+              },
+              // A first page means new filters or fresh data - totals are fetched again
+              ...(queryOptions.page > 1 ? {} : { monthlyTotals: {} }),
               loading: false,
               lastFetched: Date.now()
             }, false, 'fetchWalletHistory:success');
+
+            get().fetchMonthlyTotals();
           } else {
             throw new Error(response.message || 'Failed to fetch wallet history');
           }
@@ -120,7 +153,8 @@ const useWalletStore = create(
           
           if (response.success) {
             set({ 
-              balance: response.data.balance || 0
+              balance: response.data.balance || 0,
+              balanceFetchedAt: Date.now()
             }, false, 'fetchWalletBalance:success');
           } else {
             console.warn('Failed to fetch wallet balance:', response.message);
@@ -157,7 +191,7 @@ const useWalletStore = create(
             
             // Refresh wallet data
             get().fetchWalletBalance(true);
-            get().fetchWalletHistory({}, true);
+            get().fetchWalletHistory({ page: 1 }, true);
             
             return { success: true, data: response.data };
           } else {
@@ -177,6 +211,80 @@ const useWalletStore = create(
         }
       },
 
+      /**
+       * Show a paid top-up before the backend has credited it
+       * Adds the amount to the balance and puts a pending credit at the top of the history.
+       * @param {Object} topUp
+       * @param {string} topUp.razorpayOrderId - Razorpay order of the top-up
+       * @param {number} topUp.amount - Amount in rupees
+       */
+      addPendingTopUp: ({ razorpayOrderId, amount }) => {
+        const { balance, transactions } = get();
+        if (transactions.some((transaction) => transaction.id === razorpayOrderId)) return;
+
+        const newBalance = addPaise(balance, toPaise(amount));
+        const pendingTransaction = {
+          id: razorpayOrderId,
+          transaction_type: 'credit',
+          amount: parseFloat(amount),
+          reason: 'wallet_top_up',
+          previous_balance: balance,
+          new_balance: newBalance,
+          created_at: Math.floor(Date.now() / 1000),
+          type: 'credit',
+          description: 'MONEY ADDED',
+          date: new Date().toLocaleDateString(),
+          formattedAmount: `₹${Math.abs(parseFloat(amount)).toFixed(2)}`,
+          status: WALLET_TRANSACTION_STATUS.PENDING,
+          // Whether the amount is currently counted in the balance
+          balanceApplied: true
+        };
+
+        set({
+          balance: newBalance,
+          transactions: [pendingTransaction, ...transactions]
+        }, false, 'addPendingTopUp');
+      },
+
+      /**
+       * The backend credited a top-up - replace the optimistic values with its own
+       * @param {string} razorpayOrderId - Razorpay order of the top-up
+       */
+      confirmTopUp: async (razorpayOrderId) => {
+        set({
+          transactions: get().transactions.map((transaction) => (
+            transaction.id === razorpayOrderId
+              ? { ...transaction, status: WALLET_TRANSACTION_STATUS.CONFIRMED }
+              : transaction
+          ))
+        }, false, 'confirmTopUp');
+
+        // The credited transaction comes back in the refreshed history
+        await get().refresh();
+      },
+
+      /**
+       * Undo the optimistic balance of a top-up the backend has not credited
+       * @param {string} razorpayOrderId - Razorpay order of the top-up
+       * @param {Object} [options]
+       * @param {boolean} [options.keepPending=false] - Keep the pending entry (charged, awaiting confirmation)
+       */
+      rollbackTopUp: async (razorpayOrderId, { keepPending = false } = {}) => {
+        const { balance, transactions } = get();
+        const topUp = transactions.find((transaction) => transaction.id === razorpayOrderId);
+
+        set({
+          balance: topUp?.balanceApplied ? addPaise(balance, -toPaise(topUp.amount)) : balance,
+          transactions: keepPending
+            ? transactions.map((transaction) => (
+              transaction.id === razorpayOrderId ? { ...transaction, balanceApplied: false } : transaction
+            ))
+            : transactions.filter((transaction) => transaction.id !== razorpayOrderId)
+        }, false, 'rollbackTopUp');
+
+        await get().fetchWalletBalance(true);
+      },
+
       getTransactionDetails: async (transactionId) => {
         try {
           const response = await walletService.getTransactionDetails(transactionId);
@@ -259,6 +367,62 @@ const useWalletStore = create(
         return get().fetchWalletHistory({ type, page: 1 });
       },
 
+      /**
+       * Reload the history from the first page with new filters
+       * @param {Object} filters - Any of { type, startDate, endDate } (dates as YYYY-MM-DD, null to clear)
+       */
+      applyFilters: async (filters) => {
+        return get().fetchWalletHistory({ ...filters, page: 1 });
+      },
+
+      /**
+       * Fetch whole-month totals for every month in the loaded history
+       * Loaded pages can end mid-month, so the totals come from the months' full statement,
+       * fetched in one go for all the new months.
+       */
+      fetchMonthlyTotals: async () => {
+        const { transactions, filters, monthlyTotals } = get();
+        // Pending top-ups are not in the backend history yet - they never count towards a total
+        const monthKeys = [...new Set(transactions
+          .filter((transaction) => transaction.status !== WALLET_TRANSACTION_STATUS.PENDING)
+          .map((transaction) => walletService.getMonthKey(transaction)))]
+          .filter((monthKey) => !(monthKey in monthlyTotals));
+        if (monthKeys.length === 0) return;
+
+        set({
+          monthlyTotals: { ...monthlyTotals, ...Object.fromEntries(monthKeys.map((monthKey) => [monthKey, null])) }
+        }, false, 'fetchMonthlyTotals:start');
+
+        try {
+          const totals = await walletService.getMonthTotals(monthKeys, filters);
+          // Dropped if the filters changed meanwhile
+          if (isSameStatement(get().filters, filters)) {
+            const current = get().monthlyTotals;
+            const fetched = monthKeys
+              .filter((monthKey) => monthKey in current)
+              .map((monthKey) => [monthKey, totals[monthKey]]);
+            set({ monthlyTotals: { ...current, ...Object.fromEntries(fetched) } }, false, 'fetchMonthlyTotals:success');
+          }
+        } catch (error) {
+          console.error('❌ Wallet monthly totals fetch error:', error);
+          const rest = Object.fromEntries(Object.entries(get().monthlyTotals)
+            .filter(([monthKey, totals]) => !(monthKeys.includes(monthKey) && totals === null)));
+          set({ monthlyTotals: rest }, false, 'fetchMonthlyTotals:error');
+        }
+      },
+
+      /**
+       * Loaded transactions grouped by month, with whole-month totals
+       * Totals are null until fetchMonthlyTotals has them.
+       */
+      getMonthlyStatistics: () => {
+        const { transactions, monthlyTotals } = get();
+        return walletService.getMonthlyStatistics(transactions).map((month) => ({
+          ...month,
+          ...(monthlyTotals[month.key] || UNKNOWN_MONTH_TOTALS)
+        }));
+      },
+
       // Reset store
       reset: () => set({
         balance: 0,
@@ -268,18 +432,23 @@ const useWalletStore = create(
         error: null,
         pagination: null,
         lastFetched: null,
+        balanceFetchedAt: null,
         filters: {
           type: 'all',
           page: 1,
-          limit: 20
-        }
+          limit: 20,
+          startDate: null,
+          endDate: null
+        },
+        monthlyTotals: {}
       }, false, 'reset'),
 
       // Refresh wallet data
       refresh: async () => {
         await Promise.all([
           get().fetchWalletBalance(true),
-          get().fetchWalletHistory({}, true)
+          // From the first page - later pages are appended to it
+          get().fetchWalletHistory({ page: 1 }, true)
         ]);
       }
     }),
@@ -291,4 +460,48 @@ const useWalletStore = create(
   )
 );
 
+/**
+ * Refetch only the wallet data this tab has loaded; anything else is fetched
+ * fresh when first shown, as the request cache already dropped it
+ */
+const refreshLoadedWallet = () => {
+  const { balanceFetchedAt, lastFetched, fetchWalletBalance, fetchWalletHistory } = useWalletStore.getState();
+  if (balanceFetchedAt) {
+    fetchWalletBalance(true);
+  }
+  if (lastFetched) {
+    fetchWalletHistory({ page: 1 }, true);
+  }
+};
+
+let refreshWhenVisible = false;
+
+const handleVisibilityChange = () => {
+  if (document.hidden) return;
+
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  refreshWhenVisible = false;
+  refreshLoadedWallet();
+};
+
+// Balance changed in another tab (top-up, checkout). The publishing tab never
+// gets its own message; background tabs wait until they are shown again, so a
+// change costs one refetch per visible tab rather than one per open tab.
+subscribeTabEvent(TAB_SYNC_EVENTS.WALLET_CHANGED, () => {
+  if (typeof document !== 'undefined' && document.hidden) {
+    if (!refreshWhenVisible) {
+      refreshWhenVisible = true;
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+    return;
+  }
+
+  refreshLoadedWallet();
+});
+
+// Another tab signed in or out - the wallet may belong to someone else now
+[TAB_SYNC_EVENTS.LOGIN, TAB_SYNC_EVENTS.LOGOUT].forEach((event) => {
+  subscribeTabEvent(event, () => useWalletStore.getState().reset());
+});
+
 export default useWalletStore;
@@ -0,0 +1,167 @@
+/**
+ * Tab Sync
+ * Keeps tabs of the same browser in step: one tab publishes what changed
+ * (sign-in, sign-out, cart, addresses, wallet) and the others update their
+ * state or refetch.
+ *
+ * - BroadcastChannel where available
+ * - Otherwise `storage` events: the message is written to a localStorage key
+ *   and removed straight away, which other tabs see as a storage event
+ * - A tab never receives its own messages
+ *
+ * Payloads must be plain, JSON-serializable data - never tokens.
+ */
+
+export const TAB_SYNC_EVENTS = {
+  LOGIN: 'auth:login',
+  LOGOUT: 'auth:logout',
+  CART_CHANGED: 'cart:changed',
+  ADDRESSES_CHANGED: 'addresses:changed',
+  WALLET_CHANGED: 'wallet:changed'
+};
+
+export const TAB_SYNC_TRANSPORTS = {
+  BROADCAST_CHANNEL: 'broadcastChannel',
+  STORAGE: 'storage',
+  NONE: 'none'
+};
+
+const CHANNEL_NAME = 'eassylife_sync';
+const STORAGE_KEY = 'eassylife_sync_message';
+
+const createTabId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Create a tab sync channel
+ * @param {Object} [options] - Overrides for tests
+ * @param {Function} [options.BroadcastChannelImpl] - BroadcastChannel constructor; null forces the fallback
+ * @param {Storage} [options.storage] - Storage used by the fallback
+ * @param {EventTarget} [options.target] - Receives `storage` events (window)
+ * @returns {{ tabId: string, getTransport: Function, publish: Function, subscribe: Function, close: Function }}
+ */
+export const createTabSync = ({
+  BroadcastChannelImpl = globalThis.BroadcastChannel,
+  storage = globalThis.localStorage,
+  target = globalThis.window
+} = {}) => {
+  const tabId = createTabId();
+  const listeners = new Map(); // type -> Set<handler>
+  let channel = null;
+  let storageListener = null;
+
+  const transport = typeof BroadcastChannelImpl === 'function'
+    ? TAB_SYNC_TRANSPORTS.BROADCAST_CHANNEL
+    : storage && target?.addEventListener
+      ? TAB_SYNC_TRANSPORTS.STORAGE
+      : TAB_SYNC_TRANSPORTS.NONE;
+
+  const deliver = (message) => {
+    if (!message?.type || message.source === tabId) return;
+
+    listeners.get(message.type)?.forEach((handler) => {
+      try {
+        handler(message.payload, message);
+      } catch (error) {
+        console.error('❌ TabSync: Listener error:', message.type, error);
+      }
+    });
+  };
+
+  // Connected lazily so importing the module never opens a channel
+  const connect = () => {
+    if (transport === TAB_SYNC_TRANSPORTS.BROADCAST_CHANNEL && !channel) {
+      channel = new BroadcastChannelImpl(CHANNEL_NAME);
+      channel.onmessage = (event) => deliver(event.data);
+    }
+
+    if (transport === TAB_SYNC_TRANSPORTS.STORAGE && !storageListener) {
+      storageListener = (event) => {
+        if (event.key !== STORAGE_KEY || !event.newValue) return;
+        try {
+          deliver(JSON.parse(event.newValue));
+        } catch (error) {
+          console.warn('⚠️ TabSync: Ignoring malformed message:', error.message);
+        }
+      };
+      target.addEventListener('storage', storageListener);
+    }
+  };
+
+  /**
+   * Tell other tabs that something changed
+   * @param {string} type - TAB_SYNC_EVENTS value
+   * @param {Object} [payload]
+   */
+  const publish = (type, payload = {}) => {
+    if (transport === TAB_SYNC_TRANSPORTS.NONE) return;
+    connect();
+
+    const message = { type, payload, source: tabId, sentAt: Date.now() };
+    console.log('📡 TabSync: Publishing', type);
+
+    try {
+      if (channel) {
+        channel.postMessage(message);
+        return;
+      }
+
+      // The random id makes every write a change, even for identical messages
+      storage.setItem(STORAGE_KEY, JSON.stringify({ ...message, id: createTabId() }));
+      storage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage full or blocked (private mode) - other tabs catch up on their next fetch
+      console.warn('⚠️ TabSync: Could not publish', type, error.message);
+    }
+  };
+
+  /**
+   * Listen for an event published by another tab
+   * @param {string} type - TAB_SYNC_EVENTS value
+   * @param {Function} handler - Called with (payload, message)
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (type, handler) => {
+    connect();
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => listeners.get(type)?.delete(handler);
+  };
+
+  /**
+   * Stop listening and release the channel
+   */
+  const close = () => {
+    listeners.clear();
+    channel?.close();
+    channel = null;
+    if (storageListener) {
+      target.removeEventListener('storage', storageListener);
+      storageListener = null;
+    }
+  };
+
+  return {
+    tabId,
+    getTransport: () => transport,
+    publish,
+    subscribe,
+    close
+  };
+};
+
+const tabSync = createTabSync();
+
+/**
+ * Tell other tabs that something changed
+ * @param {string} type - TAB_SYNC_EVENTS value
+ * @param {Object} [payload]
+ */
+export const publishTabEvent = (type, payload) => tabSync.publish(type, payload);
+
+/**
+ * Listen for an event published by another tab
+ * @param {string} type - TAB_SYNC_EVENTS value
+ * @param {Function} handler - Called with (payload, message)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeTabEvent = (type, handler) => tabSync.subscribe(type, handler);
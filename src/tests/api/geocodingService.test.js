@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import geocodingService, { GEOCODING_PROVIDERS } from '../../api/services/geocodingService';
+import { GeocodeCache, coordinateKey, predictionsKey } from '../../geocoding/cache';
+import { RequestThrottle, ThrottleError } from '../../geocoding/throttle';
+import { ProviderHealth } from '../../geocoding/providerHealth';
+
+const createMemoryStore = () => {
+  const entries = new Map();
+  return {
+    get: async (key) => entries.get(key),
+    set: async (key, value) => {
+      entries.set(key, value);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    clear: async () => entries.clear()
+  };
+};
+
+const nominatimReverse = {
+  display_name: 'Gateway of India, Colaba, Mumbai, Maharashtra, 400001, India',
+  address: { road: 'Apollo Bandar', suburb: 'Colaba', city: 'Mumbai', state: 'Maharashtra', postcode: '400001', country: 'India' }
+};
+
+const jsonResponse = (body) => ({ ok: true, json: async () => body });
+
+describe('geocoding cache, throttle and provider health', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keys lookups by rounded coordinates and normalized queries', () => {
+    expect(coordinateKey(19.07601, 72.87769)).toBe(coordinateKey(19.07604, 72.87771));
+    expect(coordinateKey(19.0760, 72.8777)).not.toBe(coordinateKey(19.0762, 72.8777));
+    expect(predictionsKey('  Bandra   West ')).toBe(predictionsKey('bandra west'));
+  });
+
+  it('expires entries and reads persisted ones back', async () => {
+    let now = 1000;
+    const store = createMemoryStore();
+    const cache = new GeocodeCache({ store, now: () => now });
+
+    await cache.set('rev:1,2', { city: 'Mumbai' }, 5000);
+    const reloaded = new GeocodeCache({ store, now: () => now });
+    expect(await reloaded.get('rev:1,2')).toEqual({ city: 'Mumbai' });
+
+    now = 6000;
+    expect(await reloaded.get('rev:1,2')).toBeNull();
+    expect(await store.get('rev:1,2')).toBeUndefined();
+  });
+
+  it('spaces requests out and rejects when too many are queued', async () => {
+    vi.useFakeTimers();
+    const throttle = new RequestThrottle({ minInterval: 1000, maxPending: 2 });
+    const startedAt = [];
+    const task = () => {
+      startedAt.push(Date.now());
+      return Promise.resolve();
+    };
+
+    const first = throttle.schedule(task);
+    const second = throttle.schedule(task);
+    await expect(throttle.schedule(task)).rejects.toBeInstanceOf(ThrottleError);
+
+    await vi.runAllTimersAsync();
+    await Promise.all([first, second]);
+    expect(startedAt[1] - startedAt[0]).toBeGreaterThanOrEqual(1000);
+  });
+
+  it('skips a provider after repeated failures until its cooldown passes', () => {
+    let now = 0;
+    const health = new ProviderHealth({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+    health.recordFailure('osm', new Error('503'));
+    expect(health.isAvailable('osm')).toBe(true);
+    health.recordFailure('osm', new Error('503'));
+    expect(health.isAvailable('osm')).toBe(false);
+
+    now = 1000;
+    expect(health.isAvailable('osm')).toBe(true);
+    // Still failing - the next cooldown is twice as long
+    health.recordFailure('osm', new Error('503'));
+    expect(health.getStatus().osm.unavailableUntil).toBe(3000);
+
+    health.recordSuccess('osm');
+    expect(health.getStatus().osm).toMatchObject({ available: true, failures: 0 });
+  });
+});
+
+describe('geocodingService failover', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+
+    await geocodingService.initialize();
+    geocodingService.cache = new GeocodeCache({ store: null });
+    geocodingService.health = new ProviderHealth({ failureThreshold: 1 });
+    geocodingService.throttles = Object.fromEntries(
+      Object.values(GEOCODING_PROVIDERS).map((provider) => [provider, new RequestThrottle()])
+    );
+    geocodingService.geocoder = null;
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('caches reverse geocoding for nearby pins and shares in-flight lookups', async () => {
+    fetchMock.mockResolvedValue(jsonResponse(nominatimReverse));
+
+    const [first, second] = await Promise.all([
+      geocodingService.getAddressFromCoordinates(18.92198, 72.83465),
+      geocodingService.getAddressFromCoordinates(18.92198, 72.83465)
+    ]);
+    const nearby = await geocodingService.getAddressFromCoordinates(18.92201, 72.83462);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toContain('nominatim.openstreetmap.org/reverse?');
+    expect(first).toEqual(second);
+    expect(nearby).toMatchObject({ city: 'Mumbai', postalCode: '400001' });
+    expect(nearby.coordinates).toEqual({ latitude: 18.92201, longitude: 72.83462 });
+  });
+
+  it('falls back to OpenStreetMap when Google fails and stops trying Google', async () => {
+    const geocode = vi.fn((request, callback) => callback(null, 'OVER_QUERY_LIMIT'));
+    geocodingService.geocoder = { geocode };
+    fetchMock.mockResolvedValue(jsonResponse(nominatimReverse));
+
+    const result = await geocodingService.getAddressFromCoordinates(18.92, 72.83);
+    await geocodingService.getAddressFromCoordinates(19.1, 72.9);
+
+    expect(result).toMatchObject({ success: true, city: 'Mumbai' });
+    expect(geocode).toHaveBeenCalledTimes(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(geocodingService.getProviderStatus().google.available).toBe(false);
+  });
+
+  it('resolves OpenStreetMap predictions to cached place details', async () => {
+    fetchMock.mockResolvedValueOnce(jsonResponse([{
+      osm_type: 'node',
+      osm_id: 42,
+      name: 'Gateway of India',
+      type: 'attraction',
+      lat: '18.9219',
+      lon: '72.8346',
+      ...nominatimReverse
+    }]));
+
+    const [prediction] = await geocodingService.getPlacePredictions('gateway of india');
+    const details = await geocodingService.getPlaceDetails(prediction.placeId);
+
+    expect(prediction).toMatchObject({ placeId: 'osm:N42', mainText: 'Gateway of India' });
+    expect(details.coordinates).toEqual({ latitude: 18.9219, longitude: 72.8346 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
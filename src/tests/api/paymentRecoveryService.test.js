@@ -0,0 +1,265 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const {
+  getPaymentStatus,
+  processCheckout,
+  getOrderDetail,
+  processPartialPayment,
+  getVipStatus,
+  purchaseVipPlan,
+  addMoney,
+  findTopUpCredit
+} = vi.hoisted(() => ({
+  getPaymentStatus: vi.fn(),
+  processCheckout: vi.fn(),
+  getOrderDetail: vi.fn(),
+  processPartialPayment: vi.fn(),
+  getVipStatus: vi.fn(),
+  purchaseVipPlan: vi.fn(),
+  addMoney: vi.fn(),
+  findTopUpCredit: vi.fn()
+}));
+
+vi.mock('../../api/services/cartService.js', () => ({
+  default: { getPaymentStatus, processCheckout }
+}));
+
+vi.mock('../../api/services/orderService.js', () => ({
+  default: { getOrderDetail, processPartialPayment }
+}));
+
+vi.mock('../../api/services/vipService.js', () => ({
+  default: { getVipStatus, purchaseVipPlan }
+}));
+
+vi.mock('../../api/services/walletService.js', () => ({
+  default: { addMoney, findTopUpCredit }
+}));
+
+import paymentRecoveryService, { RECOVERY_RESULT } from '../../api/services/paymentRecoveryService';
+import {
+  PAYMENT_JOURNAL_TYPE,
+  recordPendingPayment,
+  markPaymentAuthorized,
+  getPendingPayments
+} from '../../utils/paymentJournal';
+
+const checkoutData = { total_amount: '499', notes: '' };
+const paymentResponse = {
+  razorpay_payment_id: 'pay_1',
+  razorpay_order_id: 'order_1',
+  razorpay_signature: 'sig_1'
+};
+
+const lookup = (data) => ({ success: true, data: { paymentStatus: '', paymentId: '', bookingId: null, ...data } });
+
+describe('paymentRecoveryService', () => {
+  beforeEach(() => {
+    getPaymentStatus.mockReset();
+    processCheckout.mockReset();
+    getOrderDetail.mockReset();
+    processPartialPayment.mockReset();
+    getVipStatus.mockReset();
+    purchaseVipPlan.mockReset();
+    addMoney.mockReset();
+    findTopUpCredit.mockReset();
+    findTopUpCredit.mockResolvedValue(null);
+  });
+
+  it('resolves entries the backend already booked', async () => {
+    recordPendingPayment('order_1', { userId: 1, amount: 499, checkoutData });
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'captured', bookingId: 'b1' }));
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(result).toMatchObject({ result: RECOVERY_RESULT.RECOVERED, bookingId: 'b1' });
+    expect(processCheckout).not.toHaveBeenCalled();
+    expect(getPendingPayments(1)).toHaveLength(0);
+  });
+
+  it('submits a paid but unbooked checkout with the signature', async () => {
+    recordPendingPayment('order_1', { userId: 1, amount: 499, checkoutData });
+    markPaymentAuthorized('order_1', paymentResponse);
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'captured' }));
+    processCheckout.mockResolvedValue({ success: true, data: { booking_id: 'b2' } });
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(processCheckout).toHaveBeenCalledWith(expect.objectContaining({
+      razorpay_order_id: 'order_1',
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: 'sig_1',
+      payment_status: 'paid'
+    }));
+    expect(result.result).toBe(RECOVERY_RESULT.RECOVERED);
+  });
+
+  it('keeps recent unpaid checkouts pending', async () => {
+    recordPendingPayment('order_1', { userId: 1, amount: 499, checkoutData });
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'created' }));
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(result.result).toBe(RECOVERY_RESULT.PENDING);
+    expect(processCheckout).not.toHaveBeenCalled();
+    expect(getPendingPayments(1)).toHaveLength(1);
+  });
+
+  it('marks checkouts failed only after the backend confirms it', async () => {
+    recordPendingPayment('order_1', { userId: 1, amount: 499, checkoutData });
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'failed' }));
+    processCheckout.mockResolvedValue({ success: true });
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(result.result).toBe(RECOVERY_RESULT.FAILED);
+    expect(processCheckout).toHaveBeenCalledWith(expect.objectContaining({ payment_status: 'failed' }));
+    expect(getPendingPayments(1)).toHaveLength(0);
+  });
+
+  it('keeps entries when the backend cannot be reached', async () => {
+    recordPendingPayment('order_1', { userId: 1, amount: 499, checkoutData });
+    getPaymentStatus.mockRejectedValue(new Error('Network error'));
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(result.result).toBe(RECOVERY_RESULT.PENDING);
+    expect(getPendingPayments(1)).toHaveLength(1);
+  });
+
+  it("ignores another user's checkouts", async () => {
+    recordPendingPayment('order_1', { userId: 2, amount: 499, checkoutData });
+
+    const results = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(results).toEqual([]);
+    expect(getPaymentStatus).not.toHaveBeenCalled();
+  });
+
+  describe('balance payments', () => {
+    const balanceData = { orderId: 'b1', itemId: 'i1', remainingConvenienceCharge: '20', useWallet: false };
+    const partialBooking = (isPartial) => ({ success: true, data: { id: 'b1', items: [{ id: 'i1', is_partial: isPartial }] } });
+
+    it('submits a paid balance with the signature and never creates a booking', async () => {
+      recordPendingPayment('order_1', { userId: 1, amount: 300, checkoutData: balanceData, type: PAYMENT_JOURNAL_TYPE.BALANCE });
+      markPaymentAuthorized('order_1', paymentResponse);
+      getOrderDetail.mockResolvedValue(partialBooking(1));
+      getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'captured', bookingId: 'b1' }));
+      processPartialPayment.mockResolvedValue({ success: true });
+
+      const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+      expect(processPartialPayment).toHaveBeenCalledWith(expect.objectContaining({
+        itemId: 'i1',
+        razorpayOrderId: 'order_1',
+        remainingConvenienceCharge: '20',
+        paymentResponse
+      }));
+      expect(processCheckout).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ result: RECOVERY_RESULT.RECOVERED, type: PAYMENT_JOURNAL_TYPE.BALANCE, bookingId: 'b1' });
+      expect(getPendingPayments(1)).toHaveLength(0);
+    });
+
+    it('resolves balances the booking already shows as paid', async () => {
+      recordPendingPayment('order_1', { userId: 1, amount: 300, checkoutData: balanceData, type: PAYMENT_JOURNAL_TYPE.BALANCE });
+      getOrderDetail.mockResolvedValue(partialBooking(0));
+
+      const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+      expect(result.result).toBe(RECOVERY_RESULT.RECOVERED);
+      expect(getPaymentStatus).not.toHaveBeenCalled();
+      expect(processPartialPayment).not.toHaveBeenCalled();
+    });
+
+    it('drops an uncharged balance payment without reporting it to the booking', async () => {
+      recordPendingPayment('order_1', { userId: 1, amount: 300, checkoutData: balanceData, type: PAYMENT_JOURNAL_TYPE.BALANCE });
+      getOrderDetail.mockResolvedValue(partialBooking(1));
+      getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'failed' }));
+
+      const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+      expect(result).toMatchObject({ result: RECOVERY_RESULT.FAILED, type: PAYMENT_JOURNAL_TYPE.BALANCE });
+      expect(processPartialPayment).not.toHaveBeenCalled();
+      expect(getPendingPayments(1)).toHaveLength(0);
+    });
+  });
+
+  it('activates a VIP plan whose payment callback never arrived', async () => {
+    recordPendingPayment('order_vip', {
+      userId: 1,
+      amount: 999,
+      checkoutData: { planId: 'plan-1', amount: 999 },
+      type: PAYMENT_JOURNAL_TYPE.VIP
+    });
+    getVipStatus.mockResolvedValue({ status: true, data: { isVip: false } });
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'captured', paymentId: 'pay_9' }));
+    purchaseVipPlan.mockResolvedValue({ status: true });
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(purchaseVipPlan).toHaveBeenCalledWith(expect.objectContaining({
+      planId: 'plan-1',
+      paymentResponse: expect.objectContaining({ razorpay_order_id: 'order_vip', razorpay_payment_id: 'pay_9' })
+    }));
+    expect(result).toMatchObject({ result: RECOVERY_RESULT.RECOVERED, type: PAYMENT_JOURNAL_TYPE.VIP });
+    expect(getPendingPayments(1)).toHaveLength(0);
+  });
+
+  it('credits a wallet top-up that was charged but never verified', async () => {
+    recordPendingPayment('order_topup', {
+      userId: 1,
+      amount: 500,
+      checkoutData: { amount: 500 },
+      type: PAYMENT_JOURNAL_TYPE.WALLET_TOPUP
+    });
+    markPaymentAuthorized('order_topup', { ...paymentResponse, razorpay_order_id: 'order_topup' });
+    getPaymentStatus.mockResolvedValue(lookup({ paymentStatus: 'captured', paymentId: 'pay_1' }));
+    addMoney.mockResolvedValue({ success: true });
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(addMoney).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 500,
+      razorpay_order_id: 'order_topup',
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: 'sig_1'
+    }));
+    expect(result).toMatchObject({ result: RECOVERY_RESULT.RECOVERED, type: PAYMENT_JOURNAL_TYPE.WALLET_TOPUP, amount: 500 });
+    expect(getPendingPayments(1)).toHaveLength(0);
+  });
+
+  it('does not submit a top-up again once the wallet shows its credit', async () => {
+    recordPendingPayment('order_topup', {
+      userId: 1,
+      amount: 500,
+      checkoutData: { amount: 500 },
+      type: PAYMENT_JOURNAL_TYPE.WALLET_TOPUP
+    });
+    markPaymentAuthorized('order_topup', { ...paymentResponse, razorpay_order_id: 'order_topup' });
+    findTopUpCredit.mockResolvedValue({ id: 't9', razorpay_order_id: 'order_topup', amount: 500 });
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(findTopUpCredit).toHaveBeenCalledWith('order_topup', expect.any(Number));
+    expect(addMoney).not.toHaveBeenCalled();
+    expect(getPaymentStatus).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ result: RECOVERY_RESULT.RECOVERED, amount: 500 });
+    expect(getPendingPayments(1)).toHaveLength(0);
+  });
+
+  it('keeps a top-up journalled when the wallet history cannot be checked', async () => {
+    recordPendingPayment('order_topup', {
+      userId: 1,
+      amount: 500,
+      checkoutData: { amount: 500 },
+      type: PAYMENT_JOURNAL_TYPE.WALLET_TOPUP
+    });
+    findTopUpCredit.mockRejectedValue(new Error('Network Error'));
+
+    const [result] = await paymentRecoveryService.reconcilePendingPayments(1);
+
+    expect(addMoney).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ result: RECOVERY_RESULT.PENDING });
+    expect(getPendingPayments(1)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { networkAdapter, publishTabEvent, tabListeners } = vi.hoisted(() => ({
+  networkAdapter: vi.fn(),
+  publishTabEvent: vi.fn(),
+  tabListeners: new Map()
+}));
+
+vi.mock('axios', () => ({
+  default: {
+    defaults: { adapter: ['xhr'] },
+    getAdapter: () => networkAdapter
+  }
+}));
+
+vi.mock('../../sync/tabSync.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  publishTabEvent,
+  subscribeTabEvent: (type, handler) => tabListeners.set(type, handler)
+}));
+
+import { TAB_SYNC_EVENTS } from '../../sync/tabSync.js';
+import {
+  cacheAdapter,
+  getCachePolicy,
+  invalidateCache,
+  clearRequestCache
+} from '../../api/requestCache';
+
+const ok = (data) => ({ data, status: 200, statusText: 'OK', headers: {} });
+
+describe('requestCache', () => {
+  beforeEach(() => {
+    clearRequestCache();
+    networkAdapter.mockReset();
+    publishTabEvent.mockReset();
+  });
+
+  it('coalesces concurrent identical GETs into one network call', async () => {
+    networkAdapter.mockResolvedValue(ok({ value: 1 }));
+
+    const config = { method: 'get', url: 'cart', params: { type: 'fullamount' }, cache: false };
+    const [first, second] = await Promise.all([cacheAdapter(config), cacheAdapter({ ...config })]);
+
+    expect(networkAdapter).toHaveBeenCalledTimes(1);
+    expect(first.data).toEqual({ value: 1 });
+    expect(second.data).toEqual({ value: 1 });
+  });
+
+  it('serves cached responses within the endpoint TTL', async () => {
+    networkAdapter.mockResolvedValue(ok(['service']));
+
+    await cacheAdapter({ method: 'get', url: 'categories/all' });
+    const cached = await cacheAdapter({ method: 'get', url: 'categories/all' });
+
+    expect(networkAdapter).toHaveBeenCalledTimes(1);
+    expect(cached.fromCache).toBe(true);
+    expect(cached.data).toEqual(['service']);
+  });
+
+  it('serves stale data while revalidating in the background', async () => {
+    vi.useFakeTimers();
+    networkAdapter.mockResolvedValueOnce(ok('old')).mockResolvedValueOnce(ok('new'));
+
+    const config = { method: 'get', url: 'banner', cache: { ttl: 1000, staleWhileRevalidate: 5000 } };
+    await cacheAdapter(config);
+    vi.advanceTimersByTime(2000);
+
+    const stale = await cacheAdapter(config);
+    expect(stale.data).toBe('old');
+    expect(networkAdapter).toHaveBeenCalledTimes(2);
+
+    await vi.runAllTimersAsync();
+    const fresh = await cacheAdapter(config);
+    expect(fresh.data).toBe('new');
+    vi.useRealTimers();
+  });
+
+  it('invalidates cart and address entries after a successful mutation', async () => {
+    networkAdapter.mockResolvedValue(ok('cart'));
+    await cacheAdapter({ method: 'get', url: 'cart' });
+    await cacheAdapter({ method: 'get', url: 'user/addresses' });
+
+    await cacheAdapter({ method: 'put', url: '/user/addresses/12' });
+    await cacheAdapter({ method: 'get', url: 'cart' });
+    await cacheAdapter({ method: 'get', url: 'user/addresses' });
+
+    // 2 initial GETs + 1 PUT + 2 refetches
+    expect(networkAdapter).toHaveBeenCalledTimes(5);
+  });
+
+  it('tells other tabs what a mutation changed and drops what they report', async () => {
+    networkAdapter.mockResolvedValue(ok('cart'));
+
+    await cacheAdapter({ method: 'post', url: 'cart/add' });
+    expect(publishTabEvent).toHaveBeenCalledWith(TAB_SYNC_EVENTS.CART_CHANGED, {
+      invalidates: ['cart', 'promo-codes']
+    });
+
+    await cacheAdapter({ method: 'get', url: 'user/addresses' });
+    tabListeners.get(TAB_SYNC_EVENTS.ADDRESSES_CHANGED)({ invalidates: ['user/addresses', 'cart'] });
+    await cacheAdapter({ method: 'get', url: 'user/addresses' });
+
+    // 1 POST + initial GET + refetch after the other tab's change
+    expect(networkAdapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('leaves the cache and other tabs alone for read-only POSTs', async () => {
+    networkAdapter.mockResolvedValue(ok('cart'));
+    await cacheAdapter({ method: 'get', url: 'cart' });
+
+    await cacheAdapter({ method: 'post', url: 'cart/check-availability', invalidate: false });
+    await cacheAdapter({ method: 'post', url: 'bookings/payment', idempotent: true });
+    await cacheAdapter({ method: 'get', url: 'cart' });
+
+    // Initial GET + 2 POSTs - the cart is still cached
+    expect(networkAdapter).toHaveBeenCalledTimes(3);
+    expect(publishTabEvent).not.toHaveBeenCalled();
+  });
+
+  it('supports explicit invalidation by prefix', async () => {
+    networkAdapter.mockResolvedValue(ok('slots'));
+    await cacheAdapter({ method: 'get', url: 'slots/' });
+    invalidateCache('slots');
+    await cacheAdapter({ method: 'get', url: 'slots/' });
+
+    expect(networkAdapter).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache endpoints without a policy', () => {
+    expect(getCachePolicy({ url: 'profile' })).toBeNull();
+    expect(getCachePolicy({ url: 'cart', cache: false })).toBeNull();
+    expect(getCachePolicy({ url: 'most-popular-category' })).not.toBeNull();
+  });
+
+  it('starts listening to other tabs on the first request, not on import', async () => {
+    vi.resetModules();
+    tabListeners.clear();
+    const { cacheAdapter: freshCacheAdapter } = await import('../../api/requestCache');
+
+    expect(tabListeners.size).toBe(0);
+
+    networkAdapter.mockResolvedValue(ok('cart'));
+    await freshCacheAdapter({ method: 'get', url: 'cart' });
+
+    expect([...tabListeners.keys()]).toEqual(expect.arrayContaining([
+      TAB_SYNC_EVENTS.CART_CHANGED,
+      TAB_SYNC_EVENTS.ADDRESSES_CHANGED,
+      TAB_SYNC_EVENTS.WALLET_CHANGED
+    ]));
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  isIdempotentRequest,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  shouldRetryRequest
+} from '../../api/retryPolicy';
+
+const httpError = (status, config = { method: 'get' }, headers = {}) => ({
+  config,
+  request: {},
+  response: { status, headers }
+});
+
+describe('retryPolicy', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('isIdempotentRequest', () => {
+    it('treats GET as idempotent and POST as not', () => {
+      expect(isIdempotentRequest({ method: 'get' })).toBe(true);
+      expect(isIdempotentRequest({ method: 'post' })).toBe(false);
+    });
+
+    it('honours explicit idempotent and retry flags', () => {
+      expect(isIdempotentRequest({ method: 'post', idempotent: true })).toBe(true);
+      expect(isIdempotentRequest({ method: 'get', idempotent: false })).toBe(false);
+      expect(isIdempotentRequest({ method: 'get', retry: false })).toBe(false);
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('retries network errors, 429 and 5xx only', () => {
+      expect(isRetryableError({ request: {}, code: 'ERR_NETWORK' })).toBe(true);
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(401))).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('parses delta-seconds and HTTP dates', () => {
+      expect(parseRetryAfter('2')).toBe(2000);
+      const inFive = new Date(Date.now() + 5000).toUTCString();
+      expect(parseRetryAfter(inFive)).toBeGreaterThan(3000);
+      expect(parseRetryAfter('not-a-date')).toBeNull();
+      expect(parseRetryAfter(undefined)).toBeNull();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('backs off exponentially with jitter', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(1);
+      expect(getRetryDelay(1, undefined, 1000)).toBe(1000);
+      expect(getRetryDelay(3, undefined, 1000)).toBe(4000);
+
+      Math.random.mockReturnValue(0);
+      expect(getRetryDelay(3, undefined, 1000)).toBe(2000);
+    });
+
+    it('respects Retry-After on 429 responses', () => {
+      const error = httpError(429, { method: 'get' }, { 'retry-after': '3' });
+      expect(getRetryDelay(1, error, 1000)).toBe(3000);
+    });
+  });
+
+  describe('shouldRetryRequest', () => {
+    it('stops once the attempt budget is spent', () => {
+      expect(shouldRetryRequest(httpError(500, { method: 'get' }), 3)).toBe(true);
+      expect(shouldRetryRequest(httpError(500, { method: 'get', __retryCount: 3 }), 3)).toBe(false);
+    });
+
+    it('never replays a non-idempotent checkout', () => {
+      expect(shouldRetryRequest(httpError(502, { method: 'post', idempotent: false }), 3)).toBe(false);
+      expect(shouldRetryRequest({ config: { method: 'post' }, request: {}, code: 'ERR_NETWORK' }, 3)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const { get, post, getAddressFromCoordinates } = vi.hoisted(() => ({
+  get: vi.fn(),
+  post: vi.fn(),
+  getAddressFromCoordinates: vi.fn()
+}));
+
+vi.mock('../../api/axiosInstance.js', () => ({ default: { get, post } }));
+vi.mock('../../api/services/geocodingService.js', () => ({ default: { getAddressFromCoordinates } }));
+
+import serviceabilityService, { SERVICEABILITY_STATUS } from '../../api/services/serviceabilityService';
+
+const respond = (isServiceable) => ({ data: { status: true, message: 'ok', data: { is_serviceable: isServiceable } } });
+
+describe('serviceabilityService', () => {
+  beforeEach(() => {
+    get.mockReset();
+    post.mockReset();
+    getAddressFromCoordinates.mockReset();
+    serviceabilityService.clearCache();
+  });
+
+  it('normalizes the location fields of API and form addresses', () => {
+    expect(serviceabilityService.getLocation({ id: 7, postal_code: '400 101', latitude: '19.1', longitude: '72.8' }))
+      .toEqual({ addressId: '7', pincode: '400101', latitude: 19.1, longitude: 72.8 });
+    expect(serviceabilityService.getLocation({ pinCode: '4001' })).toMatchObject({ pincode: null });
+    expect(serviceabilityService.getCacheKey(serviceabilityService.getLocation({ city: 'Mumbai' }))).toBeNull();
+  });
+
+  it('checks each address once and blocks booking only when unserviceable', async () => {
+    get.mockResolvedValueOnce(respond(false));
+    const address = { id: 1, postal_code: '400101' };
+
+    const [first, second] = await Promise.all([
+      serviceabilityService.checkAddress(address),
+      serviceabilityService.checkAddress(address)
+    ]);
+    await serviceabilityService.checkAddress(address);
+
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get).toHaveBeenCalledWith('serviceability/check', {
+      params: { pincode: '400101', latitude: undefined, longitude: undefined }
+    });
+    expect(first.data.status).toBe(SERVICEABILITY_STATUS.UNSERVICEABLE);
+    expect(second).toBe(first);
+    expect(serviceabilityService.isBookable(address)).toBe(false);
+
+    // Editing the pincode makes it a different address
+    expect(serviceabilityService.getCachedResult({ id: 1, postal_code: '400102' })).toBeNull();
+  });
+
+  it('geocodes a pincode for addresses saved with coordinates only', async () => {
+    getAddressFromCoordinates.mockResolvedValue({ postalCode: '560001' });
+    get.mockResolvedValueOnce(respond(true));
+
+    const result = await serviceabilityService.checkAddress({ latitude: 12.97, longitude: 77.59 });
+
+    expect(get.mock.calls[0][1].params).toEqual({ pincode: '560001', latitude: 12.97, longitude: 77.59 });
+    expect(result.data.status).toBe(SERVICEABILITY_STATUS.SERVICEABLE);
+  });
+
+  it('fails open when the check errors', async () => {
+    get.mockRejectedValueOnce(new Error('Network Error'));
+    const address = { id: 2, postal_code: '110001' };
+
+    const result = await serviceabilityService.checkAddress(address);
+
+    expect(result).toMatchObject({ success: false, data: { status: SERVICEABILITY_STATUS.UNKNOWN } });
+    expect(serviceabilityService.isBookable(address)).toBe(true);
+  });
+
+  it('remembers a notify-me request for the address', async () => {
+    get.mockResolvedValueOnce(respond(false));
+    post.mockResolvedValueOnce({ data: { status: true, message: 'We will let you know' } });
+    const address = { id: 3, postal_code: '800001' };
+
+    await serviceabilityService.checkAddress(address);
+    const result = await serviceabilityService.requestNotification(address);
+
+    expect(result.success).toBe(true);
+    expect(post).toHaveBeenCalledWith('serviceability/notify', {
+      address_id: '3',
+      pincode: '800001',
+      latitude: null,
+      longitude: null
+    });
+    expect(serviceabilityService.getCachedResult(address).notifyRequested).toBe(true);
+  });
+});
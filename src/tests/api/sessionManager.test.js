@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  isSessionExpiryError,
+  isSessionExpired,
+  expireSession,
+  waitForReauthentication,
+  completeReauthentication,
+  cancelReauthentication,
+  subscribeSessionExpired
+} from '../../api/sessionManager';
+import { removeAuthToken } from '../../utils/tokenManager';
+
+vi.mock('../../utils/tokenManager', () => ({
+  removeAuthToken: vi.fn()
+}));
+
+const unauthorized = (config) => ({ response: { status: 401 }, config });
+
+describe('sessionManager', () => {
+  beforeEach(() => {
+    cancelReauthentication();
+    vi.clearAllMocks();
+  });
+
+  describe('isSessionExpiryError', () => {
+    it('only reacts to 401s on authenticated, non-auth requests', () => {
+      expect(isSessionExpiryError(unauthorized({ url: 'cart', headers: { 'api-token': 't' } }))).toBe(true);
+      expect(isSessionExpiryError(unauthorized({ url: 'cart', headers: {} }))).toBe(false);
+      expect(isSessionExpiryError(unauthorized({ url: 'verify-otp', headers: { 'api-token': 't' } }))).toBe(false);
+      expect(isSessionExpiryError(unauthorized({
+        url: 'cart',
+        headers: { 'api-token': 't' },
+        __isSessionReplay: true
+      }))).toBe(false);
+    });
+  });
+
+  it('clears cookies once and releases every queued request after re-auth', async () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeSessionExpired(listener);
+
+    const first = expireSession();
+    const second = expireSession();
+    const pending = waitForReauthentication();
+
+    expect(isSessionExpired()).toBe(true);
+    expect(removeAuthToken).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(true);
+
+    completeReauthentication();
+
+    await expect(Promise.all([first, second, pending])).resolves.toBeDefined();
+    expect(isSessionExpired()).toBe(false);
+    expect(listener).toHaveBeenLastCalledWith(false);
+    unsubscribe();
+  });
+
+  it('rejects queued requests when re-authentication is cancelled', async () => {
+    const queued = expireSession();
+    cancelReauthentication('gave up');
+
+    await expect(queued).rejects.toThrow('gave up');
+    expect(isSessionExpired()).toBe(false);
+  });
+});
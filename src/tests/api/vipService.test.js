@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import vipService from '../../api/services/vipService';
+import axiosInstance from '../../api/axiosInstance';
+
+vi.mock('../../api/axiosInstance');
+
+const vipStatusResponse = (isVip) => ({
+  data: { is_vip: isVip, plan_name: isVip ? 'Gold' : null, expiry_date: isVip ? '2027-01-01' : null }
+});
+
+describe('vipService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('creates the Razorpay order on the backend and never retries it', async () => {
+    axiosInstance.post.mockResolvedValue({
+      data: { status: true, orderOptions: { id: 'order_vip', amount: 99900 } }
+    });
+
+    const result = await vipService.createVipOrder('plan-1');
+
+    expect(axiosInstance.post).toHaveBeenCalledWith('vip-plans/order/', { plan_id: 'plan-1' }, { idempotent: false });
+    expect(result).toMatchObject({ status: true, data: { razorpayOrderId: 'order_vip', amount: 999 } });
+  });
+
+  it('fails the order when the backend returns no order id', async () => {
+    axiosInstance.post.mockResolvedValue({ data: { status: true, data: {} } });
+
+    const result = await vipService.createVipOrder('plan-1');
+
+    expect(result.status).toBe(false);
+  });
+
+  it('sends the full gateway response for signature verification', async () => {
+    axiosInstance.post.mockResolvedValue({ data: { status: true, data: {} } });
+
+    await vipService.purchaseVipPlan({
+      planId: 'plan-1',
+      amount: 999,
+      paymentResponse: { razorpay_order_id: 'order_vip', razorpay_payment_id: 'pay_1', razorpay_signature: 'sig_1' }
+    });
+
+    expect(axiosInstance.post).toHaveBeenCalledWith('vip-plans/purchase/', expect.objectContaining({
+      plan_id: 'plan-1',
+      razorpay_order_id: 'order_vip',
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: 'sig_1'
+    }), { idempotent: false });
+  });
+
+  it('polls the VIP status until the plan is active', async () => {
+    axiosInstance.get
+      .mockResolvedValueOnce(vipStatusResponse(false))
+      .mockResolvedValueOnce(vipStatusResponse(false))
+      .mockResolvedValueOnce(vipStatusResponse(true));
+    const sleep = vi.fn().mockResolvedValue();
+
+    const result = await vipService.waitForVipActivation({ intervalMs: 1000, timeoutMs: 10000, sleep });
+
+    expect(result).toMatchObject({ activated: true, data: { isVip: true, planName: 'Gold' } });
+    expect(axiosInstance.get).toHaveBeenCalledTimes(3);
+    expect(sleep).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops polling once the timeout is reached', async () => {
+    axiosInstance.get.mockResolvedValue(vipStatusResponse(false));
+    const sleep = vi.fn().mockResolvedValue();
+
+    const result = await vipService.waitForVipActivation({ intervalMs: 1000, timeoutMs: 3000, sleep });
+
+    expect(result.activated).toBe(false);
+    expect(axiosInstance.get).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,47 @@
+import React from 'react';
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+vi.mock('../../../hooks/useCart', () => ({
+  useCart: () => ({ selectDonationTip: vi.fn(), retryCartSection: vi.fn(), updateCartState: vi.fn() })
+}));
+
+import DonationSection from '../../../components/cart/DonationSection';
+import FrequentlyAddedSection from '../../../components/cart/FrequentlyAddedSection';
+import { CartSections, SectionStatus } from '../../../types/cart';
+
+const cartStateWith = (data, status) => ({
+  ...data,
+  sections: {
+    [CartSections.DONATION]: { status },
+    [CartSections.FREQUENTLY_ADDED]: { status }
+  }
+});
+
+const renderSections = (cartState) => render(
+  <MemoryRouter>
+    <DonationSection cartState={cartState} />
+    <FrequentlyAddedSection cartState={cartState} />
+  </MemoryRouter>
+);
+
+describe('cart secondary section states', () => {
+  it('shows skeletons until the first data arrives', () => {
+    renderSections(cartStateWith({ donationData: null, frequentlyAddedServices: [] }, SectionStatus.LOADING));
+
+    expect(screen.getByLabelText('Loading donation options')).toBeInTheDocument();
+    expect(screen.getByLabelText('Loading frequently added services')).toBeInTheDocument();
+  });
+
+  it('keeps showing loaded data while the sections refetch', () => {
+    renderSections(cartStateWith({
+      donationData: { id: 3, name: 'Charity' },
+      frequentlyAddedServices: [{ id: 9, name: 'Deep Cleaning' }]
+    }, SectionStatus.LOADING));
+
+    expect(screen.queryByLabelText(/^Loading/)).not.toBeInTheDocument();
+    expect(screen.getByText('Charity')).toBeInTheDocument();
+    expect(screen.getByText('Deep Cleaning')).toBeInTheDocument();
+  });
+});
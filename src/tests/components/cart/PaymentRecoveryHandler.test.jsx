@@ -0,0 +1,40 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render } from '@testing-library/react';
+
+const { auth, reconcilePendingPayments } = vi.hoisted(() => ({
+  auth: { isAuthenticated: true, user: null },
+  reconcilePendingPayments: vi.fn()
+}));
+
+vi.mock('../../../contexts/AuthContext', () => ({ useAuthContext: () => auth }));
+vi.mock('../../../contexts/VipContext', () => ({ useVipContext: () => ({ fetchVipStatus: vi.fn() }) }));
+vi.mock('../../../api/services/paymentRecoveryService', () => ({
+  default: { reconcilePendingPayments },
+  RECOVERY_RESULT: { RECOVERED: 'recovered', FAILED: 'failed', PENDING: 'pending' }
+}));
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+import PaymentRecoveryHandler from '../../../components/cart/PaymentRecoveryHandler';
+
+describe('PaymentRecoveryHandler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    reconcilePendingPayments.mockResolvedValue([]);
+    auth.isAuthenticated = true;
+    auth.user = null;
+  });
+
+  it('waits for the signed-in user before reconciling their journal', () => {
+    const { rerender } = render(<PaymentRecoveryHandler />);
+
+    expect(reconcilePendingPayments).not.toHaveBeenCalled();
+
+    auth.user = { id: 7 };
+    rerender(<PaymentRecoveryHandler />);
+    rerender(<PaymentRecoveryHandler />);
+
+    expect(reconcilePendingPayments).toHaveBeenCalledTimes(1);
+    expect(reconcilePendingPayments).toHaveBeenCalledWith(7);
+  });
+});
@@ -0,0 +1,41 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+vi.mock('../../components/ui/toast', () => ({
+  useToast: () => ({ showSuccess: vi.fn(), showError: vi.fn(), showInfo: vi.fn() })
+}));
+vi.mock('../../api/services/analyticsService', () => ({ default: { reset: vi.fn() } }));
+vi.mock('../../api/services/errorReportingService', () => ({ default: { setUser: vi.fn() } }));
+
+import { AuthProvider, useAuthContext } from '../../contexts/AuthContext';
+import { recordPendingPayment, getPendingPayment } from '../../utils/paymentJournal';
+import { LANGUAGE_STORAGE_KEY } from '../../i18n';
+import { CONSENT_STORAGE_KEY } from '../../analytics/consent';
+
+const wrapper = ({ children }) => <AuthProvider>{children}</AuthProvider>;
+
+describe('AuthContext logout', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('clears the session but keeps the payment journal, drafts, language and consent', async () => {
+    recordPendingPayment('order_paid', { userId: 7, amount: 500 });
+    localStorage.setItem('eassylife_booking_drafts', '{"12":{}}');
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, 'hi');
+    localStorage.setItem(CONSENT_STORAGE_KEY, 'granted');
+    localStorage.setItem('cart_booking_notes', 'Ring twice');
+    localStorage.setItem('eassylife_recent_searches', '["ac repair"]');
+    const { result } = renderHook(() => useAuthContext(), { wrapper });
+
+    await act(() => result.current.logout());
+
+    expect(getPendingPayment('order_paid')).not.toBeNull();
+    expect(localStorage.getItem('eassylife_booking_drafts')).toBe('{"12":{}}');
+    expect(localStorage.getItem(LANGUAGE_STORAGE_KEY)).toBe('hi');
+    expect(localStorage.getItem(CONSENT_STORAGE_KEY)).toBe('granted');
+    expect(localStorage.getItem('cart_booking_notes')).toBeNull();
+    expect(localStorage.getItem('eassylife_recent_searches')).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+const { vipService, razorpayService, cartService } = vi.hoisted(() => ({
+  vipService: {
+    getVipPlans: vi.fn(),
+    getVipStatus: vi.fn(),
+    getVipBenefits: vi.fn(),
+    createVipOrder: vi.fn(),
+    purchaseVipPlan: vi.fn(),
+    waitForVipActivation: vi.fn()
+  },
+  razorpayService: {
+    openCheckout: vi.fn(),
+    validatePaymentResponse: vi.fn()
+  },
+  cartService: {
+    getPaymentStatus: vi.fn()
+  }
+}));
+
+vi.mock('../../api/services/vipService', () => ({
+  default: vipService,
+  vipService,
+  VIP_ACTIVATION_STATUS: { IDLE: 'idle', ACTIVATING: 'activating', ACTIVE: 'active', DELAYED: 'delayed' }
+}));
+vi.mock('../../api/services/razorpayService', () => ({ default: razorpayService }));
+vi.mock('../../api/services/cartService.js', () => ({ default: cartService }));
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuthContext: () => ({ isAuthenticated: false, user: { id: 1 }, updateUserVipStatus: vi.fn() })
+}));
+vi.mock('react-hot-toast', () => ({ default: Object.assign(vi.fn(), { success: vi.fn(), error: vi.fn() }) }));
+
+import { VipProvider, useVipContext } from '../../contexts/VipContext';
+import { getPendingPayment } from '../../utils/paymentJournal';
+
+const plan = { id: 'plan-1', price: '999' };
+const paymentResponse = {
+  razorpay_order_id: 'order_vip',
+  razorpay_payment_id: 'pay_1',
+  razorpay_signature: 'sig_1'
+};
+
+const wrapper = ({ children }) => <VipProvider>{children}</VipProvider>;
+
+describe('VipContext buyVipPlan', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vipService.createVipOrder.mockResolvedValue({ status: true, data: { razorpayOrderId: 'order_vip', amount: 999 } });
+    vipService.purchaseVipPlan.mockResolvedValue({ status: true });
+    razorpayService.validatePaymentResponse.mockReturnValue(true);
+  });
+
+  it('activates the plan when a retry succeeds after a failed attempt', async () => {
+    let journalAfterFailure;
+    razorpayService.openCheckout.mockImplementation(({ onPaymentError, onPaymentSuccess }) => {
+      onPaymentError('BAD_REQUEST_ERROR - Card declined', { retryable: true });
+      journalAfterFailure = getPendingPayment('order_vip');
+      onPaymentSuccess(paymentResponse);
+    });
+    vipService.waitForVipActivation.mockResolvedValue({ status: true, activated: true, data: { isVip: true } });
+    const { result } = renderHook(() => useVipContext(), { wrapper });
+
+    let purchase;
+    await act(async () => {
+      purchase = await result.current.buyVipPlan(plan);
+    });
+
+    expect(journalAfterFailure).not.toBeNull();
+    expect(vipService.purchaseVipPlan).toHaveBeenCalledWith({ planId: 'plan-1', amount: 999, paymentResponse });
+    expect(purchase.success).toBe(true);
+    expect(getPendingPayment('order_vip')).toBeNull();
+  });
+
+  it('keeps the paid order journalled until the plan is activated', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onPaymentSuccess }) => onPaymentSuccess(paymentResponse));
+    vipService.waitForVipActivation.mockResolvedValue({ status: true, activated: false, data: null });
+    const { result } = renderHook(() => useVipContext(), { wrapper });
+
+    let purchase;
+    await act(async () => {
+      purchase = await result.current.buyVipPlan(plan);
+    });
+
+    expect(purchase).toEqual({ success: false, pending: true });
+    expect(getPendingPayment('order_vip')).toMatchObject({ paymentResponse });
+  });
+
+  it('drops the journal entry once the backend confirms a dismissed checkout was not paid', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    vipService.getVipStatus.mockResolvedValue({ status: true, data: { isVip: false } });
+    cartService.getPaymentStatus.mockResolvedValue({ data: { paymentStatus: 'failed', paymentId: '' } });
+    const { result } = renderHook(() => useVipContext(), { wrapper });
+
+    let purchase;
+    await act(async () => {
+      purchase = await result.current.buyVipPlan(plan);
+    });
+
+    expect(purchase.success).toBe(false);
+    expect(vipService.purchaseVipPlan).not.toHaveBeenCalled();
+    expect(getPendingPayment('order_vip')).toBeNull();
+  });
+
+  it('keeps a dismissed checkout journalled while the backend cannot confirm it', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    vipService.getVipStatus.mockResolvedValue({ status: true, data: { isVip: false } });
+    cartService.getPaymentStatus.mockResolvedValue({ data: { paymentStatus: 'created', paymentId: '' } });
+    const { result } = renderHook(() => useVipContext(), { wrapper });
+
+    let purchase;
+    await act(async () => {
+      purchase = await result.current.buyVipPlan(plan);
+    });
+
+    expect(purchase.success).toBe(false);
+    expect(getPendingPayment('order_vip')).not.toBeNull();
+  });
+
+  it('activates a plan paid in a UPI app after the checkout was closed', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    vipService.getVipStatus.mockResolvedValue({ status: true, data: { isVip: false } });
+    cartService.getPaymentStatus.mockResolvedValue({ data: { paymentStatus: 'captured', paymentId: 'pay_upi' } });
+    vipService.waitForVipActivation.mockResolvedValue({ status: true, activated: true, data: { isVip: true } });
+    const { result } = renderHook(() => useVipContext(), { wrapper });
+
+    let purchase;
+    await act(async () => {
+      purchase = await result.current.buyVipPlan(plan);
+    });
+
+    expect(vipService.purchaseVipPlan).toHaveBeenCalledWith(expect.objectContaining({
+      planId: 'plan-1',
+      paymentResponse: expect.objectContaining({ razorpay_payment_id: 'pay_upi' })
+    }));
+    expect(purchase.success).toBe(true);
+    expect(getPendingPayment('order_vip')).toBeNull();
+  });
+});
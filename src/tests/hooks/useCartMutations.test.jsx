@@ -0,0 +1,190 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+
+const { cartService, serviceProviderService, toastError } = vi.hoisted(() => ({
+  cartService: {
+    getCartData: vi.fn(),
+    removeFromCart: vi.fn(),
+    updateCartItemDateTime: vi.fn(),
+    updateCartAddress: vi.fn(),
+    getFrequentlyAddedServices: vi.fn(),
+    getVipPlans: vi.fn(),
+    getDonationData: vi.fn()
+  },
+  serviceProviderService: { addToCart: vi.fn() },
+  toastError: vi.fn()
+}));
+
+vi.mock('../../api/services/cartService', () => ({ default: cartService }));
+vi.mock('../../api/services/serviceProviderService', () => ({ default: serviceProviderService }));
+vi.mock('../../hooks/useAuth', () => ({ useAuth: () => ({ user: { id: 1 }, isAuthenticated: true }) }));
+vi.mock('react-hot-toast', () => ({ toast: { error: toastError } }));
+
+import { CartProvider } from '../../contexts/CartContext';
+import { useCart } from '../../hooks/useCart';
+import { CART_MUTATIONS, applyCartMutations } from '../../utils/cartMutations';
+
+const wrapper = ({ children }) => <CartProvider>{children}</CartProvider>;
+
+const cartWith = (ids, totalPrice) => ({
+  success: true,
+  message: 'ok',
+  data: {
+    totalPrice,
+    delivery_address: { id: 'home' },
+    groupedCart: { categories: ids.map((id) => ({ id, booking_date: '20 Oct 2026' })), packages: [] }
+  },
+  rawData: {}
+});
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const itemIds = (result) => result.current.cartData.groupedCart.categories.map((item) => item.id);
+
+const renderLoadedCart = async () => {
+  const hook = renderHook(() => useCart(), { wrapper });
+  await act(() => hook.result.current.fetchCartData());
+  return hook;
+};
+
+describe('optimistic cart mutations', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cartService.getCartData.mockResolvedValue(cartWith(['a', 'b', 'c'], 300));
+    cartService.getFrequentlyAddedServices.mockResolvedValue({ success: true, data: [] });
+    cartService.getVipPlans.mockResolvedValue({ success: true, data: [] });
+    cartService.getDonationData.mockResolvedValue({ success: true, data: null });
+  });
+
+  it('replays pending mutations on top of the confirmed cart', () => {
+    const cart = cartWith(['a', 'b'], 200).data;
+    const result = applyCartMutations(cart, [
+      { type: CART_MUTATIONS.REMOVE_ITEM, itemId: 'a' },
+      { type: CART_MUTATIONS.UPDATE_ITEM_DATE, itemId: 'b', changes: { booking_date: '22 Oct 2026' } },
+      { type: CART_MUTATIONS.UPDATE_ADDRESS, address: { id: 'work' } }
+    ]);
+
+    expect(result.groupedCart.categories).toEqual([{ id: 'b', booking_date: '22 Oct 2026' }]);
+    expect(result.delivery_address).toEqual({ id: 'work' });
+    expect(cart.groupedCart.categories).toHaveLength(2);
+  });
+
+  it('takes a removed service off the totals and its GST split', () => {
+    const cart = {
+      total_service_amount: '1180',
+      total_price: '1230',
+      total_amount_exclude_gst: '1000',
+      total_tax: '180',
+      groupedCart: { categories: [{ id: 'a', ratecard: { price: '590' } }, { id: 'b', ratecard: { price: '590' } }], packages: [] }
+    };
+
+    const result = applyCartMutations(cart, [{ type: CART_MUTATIONS.REMOVE_ITEM, itemId: 'a' }]);
+
+    expect(result).toMatchObject({ total_service_amount: 590, total_price: 640, total_amount_exclude_gst: 500, total_tax: 90 });
+  });
+
+  it('adds to the cart without a placeholder row and picks the item up on reconcile', async () => {
+    const { result } = await renderLoadedCart();
+    const addition = deferred();
+    serviceProviderService.addToCart.mockReturnValue(addition.promise);
+    cartService.getCartData.mockResolvedValue(cartWith(['a', 'b', 'c', 'd'], 400));
+
+    let pending;
+    act(() => {
+      pending = result.current.addCartItem({ rateCardId: 9 });
+    });
+
+    expect(itemIds(result)).toEqual(['a', 'b', 'c']);
+    expect(result.current.isSyncing).toBe(true);
+
+    await act(async () => {
+      addition.resolve({ success: true, message: 'Added' });
+      await pending;
+    });
+
+    expect(itemIds(result)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('removes the item immediately and reconciles totals once the server confirms', async () => {
+    const { result } = await renderLoadedCart();
+    const removal = deferred();
+    cartService.removeFromCart.mockReturnValue(removal.promise);
+    cartService.getCartData.mockResolvedValue(cartWith(['b', 'c'], 200));
+
+    let pending;
+    act(() => {
+      pending = result.current.removeCartItem('a');
+    });
+
+    expect(itemIds(result)).toEqual(['b', 'c']);
+    expect(result.current.noOfServicesItems).toBe(2);
+    expect(result.current.isSyncing).toBe(true);
+    expect(result.current.status).not.toBe('cartLoading');
+
+    await act(async () => {
+      removal.resolve({ success: true, message: 'Removed' });
+      await pending;
+    });
+
+    expect(result.current.cartData.totalPrice).toBe(200);
+    expect(result.current.isSyncing).toBe(false);
+  });
+
+  it('runs edits in order, refetches once and rolls back only the failed one', async () => {
+    const { result } = await renderLoadedCart();
+    const removal = deferred();
+    cartService.removeFromCart.mockReturnValue(removal.promise);
+    cartService.updateCartItemDateTime.mockRejectedValue(new Error('Slot no longer available'));
+    cartService.getCartData.mockClear();
+    cartService.getCartData.mockResolvedValue(cartWith(['b', 'c'], 200));
+
+    let edits;
+    act(() => {
+      edits = Promise.all([
+        result.current.removeCartItem('a'),
+        result.current.updateCartItemDateTime('b', { booking_date: '25 Oct 2026' })
+      ]);
+    });
+
+    expect(result.current.cartData.groupedCart.categories[0]).toEqual({ id: 'b', booking_date: '25 Oct 2026' });
+    // The date change waits for the removal to finish
+    expect(cartService.updateCartItemDateTime).not.toHaveBeenCalled();
+
+    let results;
+    await act(async () => {
+      removal.resolve({ success: true });
+      results = await edits;
+    });
+
+    expect(results.map((edit) => edit.success)).toEqual([true, false]);
+    expect(toastError).toHaveBeenCalledWith('Slot no longer available');
+    expect(cartService.getCartData).toHaveBeenCalledTimes(1);
+    await waitFor(() => expect(itemIds(result)).toEqual(['b', 'c']));
+    expect(result.current.cartData.groupedCart.categories[0].booking_date).toBe('20 Oct 2026');
+  });
+
+  it('restores the previous address when the change fails', async () => {
+    const { result } = await renderLoadedCart();
+    cartService.updateCartAddress.mockResolvedValue({ success: false, message: 'Address not serviceable' });
+
+    let change;
+    act(() => {
+      change = result.current.changeCartAddress({ id: 'work' });
+    });
+    expect(result.current.cartData.delivery_address).toEqual({ id: 'work' });
+
+    await act(() => change);
+
+    expect(result.current.cartData.delivery_address).toEqual({ id: 'home' });
+    expect(toastError).toHaveBeenCalledWith('Address not serviceable');
+  });
+});
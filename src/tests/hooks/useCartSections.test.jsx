@@ -0,0 +1,83 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+
+const { cartService } = vi.hoisted(() => ({
+  cartService: {
+    getCartData: vi.fn(),
+    getFrequentlyAddedServices: vi.fn(),
+    getVipPlans: vi.fn(),
+    getDonationData: vi.fn()
+  }
+}));
+
+vi.mock('../../api/services/cartService', () => ({ default: cartService }));
+vi.mock('../../hooks/useAuth', () => ({ useAuth: () => ({ user: { id: 1 }, isAuthenticated: true }) }));
+
+import { CartProvider } from '../../contexts/CartContext';
+import { useCart } from '../../hooks/useCart';
+import { CartStatus, CartSections, SectionStatus } from '../../types/cart';
+
+const wrapper = ({ children }) => <CartProvider>{children}</CartProvider>;
+
+const cartResponse = {
+  success: true,
+  message: 'ok',
+  data: { totalPrice: 500, groupedCart: { categories: [{ id: 1 }], packages: [] } },
+  rawData: {}
+};
+
+describe('cart secondary sections', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cartService.getCartData.mockResolvedValue(cartResponse);
+    cartService.getFrequentlyAddedServices.mockResolvedValue({ success: true, data: [{ id: 9 }] });
+    cartService.getVipPlans.mockResolvedValue({ success: true, data: [{ id: 'vip-1' }] });
+    cartService.getDonationData.mockResolvedValue({ success: true, data: { id: 3, name: 'Charity' } });
+  });
+
+  it('renders the cart while a secondary section is still loading', async () => {
+    cartService.getVipPlans.mockReturnValue(new Promise(() => {}));
+    const { result } = renderHook(() => useCart(), { wrapper });
+
+    await act(() => result.current.fetchCartData());
+
+    expect(result.current.status).toBe(CartStatus.SUCCESS);
+    expect(result.current.sections[CartSections.VIP_PLANS].status).toBe(SectionStatus.LOADING);
+    await waitFor(() => {
+      expect(result.current.cartState.donationData).toEqual({ id: 3, name: 'Charity' });
+      expect(result.current.frequentlyAddedServices).toEqual([{ id: 9 }]);
+    });
+  });
+
+  it('keeps the cart when a section fails and retries only that section', async () => {
+    cartService.getFrequentlyAddedServices.mockRejectedValueOnce(new Error('Network Error'));
+    const { result } = renderHook(() => useCart(), { wrapper });
+
+    await act(() => result.current.fetchCartData());
+    await waitFor(() => {
+      expect(result.current.sections[CartSections.FREQUENTLY_ADDED]).toEqual({
+        status: SectionStatus.FAILURE,
+        errorMessage: 'Network Error'
+      });
+    });
+    expect(result.current.status).toBe(CartStatus.SUCCESS);
+
+    await act(() => result.current.retryCartSection(CartSections.FREQUENTLY_ADDED));
+
+    expect(result.current.sections[CartSections.FREQUENTLY_ADDED].status).toBe(SectionStatus.SUCCESS);
+    expect(result.current.frequentlyAddedServices).toEqual([{ id: 9 }]);
+    expect(cartService.getCartData).toHaveBeenCalledTimes(1);
+  });
+
+  it('reuses loaded VIP plans when the cart is fetched again', async () => {
+    const { result } = renderHook(() => useCart(), { wrapper });
+
+    await act(() => result.current.fetchCartData());
+    await waitFor(() => expect(result.current.vipPlans).toEqual([{ id: 'vip-1' }]));
+    await act(() => result.current.fetchCartData());
+
+    expect(cartService.getVipPlans).toHaveBeenCalledTimes(1);
+    expect(cartService.getFrequentlyAddedServices).toHaveBeenCalledTimes(2);
+  });
+});
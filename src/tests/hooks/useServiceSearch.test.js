@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+const { homePageService } = vi.hoisted(() => ({
+  homePageService: {
+    searchServices: vi.fn(),
+    getMostBookedServices: vi.fn()
+  }
+}));
+
+vi.mock('../../api/services/homePageService.js', () => ({ default: homePageService }));
+
+import { useServiceSearch } from '../../hooks/useServiceSearch';
+
+describe('useServiceSearch', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    homePageService.getMostBookedServices.mockResolvedValue({ data: [] });
+  });
+
+  it('drops a search still in flight once the query is cleared', async () => {
+    let respond;
+    homePageService.searchServices.mockReturnValue(new Promise((resolve) => {
+      respond = resolve;
+    }));
+    const { result } = renderHook(() => useServiceSearch({ debounceMs: 0 }));
+
+    act(() => result.current.setQuery('ac repair'));
+    await vi.waitFor(() => expect(homePageService.searchServices).toHaveBeenCalled());
+
+    act(() => result.current.setQuery(''));
+    await act(async () => {
+      respond({ data: { categories: [{ id: 1, name: 'AC Repair' }] } });
+    });
+
+    expect(result.current.results.categories).toEqual([]);
+    expect(result.current.loading).toBe(false);
+  });
+});
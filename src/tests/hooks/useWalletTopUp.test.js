@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+const { walletService, razorpayService, reconcilePayment } = vi.hoisted(() => ({
+  walletService: {
+    createTopUpOrder: vi.fn(),
+    addMoney: vi.fn(),
+    getWalletBalance: vi.fn(),
+    getWalletHistory: vi.fn(),
+    getMonthTotals: vi.fn(async () => ({})),
+    normalizeTransaction: (transaction) => transaction,
+    filterTransactionsByDateRange: (transactions) => transactions,
+    getMonthKey: () => '2026-10'
+  },
+  razorpayService: {
+    openCheckout: vi.fn(),
+    validatePaymentResponse: vi.fn()
+  },
+  reconcilePayment: vi.fn()
+}));
+
+vi.mock('../../api/services/walletService', () => ({ default: walletService }));
+vi.mock('../../api/services/razorpayService', () => ({ default: razorpayService }));
+vi.mock('../../api/services/paymentRecoveryService', () => ({
+  default: { reconcilePayment },
+  RECOVERY_RESULT: { RECOVERED: 'recovered', FAILED: 'failed', PENDING: 'pending' }
+}));
+vi.mock('../../contexts/AuthContext', () => ({ useAuthContext: () => ({ user: { id: 1 } }) }));
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+import useWalletStore, { WALLET_TRANSACTION_STATUS } from '../../stores/walletStore';
+import { useWalletTopUp, validateTopUpAmount, WALLET_TOPUP_STATUS } from '../../hooks/useWalletTopUp';
+import { getPendingPayment, resolvePendingPayment } from '../../utils/paymentJournal';
+
+const paymentResponse = {
+  razorpay_order_id: 'order_topup',
+  razorpay_payment_id: 'pay_1',
+  razorpay_signature: 'sig_1'
+};
+
+const historyEntry = { id: 't1', transaction_type: 'credit', amount: '500', reason: 'wallet_top_up', new_balance: '1500' };
+
+describe('useWalletTopUp', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useWalletStore.getState().reset();
+    useWalletStore.setState({ balance: 1000 });
+    walletService.createTopUpOrder.mockResolvedValue({ success: true, data: { razorpayOrderId: 'order_topup', amount: 500 } });
+    razorpayService.validatePaymentResponse.mockReturnValue(true);
+    razorpayService.openCheckout.mockImplementation(({ onPaymentSuccess }) => onPaymentSuccess(paymentResponse));
+  });
+
+  it('validates amounts against the wallet transaction schema', () => {
+    expect(validateTopUpAmount('500')).toMatchObject({ isValid: true, amount: 500 });
+    expect(validateTopUpAmount('5')).toMatchObject({ isValid: false, error: 'Minimum amount is ₹10' });
+    expect(validateTopUpAmount(60000)).toMatchObject({ isValid: false, error: 'Maximum amount is ₹50,000' });
+  });
+
+  it('shows the paid amount as a pending credit, then reconciles with the backend balance', async () => {
+    let stateDuringVerification;
+    walletService.addMoney.mockImplementation(async () => {
+      stateDuringVerification = useWalletStore.getState();
+      return { success: true };
+    });
+    walletService.getWalletBalance.mockResolvedValue({ success: true, data: { balance: 1500 } });
+    walletService.getWalletHistory.mockResolvedValue({ success: true, data: [historyEntry] });
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp('500'));
+
+    expect(stateDuringVerification.balance).toBe(1500);
+    expect(stateDuringVerification.transactions[0]).toMatchObject({
+      id: 'order_topup',
+      amount: 500,
+      status: WALLET_TRANSACTION_STATUS.PENDING
+    });
+    expect(walletService.addMoney).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 500,
+      razorpay_order_id: 'order_topup',
+      razorpay_signature: 'sig_1'
+    }));
+
+    const { balance, transactions } = useWalletStore.getState();
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.SUCCESS);
+    expect(balance).toBe(1500);
+    expect(transactions.map((transaction) => transaction.id)).toEqual(['t1']);
+    expect(getPendingPayment('order_topup')).toBeNull();
+  });
+
+  it('keeps an unverified top-up pending without counting it in the balance', async () => {
+    walletService.addMoney.mockRejectedValue(new Error('Network Error'));
+    walletService.getWalletBalance.mockResolvedValue({ success: true, data: { balance: 1000 } });
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp(500));
+
+    const { balance, transactions } = useWalletStore.getState();
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.UNVERIFIED);
+    expect(balance).toBe(1000);
+    expect(transactions[0]).toMatchObject({ id: 'order_topup', status: WALLET_TRANSACTION_STATUS.PENDING, balanceApplied: false });
+    expect(getPendingPayment('order_topup')).not.toBeNull();
+  });
+
+  it('keeps the payment journalled when an attempt fails and credits a retry in the same checkout', async () => {
+    let journalAfterFailure;
+    razorpayService.openCheckout.mockImplementation(({ onPaymentError, onPaymentSuccess }) => {
+      onPaymentError('BAD_REQUEST_ERROR - Card declined', { retryable: true });
+      journalAfterFailure = getPendingPayment('order_topup');
+      onPaymentSuccess(paymentResponse);
+    });
+    walletService.addMoney.mockResolvedValue({ success: false, message: 'Signature check timed out' });
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp(500));
+
+    expect(journalAfterFailure).not.toBeNull();
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.UNVERIFIED);
+    expect(getPendingPayment('order_topup')).toMatchObject({ paymentResponse });
+  });
+
+  it('asks the backend before dropping a dismissed checkout', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    reconcilePayment.mockImplementation(async ({ razorpayOrderId }) => {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: 'failed', razorpayOrderId };
+    });
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp(500));
+
+    expect(reconcilePayment).toHaveBeenCalledWith(expect.objectContaining({ razorpayOrderId: 'order_topup' }));
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.FAILED);
+    expect(getPendingPayment('order_topup')).toBeNull();
+    expect(walletService.addMoney).not.toHaveBeenCalled();
+  });
+
+  it('keeps a dismissed checkout journalled while the backend cannot confirm it', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    reconcilePayment.mockRejectedValue(new Error('Network Error'));
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp(500));
+
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.FAILED);
+    expect(result.current.error).toMatch(/we will confirm it automatically/);
+    expect(getPendingPayment('order_topup')).not.toBeNull();
+  });
+
+  it('credits a top-up paid after the checkout was closed', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+      onDismiss();
+      onPaymentError('Payment cancelled by user');
+    });
+    reconcilePayment.mockImplementation(async ({ razorpayOrderId }) => {
+      resolvePendingPayment(razorpayOrderId);
+      return { result: 'recovered', razorpayOrderId, amount: 500 };
+    });
+    walletService.getWalletBalance.mockResolvedValue({ success: true, data: { balance: 1500 } });
+    walletService.getWalletHistory.mockResolvedValue({ success: true, data: [historyEntry] });
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp(500));
+
+    expect(result.current.status).toBe(WALLET_TOPUP_STATUS.SUCCESS);
+    expect(useWalletStore.getState().balance).toBe(1500);
+  });
+
+  it('keeps pending top-ups on top when the history is refetched', async () => {
+    walletService.getWalletHistory.mockResolvedValue({ success: true, data: [historyEntry] });
+    useWalletStore.getState().addPendingTopUp({ razorpayOrderId: 'order_topup', amount: 250 });
+
+    await useWalletStore.getState().fetchWalletHistory({}, true);
+
+    expect(useWalletStore.getState().transactions.map((transaction) => transaction.id)).toEqual(['order_topup', 't1']);
+  });
+
+  it('does not open the gateway for an invalid amount', async () => {
+    const { result } = renderHook(() => useWalletTopUp());
+
+    await act(() => result.current.topUp('5'));
+
+    expect(walletService.createTopUpOrder).not.toHaveBeenCalled();
+    expect(result.current.error).toBe('Minimum amount is ₹10');
+  });
+});
@@ -1,4 +1,4 @@
-import { expect, afterEach, vi } from 'vitest';
+import { expect, beforeEach, afterEach, vi } from 'vitest';
 import { cleanup } from '@testing-library/react';
 import * as matchers from '@testing-library/jest-dom/matchers';
 
@@ -45,17 +45,28 @@ Object.defineProperty(window, 'scrollTo', {
   value: vi.fn(),
 });
 
-// Mock localStorage
+// Mock localStorage - spies backed by a real store, emptied before each test
+let localStorageStore = {};
 const localStorageMock = {
-  getItem: vi.fn(),
-  setItem: vi.fn(),
-  removeItem: vi.fn(),
-  clear: vi.fn(),
+  getItem: vi.fn((key) => (Object.hasOwn(localStorageStore, key) ? localStorageStore[key] : null)),
+  setItem: vi.fn((key, value) => {
+    localStorageStore[key] = String(value);
+  }),
+  removeItem: vi.fn((key) => {
+    delete localStorageStore[key];
+  }),
+  clear: vi.fn(() => {
+    localStorageStore = {};
+  }),
 };
 Object.defineProperty(window, 'localStorage', {
   value: localStorageMock,
 });
 
+beforeEach(() => {
+  localStorageStore = {};
+});
+
 // Mock sessionStorage
 const sessionStorageMock = {
   getItem: vi.fn(),
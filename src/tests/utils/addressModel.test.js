@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeAddress,
+  toApiAddress,
+  fromGeocodeResult,
+  formatAddressLine
+} from '../../utils/addressModel';
+import { validateAddress } from '../../utils/validationSchemas';
+
+const apiAddress = {
+  id: 12,
+  flat_no: '101',
+  building_name: 'ABC Apartments',
+  street_address: 'Main Street',
+  landmark: 'City Mall',
+  city: 'Mumbai',
+  state: 'Maharashtra',
+  postal_code: '400001',
+  address_type: 'Work',
+  latitude: '19.076',
+  longitude: '72.8777',
+  contact_name: 'Asha',
+  contact_phone: '+91 98765 43210',
+  is_primary: '1'
+};
+
+describe('addressModel', () => {
+  it('normalizes API, legacy form and geocoder shapes to one model', () => {
+    expect(normalizeAddress(apiAddress)).toEqual({
+      id: 12,
+      label: 'work',
+      flatNo: '101',
+      buildingName: 'ABC Apartments',
+      streetAddress: 'Main Street',
+      landmark: 'City Mall',
+      city: 'Mumbai',
+      state: 'Maharashtra',
+      postalCode: '400001',
+      country: 'India',
+      latitude: 19.076,
+      longitude: 72.8777,
+      contactName: 'Asha',
+      contactPhone: '9876543210',
+      isPrimary: true
+    });
+
+    // AddAddressModal's pinCode, AddressPickerModal's lat/lng, unknown labels
+    expect(normalizeAddress({ pinCode: '400 101', lat: 19.1, lng: 72.8, addressType: 'office' }))
+      .toMatchObject({ postalCode: '400101', latitude: 19.1, longitude: 72.8, label: 'other', isPrimary: null });
+  });
+
+  it('round-trips through the API payload', () => {
+    const payload = toApiAddress(normalizeAddress(apiAddress));
+
+    expect(payload).toMatchObject({
+      flat_no: '101',
+      postal_code: '400001',
+      address_type: 'work',
+      landmark: 'City Mall',
+      contact_phone: '9876543210',
+      is_primary: 1
+    });
+    expect(normalizeAddress({ id: 12, ...payload })).toEqual(normalizeAddress(apiAddress));
+  });
+
+  it('takes only the fields a geocoding result actually found', () => {
+    expect(fromGeocodeResult({
+      formattedAddress: 'Main Street, Mumbai',
+      city: 'Mumbai',
+      state: '',
+      postalCode: '400001',
+      coordinates: { latitude: 19.07, longitude: 72.87 }
+    })).toEqual({
+      streetAddress: 'Main Street, Mumbai',
+      city: 'Mumbai',
+      postalCode: '400001',
+      latitude: 19.07,
+      longitude: 72.87
+    });
+
+    // EnhancedPlacesAutocomplete nests components and uses geometry.location
+    expect(fromGeocodeResult({
+      geometry: { location: { lat: 12.9, lng: 77.5 } },
+      addressComponents: { city: 'Bengaluru', postalCode: '560001' }
+    })).toEqual({ city: 'Bengaluru', postalCode: '560001', latitude: 12.9, longitude: 77.5 });
+  });
+
+  it('formats a one-line address including the landmark', () => {
+    expect(formatAddressLine(apiAddress)).toBe(
+      '101, ABC Apartments, Main Street, Near City Mall, Mumbai, Maharashtra, 400001'
+    );
+    expect(formatAddressLine(null)).toBe('');
+  });
+
+  it('validates the canonical model', () => {
+    expect(validateAddress(normalizeAddress(apiAddress)).success).toBe(true);
+
+    const { success, errors } = validateAddress({
+      ...normalizeAddress(apiAddress),
+      flatNo: ' ',
+      postalCode: '012345',
+      contactPhone: '12345'
+    });
+    expect(success).toBe(false);
+    expect(Object.keys(errors).sort()).toEqual(['contactPhone', 'flatNo', 'postalCode']);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const { collectorClient } = vi.hoisted(() => ({
+  collectorClient: { post: vi.fn() }
+}));
+
+vi.mock('axios', () => ({ default: { create: () => collectorClient } }));
+vi.mock('../../api/axiosInstance', () => ({ default: { post: vi.fn() } }));
+
+import axiosInstance from '../../api/axiosInstance';
+import { createCollectorSink } from '../../analytics/sinks/collector';
+import AnalyticsPipeline from '../../analytics/pipeline';
+import { CONSENT_STATUS } from '../../analytics/consent';
+import { scrubProperties, REDACTED } from '../../analytics/privacy';
+import { validateEvent, ANALYTICS_EVENTS } from '../../analytics/events';
+
+const createSink = (name = 'test') => ({
+  name,
+  batches: [],
+  beacons: [],
+  send: vi.fn(async function (events) { this.batches.push(events); }),
+  sendBeacon: vi.fn(function (events) { this.beacons.push(events); return true; })
+});
+
+const pageView = (page) => [ANALYTICS_EVENTS.PAGE_VIEW, { page_name: page }];
+
+describe('analytics', () => {
+  describe('validateEvent', () => {
+    it('accepts events that match their schema', () => {
+      expect(validateEvent('login', { country_code: '91', is_new_user: false }).valid).toBe(true);
+    });
+
+    it('rejects unknown events, missing or mistyped properties and extra keys', () => {
+      expect(validateEvent('made_up', {}).valid).toBe(false);
+      expect(validateEvent('login', {}).errors).toEqual(['"country_code" is required']);
+      expect(validateEvent('user_action', { action: 'tap', value: '3' }).errors).toEqual(['"value" must be a number']);
+      expect(validateEvent('page_view', { page_name: 'home', extra: 1 }).valid).toBe(false);
+    });
+  });
+
+  describe('scrubProperties', () => {
+    it('drops contact identifiers and names and redacts free text', () => {
+      const scrubbed = scrubProperties({
+        phone_number: '+91 98765-43210',
+        email: 'Jane@Example.com',
+        first_name: 'Jane',
+        name: 'Jane Doe',
+        page_name: 'cart',
+        target: 'reach me at jane@example.com or 9876543210',
+        country_code: '91'
+      });
+
+      expect(scrubbed).toEqual({
+        page_name: 'cart',
+        target: `reach me at ${REDACTED} or ${REDACTED}`,
+        country_code: '91'
+      });
+    });
+  });
+
+  describe('AnalyticsPipeline', () => {
+    let sink;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      sink = createSink();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      vi.restoreAllMocks();
+    });
+
+    it('holds events until consent is granted, then delivers them', async () => {
+      const pipeline = new AnalyticsPipeline({ sinks: [sink] });
+      await pipeline.track(...pageView('home'));
+      await pipeline.track(...pageView('cart'));
+      await vi.runAllTimersAsync();
+      expect(sink.send).not.toHaveBeenCalled();
+
+      pipeline.setConsent(CONSENT_STATUS.GRANTED);
+      await vi.runAllTimersAsync();
+
+      expect(sink.batches).toHaveLength(1);
+      expect(sink.batches[0].map((event) => event.properties.page_name)).toEqual(['home', 'cart']);
+    });
+
+    it('discards held events when consent is denied', async () => {
+      const pipeline = new AnalyticsPipeline({ sinks: [sink] });
+      await pipeline.track(...pageView('home'));
+
+      pipeline.setConsent(CONSENT_STATUS.DENIED);
+      expect(await pipeline.track(...pageView('cart'))).toBe(false);
+      pipeline.setConsent(CONSENT_STATUS.GRANTED);
+      await vi.runAllTimersAsync();
+
+      expect(sink.send).not.toHaveBeenCalled();
+    });
+
+    it('caps the number of held events', async () => {
+      const pipeline = new AnalyticsPipeline({ sinks: [sink], maxHeldEvents: 2 });
+      for (const page of ['a', 'b', 'c']) {
+        await pipeline.track(...pageView(page));
+      }
+      pipeline.setConsent(CONSENT_STATUS.GRANTED);
+      await vi.runAllTimersAsync();
+
+      expect(sink.batches[0].map((event) => event.properties.page_name)).toEqual(['b', 'c']);
+    });
+
+    it('flushes in batches once the batch size is reached', async () => {
+      const pipeline = new AnalyticsPipeline({ sinks: [sink], consent: CONSENT_STATUS.GRANTED, batchSize: 2 });
+      await pipeline.track(...pageView('a'));
+      expect(sink.send).not.toHaveBeenCalled();
+
+      await pipeline.track(...pageView('b'));
+      await pipeline.track(...pageView('c'));
+      expect(sink.batches).toHaveLength(1);
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(sink.batches.map((batch) => batch.length)).toEqual([2, 1]);
+    });
+
+    it('flushes the queue with sendBeacon on page hide', async () => {
+      const pipeline = new AnalyticsPipeline({ sinks: [sink], consent: CONSENT_STATUS.GRANTED });
+      await pipeline.track(...pageView('a'));
+
+      pipeline.flushWithBeacon();
+
+      expect(sink.beacons).toHaveLength(1);
+      await vi.runAllTimersAsync();
+      expect(sink.send).not.toHaveBeenCalled();
+    });
+
+    it('keeps delivering to healthy sinks when one fails', async () => {
+      const broken = createSink('broken');
+      broken.send.mockRejectedValue(new Error('offline'));
+      const pipeline = new AnalyticsPipeline({ sinks: [broken, sink], consent: CONSENT_STATUS.GRANTED });
+
+      await pipeline.track(...pageView('a'));
+      await pipeline.flush();
+
+      expect(sink.batches).toHaveLength(1);
+    });
+
+    it('never hands raw PII or invalid events to sinks', async () => {
+      const pipeline = new AnalyticsPipeline({
+        sinks: [sink],
+        consent: CONSENT_STATUS.GRANTED,
+        getContext: () => ({ anonymous_id: 'anon-1', user_id: '42', context: { platform: 'web' } })
+      });
+
+      await pipeline.track('user_action', { action: 'call', target: 'provider 9876543210' });
+      expect(await pipeline.track('login', { phone_number: '9876543210' })).toBe(false);
+      await pipeline.flush();
+
+      const [event] = sink.batches[0];
+      expect(sink.batches[0]).toHaveLength(1);
+      expect(event).toMatchObject({ event: 'user_action', anonymous_id: 'anon-1', user_id: '42', context: { platform: 'web' } });
+      expect(JSON.stringify(event)).not.toContain('9876543210');
+    });
+  });
+
+  describe('collector sink', () => {
+    it('posts batches outside the authenticated API client', async () => {
+      collectorClient.post.mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+
+      await expect(createCollectorSink().send([{ event: 'page_view' }])).rejects.toThrow('Unauthorized');
+
+      expect(collectorClient.post).toHaveBeenCalledWith(expect.any(String), { events: [{ event: 'page_view' }] }, expect.any(Object));
+      expect(axiosInstance.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BOOKING_DRAFT_TTL,
+  getAttributeStructure,
+  saveBookingDraft,
+  getBookingDraft,
+  getLatestBookingDraft,
+  removeBookingDraft
+} from '../../utils/bookingDrafts';
+
+const attributes = {
+  'Type of Cleaning': {
+    list: [{ id: 'attr-1', options: { values: [{ id: 'opt-deep' }, { id: 'opt-basic' }] } }]
+  },
+  'No.of Service': {
+    dropdown: [{ id: 'attr-2', options: { values: [{ id: 'opt-1' }, { id: 'opt-2' }] } }]
+  }
+};
+
+const NOW = new Date(2026, 9, 19, 10, 0).getTime();
+
+const draftFor = (overrides = {}) => ({
+  serviceName: 'Home Cleaning',
+  attributes,
+  selectedAttributes: { 'Type of Cleaning': { id: 'opt-deep', value: 'Deep' } },
+  selectedSegment: { id: 'seg-2', segment_name: '2 BHK' },
+  selectedDate: new Date(2026, 9, 21),
+  timeFromValue: '10:00',
+  timeToValue: '12:00',
+  ...overrides
+});
+
+describe('bookingDrafts', () => {
+  it('restores selections per service, including the chosen provider', () => {
+    saveBookingDraft('svc-1', draftFor(), NOW);
+    saveBookingDraft('svc-1', { rateCardId: 'rc-9', providerId: 'p-3' }, NOW + 1000);
+
+    const draft = getBookingDraft('svc-1', attributes, NOW + 2000);
+
+    expect(draft).toMatchObject({
+      serviceId: 'svc-1',
+      selectedAttributes: { 'Type of Cleaning': { id: 'opt-deep', value: 'Deep' } },
+      selectedSegment: { id: 'seg-2' },
+      timeFromValue: '10:00',
+      rateCardId: 'rc-9'
+    });
+    expect(draft.selectedDate).toEqual(new Date(2026, 9, 21));
+    expect(getBookingDraft('svc-2', attributes, NOW)).toBeNull();
+  });
+
+  it('drops drafts once they expire', () => {
+    saveBookingDraft('svc-1', draftFor(), NOW);
+
+    expect(getBookingDraft('svc-1', attributes, NOW + BOOKING_DRAFT_TTL + 1)).toBeNull();
+    expect(getBookingDraft('svc-1', attributes, NOW)).toBeNull();
+  });
+
+  it('drops the draft when the service attributes change', () => {
+    saveBookingDraft('svc-1', draftFor(), NOW);
+    const changed = {
+      ...attributes,
+      'Type of Cleaning': { list: [{ id: 'attr-1', options: { values: [{ id: 'opt-premium' }] } }] }
+    };
+
+    expect(getAttributeStructure(attributes)).toEqual(getAttributeStructure({ ...attributes }));
+    expect(getBookingDraft('svc-1', changed, NOW)).toBeNull();
+    expect(getBookingDraft('svc-1', attributes, NOW)).toBeNull();
+  });
+
+  it('keeps the selections but clears a booking date that has passed', () => {
+    saveBookingDraft('svc-1', draftFor({ selectedDate: new Date(2026, 9, 18) }), NOW);
+
+    expect(getBookingDraft('svc-1', attributes, NOW)).toMatchObject({
+      selectedDate: null,
+      timeFromValue: null,
+      timeToValue: null,
+      selectedSegment: { id: 'seg-2' }
+    });
+  });
+
+  it('offers the most recent draft to continue and forgets dismissed ones', () => {
+    saveBookingDraft('svc-1', draftFor(), NOW);
+    saveBookingDraft('svc-2', draftFor({ serviceName: 'AC Repair' }), NOW + 1000);
+
+    expect(getLatestBookingDraft(NOW + 2000)).toMatchObject({ serviceId: 'svc-2', serviceName: 'AC Repair' });
+
+    removeBookingDraft('svc-2');
+    expect(getLatestBookingDraft(NOW + 2000)).toMatchObject({ serviceId: 'svc-1' });
+  });
+});
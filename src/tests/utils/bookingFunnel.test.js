@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import analyticsService from '../../api/services/analyticsService';
+import {
+  FUNNEL_SESSION_TIMEOUT,
+  getFunnelSession,
+  setFunnelService,
+  trackFunnelStep,
+  endFunnelSession,
+  getFunnelLog,
+  subscribeFunnelLog
+} from '../../analytics/funnel';
+import { ANALYTICS_EVENTS, validateEvent } from '../../analytics/events';
+
+vi.mock('../../api/services/analyticsService', () => ({
+  default: { track: vi.fn(() => Promise.resolve(true)) }
+}));
+
+describe('booking funnel', () => {
+  beforeEach(() => {
+    const store = {};
+    sessionStorage.getItem.mockImplementation((key) => (key in store ? store[key] : null));
+    sessionStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    sessionStorage.removeItem.mockImplementation((key) => { delete store[key]; });
+    analyticsService.track.mockClear();
+    endFunnelSession();
+  });
+
+  it('ties every step to one session and carries the service forward', () => {
+    setFunnelService({ serviceId: 12, categoryId: 'cat-1' });
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_SERVICE_VIEWED, { service_name: 'AC Service' });
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_CART_VIEWED, { item_count: 2 });
+
+    const [[, viewed], [, cart]] = analyticsService.track.mock.calls;
+    expect(viewed.funnel_session_id).toBe(cart.funnel_session_id);
+    expect(cart).toMatchObject({ service_id: '12', category_id: 'cat-1', item_count: 2 });
+  });
+
+  it('produces properties that match the event schemas', () => {
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_PROVIDER_SELECTED, { provider_id: 7, rate_card_id: undefined });
+
+    const [[name, properties]] = analyticsService.track.mock.calls;
+    expect(properties).toEqual({ funnel_session_id: expect.any(String), provider_id: '7' });
+    expect(validateEvent(name, properties).valid).toBe(true);
+  });
+
+  it('starts a new session after inactivity or once the funnel ends', () => {
+    const first = getFunnelSession(1000).id;
+    expect(getFunnelSession(1000 + FUNNEL_SESSION_TIMEOUT - 1).id).toBe(first);
+    expect(getFunnelSession(1000 + FUNNEL_SESSION_TIMEOUT).id).not.toBe(first);
+
+    const second = getFunnelSession().id;
+    endFunnelSession();
+    expect(getFunnelSession().id).not.toBe(second);
+  });
+
+  it('keeps a log of the current session for the inspector', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeFunnelLog(listener);
+
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_VIP_SELECTED, { vip_plan_id: 3, selected: true });
+    expect(getFunnelLog().map((entry) => entry.step)).toEqual([ANALYTICS_EVENTS.FUNNEL_VIP_SELECTED]);
+    expect(listener).toHaveBeenLastCalledWith(getFunnelLog());
+
+    endFunnelSession();
+    trackFunnelStep(ANALYTICS_EVENTS.FUNNEL_SERVICE_VIEWED);
+    expect(getFunnelLog()).toHaveLength(1);
+    unsubscribe();
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import ErrorReporter from '../../monitoring/reporter';
+import EnvelopeTransport, { SEND_RESULT, TRANSPORT_DEFAULTS } from '../../monitoring/transport';
+import { parseDsn } from '../../monitoring/dsn';
+import { parseEnvelope } from '../../monitoring/envelope';
+import { instrumentNavigation } from '../../monitoring/breadcrumbs';
+import { REDACTED } from '../../analytics/privacy';
+
+const DSN = 'http://publickey@localhost:8787/1';
+
+// Local stand-in for the Sentry envelope endpoint
+const createReceiver = () => {
+  const receiver = {
+    events: [],
+    requests: [],
+    status: 200,
+    headers: {},
+    offline: false,
+    fetch: vi.fn(async (url, { body }) => {
+      if (receiver.offline) throw new TypeError('Failed to fetch');
+      receiver.requests.push({ url, envelope: parseEnvelope(body) });
+      if (receiver.status < 300) {
+        receiver.events.push(...parseEnvelope(body).items.map((item) => item.payload));
+      }
+      return {
+        ok: receiver.status < 300,
+        status: receiver.status,
+        headers: { get: (name) => receiver.headers[name] ?? null }
+      };
+    })
+  };
+  return receiver;
+};
+
+describe('error reporting', () => {
+  let store;
+  let receiver;
+  let transport;
+
+  beforeEach(() => {
+    store = {};
+    localStorage.getItem.mockImplementation((key) => (key in store ? store[key] : null));
+    localStorage.setItem.mockImplementation((key, value) => { store[key] = String(value); });
+    localStorage.removeItem.mockImplementation((key) => { delete store[key]; });
+
+    receiver = createReceiver();
+    transport = new EnvelopeTransport({ url: parseDsn(DSN).envelopeUrl, fetchImpl: receiver.fetch, storage: localStorage });
+  });
+
+  describe('parseDsn', () => {
+    it('derives the envelope endpoint and rejects invalid DSNs', () => {
+      expect(parseDsn('https://abc@o1.ingest.sentry.io/relay/42')).toMatchObject({
+        publicKey: 'abc',
+        projectId: '42',
+        envelopeUrl: 'https://o1.ingest.sentry.io/relay/api/42/envelope/?sentry_key=abc&sentry_version=7'
+      });
+      expect(parseDsn('https://o1.ingest.sentry.io/42')).toBeNull();
+      expect(parseDsn('not a dsn')).toBeNull();
+    });
+  });
+
+  describe('ErrorReporter', () => {
+    it('sends a scrubbed event with release, user and breadcrumbs in envelope format', async () => {
+      const reporter = new ErrorReporter({ dsn: DSN, release: 'eassylife-web@1.2.3', environment: 'test', transport });
+      reporter.setUser({ id: 42, first_name: 'Jane', mobile: '9876543210' });
+      reporter.addBreadcrumb({ category: 'http', data: { method: 'GET', url: 'orders?token=secret', status_code: 200 } });
+
+      const eventId = await reporter.captureException(new Error('Cannot reach jane@example.com'), { tags: { boundary: 'orders' } });
+
+      const [{ url, envelope }] = receiver.requests;
+      expect(url).toBe('http://localhost:8787/api/1/envelope/?sentry_key=publickey&sentry_version=7');
+      expect(envelope.header).toMatchObject({ event_id: eventId, dsn: DSN });
+      expect(envelope.items[0].header).toMatchObject({ type: 'event' });
+
+      const [event] = receiver.events;
+      expect(event).toMatchObject({
+        event_id: eventId,
+        platform: 'javascript',
+        release: 'eassylife-web@1.2.3',
+        environment: 'test',
+        user: { id: '42' },
+        tags: { boundary: 'orders' }
+      });
+      expect(event.exception.values[0]).toMatchObject({ type: 'Error', value: `Cannot reach ${REDACTED}` });
+      expect(event.exception.values[0].stacktrace.frames.length).toBeGreaterThan(0);
+      expect(event.breadcrumbs.values[0].data.url).toBe(`orders?token=${REDACTED}`);
+      expect(JSON.stringify(event)).not.toContain('9876543210');
+    });
+
+    it('sends a repeated error once per de-duplication window', async () => {
+      const reporter = new ErrorReporter({ dsn: DSN, transport });
+
+      await reporter.captureException(new Error('render loop'));
+      await reporter.captureException(new Error('render loop'));
+      await reporter.captureException(new TypeError('something else'));
+
+      expect(receiver.events.map((event) => event.exception.values[0].value)).toEqual(['render loop', 'something else']);
+    });
+
+    it('does nothing without a DSN', async () => {
+      expect(await new ErrorReporter().captureException(new Error('ignored'))).toBeNull();
+    });
+  });
+
+  describe('EnvelopeTransport', () => {
+    it('rate limits on the client and honours server rate limits', async () => {
+      let now = 0;
+      const limited = new EnvelopeTransport({ url: 'x', fetchImpl: receiver.fetch, storage: localStorage, maxEventsPerMinute: 2, now: () => now });
+
+      expect(await limited.send('{}')).toBe(SEND_RESULT.SENT);
+      expect(await limited.send('{}')).toBe(SEND_RESULT.SENT);
+      expect(await limited.send('{}')).toBe(SEND_RESULT.RATE_LIMITED);
+
+      now = 60 * 1000;
+      receiver.status = 429;
+      receiver.headers['Retry-After'] = '120';
+      expect(await limited.send('{}')).toBe(SEND_RESULT.RATE_LIMITED);
+
+      receiver.status = 200;
+      now += 119 * 1000;
+      expect(await limited.send('{}')).toBe(SEND_RESULT.RATE_LIMITED);
+      now += 1000;
+      expect(await limited.send('{}')).toBe(SEND_RESULT.SENT);
+      expect(receiver.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('queues envelopes while offline and delivers them later', async () => {
+      const reporter = new ErrorReporter({ dsn: DSN, transport });
+      receiver.offline = true;
+
+      await reporter.captureException(new Error('first'));
+      await reporter.captureException(new Error('second'));
+      expect(JSON.parse(store[TRANSPORT_DEFAULTS.QUEUE_STORAGE_KEY])).toHaveLength(2);
+
+      receiver.offline = false;
+      await transport.flushQueue();
+
+      expect(receiver.events.map((event) => event.exception.values[0].value)).toEqual(['first', 'second']);
+      expect(store[TRANSPORT_DEFAULTS.QUEUE_STORAGE_KEY]).toBeUndefined();
+    });
+
+    it('keeps at most MAX_QUEUED_ENVELOPES, dropping the oldest', () => {
+      const small = new EnvelopeTransport({ url: 'x', fetchImpl: receiver.fetch, storage: localStorage, maxQueued: 2 });
+      ['a', 'b', 'c'].forEach((envelope) => small.enqueue(envelope));
+      expect(small.getQueue()).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('navigation breadcrumbs', () => {
+    let cleanup;
+    afterEach(() => cleanup?.());
+
+    it('records route changes made through the history API', () => {
+      const addBreadcrumb = vi.fn();
+      const from = window.location.pathname;
+      cleanup = instrumentNavigation(addBreadcrumb);
+
+      window.history.pushState({}, '', '/cart');
+      window.history.replaceState({}, '', '/cart');
+
+      expect(addBreadcrumb).toHaveBeenCalledTimes(1);
+      expect(addBreadcrumb).toHaveBeenCalledWith({ category: 'navigation', data: { from, to: '/cart' } });
+      window.history.replaceState({}, '', from);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  translate,
+  normalizeLanguage,
+  setLanguage,
+  getLanguage,
+  getLocale,
+  subscribeLanguage,
+  LANGUAGE_STORAGE_KEY
+} from '../../i18n';
+import en from '../../i18n/locales/en';
+import hi from '../../i18n/locales/hi';
+import mr from '../../i18n/locales/mr';
+import pu from '../../i18n/locales/pu';
+import { formatCurrency, formatNumber, formatDate, formatTime, formatOrdinal } from '../../i18n/format';
+import { formatDateTime, formatTime as formatTimeValue, getDaySuffix } from '../../utils/dateUtils';
+
+describe('i18n', () => {
+  afterEach(() => {
+    setLanguage('en');
+  });
+
+  describe('normalizeLanguage', () => {
+    it.each([
+      ['en', 'en'],
+      ['hi-IN', 'hi'],
+      ['pa', 'pu'],
+      ['pa-IN', 'pu'],
+      ['MR', 'mr'],
+      ['bn', null],
+      ['', null],
+      [undefined, null]
+    ])('normalizes %s to %s', (input, expected) => {
+      expect(normalizeLanguage(input)).toBe(expected);
+    });
+  });
+
+  describe('translate', () => {
+    it('looks up messages in the requested language', () => {
+      expect(translate('common.cart', {}, { language: 'hi' })).toBe('कार्ट');
+      expect(translate('common.cart', {}, { language: 'pu' })).toBe('ਕਾਰਟ');
+    });
+
+    it('falls back to English, then to the key', () => {
+      expect(translate('ordinal.other', { count: 4 }, { language: 'mr' })).toBe('4th');
+      expect(translate('missing.key', {}, { language: 'hi' })).toBe('missing.key');
+    });
+
+    it('selects plural forms and interpolates the count', () => {
+      expect(translate('cart.itemCount', { count: 0 })).toBe('No items');
+      expect(translate('cart.itemCount', { count: 1 })).toBe('1 item');
+      expect(translate('cart.itemCount', { count: 3 })).toBe('3 items');
+      expect(translate('cart.itemCount', { count: 3 }, { language: 'pu' })).toBe('3 ਆਈਟਮਾਂ');
+    });
+
+    it('leaves unknown placeholders intact', () => {
+      expect(translate('ordinal.other', {})).toBe('{count}th');
+    });
+
+    it.each([['hi', hi], ['mr', mr], ['pu', pu]])('ships every cart and slot message in %s', (_language, catalog) => {
+      ['cart', 'slots'].forEach((section) => {
+        expect(Object.keys(catalog[section]).sort()).toEqual(Object.keys(en[section]).sort());
+      });
+    });
+  });
+
+  describe('setLanguage', () => {
+    it('switches, persists and notifies subscribers', () => {
+      const changes = [];
+      const unsubscribe = subscribeLanguage((language) => changes.push(language));
+
+      expect(setLanguage('mr-IN')).toBe(true);
+      expect(getLanguage()).toBe('mr');
+      expect(localStorage.getItem(LANGUAGE_STORAGE_KEY)).toBe('mr');
+      expect(document.documentElement.lang).toBe('mr-IN');
+      expect(changes).toEqual(['mr']);
+
+      unsubscribe();
+    });
+
+    it('ignores unsupported languages', () => {
+      expect(setLanguage('fr')).toBe(false);
+      expect(getLanguage()).toBe('en');
+    });
+
+    it('routes translate and formatters through the active language', () => {
+      setLanguage('hi');
+      expect(translate('common.home')).toBe('होम');
+      expect(getLocale()).toBe('hi-IN');
+    });
+  });
+
+  describe('formatters', () => {
+    it('formats numbers and currency with Indian grouping and Latin digits', () => {
+      expect(formatNumber(1234567, {}, 'en')).toBe('12,34,567');
+      expect(formatNumber(1234567, {}, 'mr')).toBe('12,34,567');
+      expect(formatCurrency(123456.5, {}, 'hi')).toBe('₹1,23,456.50');
+      expect(formatCurrency('499', {}, 'pu')).toBe('₹499');
+    });
+
+    it('formats dates per language and reads yyyy-MM-dd as a local date', () => {
+      expect(formatDate('2025-06-26', 'short', 'en')).toBe('26 Jun 2025');
+      expect(formatDate('2025-06-26', 'short', 'hi')).toBe('26 जून 2025');
+      expect(formatDate('not a date', 'short', 'en')).toBe('not a date');
+    });
+
+    it('formats 12-hour times', () => {
+      expect(formatTime('14:30:00', 'en')).toBe('2:30 PM');
+      expect(formatTime('09:05', 'en')).toBe('9:05 AM');
+    });
+
+    it('formats English ordinals', () => {
+      expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 23].map((day) => formatOrdinal(day, 'en')))
+        .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '23rd']);
+    });
+  });
+
+  describe('dateUtils', () => {
+    it('keeps the Flutter format in English', () => {
+      expect(formatDateTime('2025-06-26')).toBe('Thu, 26th Jun 2025');
+      expect(getDaySuffix(22)).toBe('nd');
+      expect(formatTimeValue('14:30')).toBe('2:30 PM');
+    });
+
+    it('follows the active language', () => {
+      setLanguage('hi');
+      expect(formatDateTime('2025-06-26')).toBe('गुरु, 26 जून 2025');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const { razorpayService, reconcilePayment } = vi.hoisted(() => ({
+  razorpayService: { openCheckout: vi.fn() },
+  reconcilePayment: vi.fn()
+}));
+
+vi.mock('../../api/services/razorpayService', () => ({ default: razorpayService }));
+vi.mock('../../api/services/paymentRecoveryService', () => ({
+  default: { reconcilePayment },
+  RECOVERY_RESULT: { RECOVERED: 'recovered', FAILED: 'failed', PENDING: 'pending' }
+}));
+
+import { collectJournalledPayment, PAYMENT_OUTCOME } from '../../utils/journalledPayment';
+import { PAYMENT_JOURNAL_TYPE, getPendingPayment } from '../../utils/paymentJournal';
+
+const collect = () => collectJournalledPayment({
+  razorpayOrderId: 'order_1',
+  amount: 500,
+  type: PAYMENT_JOURNAL_TYPE.CHECKOUT,
+  checkoutData: { total_amount: '500' },
+  user: { id: 1 }
+});
+
+const dismissCheckout = () => {
+  razorpayService.openCheckout.mockImplementation(({ onDismiss, onPaymentError }) => {
+    onDismiss();
+    onPaymentError('Payment cancelled by user');
+  });
+};
+
+describe('collectJournalledPayment', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('drops the entry without asking the backend when the gateway never opened', async () => {
+    razorpayService.openCheckout.mockImplementation(({ onPaymentError }) => onPaymentError('Razorpay SDK failed to load'));
+
+    const result = await collect();
+
+    expect(result).toEqual({ outcome: PAYMENT_OUTCOME.FAILED, message: 'Razorpay SDK failed to load' });
+    expect(reconcilePayment).not.toHaveBeenCalled();
+    expect(getPendingPayment('order_1')).toBeNull();
+  });
+
+  it('hands a dismissed checkout to the reconciler before treating it as unpaid', async () => {
+    dismissCheckout();
+    reconcilePayment.mockResolvedValue({ result: 'pending', razorpayOrderId: 'order_1' });
+
+    const result = await collect();
+
+    expect(reconcilePayment).toHaveBeenCalledWith(expect.objectContaining({ razorpayOrderId: 'order_1', amount: 500 }));
+    expect(result.outcome).toBe(PAYMENT_OUTCOME.PENDING);
+    expect(getPendingPayment('order_1')).not.toBeNull();
+  });
+
+  it('reports a dismissed checkout the backend booked as recovered', async () => {
+    dismissCheckout();
+    reconcilePayment.mockResolvedValue({ result: 'recovered', razorpayOrderId: 'order_1', bookingId: 42 });
+
+    expect(await collect()).toEqual({ outcome: PAYMENT_OUTCOME.RECOVERED, bookingId: 42 });
+  });
+
+  it('reports a dismissed checkout the backend failed as cancelled', async () => {
+    dismissCheckout();
+    reconcilePayment.mockResolvedValue({ result: 'failed', razorpayOrderId: 'order_1' });
+
+    expect(await collect()).toEqual({ outcome: PAYMENT_OUTCOME.CANCELLED, message: 'Payment cancelled by user' });
+  });
+});
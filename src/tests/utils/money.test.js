@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toPaise,
+  fromPaise,
+  sumPaise,
+  percentOfPaise,
+  toGatewayAmount,
+  formatPaise
+} from '../../utils/money';
+
+describe('money', () => {
+  describe('toPaise', () => {
+    it.each([
+      [0, 0],
+      ['0', 0],
+      [null, 0],
+      [undefined, 0],
+      ['', 0],
+      ['abc', 0],
+      [Number.NaN, 0],
+      [Infinity, 0],
+      [1, 100],
+      ['499', 49900],
+      ['499.5', 49950],
+      ['499.50', 49950],
+      ['.5', 50],
+      ['1,234.56', 123456],
+      ['₹ 1,234', 123400],
+      [0.1, 10],
+      [0.29, 29],
+      [1.005, 101],
+      ['1.005', 101],
+      ['1.0049', 100],
+      ['1.00499', 100],
+      ['2.675', 268],
+      ['-10.005', -1001],
+      ['-0.001', 0],
+      [-5.5, -550],
+      ['1e2', 10000]
+    ])('parses %p as %p paise', (input, expected) => {
+      expect(toPaise(input)).toBe(expected);
+    });
+  });
+
+  it('sums without floating-point drift', () => {
+    expect(sumPaise(0.1, 0.2)).toBe(30);
+    expect(fromPaise(sumPaise('0.1', '0.2'))).toBe(0.3);
+    expect(sumPaise('1099.99', '0.01', 0.1, '0.2')).toBe(110030);
+  });
+
+  it('rounds percentages half away from zero', () => {
+    expect(percentOfPaise(1050, 5)).toBe(53); // 52.5 -> 53
+    expect(percentOfPaise(-1050, 5)).toBe(-53);
+    expect(percentOfPaise(99999, 18)).toBe(18000); // 17999.82
+  });
+
+  it('converts to integer gateway amounts', () => {
+    expect(toGatewayAmount(1099.99)).toBe(109999);
+    expect(toGatewayAmount(0.1 + 0.2)).toBe(30);
+    expect(toGatewayAmount(19.99)).toBe(1999);
+    expect(Number.isInteger(toGatewayAmount(33.333333))).toBe(true);
+    expect(toGatewayAmount(-5)).toBe(0);
+  });
+
+  it('formats for display', () => {
+    expect(formatPaise(0)).toBe('₹0');
+    expect(formatPaise(123400)).toBe('₹1,234');
+    expect(formatPaise(12345678)).toBe('₹1,23,456.78');
+    expect(formatPaise(50)).toBe('₹0.50');
+    expect(formatPaise(123400, { fractionDigits: 2 })).toBe('₹1,234.00');
+    expect(formatPaise(-550, { fractionDigits: 2 })).toBe('-₹5.50');
+    expect(formatPaise(550, { fractionDigits: 2, signed: true })).toBe('+₹5.50');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { PaymentTypes } from '../../types/cart';
+import {
+  calculatePaymentAmounts,
+  calculateVipSavings,
+  calculateTotalOrderValue,
+  formatCurrency
+} from '../../utils/paymentCalculations';
+import { toGatewayAmount } from '../../utils/money';
+import walletService from '../../api/services/walletService';
+
+// Fixture amounts chosen to trip plain float math (0.1 + 0.2, x.99 totals)
+const cartData = {
+  total_price: '1099.99',
+  total_service_amount: '1099.99',
+  item_full_amount: '1099.99',
+  vip_full_amount: '899.50',
+  viplifediscount: '200.49',
+  partialPayment: '330.00',
+  leftBalance: '769.99',
+  convinencecharge: '49.99',
+  remaining_convcience: '0'
+};
+
+const couponData = { itemDiscountAmount: '989.99', couponValue: '110.00' };
+
+// Base amount to pay (paise) before tips and wallet, per payment mode
+const BASE_PAISE = {
+  [PaymentTypes.FULL_AMOUNT]: { withCoupon: 98999, withoutCoupon: 109999 },
+  [PaymentTypes.PARTIAL]: { withCoupon: 33000, withoutCoupon: 33000 },
+  [PaymentTypes.VIP]: { withCoupon: 89950, withoutCoupon: 89950 }
+};
+
+const TIPS = {
+  none: { selectedTip: '', selectedDonationTip: '', paise: 0 },
+  fractional: { selectedTip: '0.1', selectedDonationTip: '0.2', paise: 30 }
+};
+
+const WALLETS = {
+  off: { isWalletEnabled: false, user_wallet_amount: '100.10', paise: 0 },
+  partial: { isWalletEnabled: true, user_wallet_amount: '100.10', paise: 10010 },
+  covering: { isWalletEnabled: true, user_wallet_amount: '5000', paise: 500000 }
+};
+
+const expectedFor = ({ paymentType, coupon, tip, wallet }) => {
+  const base = BASE_PAISE[paymentType][coupon ? 'withCoupon' : 'withoutCoupon'];
+  const beforeWallet = base + TIPS[tip].paise;
+  const walletApplies = WALLETS[wallet].isWalletEnabled && paymentType !== PaymentTypes.VIP;
+  const walletDeduction = walletApplies ? Math.min(WALLETS[wallet].paise, beforeWallet) : 0;
+
+  let discount = 0;
+  if (paymentType === PaymentTypes.VIP) discount = 20049;
+  else if (paymentType === PaymentTypes.FULL_AMOUNT && coupon) discount = 11000;
+
+  return {
+    totalPaise: beforeWallet - walletDeduction,
+    walletDeduction,
+    discount,
+    remaining: paymentType === PaymentTypes.PARTIAL ? 76999 : 0
+  };
+};
+
+const MATRIX = Object.values(PaymentTypes).flatMap((paymentType) =>
+  [false, true].flatMap((coupon) =>
+    Object.keys(TIPS).flatMap((tip) =>
+      Object.keys(WALLETS).map((wallet) => ({ paymentType, coupon, tip, wallet }))
+    )
+  )
+);
+
+const buildCartState = ({ paymentType, coupon, tip, wallet }) => ({
+  cartData: { ...cartData, user_wallet_amount: WALLETS[wallet].user_wallet_amount },
+  paymentType,
+  selectedTip: TIPS[tip].selectedTip,
+  selectedDonationTip: TIPS[tip].selectedDonationTip,
+  selectedVipPlan: paymentType === PaymentTypes.VIP ? { id: 'vip-1', plan_name: 'Gold' } : null,
+  isWalletEnabled: WALLETS[wallet].isWalletEnabled,
+  couponData: coupon ? couponData : null,
+  isCouponApplied: coupon
+});
+
+describe('calculatePaymentAmounts', () => {
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('covers every payment combination', () => {
+    expect(MATRIX).toHaveLength(36);
+  });
+
+  it.each(MATRIX)('$paymentType / coupon=$coupon / tip=$tip / wallet=$wallet', (combination) => {
+    const result = calculatePaymentAmounts(buildCartState(combination));
+    const expected = expectedFor(combination);
+
+    expect(Number.isInteger(result.finalTotalPaise)).toBe(true);
+    expect(result.finalTotalPaise).toBe(expected.totalPaise);
+    expect(result.finalTotalAmount).toBe(expected.totalPaise / 100);
+    expect(result.walletDeductionAmount).toBe(expected.walletDeduction / 100);
+    expect(result.finalTotalDiscountAmount).toBe(expected.discount / 100);
+    expect(result.finalRemainingAmounts).toBe(expected.remaining / 100);
+
+    // The gateway amount is exact integer paise
+    expect(toGatewayAmount(result.finalTotalAmount)).toBe(expected.totalPaise);
+    expect(calculateTotalOrderValue(buildCartState(combination)))
+      .toBe((expected.totalPaise + expected.remaining) / 100);
+  });
+
+  it('returns zeros without cart data', () => {
+    const result = calculatePaymentAmounts({ cartData: null });
+    expect(result.finalTotalAmount).toBe(0);
+    expect(result.finalTotalPaise).toBe(0);
+  });
+
+  it('ignores a VIP payment type without a selected plan', () => {
+    const state = buildCartState({ paymentType: PaymentTypes.VIP, coupon: false, tip: 'none', wallet: 'off' });
+    const result = calculatePaymentAmounts({ ...state, selectedVipPlan: null });
+    expect(result.finalTotalPaise).toBe(109999);
+  });
+});
+
+describe('money formatting helpers', () => {
+  it('calculates VIP savings exactly', () => {
+    expect(calculateVipSavings(cartData, { id: 'vip-1' })).toBe(200.49);
+    expect(calculateVipSavings({ item_full_amount: '100', vip_full_amount: '120' }, { id: 'vip-1' })).toBe(0);
+    expect(calculateVipSavings(null, null)).toBe(0);
+  });
+
+  it('formats currency', () => {
+    expect(formatCurrency(1099.99)).toBe('₹1,099.99');
+    expect(formatCurrency('2500')).toBe('₹2,500');
+    expect(formatCurrency(0.1 + 0.2)).toBe('₹0.30');
+    expect(formatCurrency(undefined)).toBe('₹0');
+  });
+
+  it('formats wallet transactions', () => {
+    expect(walletService.formatTransactionAmount({ amount: '250.5', type: 'credit' })).toBe('+₹250.50');
+    expect(walletService.formatTransactionAmount({ amount: '1250', type: 'debit' })).toBe('-₹1,250.00');
+    expect(walletService.formatTransactionAmount({ amount: '-75', type: 'payment' })).toBe('-₹75.00');
+    expect(walletService.formatTransactionAmount({ amount: 10, type: 'other' })).toBe('₹10.00');
+    expect(walletService.formatTransactionAmount(null)).toBe('₹0.00');
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const { settingsService } = vi.hoisted(() => ({
+  settingsService: { updateProfileSettings: vi.fn() }
+}));
+
+vi.mock('../../api/services/settingsService', () => ({ default: settingsService }));
+
+import { DEFAULT_PREFERENCES, validatePreferences, isSupportedLanguage } from '../../i18n/registry';
+import {
+  getPreferences,
+  setPreferences,
+  subscribePreferences,
+  fromApiPreferences,
+  PREFERENCES_STORAGE_KEY
+} from '../../i18n/preferences';
+import { formatCurrency, formatDate, formatBookingSlot, zonedTimeToDate } from '../../i18n/format';
+import { savePreferences } from '../../hooks/usePreferences';
+
+describe('preferences', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    setPreferences(DEFAULT_PREFERENCES);
+  });
+
+  describe('registry', () => {
+    it('accepts only registered values', () => {
+      expect(validatePreferences({ language: 'pu', timezone: 'Europe/London', dateFormat: 'ymd' }).isValid).toBe(true);
+      expect(validatePreferences({ language: 'bn', currency: 'USD', timezone: 'Mars/Base' }).errors).toEqual({
+        language: 'Please select a valid language',
+        timezone: 'Please select a valid timezone',
+        currency: 'Please select a valid currency'
+      });
+      expect(isSupportedLanguage('ta')).toBe(false);
+    });
+
+    it('reads valid API values and drops the rest', () => {
+      expect(fromApiPreferences({
+        preferred_language: 'hi-IN',
+        timezone: 'Asia/Dubai',
+        currency: 'USD',
+        currency_display: 'code',
+        date_format: 'long'
+      })).toEqual({ language: 'hi', timezone: 'Asia/Dubai', currencyDisplay: 'code' });
+    });
+  });
+
+  describe('setPreferences', () => {
+    it('applies, persists and notifies valid updates', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribePreferences(listener);
+
+      expect(setPreferences({ timezone: 'Asia/Singapore', language: 'hi' }).success).toBe(true);
+
+      expect(getPreferences()).toMatchObject({ timezone: 'Asia/Singapore', language: 'hi' });
+      expect(JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY))).toMatchObject({ timezone: 'Asia/Singapore' });
+      expect(listener).toHaveBeenCalledTimes(1);
+      unsubscribe();
+    });
+
+    it('applies nothing when any value is invalid', () => {
+      const result = setPreferences({ timezone: 'Asia/Dubai', currencyDisplay: 'emoji' });
+
+      expect(result.success).toBe(false);
+      expect(getPreferences().timezone).toBe('Asia/Kolkata');
+    });
+  });
+
+  describe('formatting', () => {
+    it('shows rupee amounts with the chosen currency display', () => {
+      expect(formatCurrency(1234, {}, 'en')).toBe('₹1,234');
+      setPreferences({ currencyDisplay: 'code' });
+      expect(formatCurrency(-50.5, {}, 'en')).toBe('-INR 50.50');
+    });
+
+    it('writes short and medium dates in the chosen date format', () => {
+      setPreferences({ dateFormat: 'dmy' });
+      expect(formatDate('2026-10-05', 'short', 'en')).toBe('05/10/2026');
+
+      setPreferences({ dateFormat: 'ymd' });
+      expect(formatDate('2026-10-05', 'medium', 'en')).toBe('2026-10-05');
+      expect(formatDate('2026-10-05', 'dayMonth', 'en')).toBe('5 Oct');
+    });
+  });
+
+  describe('booking times', () => {
+    it('reads booking times as IST wall-clock', () => {
+      expect(zonedTimeToDate('2026-10-19', '14:30:00').toISOString()).toBe('2026-10-19T09:00:00.000Z');
+      expect(zonedTimeToDate('2026-10-19', '2:30 PM').toISOString()).toBe('2026-10-19T09:00:00.000Z');
+      expect(zonedTimeToDate('2026-10-19', 'soon')).toBeNull();
+    });
+
+    it('keeps the slot as booked for IST users', () => {
+      expect(formatBookingSlot({ date: '2026-10-19', timeFrom: '10:00:00', timeTo: '12:00:00' }))
+        .toEqual({ date: '19 Oct 2026', time: '10:00 AM - 12:00 PM' });
+    });
+
+    it('shows the slot in the user timezone, including day changes', () => {
+      setPreferences({ timezone: 'Europe/London' });
+      expect(formatBookingSlot({ date: '2026-10-19', timeFrom: '10:00', timeTo: '12:00' }).time)
+        .toBe('5:30 AM - 7:30 AM');
+
+      setPreferences({ timezone: 'America/New_York', dateFormat: 'ymd' });
+      expect(formatBookingSlot({ date: '2026-10-19', timeFrom: '01:00', timeTo: '03:00' }))
+        .toEqual({ date: '2026-10-18', time: '3:30 PM - 5:30 PM' });
+    });
+  });
+
+  describe('savePreferences', () => {
+    it('saves the full preferences through updateProfileSettings', async () => {
+      settingsService.updateProfileSettings.mockResolvedValue({ success: true, data: {} });
+
+      const result = await savePreferences({ dateFormat: 'mdy', theme: 'dark' });
+
+      expect(result.success).toBe(true);
+      expect(settingsService.updateProfileSettings).toHaveBeenCalledWith({
+        ...DEFAULT_PREFERENCES,
+        dateFormat: 'mdy',
+        theme: 'dark'
+      });
+    });
+
+    it('restores the previous preferences when the backend rejects them', async () => {
+      settingsService.updateProfileSettings.mockResolvedValue({ success: false, error: 'Server error' });
+
+      const result = await savePreferences({ timezone: 'Asia/Dubai' });
+
+      expect(result).toMatchObject({ success: false, error: 'Server error' });
+      expect(getPreferences().timezone).toBe('Asia/Kolkata');
+    });
+
+    it('does not call the API for unsupported values', async () => {
+      const result = await savePreferences({ language: 'ta' });
+
+      expect(result.success).toBe(false);
+      expect(settingsService.updateProfileSettings).not.toHaveBeenCalled();
+    });
+  });
+});
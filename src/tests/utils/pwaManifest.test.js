@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { resolvePwaConfig, createWebManifest, PWA_DEFAULTS } from '../../pwa/manifest';
+
+describe('pwa manifest', () => {
+  it('falls back to the default PWA_CONFIG', () => {
+    expect(resolvePwaConfig({})).toEqual({
+      NAME: PWA_DEFAULTS.NAME,
+      SHORT_NAME: PWA_DEFAULTS.SHORT_NAME,
+      DESCRIPTION: PWA_DEFAULTS.DESCRIPTION,
+      THEME_COLOR: PWA_DEFAULTS.THEME_COLOR,
+      BACKGROUND_COLOR: PWA_DEFAULTS.BACKGROUND_COLOR
+    });
+  });
+
+  it('builds an installable manifest from env overrides', () => {
+    const config = resolvePwaConfig({ VITE_PWA_NAME: 'EassyLife Staging', VITE_PWA_THEME_COLOR: '#000000' });
+    const manifest = createWebManifest(config, { imageBaseUrl: 'https://cdn.example.com/' });
+
+    expect(manifest).toMatchObject({
+      name: 'EassyLife Staging',
+      short_name: PWA_DEFAULTS.SHORT_NAME,
+      theme_color: '#000000',
+      display: 'standalone',
+      scope: '/'
+    });
+    expect(manifest.icons.map((icon) => icon.sizes)).toEqual(['192x192', '512x512']);
+    expect(manifest.icons[0].src).toBe('https://cdn.example.com/icons/ellogo.jpg');
+  });
+});
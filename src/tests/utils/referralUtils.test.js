@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  sanitizeReferralCode,
+  buildReferralLink,
+  captureReferralCode,
+  getStoredReferralCode,
+  normalizeReferralInfo,
+  REFERRAL_STATUS
+} from '../../utils/referralUtils';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('referralUtils', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('sanitizeReferralCode', () => {
+    it('trims and upper-cases valid codes', () => {
+      expect(sanitizeReferralCode('  eassy42 ')).toBe('EASSY42');
+    });
+
+    it.each([
+      ['too short', 'AB1'],
+      ['oversized', 'A'.repeat(17)],
+      ['punctuation', 'EASSY-42'],
+      ['markup', '<script>'],
+      ['empty', ''],
+      ['missing', null]
+    ])('rejects %s codes', (_label, code) => {
+      expect(sanitizeReferralCode(code)).toBeNull();
+    });
+  });
+
+  describe('referral capture', () => {
+    it('puts the code in the share link and captures it from an incoming one', () => {
+      const link = buildReferralLink('EASSY42', 'https://eassylife.in');
+
+      expect(link).toBe('https://eassylife.in/?ref=EASSY42');
+      expect(captureReferralCode(new URL(link).search)).toBe('EASSY42');
+      expect(getStoredReferralCode()).toBe('EASSY42');
+    });
+
+    it('ignores links with an invalid code', () => {
+      expect(captureReferralCode('?ref=bad!code')).toBeNull();
+      expect(getStoredReferralCode()).toBeNull();
+    });
+
+    it('keeps a captured code for 30 days, then drops it', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-10-01T10:00:00Z'));
+      captureReferralCode('?ref=eassy42');
+
+      vi.setSystemTime(Date.now() + 30 * DAY);
+      expect(getStoredReferralCode()).toBe('EASSY42');
+
+      vi.setSystemTime(Date.now() + 1000);
+      expect(getStoredReferralCode()).toBeNull();
+      expect(localStorage.removeItem).toHaveBeenCalledWith('eassylife_referral_code');
+    });
+  });
+
+  describe('normalizeReferralInfo', () => {
+    it('reads the referrals/total_referrals response', () => {
+      expect(normalizeReferralInfo({
+        referral_code: 'EASSY42',
+        total_referrals: '3',
+        pending_rewards: '100',
+        earned_rewards: '200.5',
+        reward_per_referral: 100,
+        referrals: [{ id: 7, name: 'Asha', status: 'COMPLETED', reward: '100', joined_at: '2026-10-01' }]
+      })).toEqual({
+        code: 'EASSY42',
+        referralCount: 3,
+        pendingRewards: 100,
+        earnedRewards: 200.5,
+        rewardPerReferral: 100,
+        referrals: [{ id: 7, name: 'Asha', status: REFERRAL_STATUS.COMPLETED, reward: 100, joinedAt: '2026-10-01' }]
+      });
+    });
+
+    it('reads the referred_users/referral_count response', () => {
+      const info = normalizeReferralInfo({
+        code: 'EASSY42',
+        pending_amount: 50,
+        total_earned: 'n/a',
+        referral_amount: '75',
+        referred_users: [
+          { user_id: 9, first_name: 'Ravi', last_name: 'K', reward_amount: 75, created_at: '2026-09-20' },
+          { amount: null }
+        ]
+      });
+
+      expect(info).toMatchObject({
+        code: 'EASSY42',
+        referralCount: 2,
+        pendingRewards: 50,
+        earnedRewards: 0,
+        rewardPerReferral: 75
+      });
+      expect(info.referrals).toEqual([
+        { id: 9, name: 'Ravi K', status: REFERRAL_STATUS.JOINED, reward: 75, joinedAt: '2026-09-20' },
+        { id: 'referral-1', name: 'EassyLife user', status: REFERRAL_STATUS.JOINED, reward: 0, joinedAt: null }
+      ]);
+    });
+
+    it('returns empty info when the API sends nothing', () => {
+      expect(normalizeReferralInfo()).toMatchObject({ code: '', referralCount: 0, referrals: [] });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getSelectableDates, getSlotsForDate } from '../../api/services/dateTimeService';
+import {
+  getRescheduleEligibility,
+  validateReschedule
+} from '../../utils/reschedulePolicy';
+
+// Slot window: 10-12 Jun 2025, first day restricted to 14:00-17:00, other days from 09:00
+const slotData = {
+  timeSlotStartYear: 2025,
+  timeSlotStartMonth: 6,
+  timeSlotStartDate: 10,
+  timeSlotEndDateString: '12-06-2025',
+  availableStartSlotHour: 14,
+  timeSlotEndHour: 17,
+  nextslotstart: 9
+};
+
+const NOW = new Date(2025, 5, 9, 12, 0);
+
+const bookedItem = {
+  id: 'item-1',
+  status: 'accepted',
+  is_partial: '0',
+  booking_date: '2025-06-11',
+  booking_time_from: '10:00',
+  booking_time_to: '11:00'
+};
+
+describe('slot engine', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('builds the date strip from the slot window', () => {
+    expect(getSelectableDates(slotData).map((date) => date.getDate())).toEqual([10, 11, 12]);
+  });
+
+  it('never offers today', () => {
+    vi.setSystemTime(new Date(2025, 5, 10, 8, 0));
+    expect(getSelectableDates(slotData).map((date) => date.getDate())).toEqual([11, 12]);
+  });
+
+  it('applies first-day restrictions', () => {
+    const hours = getSlotsForDate(slotData, new Date(2025, 5, 10), NOW).map((slot) => slot.hour);
+    expect(hours).toEqual([14, 15, 16, 17]);
+
+    const nextDayHours = getSlotsForDate(slotData, new Date(2025, 5, 11), NOW).map((slot) => slot.hour);
+    expect(nextDayHours[0]).toBe(9);
+  });
+
+  it('marks past hours unavailable', () => {
+    const later = new Date(2025, 5, 10, 15, 30);
+    const slots = getSlotsForDate(slotData, new Date(2025, 5, 10), later);
+    expect(slots.filter((slot) => slot.available).map((slot) => slot.hour)).toEqual([16, 17]);
+  });
+});
+
+describe('reschedulePolicy', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('only allows accepted, fully paid bookings', () => {
+    expect(getRescheduleEligibility(bookedItem, NOW).allowed).toBe(true);
+    expect(getRescheduleEligibility({ ...bookedItem, status: 'completed' }, NOW).allowed).toBe(false);
+    expect(getRescheduleEligibility({ ...bookedItem, is_partial: '1' }, NOW).allowed).toBe(false);
+  });
+
+  it('allows late changes but warns that a fee may apply', () => {
+    const soon = new Date(2025, 5, 11, 8, 0);
+    expect(getRescheduleEligibility(bookedItem, soon)).toMatchObject({ allowed: true, feeMayApply: true });
+    expect(getRescheduleEligibility(bookedItem, NOW)).toMatchObject({ allowed: true, feeMayApply: false });
+  });
+
+  it('accepts an available slot that differs from the current one', () => {
+    const date = new Date(2025, 5, 12);
+    const [slot] = getSlotsForDate(slotData, date, NOW);
+    expect(validateReschedule({ item: bookedItem, slotData, date, slot, now: NOW }).valid).toBe(true);
+  });
+
+  it('rejects slots booking would not offer', () => {
+    const date = new Date(2025, 5, 10);
+    const slot = { timeFrom: '09:00', timeTo: '10:00', hour: 9 };
+    expect(validateReschedule({ item: bookedItem, slotData, date, slot, now: NOW }).valid).toBe(false);
+  });
+
+  it('rejects the current slot', () => {
+    const date = new Date(2025, 5, 11);
+    const slot = { timeFrom: '10:00', timeTo: '11:00', hour: 10 };
+    const result = validateReschedule({ item: bookedItem, slotData, date, slot, now: NOW });
+    expect(result.valid).toBe(false);
+    expect(result.message).toMatch(/different slot/);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSearchResults,
+  getSearchResultRoute,
+  addRecentSearch,
+  getRecentSearches,
+  SEARCH_GROUPS
+} from '../../utils/searchUtils';
+
+describe('searchUtils', () => {
+  it('groups keyed search payloads', () => {
+    const groups = normalizeSearchResults({
+      categories: [{ id: 'c1', name: 'Cleaning', subcategories: [{ id: 's1' }] }],
+      subcategories: [{ id: 's2', name: 'Sofa Cleaning', category_id: 'c1' }],
+      packages: [{ id: 'p1', name: 'Deep Clean Pack' }]
+    });
+
+    expect(groups.categories).toHaveLength(1);
+    expect(groups.categories[0].hasSubServices).toBe(true);
+    expect(groups.subServices[0].categoryId).toBe('c1');
+    expect(groups.packages[0].type).toBe(SEARCH_GROUPS.PACKAGE);
+  });
+
+  it('groups flat typed arrays', () => {
+    const groups = normalizeSearchResults([
+      { id: 'c1', name: 'Salon', type: 'category' },
+      { id: 'p1', name: 'Bridal', type: 'package' },
+      { id: 's1', name: 'Haircut', category_id: 'c1' }
+    ]);
+
+    expect(groups.categories.map((item) => item.id)).toEqual(['c1']);
+    expect(groups.subServices.map((item) => item.id)).toEqual(['s1']);
+    expect(groups.packages.map((item) => item.id)).toEqual(['p1']);
+  });
+
+  it('deep-links categories with sub-services to service selection', () => {
+    expect(getSearchResultRoute({ id: 'c1', type: SEARCH_GROUPS.CATEGORY, hasSubServices: true }).path)
+      .toBe('/service-selection/c1');
+    expect(getSearchResultRoute({ id: 'c2', type: SEARCH_GROUPS.CATEGORY, hasSubServices: false }).path)
+      .toBe('/service-details/c2');
+
+    const subRoute = getSearchResultRoute({ id: 's1', type: SEARCH_GROUPS.SUB_SERVICE, categoryId: 'c1', name: 'Haircut' });
+    expect(subRoute.path).toBe('/service-details/s1');
+    expect(subRoute.state).toMatchObject({ categoryId: 'c1', subCategoryId: 's1' });
+  });
+
+  it('keeps recent searches unique and most recent first', () => {
+    addRecentSearch('AC repair');
+    addRecentSearch('Plumber');
+    addRecentSearch('ac repair');
+
+    expect(getRecentSearches()).toEqual(['ac repair', 'Plumber']);
+  });
+});
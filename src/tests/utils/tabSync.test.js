@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createTabSync, TAB_SYNC_EVENTS, TAB_SYNC_TRANSPORTS } from '../../sync/tabSync';
+
+// In-memory BroadcastChannel shared by every "tab" in a test
+const createBroadcastChannelBus = () => {
+  const channels = new Set();
+
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      channels.forEach((channel) => {
+        if (channel !== this && channel.name === this.name) {
+          channel.onmessage?.({ data: structuredClone(data) });
+        }
+      });
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  };
+};
+
+// Shared localStorage whose writes raise `storage` events in the other windows only
+const createStorageBus = () => {
+  const values = new Map();
+  const windows = new Set();
+
+  const createWindow = () => {
+    const target = new EventTarget();
+    windows.add(target);
+
+    const notifyOthers = (key, newValue) => {
+      windows.forEach((other) => {
+        if (other !== target) {
+          other.dispatchEvent(Object.assign(new Event('storage'), { key, newValue }));
+        }
+      });
+    };
+
+    const storage = {
+      getItem: (key) => values.get(key) ?? null,
+      setItem: (key, value) => {
+        values.set(key, String(value));
+        notifyOthers(key, String(value));
+      },
+      removeItem: (key) => {
+        values.delete(key);
+        notifyOthers(key, null);
+      }
+    };
+
+    return { storage, target };
+  };
+
+  return { createWindow, values };
+};
+
+describe('tab sync', () => {
+  it('delivers events to other tabs but not back to the sender', () => {
+    const BroadcastChannelImpl = createBroadcastChannelBus();
+    const first = createTabSync({ BroadcastChannelImpl });
+    const second = createTabSync({ BroadcastChannelImpl });
+    const onFirst = vi.fn();
+    const onSecond = vi.fn();
+
+    first.subscribe(TAB_SYNC_EVENTS.CART_CHANGED, onFirst);
+    second.subscribe(TAB_SYNC_EVENTS.CART_CHANGED, onSecond);
+    first.publish(TAB_SYNC_EVENTS.CART_CHANGED, { invalidates: ['cart'] });
+
+    expect(first.getTransport()).toBe(TAB_SYNC_TRANSPORTS.BROADCAST_CHANNEL);
+    expect(onFirst).not.toHaveBeenCalled();
+    expect(onSecond).toHaveBeenCalledWith(
+      { invalidates: ['cart'] },
+      expect.objectContaining({ type: TAB_SYNC_EVENTS.CART_CHANGED, source: first.tabId })
+    );
+  });
+
+  it('only calls listeners for the published event and stops after unsubscribe', () => {
+    const BroadcastChannelImpl = createBroadcastChannelBus();
+    const first = createTabSync({ BroadcastChannelImpl });
+    const second = createTabSync({ BroadcastChannelImpl });
+    const onLogout = vi.fn();
+    const onWallet = vi.fn();
+
+    const unsubscribe = second.subscribe(TAB_SYNC_EVENTS.LOGOUT, onLogout);
+    second.subscribe(TAB_SYNC_EVENTS.WALLET_CHANGED, onWallet);
+
+    first.publish(TAB_SYNC_EVENTS.LOGOUT);
+    unsubscribe();
+    first.publish(TAB_SYNC_EVENTS.LOGOUT);
+
+    expect(onLogout).toHaveBeenCalledTimes(1);
+    expect(onWallet).not.toHaveBeenCalled();
+  });
+
+  it('falls back to storage events without BroadcastChannel', () => {
+    const bus = createStorageBus();
+    const first = createTabSync({ BroadcastChannelImpl: null, ...bus.createWindow() });
+    const second = createTabSync({ BroadcastChannelImpl: null, ...bus.createWindow() });
+    const onAddresses = vi.fn();
+
+    second.subscribe(TAB_SYNC_EVENTS.ADDRESSES_CHANGED, onAddresses);
+    first.publish(TAB_SYNC_EVENTS.ADDRESSES_CHANGED);
+    first.publish(TAB_SYNC_EVENTS.ADDRESSES_CHANGED);
+
+    expect(first.getTransport()).toBe(TAB_SYNC_TRANSPORTS.STORAGE);
+    // Identical messages are still delivered, and nothing is left behind in storage
+    expect(onAddresses).toHaveBeenCalledTimes(2);
+    expect(bus.values.size).toBe(0);
+  });
+
+  it('keeps working when storage throws', () => {
+    const target = new EventTarget();
+    const storage = {
+      setItem: () => {
+        throw new Error('QuotaExceededError');
+      },
+      removeItem: vi.fn()
+    };
+    const sync = createTabSync({ BroadcastChannelImpl: null, storage, target });
+
+    expect(() => sync.publish(TAB_SYNC_EVENTS.WALLET_CHANGED)).not.toThrow();
+  });
+});
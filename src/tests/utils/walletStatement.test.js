@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import toast from 'react-hot-toast';
+import walletService from '../../api/services/walletService';
+import axiosInstance from '../../api/axiosInstance';
+import useWalletStore from '../../stores/walletStore';
+import { useWalletStatement } from '../../hooks/useWallet';
+import { buildStatementCsv, buildStatementHtml, toCsvCell, getStatementFileName } from '../../utils/walletStatement';
+
+vi.mock('../../api/axiosInstance');
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+// created_at is a Unix timestamp in seconds, as returned by wallet/history
+const at = (isoDate) => Math.floor(new Date(`${isoDate}T10:00:00`).getTime() / 1000);
+
+const transactions = [
+  { id: 3, transaction_type: 'debit', amount: '120.5', reason: 'booking_payment', new_balance: '879.5', created_at: at('2026-10-12') },
+  { id: 2, transaction_type: 'cashback', amount: '100', reason: 'cashback', new_balance: '1000', created_at: at('2026-10-02') },
+  { id: 1, transaction_type: 'credit', amount: '900', reason: 'wallet_top_up', new_balance: '900', created_at: at('2026-09-20') }
+].map((transaction) => walletService.normalizeTransaction(transaction));
+
+const historyPage = (data, pagination) => ({ data: { status: true, data, pagination } });
+
+describe('wallet statement', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useWalletStore.getState().reset();
+  });
+
+  it('groups transactions by month with getWalletStatistics totals', () => {
+    const months = walletService.getMonthlyStatistics(transactions);
+
+    expect(months.map((month) => month.key)).toEqual(['2026-10', '2026-09']);
+    expect(months[0]).toMatchObject({ totalCredits: 100, totalDebits: 120.5, totalTransactions: 2 });
+    expect(months[1]).toMatchObject({ totalCredits: 900, totalDebits: 0 });
+  });
+
+  it('filters by whole days using second-based timestamps', () => {
+    const october = walletService.filterTransactionsByDateRange(transactions, '2026-10-01', '2026-10-12');
+
+    expect(october.map((transaction) => transaction.id)).toEqual([3, 2]);
+  });
+
+  it('builds a signed CSV statement', () => {
+    const [header, debit, cashback] = buildStatementCsv(transactions).split('\r\n');
+
+    expect(header).toBe('Date,Description,Type,Amount (INR),Balance (INR),Transaction ID');
+    expect(debit).toContain('BOOKING PAYMENT,debit,-120.50,879.50,3');
+    expect(cashback).toContain('CASHBACK,cashback,100.00,1000.00,2');
+  });
+
+  it('neutralises spreadsheet formulas but keeps negative amounts numeric', () => {
+    expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(toCsvCell('-120.50')).toBe('-120.50');
+  });
+
+  it('escapes transaction text in the printable statement', () => {
+    const html = buildStatementHtml({
+      transactions: [{ ...transactions[0], description: '<script>alert(1)</script>' }],
+      filters: { type: 'debit', startDate: '2026-10-01', endDate: '2026-10-31' }
+    });
+
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('2026-10-01 to 2026-10-31');
+  });
+
+  it('names exports after the date range', () => {
+    expect(getStatementFileName({ startDate: '2026-10-01', endDate: '2026-10-31' }, 'csv'))
+      .toBe('wallet-statement-2026-10-01-to-2026-10-31.csv');
+    expect(getStatementFileName({}, 'csv')).toBe('wallet-statement.csv');
+  });
+
+  it('fetches every page of the filtered history for an export', async () => {
+    axiosInstance.get
+      .mockResolvedValueOnce(historyPage([{ id: 2, amount: '5', created_at: at('2026-10-02') }], { hasNextPage: true }))
+      .mockResolvedValueOnce(historyPage([{ id: 1, amount: '5', created_at: at('2026-10-01') }], { hasNextPage: false }));
+
+    const result = await walletService.getStatementTransactions({ type: 'credit', startDate: '2026-10-01', endDate: null });
+
+    expect(result.map((transaction) => transaction.id)).toEqual([2, 1]);
+    expect(axiosInstance.get).toHaveBeenNthCalledWith(1, 'wallet/history?limit=100&type=credit&from_date=2026-10-01');
+    expect(axiosInstance.get).toHaveBeenNthCalledWith(2, 'wallet/history?page=2&limit=100&type=credit&from_date=2026-10-01');
+  });
+
+  it('finds the credit a top-up order already made', async () => {
+    axiosInstance.get.mockResolvedValue(historyPage([
+      { id: 8, transaction_type: 'credit', amount: '500', razorpay_order_id: 'order_other', created_at: at('2026-10-03') },
+      { id: 7, transaction_type: 'credit', amount: '500', razorpay_order_id: 'order_topup', created_at: at('2026-10-02') }
+    ], { hasNextPage: false }));
+
+    const credit = await walletService.findTopUpCredit('order_topup', new Date('2026-10-02T09:00:00').getTime());
+
+    expect(credit).toMatchObject({ id: 7, razorpay_order_id: 'order_topup' });
+    expect(axiosInstance.get).toHaveBeenCalledWith('wallet/history?limit=100&type=credit&from_date=2026-10-02');
+    expect(await walletService.findTopUpCredit('order_missing', Date.now())).toBeNull();
+  });
+
+  it('appends later pages to the loaded history for infinite scroll', async () => {
+    // Month totals are fetched alongside, with a larger page size
+    axiosInstance.get.mockImplementation(async (url) => (url.includes('page=2')
+      ? historyPage([{ id: 1, amount: '5', created_at: at('2026-10-01') }], { hasNextPage: false })
+      : historyPage([{ id: 2, amount: '5', created_at: at('2026-10-02') }], { hasNextPage: !url.includes('limit=100') })));
+
+    await useWalletStore.getState().applyFilters({ type: 'credit' });
+    await useWalletStore.getState().loadNextPage();
+
+    const { transactions: loaded, filters, hasNextPage } = useWalletStore.getState();
+    expect(loaded.map((transaction) => transaction.id)).toEqual([2, 1]);
+    expect(filters).toMatchObject({ type: 'credit', page: 2 });
+    expect(hasNextPage()).toBe(false);
+  });
+
+  it('totals each month from its full statement, leaving out pending top-ups', async () => {
+    const monthPage = historyPage([
+      { id: 5, transaction_type: 'credit', amount: '300', created_at: at('2026-10-20') },
+      { id: 4, transaction_type: 'debit', amount: '50', created_at: at('2026-10-15') },
+      { id: 3, transaction_type: 'credit', amount: '200', created_at: at('2026-10-03') }
+    ], { hasNextPage: false });
+    axiosInstance.get.mockImplementation(async (url) => (url.includes('from_date=2026-10-01')
+      ? monthPage
+      : historyPage([{ id: 5, transaction_type: 'credit', amount: '300', created_at: at('2026-10-20') }], { hasNextPage: true })));
+    useWalletStore.getState().addPendingTopUp({ razorpayOrderId: 'order_topup', amount: 999 });
+
+    await useWalletStore.getState().fetchWalletHistory({}, true);
+    await vi.waitFor(() => expect(useWalletStore.getState().monthlyTotals['2026-10']).toBeTruthy());
+
+    expect(axiosInstance.get).toHaveBeenCalledWith('wallet/history?limit=100&from_date=2026-10-01&to_date=2026-10-31');
+    const [october] = useWalletStore.getState().getMonthlyStatistics();
+    expect(october.transactions.map((transaction) => transaction.id)).toEqual(['order_topup', 5]);
+    expect(october).toMatchObject({ totalCredits: 500, totalDebits: 50, totalTransactions: 3 });
+  });
+
+  it('fetches the totals for several months in one statement', async () => {
+    axiosInstance.get.mockResolvedValue(historyPage([
+      { id: 3, transaction_type: 'credit', amount: '300', created_at: at('2026-10-20') },
+      { id: 2, transaction_type: 'debit', amount: '50', created_at: at('2026-09-15') }
+    ], { hasNextPage: false }));
+
+    const totals = await walletService.getMonthTotals(['2026-10', '2026-08', '2026-09'], { type: 'all' });
+
+    expect(axiosInstance.get).toHaveBeenCalledTimes(1);
+    expect(axiosInstance.get).toHaveBeenCalledWith('wallet/history?limit=100&from_date=2026-08-01&to_date=2026-10-31');
+    expect(totals['2026-10']).toMatchObject({ totalCredits: 300, totalTransactions: 1 });
+    expect(totals['2026-09']).toMatchObject({ totalDebits: 50, totalTransactions: 1 });
+    expect(totals['2026-08']).toMatchObject({ totalTransactions: 0 });
+  });
+
+  it('stops paging once the history reaches back past the start date', async () => {
+    // Backend ignoring the date filters and returning the whole history
+    axiosInstance.get.mockResolvedValue(historyPage([
+      { id: 2, amount: '5', created_at: at('2026-10-02') },
+      { id: 1, amount: '5', created_at: at('2026-08-30') }
+    ], { hasNextPage: true }));
+
+    const result = await walletService.getStatementTransactions({ startDate: '2026-09-01', endDate: '2026-10-31' });
+
+    expect(axiosInstance.get).toHaveBeenCalledTimes(1);
+    expect(result.map((transaction) => transaction.id)).toEqual([2]);
+  });
+
+  it('opens the PDF window inside the click, before fetching the statement', async () => {
+    const printWindow = { document: { open: vi.fn(), write: vi.fn(), close: vi.fn() }, focus: vi.fn(), print: vi.fn() };
+    const openSpy = vi.spyOn(window, 'open').mockReturnValue(printWindow);
+    axiosInstance.get.mockResolvedValue(historyPage(
+      [{ id: 1, transaction_type: 'credit', amount: '5', created_at: at('2026-10-01') }],
+      { hasNextPage: false }
+    ));
+    const { result } = renderHook(() => useWalletStatement());
+
+    await act(() => result.current.exportPdf({ accountName: 'Asha' }));
+
+    expect(openSpy.mock.invocationCallOrder[0]).toBeLessThan(axiosInstance.get.mock.invocationCallOrder[0]);
+    expect(printWindow.document.write).toHaveBeenLastCalledWith(expect.stringContaining('Asha'));
+    expect(printWindow.print).toHaveBeenCalled();
+    openSpy.mockRestore();
+  });
+
+  it('asks for pop-ups and skips the fetch when the PDF window is blocked', async () => {
+    const openSpy = vi.spyOn(window, 'open').mockReturnValue(null);
+    const { result } = renderHook(() => useWalletStatement());
+
+    let exportResult;
+    await act(async () => {
+      exportResult = await result.current.exportPdf();
+    });
+
+    expect(exportResult.success).toBe(false);
+    expect(toast.error).toHaveBeenCalledWith('Allow pop-ups for this site to download the PDF statement');
+    expect(axiosInstance.get).not.toHaveBeenCalled();
+    openSpy.mockRestore();
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const { walletService, tabListeners } = vi.hoisted(() => ({
+  walletService: {
+    getWalletBalance: vi.fn(),
+    getWalletHistory: vi.fn(),
+    getMonthTotals: vi.fn(async () => ({})),
+    normalizeTransaction: (transaction) => transaction,
+    filterTransactionsByDateRange: (transactions) => transactions,
+    getMonthKey: () => '2026-10'
+  },
+  tabListeners: new Map()
+}));
+
+vi.mock('../../api/services/walletService.js', () => ({ default: walletService }));
+vi.mock('../../sync/tabSync.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  subscribeTabEvent: (type, handler) => tabListeners.set(type, handler)
+}));
+vi.mock('react-hot-toast', () => ({ default: { success: vi.fn(), error: vi.fn() } }));
+
+import useWalletStore from '../../stores/walletStore';
+import { TAB_SYNC_EVENTS } from '../../sync/tabSync.js';
+
+const walletChangedElsewhere = () => tabListeners.get(TAB_SYNC_EVENTS.WALLET_CHANGED)({ invalidates: ['wallet'] });
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+  document.dispatchEvent(new Event('visibilitychange'));
+};
+
+describe('wallet changes from another tab', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useWalletStore.getState().reset();
+    walletService.getWalletBalance.mockResolvedValue({ success: true, data: { balance: 1500 } });
+    walletService.getWalletHistory.mockResolvedValue({ success: true, data: [] });
+  });
+
+  afterEach(() => {
+    setHidden(false);
+  });
+
+  it('does not fetch wallet data this tab never loaded', () => {
+    walletChangedElsewhere();
+
+    expect(walletService.getWalletBalance).not.toHaveBeenCalled();
+    expect(walletService.getWalletHistory).not.toHaveBeenCalled();
+  });
+
+  it('refetches only the balance when that is all this tab shows', async () => {
+    await useWalletStore.getState().fetchWalletBalance(true);
+    walletService.getWalletBalance.mockClear();
+
+    walletChangedElsewhere();
+
+    expect(walletService.getWalletBalance).toHaveBeenCalledTimes(1);
+    expect(walletService.getWalletHistory).not.toHaveBeenCalled();
+  });
+
+  it('waits until a background tab is shown, then refetches once', async () => {
+    await useWalletStore.getState().fetchWalletBalance(true);
+    await useWalletStore.getState().fetchWalletHistory({ page: 1 }, true);
+    vi.clearAllMocks();
+
+    setHidden(true);
+    walletChangedElsewhere();
+    walletChangedElsewhere();
+
+    expect(walletService.getWalletBalance).not.toHaveBeenCalled();
+
+    setHidden(false);
+    setHidden(false);
+
+    expect(walletService.getWalletBalance).toHaveBeenCalledTimes(1);
+    expect(walletService.getWalletHistory).toHaveBeenCalledTimes(1);
+  });
+});
@@ -11,6 +11,24 @@ export const CartStatus = {
   FAILURE: 'failure'
 };
 
+/**
+ * Secondary cart data loaded alongside the cart - each has its own status
+ */
+export const CartSections = {
+  FREQUENTLY_ADDED: 'frequentlyAdded',
+  VIP_PLANS: 'vipPlans',
+  DONATION: 'donation'
+};
+
+export const SectionStatus = {
+  IDLE: 'idle',
+  LOADING: 'loading',
+  SUCCESS: 'success',
+  FAILURE: 'failure'
+};
+
+const defaultSectionState = { status: SectionStatus.IDLE, errorMessage: null };
+
 /**
  * Payment Types - matches Flutter payment type constants
  */
@@ -81,8 +99,18 @@ export const defaultCartState = {
   status: CartStatus.INITIAL,
   errorMessage: null,
 
+  // Secondary data state - the cart renders without waiting for these
+  sections: {
+    [CartSections.FREQUENTLY_ADDED]: defaultSectionState,
+    [CartSections.VIP_PLANS]: defaultSectionState,
+    [CartSections.DONATION]: defaultSectionState
+  },
+
   // Loading state
-  isLoading: false
+  isLoading: false,
+
+  // Optimistic cart edits waiting for the server (totals may change)
+  isSyncing: false
 };
 
 // Export all cart-related constants and defaults
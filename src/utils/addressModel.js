@@ -0,0 +1,158 @@
+/**
+ * Canonical address model
+ *
+ * Every address form in the app edits this one shape. The backend, the
+ * geocoding service and older components each use their own field names
+ * (postal_code / postalCode / pinCode, flat_no / flatNumber, lat / latitude...),
+ * so anything coming in goes through normalizeAddress and anything going
+ * to the API goes through toApiAddress.
+ */
+
+export const ADDRESS_LABELS = ['home', 'work', 'other'];
+
+export const EMPTY_ADDRESS = {
+  id: null,
+  label: 'home',
+  flatNo: '',
+  buildingName: '',
+  streetAddress: '',
+  landmark: '',
+  city: '',
+  state: '',
+  postalCode: '',
+  country: 'India',
+  latitude: null,
+  longitude: null,
+  contactName: '',
+  contactPhone: '',
+  isPrimary: null
+};
+
+const firstDefined = (...values) => values.find((value) => value !== undefined && value !== null);
+
+const toText = (...values) => String(firstDefined(...values) ?? '').trim();
+
+const toCoordinate = (...values) => {
+  const number = parseFloat(firstDefined(...values));
+  return Number.isFinite(number) ? number : null;
+};
+
+const toFlag = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return value === true || String(value) === '1' || String(value).toLowerCase() === 'true';
+};
+
+/**
+ * Normalize an address label ('Home', 'WORK', 'office'...) to one of ADDRESS_LABELS
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeLabel = (value) => {
+  const label = String(value || '').trim().toLowerCase();
+  if (!label) return 'home';
+  return ADDRESS_LABELS.includes(label) ? label : 'other';
+};
+
+/**
+ * Normalize an Indian pincode - digits only, e.g. '400 001' -> '400001'
+ * @param {string|number} value
+ * @returns {string}
+ */
+export const normalizePostalCode = (value) => String(value ?? '').replace(/\D/g, '').slice(0, 6);
+
+/**
+ * Convert any address shape used in the app to the canonical model
+ * @param {Object|null} address - API address, legacy form data or a canonical address
+ * @returns {Object} Canonical address (see EMPTY_ADDRESS)
+ */
+export const normalizeAddress = (address) => {
+  if (!address) return { ...EMPTY_ADDRESS };
+
+  const coordinates = address.coordinates || address.location || {};
+
+  return {
+    id: firstDefined(address.id, null),
+    label: normalizeLabel(firstDefined(address.label, address.address_type, address.addressType, address.type)),
+    flatNo: toText(address.flatNo, address.flat_no, address.flatNumber, address.flat_number),
+    buildingName: toText(address.buildingName, address.building_name),
+    streetAddress: toText(address.streetAddress, address.street_address, address.address),
+    landmark: toText(address.landmark),
+    city: toText(address.city),
+    state: toText(address.state),
+    postalCode: normalizePostalCode(
+      firstDefined(address.postalCode, address.postal_code, address.pinCode, address.pincode)
+    ),
+    country: toText(address.country) || 'India',
+    latitude: toCoordinate(address.latitude, address.lat, coordinates.latitude, coordinates.lat),
+    longitude: toCoordinate(address.longitude, address.lng, coordinates.longitude, coordinates.lng),
+    contactName: toText(address.contactName, address.contact_name),
+    contactPhone: toText(address.contactPhone, address.contact_phone).replace(/\D/g, '').slice(-10),
+    isPrimary: toFlag(firstDefined(address.isPrimary, address.is_primary))
+  };
+};
+
+/**
+ * Map any address shape to the backend's add/update address payload
+ * @param {Object} address - Canonical address (or anything normalizeAddress accepts)
+ * @returns {Object} Snake_case API payload
+ */
+export const toApiAddress = (address) => {
+  const canonical = normalizeAddress(address);
+
+  return {
+    flat_no: canonical.flatNo,
+    building_name: canonical.buildingName,
+    street_address: canonical.streetAddress,
+    landmark: canonical.landmark,
+    city: canonical.city,
+    state: canonical.state,
+    postal_code: canonical.postalCode,
+    country: canonical.country,
+    address_type: canonical.label,
+    latitude: canonical.latitude,
+    longitude: canonical.longitude,
+    contact_name: canonical.contactName,
+    contact_phone: canonical.contactPhone,
+    is_primary: canonical.isPrimary ? 1 : 0
+  };
+};
+
+/**
+ * Address fields found by geocodingService (reverse geocoding, place details or
+ * autocomplete) - only the fields it actually found, ready to merge into a form
+ * @param {Object|null} result
+ * @returns {Object} Partial canonical address
+ */
+export const fromGeocodeResult = (result) => {
+  if (!result) return {};
+
+  // Autocomplete nests the parsed components, geocoding spreads them
+  const source = { ...result.addressComponents, ...result };
+  const location = source.geometry?.location || source.coordinates || source.location || {};
+  const fields = {
+    streetAddress: toText(source.formattedAddress, source.streetAddress),
+    city: toText(source.city),
+    state: toText(source.state),
+    postalCode: normalizePostalCode(source.postalCode),
+    latitude: toCoordinate(location.latitude, location.lat, source.latitude),
+    longitude: toCoordinate(location.longitude, location.lng, source.longitude)
+  };
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== '' && value !== null)
+  );
+};
+
+/**
+ * One-line display string, e.g. "101, ABC Apartments, Main Street, Near Park, Mumbai, Maharashtra, 400001"
+ * @param {Object|null} address - Any address shape
+ * @returns {string}
+ */
+export const formatAddressLine = (address) => {
+  if (!address) return '';
+
+  const { flatNo, buildingName, streetAddress, landmark, city, state, postalCode } = normalizeAddress(address);
+  return [flatNo, buildingName, streetAddress, landmark && `Near ${landmark}`, city, state, postalCode]
+    .filter(Boolean)
+    .join(', ');
+};
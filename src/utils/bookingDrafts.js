@@ -0,0 +1,160 @@
+import { extractAttributeOptions, hasAttributesChanged } from '../components/serviceDetails/attributeUtils';
+
+/**
+ * Booking Drafts
+ * Persists what the user picked on the service details screen (attributes,
+ * segment, date, time slot) and the provider chosen on the next screen, per
+ * service id, so a refresh or a detour to add an address doesn't lose it.
+ *
+ * Drafts expire after BOOKING_DRAFT_TTL and are dropped when the service's
+ * attribute structure no longer matches the one they were made against.
+ */
+
+const DRAFTS_STORAGE_KEY = 'eassylife_booking_drafts';
+const MAX_DRAFTS = 5;
+
+export const BOOKING_DRAFT_TTL = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+const readDrafts = () => {
+  try {
+    const drafts = JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY) || '{}');
+    return drafts && typeof drafts === 'object' ? drafts : {};
+  } catch (error) {
+    console.error('Error reading booking drafts:', error);
+    return {};
+  }
+};
+
+const writeDrafts = (drafts) => {
+  try {
+    if (Object.keys(drafts).length === 0) {
+      localStorage.removeItem(DRAFTS_STORAGE_KEY);
+    } else {
+      localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+    }
+  } catch (error) {
+    console.error('Error writing booking drafts:', error);
+  }
+};
+
+const isExpired = (draft, now) => !draft?.updatedAt || now - draft.updatedAt > BOOKING_DRAFT_TTL;
+
+const startOfToday = (now) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+};
+
+/**
+ * Fingerprint of a service's attribute structure, in the shape hasAttributesChanged compares:
+ * one entry per attribute group whose `id` lists every item and option id in it
+ * @param {Object} attributes - serviceDetails.attributes
+ * @returns {Object} { [attributeName]: { id } }
+ */
+export const getAttributeStructure = (attributes) => {
+  if (!attributes || typeof attributes !== 'object') return {};
+
+  return Object.fromEntries(Object.entries(attributes).map(([attributeName, attributeGroup]) => {
+    const ids = ['dropdown', 'list', 'search'].flatMap((type) => (
+      Array.isArray(attributeGroup?.[type])
+        ? attributeGroup[type].flatMap((item) => [
+          `${type}:${item?.id}`,
+          ...extractAttributeOptions(item).map((option) => option.id)
+        ])
+        : []
+    ));
+    return [attributeName, { id: ids.sort().join('|') }];
+  }));
+};
+
+/**
+ * Save (or update) the draft for a service
+ * @param {string} serviceId
+ * @param {Object} draft - { serviceName, serviceImage, attributes, selectedAttributes, selectedSegment,
+ *   selectedDate, timeFromValue, timeToValue, rateCardId, providerId } - fields left out keep their saved value;
+ *   `attributes` (serviceDetails.attributes) is stored as a structure fingerprint
+ * @param {number} [now]
+ * @returns {Object|null} Saved draft
+ */
+export const saveBookingDraft = (serviceId, draft, now = Date.now()) => {
+  if (!serviceId) return null;
+
+  const drafts = readDrafts();
+  const { attributes, selectedDate, ...fields } = draft;
+  const saved = {
+    ...(isExpired(drafts[serviceId], now) ? {} : drafts[serviceId]),
+    ...fields,
+    ...(attributes ? { attributeStructure: getAttributeStructure(attributes) } : {}),
+    ...(selectedDate !== undefined
+      ? { selectedDate: selectedDate instanceof Date ? selectedDate.toISOString() : selectedDate }
+      : {}),
+    serviceId,
+    updatedAt: now
+  };
+
+  // Keep the most recently touched drafts only
+  const kept = Object.values({ ...drafts, [serviceId]: saved })
+    .filter((item) => !isExpired(item, now))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_DRAFTS);
+
+  writeDrafts(Object.fromEntries(kept.map((item) => [item.serviceId, item])));
+  return saved;
+};
+
+/**
+ * Get the draft for a service
+ * Drops it if it has expired or the service's attributes have changed since it was saved.
+ * A booking date that has already passed is cleared along with its time slot.
+ * @param {string} serviceId
+ * @param {Object} [attributes] - Current serviceDetails.attributes; omit to skip the structure check
+ * @param {number} [now]
+ * @returns {Object|null} Draft with `selectedDate` as a Date
+ */
+export const getBookingDraft = (serviceId, attributes, now = Date.now()) => {
+  const draft = readDrafts()[serviceId];
+  if (!draft) return null;
+
+  if (isExpired(draft, now)) {
+    removeBookingDraft(serviceId);
+    return null;
+  }
+
+  if (attributes && hasAttributesChanged(draft.attributeStructure, getAttributeStructure(attributes))) {
+    console.log('🗑️ BookingDrafts: Service attributes changed, discarding draft for', serviceId);
+    removeBookingDraft(serviceId);
+    return null;
+  }
+
+  const selectedDate = draft.selectedDate ? new Date(draft.selectedDate) : null;
+  if (!selectedDate || Number.isNaN(selectedDate.getTime()) || selectedDate.getTime() < startOfToday(now)) {
+    return { ...draft, selectedDate: null, timeFromValue: null, timeToValue: null };
+  }
+
+  return { ...draft, selectedDate };
+};
+
+/**
+ * Most recently updated draft, for "continue where you left off"
+ * @param {number} [now]
+ * @returns {Object|null}
+ */
+export const getLatestBookingDraft = (now = Date.now()) => {
+  const [latest] = Object.values(readDrafts())
+    .filter((draft) => !isExpired(draft, now))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+  return latest ? getBookingDraft(latest.serviceId, undefined, now) : null;
+};
+
+/**
+ * Remove the draft for a service (booked, or dismissed by the user)
+ * @param {string} serviceId
+ */
+export const removeBookingDraft = (serviceId) => {
+  const drafts = readDrafts();
+  if (!(serviceId in drafts)) return;
+
+  delete drafts[serviceId];
+  writeDrafts(drafts);
+};
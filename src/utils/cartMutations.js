@@ -0,0 +1,109 @@
+/**
+ * Optimistic cart mutations
+ *
+ * Cart edits are shown straight away by applying them to the last cart the
+ * server confirmed. Pending mutations are replayed on top of that cart, so
+ * rolling one back (or reconciling with a fresh server cart) never loses
+ * the others. A removed service also comes off the cart totals, so the payment
+ * summary moves with the list; fees, coupons and GST are re-priced by the
+ * server once the edit is confirmed.
+ */
+
+import { toPaise, fromPaise } from './money';
+
+export const CART_MUTATIONS = {
+  REMOVE_ITEM: 'removeItem',
+  UPDATE_ITEM_DATE: 'updateItemDate',
+  UPDATE_ADDRESS: 'updateAddress'
+};
+
+const mapItems = (groupedCart, update) => ({
+  ...groupedCart,
+  categories: update(groupedCart?.categories || []),
+  packages: update(groupedCart?.packages || [])
+});
+
+/**
+ * Take a removed item's price off the cart totals
+ * The GST split of the item total shrinks in proportion, which is exact while
+ * every item carries the same GST rate.
+ * @param {Object} cartData
+ * @param {Object|undefined} item - Removed cart item
+ * @returns {Object}
+ */
+const withoutItemPrice = (cartData, item) => {
+  const pricePaise = toPaise(item?.ratecard?.price);
+  const serviceTotalPaise = toPaise(cartData.total_service_amount);
+  if (pricePaise === 0 || serviceTotalPaise === 0) return cartData;
+
+  const remainingShare = Math.max(0, serviceTotalPaise - pricePaise) / serviceTotalPaise;
+  const subtract = (amount) => (amount === undefined || amount === null
+    ? amount
+    : fromPaise(Math.max(0, toPaise(amount) - pricePaise)));
+  const scale = (amount) => (amount === undefined || amount === null
+    ? amount
+    : fromPaise(Math.round(toPaise(amount) * remainingShare)));
+
+  return {
+    ...cartData,
+    total_service_amount: subtract(cartData.total_service_amount),
+    total_price: subtract(cartData.total_price),
+    item_full_amount: subtract(cartData.item_full_amount),
+    total_amount_exclude_gst: scale(cartData.total_amount_exclude_gst),
+    total_tax: scale(cartData.total_tax)
+  };
+};
+
+const findItem = (groupedCart, itemId) => [...(groupedCart?.categories || []), ...(groupedCart?.packages || [])]
+  .find((item) => item.id === itemId);
+
+/**
+ * Apply one mutation to cart data
+ * @param {Object|null} cartData - Cart data as returned by cartService.getCartData
+ * @param {Object} mutation - { type, itemId?, changes?, address? }
+ * @returns {Object|null} New cart data (input is not modified)
+ */
+export const applyCartMutation = (cartData, mutation) => {
+  if (!cartData) return cartData;
+
+  switch (mutation.type) {
+    case CART_MUTATIONS.REMOVE_ITEM:
+      return {
+        ...withoutItemPrice(cartData, findItem(cartData.groupedCart, mutation.itemId)),
+        groupedCart: mapItems(cartData.groupedCart, (items) => items.filter((item) => item.id !== mutation.itemId))
+      };
+
+    case CART_MUTATIONS.UPDATE_ITEM_DATE:
+      return {
+        ...cartData,
+        groupedCart: mapItems(cartData.groupedCart, (items) => items.map((item) => (
+          item.id === mutation.itemId ? { ...item, ...mutation.changes } : item
+        )))
+      };
+
+    case CART_MUTATIONS.UPDATE_ADDRESS:
+      return { ...cartData, delivery_address: mutation.address };
+
+    default:
+      return cartData;
+  }
+};
+
+/**
+ * Replay pending mutations on top of the confirmed cart
+ * @param {Object|null} confirmedCart
+ * @param {Array<Object>} mutations - In the order they were made
+ * @returns {Object|null}
+ */
+export const applyCartMutations = (confirmedCart, mutations) =>
+  mutations.reduce(applyCartMutation, confirmedCart);
+
+/**
+ * Item counts shown in the cart and payment summary
+ * @param {Object|null} cartData
+ * @returns {{ noOfServicesItems: number, noOfPackageItems: number }}
+ */
+export const countCartItems = (cartData) => ({
+  noOfServicesItems: cartData?.groupedCart?.categories?.length || 0,
+  noOfPackageItems: cartData?.groupedCart?.packages?.length || 0
+});
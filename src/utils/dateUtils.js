@@ -1,48 +1,37 @@
 /**
  * Date and Time Utility Functions
  * Matches Flutter date/time formatting functions
+ * Display helpers follow the active language (see i18n/format.js);
+ * API helpers always use the fixed English format the backend expects.
  */
 
+import { getLanguage } from '../i18n';
+import { getPreferences } from '../i18n/preferences';
+import { toDate, formatDate, formatOrdinal, formatTime as formatLocalizedTime } from '../i18n/format';
+
 /**
- * Format date string to display format
- * Matches Flutter formatDateValue function
- * @param {string} dateString - Date string in various formats
+ * Format date string to display format in the active language
+ * Matches Flutter formatDateValue function for English ("Wed, 26th Jun 2025");
+ * other languages use the locale's own order ("बुध, 26 जून 2025") and a
+ * numeric date format preference wins over both
+ * @param {string} dateString - Date string ("2025-06-26", "26 Jun 2025", ISO)
  * @returns {string} Formatted date string
  */
 export const formatDateTime = (dateString) => {
   if (!dateString) return '';
-  
-  try {
-    let date;
-    
-    // Try parsing different date formats
-    if (dateString.includes('MMM')) {
-      // Format: "26 Jun 2025" or "dd MMM yyyy"
-      date = new Date(dateString);
-    } else if (dateString.includes('-')) {
-      // Format: "2025-06-26" or "yyyy-MM-dd"
-      date = new Date(dateString);
-    } else {
-      // Fallback
-      date = new Date(dateString);
-    }
-    
-    if (isNaN(date.getTime())) {
-      return dateString; // Return original if parsing fails
-    }
-    
-    // Format to match Flutter: "Wed, 26th Jun 2025"
-    const day = date.getDate();
-    const dayWithSuffix = `${day}${getDaySuffix(day)}`;
-    const weekday = date.toLocaleDateString('en-US', { weekday: 'short' });
-    const month = date.toLocaleDateString('en-US', { month: 'short' });
-    const year = date.getFullYear();
-    
-    return `${weekday}, ${dayWithSuffix} ${month} ${year}`;
-  } catch (error) {
-    console.warn('Error formatting date:', error);
-    return dateString;
+
+  const date = toDate(dateString);
+  if (!date) {
+    return dateString; // Return original if parsing fails
+  }
+
+  if (getLanguage() !== 'en' || getPreferences().dateFormat !== 'text') {
+    return formatDate(date, 'medium');
   }
+
+  const weekday = formatDate(date, { weekday: 'short' });
+  const month = formatDate(date, { month: 'short' });
+  return `${weekday}, ${formatOrdinal(date.getDate())} ${month} ${date.getFullYear()}`;
 };
 
 /**
@@ -52,42 +41,18 @@ export const formatDateTime = (dateString) => {
  * @returns {string} Suffix for the day
  */
 export const getDaySuffix = (day) => {
-  if (day >= 11 && day <= 13) return 'th';
-  switch (day % 10) {
-    case 1:
-      return 'st';
-    case 2:
-      return 'nd';
-    case 3:
-      return 'rd';
-    default:
-      return 'th';
-  }
+  return formatOrdinal(day, 'en').slice(String(day).length);
 };
 
 /**
- * Format time string to display format
+ * Format time string to display format in the active language
  * Matches Flutter formatTimeValue function
  * @param {string} timeString - Time string in HH:mm:ss or HH:mm format
  * @returns {string} Formatted time string in 12-hour format
  */
 export const formatTime = (timeString) => {
   if (!timeString) return '';
-  
-  try {
-    const [hours, minutes] = timeString.split(':');
-    const date = new Date();
-    date.setHours(parseInt(hours), parseInt(minutes));
-    
-    return date.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-  } catch (error) {
-    console.warn('Error formatting time:', error);
-    return timeString;
-  }
+  return formatLocalizedTime(timeString);
 };
 
 /**
@@ -5,6 +5,8 @@
  * with proper type conversion and fallback values.
  */
 
+import { PWA_DEFAULTS } from '../pwa/manifest.js';
+
 /**
  * Get environment variable as string
  * @param {string} key - Environment variable key
@@ -161,6 +163,7 @@ export const EXTERNAL_CONFIG = {
   // Analytics
   GOOGLE_ANALYTICS_ID: getEnvString('VITE_GOOGLE_ANALYTICS_ID'),
   MIXPANEL_TOKEN: getEnvString('VITE_MIXPANEL_TOKEN'),
+  ENABLE_ANALYTICS_COLLECTOR: getEnvBoolean('VITE_ENABLE_ANALYTICS_COLLECTOR', false),
   
   // Error Tracking
   SENTRY_DSN: getEnvString('VITE_SENTRY_DSN'),
@@ -211,11 +214,11 @@ export const LOGGING_CONFIG = {
  * PWA Configuration
  */
 export const PWA_CONFIG = {
-  NAME: getEnvString('VITE_PWA_NAME', 'EassyLife'),
-  SHORT_NAME: getEnvString('VITE_PWA_SHORT_NAME', 'EassyLife'),
-  DESCRIPTION: getEnvString('VITE_PWA_DESCRIPTION', 'AI-Powered E-Commerce Marketplace'),
-  THEME_COLOR: getEnvString('VITE_PWA_THEME_COLOR', '#FFA301'),
-  BACKGROUND_COLOR: getEnvString('VITE_PWA_BACKGROUND_COLOR', '#FFFFFF'),
+  NAME: getEnvString('VITE_PWA_NAME', PWA_DEFAULTS.NAME),
+  SHORT_NAME: getEnvString('VITE_PWA_SHORT_NAME', PWA_DEFAULTS.SHORT_NAME),
+  DESCRIPTION: getEnvString('VITE_PWA_DESCRIPTION', PWA_DEFAULTS.DESCRIPTION),
+  THEME_COLOR: getEnvString('VITE_PWA_THEME_COLOR', PWA_DEFAULTS.THEME_COLOR),
+  BACKGROUND_COLOR: getEnvString('VITE_PWA_BACKGROUND_COLOR', PWA_DEFAULTS.BACKGROUND_COLOR),
 };
 
 /**
@@ -232,7 +235,7 @@ export const MOBILE_CONFIG = {
  */
 export const LOCALIZATION_CONFIG = {
   DEFAULT_LANGUAGE: getEnvString('VITE_DEFAULT_LANGUAGE', 'en'),
-  SUPPORTED_LANGUAGES: getEnvArray('VITE_SUPPORTED_LANGUAGES', ['en', 'hi']),
+  SUPPORTED_LANGUAGES: getEnvArray('VITE_SUPPORTED_LANGUAGES', ['en', 'hi', 'pu', 'mr']),
   ENABLE_RTL: getEnvBoolean('VITE_ENABLE_RTL', false),
 };
 
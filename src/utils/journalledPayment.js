@@ -0,0 +1,138 @@
+/**
+ * Journalled Razorpay Payments
+ * Opens the gateway for a payment recorded in the pending-payment journal and
+ * waits for it to settle. Shared by cart checkout, balance payments, VIP
+ * purchases and wallet top-ups.
+ *
+ * Razorpay fires payment.failed while its modal stays open for another
+ * attempt, so a failed attempt does not end the payment - a later attempt can
+ * still succeed. A gateway that never opened charged nothing, so its entry is
+ * removed straight away. A dismissed checkout may still be paid (UPI and
+ * intent payments can complete after the modal closes), so it is reconciled
+ * against the backend first and stays journalled until the backend says how
+ * it ended. A paid entry stays until the caller has verified it with the
+ * backend (or it is reconciled on the next launch).
+ */
+
+import razorpayService from '../api/services/razorpayService';
+import paymentRecoveryService, { RECOVERY_RESULT } from '../api/services/paymentRecoveryService';
+import {
+  recordPendingPayment,
+  markPaymentAuthorized,
+  resolvePendingPayment,
+  getPendingPayment
+} from './paymentJournal';
+
+export const PAYMENT_OUTCOME = {
+  PAID: 'paid',
+  RECOVERED: 'recovered', // Paid after the checkout closed - the reconciler completed it
+  CANCELLED: 'cancelled', // Checkout closed and the backend confirms nothing was charged
+  PENDING: 'pending', // Checkout closed before the backend could confirm either way
+  FAILED: 'failed' // Gateway could not be opened
+};
+
+const PENDING_MESSAGE = 'Payment not completed. If you paid in your UPI app, we will confirm it automatically - please do not pay again.';
+
+/**
+ * Settle a dismissed checkout against the backend before it is treated as unpaid
+ * The reconciler completes a payment that went through and records one that
+ * failed; anything it cannot decide yet stays journalled for the next launch.
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @param {string} message - Gateway message for the dismissal
+ * @returns {Promise<Object>} { outcome, message, bookingId? }
+ */
+const reconcileDismissedPayment = async (razorpayOrderId, message) => {
+  const entry = getPendingPayment(razorpayOrderId);
+  if (!entry) return { outcome: PAYMENT_OUTCOME.CANCELLED, message };
+
+  try {
+    const { result, bookingId } = await paymentRecoveryService.reconcilePayment(entry);
+    if (result === RECOVERY_RESULT.RECOVERED) {
+      return { outcome: PAYMENT_OUTCOME.RECOVERED, bookingId: bookingId || null };
+    }
+    if (result === RECOVERY_RESULT.FAILED) {
+      return { outcome: PAYMENT_OUTCOME.CANCELLED, message };
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not confirm a dismissed payment, keeping it journalled:', razorpayOrderId, error.message);
+  }
+
+  return { outcome: PAYMENT_OUTCOME.PENDING, message: PENDING_MESSAGE };
+};
+
+/**
+ * Razorpay prefill details for a user
+ * @param {Object} user - Signed-in user
+ * @returns {{ mobile: string, email: string, name: string }}
+ */
+export const getPrefillDetails = (user) => ({
+  mobile: user?.mobile || '',
+  email: user?.email || '',
+  name: `${user?.first_name || ''} ${user?.last_name || ''}`.trim()
+});
+
+/**
+ * Journal a payment and collect it through Razorpay
+ * @param {Object} params
+ * @param {string} params.razorpayOrderId - Razorpay order created by the backend
+ * @param {number} params.amount - Amount to collect in rupees
+ * @param {string} params.type - PAYMENT_JOURNAL_TYPE
+ * @param {Object} params.checkoutData - Journal payload (see recordPendingPayment)
+ * @param {Object} [params.user] - Paying user (journal owner and prefill)
+ * @param {Function} [params.onAttemptFailed] - Called with the message of a failed attempt
+ *   while the checkout stays open
+ * @param {Function} [params.onDismiss] - Called when the user closes the checkout
+ * @returns {Promise<Object>} { outcome: PAID, paymentResponse }, { outcome: RECOVERED, bookingId }
+ *   or { outcome: CANCELLED | PENDING | FAILED, message }
+ */
+export const collectJournalledPayment = ({
+  razorpayOrderId,
+  amount,
+  type,
+  checkoutData,
+  user,
+  onAttemptFailed,
+  onDismiss
+}) => {
+  recordPendingPayment(razorpayOrderId, { userId: user?.id, amount, checkoutData, type });
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let dismissed = false;
+
+    razorpayService.openCheckout({
+      total: amount,
+      orderId: razorpayOrderId,
+      userDetails: getPrefillDetails(user),
+      onPaymentSuccess: (paymentResponse) => {
+        if (settled) return;
+        settled = true;
+        // Keep the gateway response before anything else can fail
+        markPaymentAuthorized(razorpayOrderId, paymentResponse);
+        resolve({ outcome: PAYMENT_OUTCOME.PAID, paymentResponse });
+      },
+      onDismiss: () => {
+        dismissed = true;
+        onDismiss?.();
+      },
+      onPaymentError: (message, { retryable = false } = {}) => {
+        if (settled) return;
+        if (retryable) {
+          console.warn('⚠️ Payment attempt failed, checkout still open:', message);
+          onAttemptFailed?.(String(message || 'Payment failed'));
+          return;
+        }
+
+        settled = true;
+        if (dismissed) {
+          resolve(reconcileDismissedPayment(razorpayOrderId, String(message || 'Payment cancelled')));
+          return;
+        }
+
+        // Never opened - nothing was charged
+        resolvePendingPayment(razorpayOrderId);
+        resolve({ outcome: PAYMENT_OUTCOME.FAILED, message: String(message || 'Payment failed') });
+      }
+    });
+  });
+};
@@ -0,0 +1,116 @@
+/**
+ * Money Utilities
+ * All payment math is done in integer paise so totals never pick up
+ * floating-point drift (e.g. 0.1 + 0.2) and the gateway never sees fractional paise.
+ *
+ * Rounding rules:
+ * 1. Parsing - API strings/numbers are rounded to the nearest paisa, halves away
+ *    from zero ("10.005" -> 1001 paise, "-10.005" -> -1001 paise).
+ * 2. Arithmetic - sums, differences and min/max are done on integer paise; no rounding.
+ * 3. Percentages - rounded to the nearest paisa, halves away from zero.
+ * 4. Gateway - Razorpay receives the paise integer as-is.
+ * 5. Display - en-IN grouping; paise are shown only when non-zero unless
+ *    `fractionDigits: 2` is requested.
+ */
+
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+/**
+ * Round half away from zero
+ * @param {number} value - Value to round
+ * @returns {number} Rounded integer
+ */
+const roundHalfAwayFromZero = (value) => {
+  const rounded = Math.round(Math.abs(value));
+  return value < 0 ? -rounded : rounded;
+};
+
+/**
+ * Convert a rupee amount (number or API string) to integer paise
+ * Strings are parsed digit by digit so "1.005" rounds exactly like the rupee
+ * value it represents. Currency symbols, grouping commas and spaces are ignored.
+ * @param {number|string|null|undefined} amount - Amount in rupees
+ * @returns {number} Amount in paise (0 for empty or invalid input)
+ */
+export const toPaise = (amount) => {
+  if (amount === null || amount === undefined || amount === '') return 0;
+
+  if (typeof amount === 'number') {
+    if (!Number.isFinite(amount)) return 0;
+    // toFixed(6) drops the binary error (1.005 -> "1.005000") before the exact string path
+    return toPaise(amount.toFixed(6));
+  }
+
+  const cleaned = String(amount).replace(/[₹,\s]/g, '');
+  const match = DECIMAL_PATTERN.exec(cleaned);
+  if (!match || (!match[2] && !match[3])) {
+    const parsed = Number(cleaned);
+    return Number.isFinite(parsed) ? roundHalfAwayFromZero(parsed * 100) : 0;
+  }
+
+  const [, sign, whole = '', fraction = ''] = match;
+  const paddedFraction = fraction.padEnd(3, '0');
+  let paise = Number(whole || '0') * 100 + Number(paddedFraction.slice(0, 2));
+  if (Number(paddedFraction[2]) >= 5) {
+    paise += 1;
+  }
+
+  return sign === '-' && paise !== 0 ? -paise : paise;
+};
+
+/**
+ * Convert integer paise back to rupees
+ * @param {number} paise - Amount in paise
+ * @returns {number} Amount in rupees (at most two decimals)
+ */
+export const fromPaise = (paise) => {
+  return Math.round(paise || 0) / 100;
+};
+
+/**
+ * Sum rupee amounts exactly
+ * @param {...(number|string)} amounts - Amounts in rupees
+ * @returns {number} Total in paise
+ */
+export const sumPaise = (...amounts) => {
+  return amounts.reduce((total, amount) => total + toPaise(amount), 0);
+};
+
+/**
+ * Take a percentage of a paise amount
+ * @param {number} paise - Amount in paise
+ * @param {number} percent - Percentage (e.g. 18 for 18%)
+ * @returns {number} Result in paise, rounded per rule 3
+ */
+export const percentOfPaise = (paise, percent) => {
+  return roundHalfAwayFromZero((paise * percent) / 100);
+};
+
+/**
+ * Razorpay amount for a rupee total
+ * @param {number|string} amount - Amount in rupees
+ * @returns {number} Integer paise
+ */
+export const toGatewayAmount = (amount) => {
+  return Math.max(0, toPaise(amount));
+};
+
+/**
+ * Format paise for display
+ * @param {number} paise - Amount in paise
+ * @param {Object} [options]
+ * @param {number} [options.fractionDigits] - Force 0 or 2 decimals (default: 2 only when paise are non-zero)
+ * @param {boolean} [options.signed] - Prefix positive amounts with "+"
+ * @param {string} [options.locale='en-IN'] - Locale for digit grouping (Latin digits are always used)
+ * @returns {string} e.g. "₹1,234" or "₹1,234.50"
+ */
+export const formatPaise = (paise, { fractionDigits, signed = false, locale = 'en-IN' } = {}) => {
+  const value = Math.round(paise || 0);
+  const absolute = Math.abs(value);
+  const digits = fractionDigits ?? (absolute % 100 === 0 ? 0 : 2);
+  const rupees = (digits === 0 ? roundHalfAwayFromZero(absolute / 100) : absolute / 100)
+    .toLocaleString(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits, numberingSystem: 'latn' });
+
+  const sign = value < 0 ? '-' : (signed && value > 0 ? '+' : '');
+  return `${sign}₹${rupees}`;
+};
@@ -1,9 +1,12 @@
 import { PaymentTypes } from '../types/cart';
+import { toPaise, fromPaise } from './money';
+import { formatCurrency as formatLocalizedCurrency } from '../i18n/format';
 
 /**
  * Payment Calculation Engine
  * Matches Flutter payment calculation logic exactly
  * Handles all payment scenarios: VIP, partial, full, wallet, coupons
+ * All arithmetic is done in integer paise (see utils/money.js); results are returned in rupees
  */
 
 /**
@@ -37,98 +40,105 @@ export const calculatePaymentAmounts = (cartState) => {
       finalTotalAmount: 0,
       finalTotalDiscountAmount: 0,
       finalRemainingAmounts: 0,
-      walletDeductionAmount: 0
+      walletDeductionAmount: 0,
+      finalTotalPaise: 0
     };
   }
 
-  // Base amounts (matches Flutter variable declarations)
-  const donationPrice = parseFloat(selectedDonationTip || '0');
-  const tipPrice = parseFloat(selectedTip || '0');
-  
+  // Base amounts in paise (matches Flutter variable declarations)
+  const donationPaise = toPaise(selectedDonationTip);
+  const tipPaise = toPaise(selectedTip);
+
   // Cart data amounts - using correct API field names
-  const availableWalletAmount = parseFloat(cartData.user_wallet_amount || '0');
-  const serviceItemsTotalAmount = parseFloat(cartData.total_service_amount || '0');
-  const vipPlanAmount = parseFloat(cartData.vip_full_amount || '0');
-  const taxAndOtherServiceAmount = parseFloat(cartData.convinencecharge || '0');
-  const taxAndOtherServiceCustomAmount = parseFloat(cartData.remaining_convcience || '0');
+  const availableWalletPaise = toPaise(cartData.user_wallet_amount);
+  const serviceItemsTotalPaise = toPaise(cartData.total_service_amount);
+  const vipPlanPaise = toPaise(cartData.vip_full_amount);
+  const taxAndOtherServicePaise = toPaise(cartData.convinencecharge);
+  const taxAndOtherServiceCustomPaise = toPaise(cartData.remaining_convcience);
 
   // VIP discount from API (matches Flutter viplifediscount field)
-  const vipPlanDiscountAmount = parseFloat(cartData.viplifediscount || '0');
-  
+  const vipPlanDiscountPaise = toPaise(cartData.viplifediscount);
+
   // Initialize final amounts
-  let finalTotalAmount = 0;
-  let finalTotalDiscountAmount = 0;
-  let finalRemainingAmounts = 0;
-  let walletDeductionAmount = 0;
+  let finalTotalPaise = 0;
+  let finalTotalDiscountPaise = 0;
+  let finalRemainingPaise = 0;
+  let walletDeductionPaise = 0;
 
   // Calculate based on payment type (matches Flutter switch logic)
   if (paymentType === PaymentTypes.VIP && selectedVipPlan && selectedVipPlan.id) {
     // VIP payment calculation - matches Flutter lines 1508
     // Uses vip_full_amount directly from API + tips/donations
-    finalTotalAmount = vipPlanAmount + tipPrice + donationPrice;
-    finalTotalDiscountAmount = vipPlanDiscountAmount;
+    finalTotalPaise = vipPlanPaise + tipPaise + donationPaise;
+    finalTotalDiscountPaise = vipPlanDiscountPaise;
     console.log('💰 Payment Calculation - VIP Mode:', {
-      vipPlanAmount,
-      tipPrice,
-      donationPrice,
-      finalTotalAmount,
+      vipPlanPaise,
+      tipPaise,
+      donationPaise,
+      finalTotalPaise,
       selectedVipPlan: selectedVipPlan?.plan_name
     });
   } else if (paymentType === PaymentTypes.PARTIAL) {
     // Partial payment calculation
-    const partialAmount = parseFloat(cartData.partialPayment || '0');
-    finalTotalAmount = partialAmount + tipPrice + donationPrice;
-    finalRemainingAmounts = parseFloat(cartData.leftBalance || '0');
+    const partialPaise = toPaise(cartData.partialPayment);
+    finalTotalPaise = partialPaise + tipPaise + donationPaise;
+    finalRemainingPaise = toPaise(cartData.leftBalance);
     console.log('💰 Payment Calculation - Partial Mode:', {
-      partialAmount,
-      tipPrice,
-      donationPrice,
-      finalTotalAmount
+      partialPaise,
+      tipPaise,
+      donationPaise,
+      finalTotalPaise
     });
   } else {
     // Full payment calculation (normal mode)
     if (isCouponApplied && couponData) {
       // With coupon applied
-      finalTotalAmount = parseFloat(couponData.itemDiscountAmount || '0') + tipPrice + donationPrice;
-      finalTotalDiscountAmount = parseFloat(couponData.couponValue || '0');
+      finalTotalPaise = toPaise(couponData.itemDiscountAmount) + tipPaise + donationPaise;
+      finalTotalDiscountPaise = toPaise(couponData.couponValue);
     } else {
       // Without coupon - use total_price for normal payment
-      const normalAmount = parseFloat(cartData.total_price || cartData.total_service_amount || '0');
-      finalTotalAmount = normalAmount + tipPrice + donationPrice;
+      const normalPaise = toPaise(cartData.total_price || cartData.total_service_amount);
+      finalTotalPaise = normalPaise + tipPaise + donationPaise;
     }
     console.log('💰 Payment Calculation - Normal Mode:', {
       total_price: cartData.total_price,
       total_service_amount: cartData.total_service_amount,
-      normalAmount: parseFloat(cartData.total_price || cartData.total_service_amount || '0'),
-      tipPrice,
-      donationPrice,
-      finalTotalAmount,
+      tipPaise,
+      donationPaise,
+      finalTotalPaise,
       isCouponApplied
     });
   }
 
   // Apply wallet deduction if enabled (matches Flutter wallet logic)
   // Note: Wallet is NOT applied for VIP payments (matches Flutter discountType == vip logic)
-  if (isWalletEnabled && availableWalletAmount > 0 && paymentType !== PaymentTypes.VIP) {
-    walletDeductionAmount = Math.min(availableWalletAmount, finalTotalAmount);
-    finalTotalAmount = Math.max(0, finalTotalAmount - walletDeductionAmount);
+  if (isWalletEnabled && availableWalletPaise > 0 && paymentType !== PaymentTypes.VIP) {
+    walletDeductionPaise = Math.max(0, Math.min(availableWalletPaise, finalTotalPaise));
+    finalTotalPaise = Math.max(0, finalTotalPaise - walletDeductionPaise);
   }
 
+  const donationPrice = fromPaise(donationPaise);
+  const tipPrice = fromPaise(tipPaise);
+  const finalTotalAmount = fromPaise(finalTotalPaise);
+  const finalRemainingAmounts = fromPaise(finalRemainingPaise);
+
   return {
     donationPrice,
     tipPrice,
     totalPrice: finalTotalAmount,
     totalRemainingPrice: finalRemainingAmounts,
-    availableWalletAmount,
-    serviceItemsTotalAmount,
-    vipPlanDiscountAmount,
-    vipPlanAmount,
-    taxAndOtherServiceCustomAmount,
-    taxAndOtherServiceAmount,
+    availableWalletAmount: fromPaise(availableWalletPaise),
+    serviceItemsTotalAmount: fromPaise(serviceItemsTotalPaise),
+    vipPlanDiscountAmount: fromPaise(vipPlanDiscountPaise),
+    vipPlanAmount: fromPaise(vipPlanPaise),
+    taxAndOtherServiceCustomAmount: fromPaise(taxAndOtherServiceCustomPaise),
+    taxAndOtherServiceAmount: fromPaise(taxAndOtherServicePaise),
     finalTotalAmount,
-    finalTotalDiscountAmount,
-    finalRemainingAmounts: finalRemainingAmounts,
-    walletDeductionAmount
+    finalTotalDiscountAmount: fromPaise(finalTotalDiscountPaise),
+    finalRemainingAmounts,
+    walletDeductionAmount: fromPaise(walletDeductionPaise),
+    // Exact gateway amount - Razorpay takes integer paise
+    finalTotalPaise
   };
 };
 
@@ -137,17 +147,19 @@ export const calculatePaymentAmounts = (cartState) => {
  * Matches Flutter getDiscountPercentageFunction
  */
 export const calculateDiscountPercentage = (discountPrice, originalPrice) => {
-  const discount = parseFloat(originalPrice) - parseFloat(discountPrice);
-  const percentage = (discount / parseFloat(originalPrice)) * 100;
-  return Math.round(percentage);
+  const originalPaise = toPaise(originalPrice);
+  if (originalPaise === 0) return 0;
+
+  const discountPaise = originalPaise - toPaise(discountPrice);
+  return Math.round((discountPaise / originalPaise) * 100);
 };
 
 /**
- * Format currency amount
+ * Format currency amount in the active language
  * Matches Flutter CurrencyManager.formatCurrency
  */
 export const formatCurrency = (amount) => {
-  return `₹${parseFloat(amount || 0).toLocaleString('en-IN')}`;
+  return formatLocalizedCurrency(amount);
 };
 
 /**
@@ -156,7 +168,7 @@ export const formatCurrency = (amount) => {
  */
 export const calculateCartValue = (cartData) => {
   if (!cartData) return '0';
-  return (parseFloat(cartData.itemFullAmount || '0')).toString();
+  return fromPaise(toPaise(cartData.itemFullAmount)).toString();
 };
 
 /**
@@ -201,10 +213,10 @@ export const calculateVipSavings = (cartData, vipPlan) => {
   if (!cartData || !vipPlan) return 0;
 
   // Use correct API field names
-  const fullAmount = parseFloat(cartData.item_full_amount || '0');
-  const vipAmount = parseFloat(cartData.vip_full_amount || '0');
+  const fullPaise = toPaise(cartData.item_full_amount);
+  const vipPaise = toPaise(cartData.vip_full_amount);
 
-  return Math.max(0, fullAmount - vipAmount);
+  return fromPaise(Math.max(0, fullPaise - vipPaise));
 };
 
 /**
@@ -213,7 +225,7 @@ export const calculateVipSavings = (cartData, vipPlan) => {
  */
 export const calculateTotalOrderValue = (cartState) => {
   const calculations = calculatePaymentAmounts(cartState);
-  return calculations.finalTotalAmount + calculations.finalRemainingAmounts;
+  return fromPaise(calculations.finalTotalPaise + toPaise(calculations.finalRemainingAmounts));
 };
 
 /**
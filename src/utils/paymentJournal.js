@@ -0,0 +1,125 @@
+/**
+ * Pending Payment Journal
+ * Persists in-flight Razorpay checkouts (and balance payments on partially
+ * paid bookings, VIP purchases and wallet top-ups) so a payment interrupted between the gateway and the booking API (tab closed, crash, network loss) can be
+ * reconciled against the backend on the next launch.
+ */
+
+const JOURNAL_STORAGE_KEY = 'eassylife_pending_payments';
+
+export const PAYMENT_JOURNAL_STATUS = {
+  CREATED: 'created', // Razorpay order created, gateway opened
+  AUTHORIZED: 'authorized' // Gateway reported success, booking not yet confirmed
+};
+
+export const PAYMENT_JOURNAL_TYPE = {
+  CHECKOUT: 'checkout', // Cart checkout - creates a booking once paid
+  BALANCE: 'balance', // Remaining balance of a partially paid booking
+  VIP: 'vip', // VIP plan purchase
+  WALLET_TOPUP: 'wallet_topup' // Money added to the wallet
+};
+
+const readJournal = () => {
+  try {
+    const journal = JSON.parse(localStorage.getItem(JOURNAL_STORAGE_KEY) || '{}');
+    return journal && typeof journal === 'object' ? journal : {};
+  } catch (error) {
+    console.error('Error reading payment journal:', error);
+    return {};
+  }
+};
+
+const writeJournal = (journal) => {
+  try {
+    if (Object.keys(journal).length === 0) {
+      localStorage.removeItem(JOURNAL_STORAGE_KEY);
+    } else {
+      localStorage.setItem(JOURNAL_STORAGE_KEY, JSON.stringify(journal));
+    }
+  } catch (error) {
+    console.error('Error writing payment journal:', error);
+  }
+};
+
+/**
+ * Record a checkout before the payment gateway is opened
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @param {Object} details
+ * @param {string|number} [details.userId] - Paying user, so another account never reconciles it
+ * @param {number} details.amount - Amount charged in rupees
+ * @param {Object} details.checkoutData - Booking payload to submit once paid
+ *   (for BALANCE entries: { orderId, itemId, remainingConvenienceCharge, useWallet }; for VIP: { planId, amount };
+ *   for WALLET_TOPUP: { amount })
+ * @param {string} [details.type] - PAYMENT_JOURNAL_TYPE
+ */
+export const recordPendingPayment = (razorpayOrderId, {
+  userId = null,
+  amount,
+  checkoutData,
+  type = PAYMENT_JOURNAL_TYPE.CHECKOUT
+}) => {
+  if (!razorpayOrderId) return;
+
+  const journal = readJournal();
+  journal[razorpayOrderId] = {
+    razorpayOrderId,
+    type,
+    userId,
+    amount,
+    checkoutData,
+    paymentResponse: null,
+    status: PAYMENT_JOURNAL_STATUS.CREATED,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  writeJournal(journal);
+};
+
+/**
+ * Store the gateway's success response before the booking API is called
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @param {Object} paymentResponse - { razorpay_payment_id, razorpay_order_id, razorpay_signature }
+ */
+export const markPaymentAuthorized = (razorpayOrderId, paymentResponse) => {
+  const journal = readJournal();
+  const entry = journal[razorpayOrderId];
+  if (!entry) return;
+
+  journal[razorpayOrderId] = {
+    ...entry,
+    paymentResponse,
+    status: PAYMENT_JOURNAL_STATUS.AUTHORIZED,
+    updatedAt: Date.now()
+  };
+  writeJournal(journal);
+};
+
+/**
+ * Remove a checkout once the backend has confirmed or failed it
+ * @param {string} razorpayOrderId - Razorpay order ID
+ */
+export const resolvePendingPayment = (razorpayOrderId) => {
+  const journal = readJournal();
+  if (!journal[razorpayOrderId]) return;
+
+  delete journal[razorpayOrderId];
+  writeJournal(journal);
+};
+
+/**
+ * Get one unresolved checkout
+ * @param {string} razorpayOrderId - Razorpay order ID
+ * @returns {Object|null} Journal entry
+ */
+export const getPendingPayment = (razorpayOrderId) => readJournal()[razorpayOrderId] || null;
+
+/**
+ * Get unresolved checkouts, optionally only those made by one user
+ * @param {string|number} [userId] - Current user ID
+ * @returns {Array<Object>} Journal entries, oldest first
+ */
+export const getPendingPayments = (userId) => {
+  return Object.values(readJournal())
+    .filter((entry) => userId === undefined || !entry.userId || String(entry.userId) === String(userId))
+    .sort((a, b) => a.createdAt - b.createdAt);
+};
@@ -0,0 +1,157 @@
+/**
+ * Referral Utilities
+ * Share-link generation, capture of referral codes from incoming links,
+ * and normalization of the referral info API response
+ */
+
+export const REFERRAL_PARAM = 'ref';
+
+const REFERRAL_STORAGE_KEY = 'eassylife_referral_code';
+const REFERRAL_CODE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REFERRAL_CODE_PATTERN = /^[A-Z0-9]{4,16}$/;
+
+/**
+ * Normalize and validate a referral code
+ * @param {string} code - Raw referral code
+ * @returns {string|null} Upper-cased code, or null if invalid
+ */
+export const sanitizeReferralCode = (code) => {
+  const normalized = (code || '').trim().toUpperCase();
+  return REFERRAL_CODE_PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Build a shareable link that carries the referral code as a URL param
+ * @param {string} code - Referral code
+ * @param {string} [baseUrl] - Site origin (defaults to the current origin)
+ * @returns {string} Share link
+ */
+export const buildReferralLink = (code, baseUrl = window.location.origin) => {
+  const url = new URL('/', baseUrl);
+  if (code) {
+    url.searchParams.set(REFERRAL_PARAM, code);
+  }
+  return url.toString();
+};
+
+/**
+ * Build the share message used by every share target
+ * @param {string} code - Referral code
+ * @param {string} link - Referral link
+ * @returns {string} Share text
+ */
+export const buildReferralShareText = (code, link) =>
+  `Hey, Life's Eassy With Eassylife. Use Referral Code ${code} And Share The Joy Of Having The World At Your Fingertips With Your Friends And Family. Sign up here: ${link}`;
+
+/**
+ * Platform share URLs for the referral message
+ * @param {string} platform - Share target
+ * @param {string} text - Share text
+ * @param {string} link - Referral link
+ * @returns {string|null} URL to open, or null if the platform has no web share URL
+ */
+export const getPlatformShareUrl = (platform, text, link) => {
+  const encodedText = encodeURIComponent(text);
+  const encodedLink = encodeURIComponent(link);
+
+  switch (platform) {
+    case 'whatsapp':
+      return `https://wa.me/?text=${encodedText}`;
+    case 'facebook':
+      return `https://www.facebook.com/sharer/sharer.php?u=${encodedLink}`;
+    case 'twitter':
+      return `https://twitter.com/intent/tweet?text=${encodedText}`;
+    case 'reddit':
+      return `https://www.reddit.com/submit?url=${encodedLink}&title=${encodeURIComponent('Join me on EassyLife')}`;
+    case 'gmail':
+      return `mailto:?subject=${encodeURIComponent('Join me on EassyLife')}&body=${encodedText}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Store a referral code from an incoming link so signup can pre-fill it
+ * @param {string} [search] - Query string to read (defaults to the current URL)
+ * @returns {string|null} The captured code, if any
+ */
+export const captureReferralCode = (search = window.location.search) => {
+  const code = sanitizeReferralCode(new URLSearchParams(search).get(REFERRAL_PARAM));
+  if (!code) return null;
+
+  try {
+    localStorage.setItem(REFERRAL_STORAGE_KEY, JSON.stringify({ code, timestamp: Date.now() }));
+  } catch (error) {
+    console.error('Error storing referral code:', error);
+  }
+  return code;
+};
+
+/**
+ * Get the referral code captured from a share link, if it has not expired
+ * @returns {string|null}
+ */
+export const getStoredReferralCode = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REFERRAL_STORAGE_KEY) || 'null');
+    if (!stored?.code) return null;
+
+    if (Date.now() - stored.timestamp > REFERRAL_CODE_TTL) {
+      clearStoredReferralCode();
+      return null;
+    }
+    return stored.code;
+  } catch (error) {
+    console.error('Error reading referral code:', error);
+    return null;
+  }
+};
+
+/**
+ * Remove the captured referral code (after a successful signup)
+ */
+export const clearStoredReferralCode = () => {
+  localStorage.removeItem(REFERRAL_STORAGE_KEY);
+};
+
+/**
+ * Referral statuses shown for referred friends
+ */
+export const REFERRAL_STATUS = {
+  JOINED: 'joined',
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired'
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Normalize the referral info API response
+ * @param {Object} data - Raw `referral/info` data
+ * @returns {Object} Normalized referral info
+ */
+export const normalizeReferralInfo = (data = {}) => {
+  const referrals = (data.referrals || data.referred_users || data.history || []).map((item, index) => {
+    const status = (item.status || REFERRAL_STATUS.JOINED).toLowerCase();
+    return {
+      id: item.id || item.user_id || `referral-${index}`,
+      name: item.name || [item.first_name, item.last_name].filter(Boolean).join(' ') || 'EassyLife user',
+      status,
+      reward: toNumber(item.reward ?? item.reward_amount ?? item.amount),
+      joinedAt: item.joined_at || item.created_at || null
+    };
+  });
+
+  return {
+    code: data.referral_code || data.code || '',
+    referralCount: toNumber(data.total_referrals ?? data.referral_count ?? referrals.length),
+    pendingRewards: toNumber(data.pending_rewards ?? data.pending_amount),
+    earnedRewards: toNumber(data.earned_rewards ?? data.total_earned ?? data.earned_amount),
+    rewardPerReferral: toNumber(data.reward_per_referral ?? data.referral_amount),
+    referrals
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Reschedule Policy
+ * Client-side checks applied before a booking is sent to the reschedule API.
+ * Mirrors the cancellation policy shown at checkout: changes are free when
+ * made more than FREE_RESCHEDULE_HOURS before the service starts. Later
+ * changes are still allowed, but the backend may charge a fee for them.
+ */
+
+import { isSlotAvailable } from '../api/services/dateTimeService.js';
+
+export const FREE_RESCHEDULE_HOURS = 3;
+
+const RESCHEDULABLE_STATUSES = ['accepted'];
+
+/**
+ * Build the start time of a booking item
+ * @param {Object} item - Booking item (API or camelCase fields)
+ * @returns {Date|null} Booking start, or null if it cannot be parsed
+ */
+export const getBookingStart = (item) => {
+  const dateValue = item?.booking_date || item?.bookingDate;
+  if (!dateValue) return null;
+
+  // Parse yyyy-MM-dd as a local date - new Date() would treat it as UTC
+  const isoMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateValue);
+  const start = isoMatch
+    ? new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]))
+    : new Date(dateValue);
+  if (isNaN(start.getTime())) return null;
+
+  const timeValue = item?.booking_time_from || item?.bookingTimeFrom;
+  if (timeValue) {
+    const [hours, minutes] = timeValue.split(':').map((part) => parseInt(part, 10));
+    start.setHours(hours || 0, minutes || 0, 0, 0);
+  }
+
+  return start;
+};
+
+/**
+ * Check whether a booking item may be rescheduled at all
+ * @param {Object} item - Booking item
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {{allowed: boolean, message: string, feeMayApply: boolean}} Policy result
+ */
+export const getRescheduleEligibility = (item, now = new Date()) => {
+  if (!item) {
+    return { allowed: false, message: 'Booking details are not available', feeMayApply: false };
+  }
+
+  if (!RESCHEDULABLE_STATUSES.includes(item.status)) {
+    return { allowed: false, message: 'Only upcoming bookings can be rescheduled', feeMayApply: false };
+  }
+
+  if (parseInt(item.is_partial) === 1) {
+    return { allowed: false, message: 'Please pay the remaining amount before rescheduling', feeMayApply: false };
+  }
+
+  const bookingStart = getBookingStart(item);
+  const hoursLeft = bookingStart ? (bookingStart.getTime() - now.getTime()) / (60 * 60 * 1000) : Infinity;
+  if (hoursLeft <= FREE_RESCHEDULE_HOURS) {
+    return {
+      allowed: true,
+      message: `Rescheduling within ${FREE_RESCHEDULE_HOURS} hours of the service may be charged a fee`,
+      feeMayApply: true
+    };
+  }
+
+  return { allowed: true, message: '', feeMayApply: false };
+};
+
+/**
+ * Validate a new slot for a booking item against the reschedule policy
+ * @param {Object} params
+ * @param {Object} params.item - Booking item being rescheduled
+ * @param {Object} params.slotData - Slot configuration from dateTimeService
+ * @param {Date} params.date - New booking date
+ * @param {Object} params.slot - New slot ({ timeFrom, timeTo })
+ * @param {Date} [params.now] - Current time (defaults to now)
+ * @returns {{valid: boolean, message: string}} Validation result
+ */
+export const validateReschedule = ({ item, slotData, date, slot, now = new Date() }) => {
+  const eligibility = getRescheduleEligibility(item, now);
+  if (!eligibility.allowed) {
+    return { valid: false, message: eligibility.message };
+  }
+
+  if (!date || !slot) {
+    return { valid: false, message: 'Please select a new date and time' };
+  }
+
+  if (!isSlotAvailable(slotData, date, slot.timeFrom, now)) {
+    return { valid: false, message: 'The selected slot is no longer available. Please pick another one' };
+  }
+
+  const newStart = new Date(date);
+  newStart.setHours(slot.hour ?? parseInt(slot.timeFrom, 10), 0, 0, 0);
+  const currentStart = getBookingStart(item);
+  if (currentStart && newStart.getTime() === currentStart.getTime()) {
+    return { valid: false, message: 'Please choose a different slot from your current booking' };
+  }
+
+  return { valid: true, message: '' };
+};
@@ -0,0 +1,160 @@
+/**
+ * Search Utilities
+ * Normalizes search API results, builds deep links and persists recent searches
+ */
+
+const RECENT_SEARCHES_KEY = 'eassylife_recent_searches';
+const MAX_RECENT_SEARCHES = 8;
+
+export const SEARCH_GROUPS = {
+  CATEGORY: 'category',
+  SUB_SERVICE: 'subcategory',
+  PACKAGE: 'package'
+};
+
+export const SEARCH_GROUP_LABELS = {
+  [SEARCH_GROUPS.CATEGORY]: 'Categories',
+  [SEARCH_GROUPS.SUB_SERVICE]: 'Services',
+  [SEARCH_GROUPS.PACKAGE]: 'Packages'
+};
+
+/**
+ * Map a raw API item onto the common search result shape
+ * @param {Object} item - Raw item from the search API
+ * @param {string} type - One of SEARCH_GROUPS
+ * @returns {Object|null} Normalized result
+ */
+const normalizeItem = (item, type) => {
+  const id = item?.id || item?._id;
+  if (!id) return null;
+
+  return {
+    id,
+    type,
+    name: item.name || item.title || '',
+    image: item.image || item.icon || item.image_url || '',
+    categoryId: item.category_id || item.category?.id || null,
+    categoryName: item.category?.name || item.category_name || '',
+    price: item.price ?? item.discounted_price ?? null,
+    hasSubServices: Array.isArray(item.subcategories) && item.subcategories.length > 0,
+    raw: item
+  };
+};
+
+const resolveItemType = (item) => {
+  const type = (item.type || '').toLowerCase();
+  if (type.includes('package')) return SEARCH_GROUPS.PACKAGE;
+  if (type.includes('sub') || item.category_id) return SEARCH_GROUPS.SUB_SERVICE;
+  return SEARCH_GROUPS.CATEGORY;
+};
+
+/**
+ * Normalize the search API payload into grouped results
+ * Accepts either `{ categories, subcategories, packages }` or a flat array of typed items.
+ * @param {Object|Array} data - Search API data
+ * @returns {{ categories: Array, subServices: Array, packages: Array }}
+ */
+export const normalizeSearchResults = (data) => {
+  const groups = { categories: [], subServices: [], packages: [] };
+  if (!data) return groups;
+
+  const push = (item, type) => {
+    const normalized = normalizeItem(item, type);
+    if (!normalized) return;
+
+    if (type === SEARCH_GROUPS.PACKAGE) groups.packages.push(normalized);
+    else if (type === SEARCH_GROUPS.SUB_SERVICE) groups.subServices.push(normalized);
+    else groups.categories.push(normalized);
+  };
+
+  if (Array.isArray(data)) {
+    data.forEach((item) => push(item, resolveItemType(item)));
+    return groups;
+  }
+
+  (data.categories || data.services || []).forEach((item) => push(item, SEARCH_GROUPS.CATEGORY));
+  (data.subcategories || data.subServices || data.sub_categories || []).forEach((item) => push(item, SEARCH_GROUPS.SUB_SERVICE));
+  (data.packages || []).forEach((item) => push(item, SEARCH_GROUPS.PACKAGE));
+
+  return groups;
+};
+
+/**
+ * Flatten grouped results in display order (categories, services, packages)
+ * @param {Object} groups - Output of normalizeSearchResults
+ * @returns {Array} Flat list of results
+ */
+export const flattenSearchResults = (groups) => [
+  ...(groups?.categories || []),
+  ...(groups?.subServices || []),
+  ...(groups?.packages || [])
+];
+
+/**
+ * Build the route for a search result
+ * Categories with sub-services open the selection page; everything else opens service details.
+ * @param {Object} result - Normalized search result
+ * @returns {{ path: string, state?: Object }} Navigation target
+ */
+export const getSearchResultRoute = (result) => {
+  if (result.type === SEARCH_GROUPS.CATEGORY && result.hasSubServices) {
+    return { path: `/service-selection/${result.id}` };
+  }
+
+  if (result.type === SEARCH_GROUPS.SUB_SERVICE) {
+    return {
+      path: `/service-details/${result.id}`,
+      state: {
+        categoryId: result.categoryId,
+        subCategoryId: result.id,
+        serviceName: result.categoryName,
+        subServiceName: result.name
+      }
+    };
+  }
+
+  return { path: `/service-details/${result.id}` };
+};
+
+/**
+ * Get recent search terms (most recent first)
+ * @returns {string[]}
+ */
+export const getRecentSearches = () => {
+  try {
+    const stored = localStorage.getItem(RECENT_SEARCHES_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading recent searches:', error);
+    return [];
+  }
+};
+
+/**
+ * Record a search term, de-duplicated case-insensitively
+ * @param {string} term - Search term
+ * @returns {string[]} Updated recent searches
+ */
+export const addRecentSearch = (term) => {
+  const trimmed = term?.trim();
+  if (!trimmed) return getRecentSearches();
+
+  const updated = [
+    trimmed,
+    ...getRecentSearches().filter((item) => item.toLowerCase() !== trimmed.toLowerCase())
+  ].slice(0, MAX_RECENT_SEARCHES);
+
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(updated));
+  } catch (error) {
+    console.error('Error saving recent searches:', error);
+  }
+  return updated;
+};
+
+/**
+ * Clear all recent searches
+ */
+export const clearRecentSearches = () => {
+  localStorage.removeItem(RECENT_SEARCHES_KEY);
+};
@@ -149,45 +149,75 @@ export const passwordSchema = z.object({
   }
 );
 
-// Address validation schema (for future use)
+// Address validation schema - validates the canonical address model (utils/addressModel)
 export const addressSchema = z.object({
-  type: z.enum(['home', 'work', 'other'], {
+  label: z.enum(['home', 'work', 'other'], {
     errorMap: () => ({ message: 'Please select a valid address type' }),
   }),
-  
-  address_line_1: z
+
+  flatNo: z
     .string()
-    .min(1, 'Address line 1 is required')
-    .max(255, 'Address line 1 is too long'),
-  
-  address_line_2: z
+    .trim()
+    .min(1, 'Flat/House number is required')
+    .max(50, 'Flat/House number is too long'),
+
+  buildingName: z
+    .string()
+    .trim()
+    .min(1, 'Building name is required')
+    .max(100, 'Building name is too long'),
+
+  streetAddress: z
     .string()
-    .max(255, 'Address line 2 is too long')
+    .trim()
+    .min(1, 'Street address is required')
+    .max(255, 'Street address is too long'),
+
+  landmark: z
+    .string()
+    .trim()
+    .max(100, 'Landmark is too long')
     .optional()
     .or(z.literal('')),
-  
+
   city: z
     .string()
+    .trim()
     .min(1, 'City is required')
     .max(100, 'City name is too long'),
-  
+
   state: z
     .string()
+    .trim()
     .min(1, 'State is required')
     .max(100, 'State name is too long'),
-  
-  pincode: z
+
+  postalCode: z
     .string()
+    .trim()
     .min(1, 'Pincode is required')
-    .regex(/^\d{6}$/, 'Pincode must be 6 digits'),
-  
-  landmark: z
+    .regex(/^[1-9]\d{5}$/, 'Please enter a valid 6-digit pincode'),
+
+  latitude: z.number().min(-90).max(90).nullable(),
+
+  longitude: z.number().min(-180).max(180).nullable(),
+
+  contactName: z
+    .string()
+    .trim()
+    .max(100, 'Name must be less than 100 characters')
+    .regex(/^[a-zA-Z\s]*$/, 'Name can only contain letters and spaces')
+    .optional()
+    .or(z.literal('')),
+
+  contactPhone: z
     .string()
-    .max(255, 'Landmark is too long')
+    .trim()
+    .regex(/^([6-9]\d{9})?$/, 'Please enter a valid 10-digit mobile number')
     .optional()
     .or(z.literal('')),
-  
-  is_default: z.boolean().optional(),
+
+  isPrimary: z.boolean().nullable().optional(),
 });
 
 // Validation helper functions
@@ -258,6 +288,23 @@ export const validateWalletTransaction = (data) => {
   }
 };
 
+export const validateAddress = (data) => {
+  try {
+    const validatedData = addressSchema.parse(data);
+    return { success: true, data: validatedData, errors: {} };
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      const errors = {};
+      error.errors.forEach((err) => {
+        const path = err.path.join('.');
+        errors[path] = err.message;
+      });
+      return { success: false, data: null, errors };
+    }
+    return { success: false, data: null, errors: { general: 'Validation failed' } };
+  }
+};
+
 // Common validation patterns
 export const validationPatterns = {
   name: /^[a-zA-Z\s]+$/,
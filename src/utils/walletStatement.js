@@ -0,0 +1,191 @@
+/**
+ * Wallet Statement
+ * Builds wallet statements on the client: a CSV download and a printable
+ * HTML page the browser saves as PDF ("Save as PDF" in the print dialog).
+ */
+
+import walletService from '../api/services/walletService.js';
+import { toPaise, formatPaise } from './money.js';
+
+const CREDIT_TYPES = ['credit', 'refund', 'cashback', 'bonus'];
+
+const isCredit = (transaction) => CREDIT_TYPES.includes(transaction.type || transaction.transaction_type);
+
+const formatStatementDate = (transaction) => {
+  return walletService.getTransactionDate(transaction).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+const describe = (transaction) => {
+  return transaction.description || transaction.reason?.replace(/_/g, ' ') || 'Transaction';
+};
+
+// Signed amount in rupees with two decimals ("500.00", "-120.50")
+const signedAmount = (transaction) => {
+  const paise = Math.abs(toPaise(transaction.amount));
+  return ((isCredit(transaction) ? paise : -paise) / 100).toFixed(2);
+};
+
+/**
+ * Quote a CSV cell, neutralising values a spreadsheet would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV statement
+ * @param {Array<Object>} transactions - Normalized transactions, newest first
+ * @returns {string} CSV with a header row
+ */
+export const buildStatementCsv = (transactions = []) => {
+  const header = ['Date', 'Description', 'Type', 'Amount (INR)', 'Balance (INR)', 'Transaction ID'];
+  const rows = transactions.map((transaction) => [
+    formatStatementDate(transaction),
+    describe(transaction),
+    transaction.type || transaction.transaction_type || '',
+    signedAmount(transaction),
+    (toPaise(transaction.new_balance) / 100).toFixed(2),
+    transaction.id ?? ''
+  ]);
+
+  return [header, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\r\n');
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const describePeriod = ({ startDate, endDate } = {}) => {
+  if (startDate && endDate) return `${startDate} to ${endDate}`;
+  if (startDate) return `From ${startDate}`;
+  if (endDate) return `Up to ${endDate}`;
+  return 'All transactions';
+};
+
+/**
+ * Build a printable HTML statement with monthly totals
+ * @param {Object} params
+ * @param {Array<Object>} params.transactions - Normalized transactions, newest first
+ * @param {Object} [params.filters] - { type, startDate, endDate } the statement was built with
+ * @param {string} [params.accountName] - Shown under the title
+ * @param {Date} [params.generatedAt] - Defaults to now
+ * @returns {string} Complete HTML document
+ */
+export const buildStatementHtml = ({ transactions = [], filters = {}, accountName = '', generatedAt = new Date() }) => {
+  const months = walletService.getMonthlyStatistics(transactions);
+  const money = (amount) => escapeHtml(formatPaise(toPaise(amount), { fractionDigits: 2 }));
+
+  const monthSections = months.map((month) => `
+    <h2>${escapeHtml(month.label)}</h2>
+    <p class="totals">Credits ${money(month.totalCredits)} &middot; Debits ${money(month.totalDebits)} &middot; Net ${money(month.netAmount)}</p>
+    <table>
+      <thead><tr><th>Date</th><th>Description</th><th>Type</th><th class="num">Amount</th><th class="num">Balance</th></tr></thead>
+      <tbody>
+        ${month.transactions.map((transaction) => `
+        <tr>
+          <td>${escapeHtml(formatStatementDate(transaction))}</td>
+          <td>${escapeHtml(describe(transaction))}</td>
+          <td>${escapeHtml(transaction.type || transaction.transaction_type || '')}</td>
+          <td class="num ${isCredit(transaction) ? 'credit' : 'debit'}">${escapeHtml(signedAmount(transaction))}</td>
+          <td class="num">${money(transaction.new_balance)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>EassyLife Wallet Statement</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #111827; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 4px; }
+  .meta, .totals { color: #4b5563; font-size: 12px; margin: 0 0 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  .num { text-align: right; white-space: nowrap; }
+  .credit { color: #15803d; }
+  .debit { color: #b91c1c; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+  <h1>Wallet Statement</h1>
+  ${accountName ? `<p class="meta">${escapeHtml(accountName)}</p>` : ''}
+  <p class="meta">${escapeHtml(describePeriod(filters))}${filters.type && filters.type !== 'all' ? ` &middot; ${escapeHtml(filters.type)} only` : ''}</p>
+  <p class="meta">Generated ${escapeHtml(generatedAt.toLocaleString('en-IN'))}</p>
+  ${months.length > 0 ? monthSections : '<p>No transactions in this period.</p>'}
+</body>
+</html>`;
+};
+
+/**
+ * File name for a statement export
+ * @param {Object} filters - { startDate, endDate }
+ * @param {string} extension - File extension, e.g. 'csv'
+ * @returns {string} e.g. "wallet-statement-2026-10-01-to-2026-10-31.csv"
+ */
+export const getStatementFileName = ({ startDate, endDate } = {}, extension) => {
+  const period = startDate || endDate
+    ? `-${startDate || 'start'}-to-${endDate || new Date().toISOString().split('T')[0]}`
+    : '';
+  return `wallet-statement${period}.${extension}`;
+};
+
+/**
+ * Download a CSV statement
+ * @param {string} csv - CSV content
+ * @param {string} fileName - Download file name
+ */
+export const downloadStatementCsv = (csv, fileName) => {
+  // BOM so Excel reads the file as UTF-8
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Open the window a PDF statement is printed from
+ * Call this synchronously in the click handler - popup blockers block
+ * window.open once the statement has been fetched.
+ * @returns {Window|null} Null when the window was blocked
+ */
+export const openStatementWindow = () => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return null;
+
+  printWindow.document.write('<p style="font-family: sans-serif">Preparing your statement…</p>');
+  return printWindow;
+};
+
+/**
+ * Write a statement into a window from openStatementWindow and show the print dialog
+ * @param {Window} printWindow - Window from openStatementWindow
+ * @param {string} html - Document from buildStatementHtml
+ */
+export const printStatement = (printWindow, html) => {
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
@@ -1,6 +1,7 @@
 import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import path from 'path'
+import pwaPlugin from './plugins/pwa.js'
 
 // https://vite.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -8,7 +9,7 @@ export default defineConfig(({ command, mode }) => {
   const env = loadEnv(mode, process.cwd(), '')
 
   return {
-    plugins: [react()],
+    plugins: [react(), pwaPlugin(env)],
 
     // Path resolution
     resolve: {